@@ -24,9 +24,10 @@ async function demoQRCode() {
     userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
   });
 
-  client.on('qr', (qrCode) => {
-    console.log('🎯 REAL WhatsApp Web QR Code Generated!');
+  client.on('qr', (qrCode, info) => {
+    console.log(`🎯 REAL WhatsApp Web QR Code Generated! (attempt ${info.attempt})`);
     console.log('📋 QR Content:', qrCode);
+    console.log('⏳ Expires at:', new Date(info.expiresAt).toLocaleTimeString());
     console.log();
     console.log('📱 Scan this QR code with WhatsApp on your phone:');
     console.log('==========================================');
@@ -41,6 +42,11 @@ async function demoQRCode() {
     console.log();
   });
 
+  client.on('qr_timeout', ({ attempts }) => {
+    console.log(`⌛ QR code was not scanned after ${attempts} attempts`);
+    client.destroy();
+  });
+
   client.on('authenticated', (session) => {
     console.log('🎉 Successfully authenticated with WhatsApp Web!');
     console.log('💾 Session data saved for future use');
@@ -0,0 +1,142 @@
+/**
+ * AES Helpers
+ * AES-256-CBC and AES-256-GCM with explicit keys and IVs, shared by frame
+ * decryption, session storage and media handling
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// AES-256 sizes in bytes
+const KEY_SIZE = 32;
+const BLOCK_SIZE = 16;
+const GCM_IV_SIZE = 12;
+const GCM_TAG_SIZE = 16;
+
+/**
+ * Encrypt with AES-256-CBC and PKCS#7 padding
+ *
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} iv - 16-byte IV
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Buffer} Ciphertext (without IV)
+ */
+function cbcEncrypt(key, iv, plaintext) {
+  const cipher = crypto.createCipheriv('aes-256-cbc', checkKey(key), checkIv(iv, BLOCK_SIZE));
+  return Buffer.concat([cipher.update(plaintext), cipher.final()]);
+}
+
+/**
+ * Decrypt AES-256-CBC and strip PKCS#7 padding
+ *
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} iv - 16-byte IV
+ * @param {Buffer} ciphertext - Data to decrypt (without IV)
+ * @returns {Buffer} Plaintext
+ */
+function cbcDecrypt(key, iv, ciphertext) {
+  const decipher = createCbcDecipher(key, iv);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Create AES-256-CBC decipher for incremental decryption
+ *
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} iv - 16-byte IV
+ * @returns {crypto.Decipher} Decipher removing PKCS#7 padding on final()
+ */
+function createCbcDecipher(key, iv) {
+  return crypto.createDecipheriv('aes-256-cbc', checkKey(key), checkIv(iv, BLOCK_SIZE));
+}
+
+/**
+ * Encrypt with AES-256-GCM
+ *
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} iv - 12-byte IV, never reused with the same key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {Buffer} [aad] - Additional authenticated data
+ * @returns {{ciphertext: Buffer, authTag: Buffer}} Ciphertext and 16-byte tag
+ */
+function gcmEncrypt(key, iv, plaintext, aad = null) {
+  const cipher = crypto.createCipheriv('aes-256-gcm', checkKey(key), checkIv(iv, GCM_IV_SIZE), {
+    authTagLength: GCM_TAG_SIZE
+  });
+
+  if (aad) {
+    cipher.setAAD(aad);
+  }
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    ciphertext,
+    authTag: cipher.getAuthTag()
+  };
+}
+
+/**
+ * Decrypt and authenticate AES-256-GCM
+ *
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} iv - 12-byte IV
+ * @param {Buffer} ciphertext - Data to decrypt
+ * @param {Buffer} authTag - 16-byte authentication tag
+ * @param {Buffer} [aad] - Additional authenticated data
+ * @returns {Buffer} Plaintext
+ * @throws {Error} When authentication fails
+ */
+function gcmDecrypt(key, iv, ciphertext, authTag, aad = null) {
+  if (!Buffer.isBuffer(authTag) || authTag.length !== GCM_TAG_SIZE) {
+    throw new Error(`AES-GCM auth tag must be ${GCM_TAG_SIZE} bytes`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', checkKey(key), checkIv(iv, GCM_IV_SIZE), {
+    authTagLength: GCM_TAG_SIZE
+  });
+  decipher.setAuthTag(authTag);
+
+  if (aad) {
+    decipher.setAAD(aad);
+  }
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Validate AES-256 key
+ * @private
+ */
+function checkKey(key) {
+  if (!Buffer.isBuffer(key) || key.length !== KEY_SIZE) {
+    throw new Error(`AES key must be ${KEY_SIZE} bytes`);
+  }
+
+  return key;
+}
+
+/**
+ * Validate IV length
+ * @private
+ */
+function checkIv(iv, size) {
+  if (!Buffer.isBuffer(iv) || iv.length !== size) {
+    throw new Error(`AES IV must be ${size} bytes`);
+  }
+
+  return iv;
+}
+
+module.exports = {
+  KEY_SIZE,
+  BLOCK_SIZE,
+  GCM_IV_SIZE,
+  GCM_TAG_SIZE,
+  cbcEncrypt,
+  cbcDecrypt,
+  createCbcDecipher,
+  gcmEncrypt,
+  gcmDecrypt
+};
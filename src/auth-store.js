@@ -0,0 +1,328 @@
+/**
+ * Auth State Stores
+ * Pluggable key/value storage for session credentials, used by
+ * SessionManager. Values are strings; callers serialize and encrypt them.
+ */
+
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { logger, AuthError } = require('./utils');
+
+/**
+ * Auth state store interface
+ * 
+ * Custom stores (Redis, a secrets manager...) extend this class, or any
+ * object implementing the same four async methods can be passed as the
+ * `authStore` option. `set()` must replace the value atomically: readers
+ * see either the old or the new value, never a partial write.
+ */
+class AuthStore {
+  /**
+   * Read a value
+   * 
+   * @param {string} key - Key
+   * @returns {Promise<string|null>} Stored value or null
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  /**
+   * Write a value
+   * 
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    throw new Error(`${this.constructor.name} does not implement set()`);
+  }
+
+  /**
+   * Remove a value
+   * 
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * List keys
+   * 
+   * @param {string} [prefix=''] - Only return keys starting with this prefix
+   * @returns {Promise<string[]>} Keys
+   */
+  async keys(prefix = '') {
+    throw new Error(`${this.constructor.name} does not implement keys()`);
+  }
+}
+
+/**
+ * In-memory store, for tests and short-lived processes
+ * 
+ * @extends AuthStore
+ */
+class MemoryAuthStore extends AuthStore {
+  /**
+   * Create in-memory store
+   * 
+   * @param {Object} [initial={}] - Initial key/value pairs
+   */
+  constructor(initial = {}) {
+    super();
+    this.values = new Map(Object.entries(initial));
+  }
+
+  async get(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.values.set(key, checkValue(value));
+  }
+
+  async delete(key) {
+    this.values.delete(key);
+  }
+
+  async keys(prefix = '') {
+    return Array.from(this.values.keys()).filter(key => key.startsWith(prefix));
+  }
+}
+
+/**
+ * Directory store, one `<key>.json` file per key
+ * Keys may contain `/` to group files in subdirectories (e.g. `backups/...`).
+ * 
+ * @extends AuthStore
+ */
+class FileAuthStore extends AuthStore {
+  /**
+   * Create directory store
+   * 
+   * @param {string} directory - Directory holding the files
+   */
+  constructor(directory) {
+    super();
+    this.directory = directory;
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this._keyPath(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async set(key, value) {
+    await writeFileAtomic(this._keyPath(key), checkValue(value));
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this._keyPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    await this._collectKeys(this.directory, '', keys);
+    return keys.filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Resolve key to a file path inside the store directory
+   * @private
+   */
+  _keyPath(key) {
+    checkKey(key);
+    return path.join(this.directory, ...key.split('/')) + '.json';
+  }
+
+  /**
+   * Walk the directory and collect keys
+   * @private
+   */
+  async _collectKeys(directory, relative, keys) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    
+    for (const entry of entries) {
+      const name = relative ? `${relative}/${entry.name}` : entry.name;
+      
+      if (entry.isDirectory()) {
+        await this._collectKeys(path.join(directory, entry.name), name, keys);
+      } else if (entry.name.endsWith('.json')) {
+        keys.push(name.slice(0, -'.json'.length));
+      }
+    }
+  }
+}
+
+/**
+ * Single-file store, all keys in one JSON object
+ * Every write rewrites the whole file atomically.
+ * 
+ * @extends AuthStore
+ */
+class JsonFileAuthStore extends AuthStore {
+  /**
+   * Create single-file store
+   * 
+   * @param {string} filePath - JSON file path
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.values = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async get(key) {
+    const values = await this._load();
+    return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null;
+  }
+
+  async set(key, value) {
+    checkValue(value);
+    return this._write(values => {
+      values[key] = value;
+    });
+  }
+
+  async delete(key) {
+    return this._write(values => {
+      delete values[key];
+    });
+  }
+
+  async keys(prefix = '') {
+    const values = await this._load();
+    return Object.keys(values).filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Read the file once and keep it in memory
+   * @private
+   */
+  async _load() {
+    if (this.values) {
+      return this.values;
+    }
+    
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new AuthError(`Auth store file is not a JSON object: ${this.filePath}`);
+      }
+      
+      this.values = parsed;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.values = {};
+    }
+    
+    return this.values;
+  }
+
+  /**
+   * Apply a change and persist, one write at a time
+   * @private
+   */
+  _write(change) {
+    const write = this.writeChain.then(async () => {
+      const values = { ...(await this._load()) };
+      change(values);
+      await writeFileAtomic(this.filePath, JSON.stringify(values, null, 2));
+      this.values = values;
+    });
+    
+    // Keep the chain alive after a failed write
+    this.writeChain = write.catch((error) => {
+      logger.error('Auth store write failed:', error);
+    });
+    
+    return write;
+  }
+}
+
+/**
+ * Write a file through a temporary file and rename
+ * The rename is atomic, so a crash never leaves a truncated file.
+ * @private
+ */
+async function writeFileAtomic(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const handle = await fs.open(tempPath, 'w', 0o600);
+
+  try {
+    await handle.writeFile(data, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Reject keys that could escape a store directory
+ * @private
+ */
+function checkKey(key) {
+  if (typeof key !== 'string' || key.length === 0 ||
+      key.split('/').some(part => part === '' || part === '.' || part === '..') ||
+      key.includes('\\')) {
+    throw new AuthError(`Invalid auth store key: ${key}`);
+  }
+  return key;
+}
+
+/**
+ * Values are strings, serialization is up to the caller
+ * @private
+ */
+function checkValue(value) {
+  if (typeof value !== 'string') {
+    throw new AuthError(`Auth store values must be strings, got ${typeof value}`);
+  }
+  return value;
+}
+
+module.exports = {
+  AuthStore,
+  MemoryAuthStore,
+  FileAuthStore,
+  JsonFileAuthStore,
+  writeFileAtomic
+};
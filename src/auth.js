@@ -10,9 +10,10 @@
 const EventEmitter = require('events');
 const crypto = require('crypto');
 const qrcode = require('qrcode-terminal');
-const { logger, sleep } = require('./utils');
+const { logger, sleep, generateCurve25519KeyPair } = require('./utils');
 const { AuthError } = require('./utils');
 const { AuthStates, QRStates } = require('./constants');
+const { generatePairingCode, formatPairingCode, parseE164 } = require('./pairing-code');
 
 /**
  * Authentication Manager for WhatsApp Web
@@ -259,14 +260,7 @@ class AuthManager extends EventEmitter {
    * @private
    */
   _generateKeyPair() {
-    const privateKey = crypto.randomBytes(32);
-    const publicKey = crypto.createECDH('prime256v1');
-    publicKey.setPrivateKey(privateKey);
-    
-    return {
-      privateKey,
-      publicKey: publicKey.getPublicKey()
-    };
+    return generateCurve25519KeyPair();
   }
 
   /**
@@ -366,9 +360,7 @@ class AuthManager extends EventEmitter {
    * @private
    */
   _generatePairingCode(pairingData) {
-    // Generate 8-digit pairing code
-    const code = Math.floor(10000000 + Math.random() * 90000000).toString();
-    return code.match(/.{1,4}/g).join('-'); // Format as XXXX-XXXX
+    return formatPairingCode(generatePairingCode());
   }
 
   /**
@@ -441,9 +433,7 @@ class AuthManager extends EventEmitter {
    * @private
    */
   _validatePhoneNumber(phoneNumber) {
-    // Basic international phone number validation
-    const phoneRegex = /^\+[1-9]\d{1,14}$/;
-    return phoneRegex.test(phoneNumber);
+    return parseE164(phoneNumber) !== null;
   }
 }
 
@@ -1,120 +1,60 @@
 /**
  * Binary Protocol Handler
  * Handles WhatsApp Web binary message encoding and decoding
- * 
+ *
  * @class BinaryHandler
  */
 
 'use strict';
 
-const { logger } = require('./utils');
+const { EventEmitter } = require('events');
+const { logger, BinaryError } = require('./utils');
+const { BinaryTags, SingleByteTokens, DoubleByteTokens } = require('./constants');
+
+// Frames larger than this are rejected unless maxFrameSize says otherwise
+const DEFAULT_MAX_FRAME_SIZE = 64 * 1024 * 1024;
+
+// LIST_16 carries a 16-bit size
+const MAX_LIST_SIZE = 0xFFFF;
 
 /**
  * Binary Protocol Handler for WhatsApp Web
+ *
+ * Nodes are represented the same way WhatsApp Web represents them:
+ * `[description, attributes, content]`, where `attributes` is an object
+ * (or null) and `content` is null, a string, a Buffer or an array of nodes.
  */
 class BinaryHandler {
   /**
    * Create binary handler
+   *
+   * @param {Object} [options={}] - Handler options
+   * @param {number} [options.maxFrameSize] - Largest frame accepted by decode (bytes)
    */
-  constructor() {
+  constructor(options = {}) {
     // WhatsApp Web binary protocol constants
-    this.TAGS = {
-      // Core protocol tags
-      STREAM_START: 1,
-      STREAM_END: 2,
-      
-      // Message tags
-      MESSAGE: 10,
-      NOTIFICATION: 11,
-      RECEIPT: 12,
-      
-      // Authentication tags
-      AUTH: 20,
-      CHALLENGE: 21,
-      SUCCESS: 22,
-      FAILURE: 23,
-      
-      // Presence tags
-      PRESENCE: 30,
-      AVAILABLE: 31,
-      UNAVAILABLE: 32,
-      
-      // Media tags
-      MEDIA: 40,
-      IMAGE: 41,
-      VIDEO: 42,
-      AUDIO: 43,
-      DOCUMENT: 44,
-      
-      // Group tags
-      GROUP: 50,
-      PARTICIPANT: 51,
-      
-      // Contact tags
-      CONTACT: 60,
-      STATUS: 61
-    };
-
-    // Binary tokens (simplified set)
-    this.TOKENS = [
-      null, // 0 - reserved
-      'stream:start',
-      'stream:end',
-      'iq',
-      'message',
-      'notification',
-      'presence',
-      'receipt',
-      'response',
-      'success',
-      'failure',
-      'auth',
-      'challenge',
-      'type',
-      'id',
-      'from',
-      'to',
-      'xmlns',
-      'class',
-      'text',
-      'media',
-      'image',
-      'video',
-      'audio',
-      'document',
-      'body',
-      'participant',
-      'group',
-      'contact',
-      'status'
-    ];
-
-    // Attribute mappings
-    this.ATTRIBUTES = {
-      TYPE: 'type',
-      ID: 'id',
-      FROM: 'from',
-      TO: 'to',
-      CLASS: 'class',
-      XMLNS: 'xmlns',
-      T: 't'
-    };
+    this.TAGS = BinaryTags;
+    this.maxFrameSize = options.maxFrameSize || DEFAULT_MAX_FRAME_SIZE;
+
+    // Token dictionaries
+    this.TOKENS = SingleByteTokens;
+    this.DOUBLE_TOKENS = DoubleByteTokens;
 
     logger.debug('Binary handler initialized');
   }
 
   /**
-   * Encode object to binary format
-   * 
-   * @param {Object} obj - Object to encode
+   * Encode node to binary format
+   *
+   * @param {Array} node - Node to encode (`[description, attributes, content]`)
    * @returns {Buffer} Binary encoded data
    */
-  encode(obj) {
+  encode(node) {
     try {
       const writer = new BinaryWriter();
-      this._writeNode(writer, obj);
+      this._writeNode(writer, node);
       return writer.toBuffer();
-      
+
     } catch (error) {
       logger.error('Failed to encode binary data:', error);
       throw error;
@@ -122,16 +62,28 @@ class BinaryHandler {
   }
 
   /**
-   * Decode binary data to object
-   * 
+   * Decode binary data to node
+   *
    * @param {Buffer} data - Binary data to decode
-   * @returns {Object} Decoded object
+   * @returns {Array} Decoded node (`[description, attributes, content]`)
+   * @throws {BinaryError} When the frame is truncated, oversized or malformed
    */
   decode(data) {
     try {
+      if (!Buffer.isBuffer(data)) {
+        throw new BinaryError('Binary data must be a Buffer', { reason: 'malformed', position: 0 });
+      }
+
+      if (data.length > this.maxFrameSize) {
+        throw new BinaryError(`Frame of ${data.length} bytes exceeds limit of ${this.maxFrameSize}`, {
+          reason: 'oversized',
+          position: 0
+        });
+      }
+
       const reader = new BinaryReader(data);
       return this._readNode(reader);
-      
+
     } catch (error) {
       logger.error('Failed to decode binary data:', error);
       throw error;
@@ -143,240 +95,454 @@ class BinaryHandler {
    * @private
    */
   _writeNode(writer, node) {
-    if (typeof node === 'string') {
-      this._writeString(writer, node);
-      return;
+    if (!Array.isArray(node) || node.length !== 3) {
+      throw new BinaryError('Invalid node, expected [description, attributes, content]', { reason: 'malformed' });
     }
 
-    if (typeof node === 'number') {
-      this._writeNumber(writer, node);
-      return;
+    const [description, attributes, content] = node;
+    const keys = attributes
+      ? Object.keys(attributes).filter(key => attributes[key] !== null && attributes[key] !== undefined)
+      : [];
+    const hasContent = content !== null && content !== undefined;
+
+    this._writeListStart(writer, 2 * keys.length + 1 + (hasContent ? 1 : 0));
+    this._writeString(writer, description);
+
+    for (const key of keys) {
+      this._writeString(writer, key);
+      this._writeString(writer, String(attributes[key]));
     }
 
-    if (Buffer.isBuffer(node)) {
-      this._writeBytes(writer, node);
-      return;
+    if (hasContent) {
+      this._writeContent(writer, content);
     }
+  }
 
-    if (Array.isArray(node)) {
-      this._writeArray(writer, node);
-      return;
+  /**
+   * Write node content to binary writer
+   * @private
+   */
+  _writeContent(writer, content) {
+    if (typeof content === 'string') {
+      this._writeString(writer, content);
+    } else if (Buffer.isBuffer(content)) {
+      this._writeByteLength(writer, content.length);
+      writer.writeBytes(content);
+    } else if (Array.isArray(content)) {
+      const children = content.filter(Boolean);
+      this._writeListStart(writer, children.length);
+
+      for (const child of children) {
+        this._writeNode(writer, child);
+      }
+    } else {
+      throw new BinaryError(`Invalid node content: ${typeof content}`, { reason: 'malformed' });
     }
+  }
 
-    if (typeof node === 'object' && node !== null) {
-      this._writeObject(writer, node);
-      return;
+  /**
+   * Write list size marker
+   * @private
+   */
+  _writeListStart(writer, size) {
+    if (size > MAX_LIST_SIZE) {
+      throw new BinaryError(`List of ${size} entries exceeds limit of ${MAX_LIST_SIZE}`, { reason: 'oversized' });
+    }
+
+    if (size === 0) {
+      writer.writeByte(this.TAGS.LIST_EMPTY);
+    } else if (size < 256) {
+      writer.writeByte(this.TAGS.LIST_8);
+      writer.writeByte(size);
+    } else {
+      writer.writeByte(this.TAGS.LIST_16);
+      writer.writeInt16(size);
+    }
+  }
+
+  /**
+   * Write length prefix for raw bytes
+   * @private
+   */
+  _writeByteLength(writer, length) {
+    if (length > 0xFFFFFFFF) {
+      throw new BinaryError(`Byte string of ${length} bytes is too large to encode`, { reason: 'oversized' });
     }
 
-    // Null or undefined
-    writer.writeByte(0);
+    if (length >= 1 << 20) {
+      writer.writeByte(this.TAGS.BINARY_32);
+      writer.writeInt32(length);
+    } else if (length >= 256) {
+      writer.writeByte(this.TAGS.BINARY_20);
+      writer.writeInt20(length);
+    } else {
+      writer.writeByte(this.TAGS.BINARY_8);
+      writer.writeByte(length);
+    }
   }
 
   /**
-   * Write string to binary writer
+   * Write string to binary writer, using the most compact encoding
    * @private
    */
   _writeString(writer, str) {
-    const tokenIndex = this.TOKENS.indexOf(str);
-    
-    if (tokenIndex > 0 && tokenIndex < 256) {
-      // Write as token
-      writer.writeByte(tokenIndex);
+    if (str === 'c.us') {
+      str = 's.whatsapp.net';
+    }
+
+    const token = this.getToken(str);
+    if (token !== null) {
+      writer.writeByte(token);
+      return;
+    }
+
+    const doubleToken = this.DOUBLE_TOKENS.indexOf(str);
+    if (doubleToken >= 0) {
+      writer.writeByte(this.TAGS.DICTIONARY_0 + (doubleToken >> 8));
+      writer.writeByte(doubleToken & 0xFF);
+      return;
+    }
+
+    const separator = str.indexOf('@');
+    if (separator >= 0) {
+      this._writeJid(writer, str.slice(0, separator), str.slice(separator + 1));
+      return;
+    }
+
+    if (this._isPackable(str, this.TAGS.NIBBLE_8)) {
+      this._writePacked(writer, str, this.TAGS.NIBBLE_8);
+    } else if (this._isPackable(str, this.TAGS.HEX_8)) {
+      this._writePacked(writer, str, this.TAGS.HEX_8);
     } else {
-      // Write as string literal
       const encoded = Buffer.from(str, 'utf8');
-      if (encoded.length < 256) {
-        writer.writeByte(252); // String8 marker
-        writer.writeByte(encoded.length);
-      } else {
-        writer.writeByte(253); // String20 marker
-        writer.writeInt20(encoded.length);
-      }
+      this._writeByteLength(writer, encoded.length);
       writer.writeBytes(encoded);
     }
   }
 
   /**
-   * Write number to binary writer
+   * Write JID as user/server pair
    * @private
    */
-  _writeNumber(writer, num) {
-    if (Number.isInteger(num) && num >= 0 && num < 256) {
-      writer.writeByte(250); // Number marker
-      writer.writeByte(num);
+  _writeJid(writer, user, server) {
+    writer.writeByte(this.TAGS.JID_PAIR);
+
+    if (user.length > 0) {
+      this._writeString(writer, user);
     } else {
-      // Convert to string and write
-      this._writeString(writer, num.toString());
+      writer.writeByte(this.TAGS.LIST_EMPTY);
     }
+
+    this._writeString(writer, server);
   }
 
   /**
-   * Write bytes to binary writer
+   * Check if string can be written as NIBBLE_8 or HEX_8
    * @private
    */
-  _writeBytes(writer, bytes) {
-    writer.writeByte(254); // Bytes marker
-    writer.writeInt20(bytes.length);
-    writer.writeBytes(bytes);
+  _isPackable(str, tag) {
+    if (str.length === 0 || str.length > this.TAGS.PACKED_MAX) {
+      return false;
+    }
+
+    const pattern = tag === this.TAGS.NIBBLE_8 ? /^[0-9.-]+$/ : /^[0-9A-F]+$/;
+    return pattern.test(str);
   }
 
   /**
-   * Write array to binary writer
+   * Write string packed two characters per byte
    * @private
    */
-  _writeArray(writer, arr) {
-    writer.writeByte(251); // Array marker
-    writer.writeByte(arr.length);
-    
-    for (const item of arr) {
-      this._writeNode(writer, item);
+  _writePacked(writer, str, tag) {
+    const odd = str.length % 2 === 1;
+    const packedLength = Math.ceil(str.length / 2);
+
+    writer.writeByte(tag);
+    writer.writeByte(packedLength | (odd ? 0x80 : 0));
+
+    for (let i = 0; i < packedLength; i++) {
+      const high = this._packChar(str.charCodeAt(i * 2), tag);
+      const low = i * 2 + 1 < str.length ? this._packChar(str.charCodeAt(i * 2 + 1), tag) : 15;
+      writer.writeByte((high << 4) | low);
     }
   }
 
   /**
-   * Write object to binary writer
+   * Pack a single character into a nibble
    * @private
    */
-  _writeObject(writer, obj) {
-    // Write tag
-    if (obj.tag) {
-      this._writeString(writer, obj.tag);
-    } else {
-      writer.writeByte(0);
+  _packChar(charCode, tag) {
+    if (charCode >= 48 && charCode <= 57) {
+      return charCode - 48;
     }
 
-    // Count attributes
-    const attributes = [];
-    for (const [key, value] of Object.entries(obj)) {
-      if (key !== 'tag' && key !== 'content' && key !== 'children') {
-        attributes.push([key, value]);
-      }
+    if (tag === this.TAGS.NIBBLE_8) {
+      if (charCode === 45) return 10; // '-'
+      if (charCode === 46) return 11; // '.'
+    } else if (charCode >= 65 && charCode <= 70) {
+      return charCode - 55; // 'A'-'F'
     }
 
-    // Write attribute count
-    writer.writeByte(attributes.length);
+    throw new BinaryError(`Cannot pack character: ${String.fromCharCode(charCode)}`, { reason: 'malformed' });
+  }
+
+  /**
+   * Read node from binary reader
+   * @private
+   */
+  _readNode(reader) {
+    const listSize = this._readListSize(reader, reader.readByte());
+    const descriptionTag = reader.readByte();
+
+    if (descriptionTag === this.TAGS.STREAM_END) {
+      throw this._malformed(reader, 'Unexpected stream end');
+    }
 
-    // Write attributes
-    for (const [key, value] of attributes) {
-      this._writeString(writer, key);
-      this._writeNode(writer, value);
+    const description = this._readString(reader, descriptionTag);
+    if (listSize === 0 || !description) {
+      throw this._malformed(reader, 'Invalid node');
     }
 
-    // Write content/children
-    if (obj.content !== undefined) {
-      this._writeNode(writer, obj.content);
-    } else if (obj.children && Array.isArray(obj.children)) {
-      this._writeArray(writer, obj.children);
-    } else {
-      writer.writeByte(0); // No content
+    const attributes = this._readAttributes(reader, (listSize - 1) >> 1);
+
+    if (listSize % 2 === 1) {
+      return [description, attributes, null];
     }
+
+    return [description, attributes, this._readContent(reader)];
   }
 
   /**
-   * Read node from binary reader
+   * Read node content from binary reader
    * @private
    */
-  _readNode(reader) {
-    const marker = reader.readByte();
+  _readContent(reader) {
+    return this._readContentValue(reader, reader.readByte());
+  }
+
+  /**
+   * Read node content for an already consumed tag
+   * @private
+   */
+  _readContentValue(reader, tag) {
+    if (this._isListTag(tag)) {
+      return this._readList(reader, tag);
+    }
 
-    if (marker === 0) {
+    switch (tag) {
+      case this.TAGS.BINARY_8:
+        return reader.readBytes(reader.readByte());
+
+      case this.TAGS.BINARY_20:
+        return reader.readBytes(reader.readInt20());
+
+      case this.TAGS.BINARY_32:
+        return reader.readBytes(reader.readInt32());
+
+      default:
+        return this._readString(reader, tag);
+    }
+  }
+
+  /**
+   * Read list of nodes from binary reader
+   * @private
+   */
+  _readList(reader, tag) {
+    const size = this._readListSize(reader, tag);
+    const list = [];
+
+    // Every node takes at least two bytes, reject sizes the frame cannot hold
+    if (size * 2 > reader.getRemaining()) {
+      throw new BinaryError(`List of ${size} nodes exceeds remaining ${reader.getRemaining()} bytes`, {
+        reason: 'truncated',
+        position: reader.getPosition(),
+        needed: size * 2,
+        remaining: reader.getRemaining()
+      });
+    }
+
+    for (let i = 0; i < size; i++) {
+      list.push(this._readNode(reader));
+    }
+
+    return list;
+  }
+
+  /**
+   * Read attributes from binary reader
+   * @private
+   */
+  _readAttributes(reader, count) {
+    if (count === 0) {
       return null;
     }
 
-    if (marker >= 1 && marker < this.TOKENS.length) {
-      return this.TOKENS[marker];
+    const attributes = {};
+
+    for (let i = 0; i < count; i++) {
+      const key = this._readString(reader, reader.readByte());
+      attributes[key] = this._readString(reader, reader.readByte());
     }
 
-    switch (marker) {
-      case 250: // Number
+    return attributes;
+  }
+
+  /**
+   * Read list size for a list tag
+   * @private
+   */
+  _readListSize(reader, tag) {
+    switch (tag) {
+      case this.TAGS.LIST_EMPTY:
+        return 0;
+
+      case this.TAGS.LIST_8:
         return reader.readByte();
-        
-      case 251: // Array
-        return this._readArray(reader);
-        
-      case 252: // String8
-        const len8 = reader.readByte();
-        return reader.readBytes(len8).toString('utf8');
-        
-      case 253: // String20
-        const len20 = reader.readInt20();
-        return reader.readBytes(len20).toString('utf8');
-        
-      case 254: // Bytes
-        const bytesLen = reader.readInt20();
-        return reader.readBytes(bytesLen);
-        
-      case 255: // Object
-        return this._readObject(reader);
-        
+
+      case this.TAGS.LIST_16:
+        return reader.readInt16();
+
       default:
-        throw new Error(`Unknown binary marker: ${marker}`);
+        throw this._malformed(reader, `Invalid list tag: ${tag}`);
     }
   }
 
   /**
-   * Read array from binary reader
+   * Check if tag is a list tag
    * @private
    */
-  _readArray(reader) {
-    const length = reader.readByte();
-    const array = [];
-    
-    for (let i = 0; i < length; i++) {
-      array.push(this._readNode(reader));
-    }
-    
-    return array;
+  _isListTag(tag) {
+    return tag === this.TAGS.LIST_EMPTY || tag === this.TAGS.LIST_8 || tag === this.TAGS.LIST_16;
   }
 
   /**
-   * Read object from binary reader
+   * Read string for the given tag
    * @private
    */
-  _readObject(reader) {
-    const tag = this._readNode(reader);
-    const attributeCount = reader.readByte();
-    
-    const obj = {};
-    
-    if (tag) {
-      obj.tag = tag;
-    }
-
-    // Read attributes
-    for (let i = 0; i < attributeCount; i++) {
-      const key = this._readNode(reader);
-      const value = this._readNode(reader);
-      obj[key] = value;
-    }
-
-    // Read content
-    const content = this._readNode(reader);
-    if (content !== null) {
-      if (Array.isArray(content)) {
-        obj.children = content;
-      } else {
-        obj.content = content;
+  _readString(reader, tag) {
+    if (tag >= 3 && tag < this.TAGS.DICTIONARY_0) {
+      const token = this.getString(tag);
+      if (token === null) {
+        throw this._malformed(reader, `Invalid token: ${tag}`);
       }
+      return token === 's.whatsapp.net' ? 'c.us' : token;
     }
 
-    return obj;
+    switch (tag) {
+      case this.TAGS.DICTIONARY_0:
+      case this.TAGS.DICTIONARY_1:
+      case this.TAGS.DICTIONARY_2:
+      case this.TAGS.DICTIONARY_3:
+        return this._getDoubleToken(tag - this.TAGS.DICTIONARY_0, reader.readByte());
+
+      case this.TAGS.LIST_EMPTY:
+        return null;
+
+      case this.TAGS.BINARY_8:
+        return reader.readBytes(reader.readByte()).toString('utf8');
+
+      case this.TAGS.BINARY_20:
+        return reader.readBytes(reader.readInt20()).toString('utf8');
+
+      case this.TAGS.BINARY_32:
+        return reader.readBytes(reader.readInt32()).toString('utf8');
+
+      case this.TAGS.JID_PAIR: {
+        const user = this._readString(reader, reader.readByte());
+        const server = this._readString(reader, reader.readByte());
+        if (!server) {
+          throw this._malformed(reader, 'Invalid JID pair');
+        }
+        return `${user || ''}@${server}`;
+      }
+
+      case this.TAGS.NIBBLE_8:
+      case this.TAGS.HEX_8:
+        return this._readPacked(reader, tag);
+
+      default:
+        throw this._malformed(reader, `Unknown binary marker: ${tag}`);
+    }
+  }
+
+  /**
+   * Read NIBBLE_8/HEX_8 packed string
+   * @private
+   */
+  _readPacked(reader, tag) {
+    const startByte = reader.readByte();
+    let value = '';
+
+    for (let i = 0; i < (startByte & 0x7F); i++) {
+      const byte = reader.readByte();
+      value += this._unpackChar(byte >> 4, tag);
+      value += this._unpackChar(byte & 0x0F, tag);
+    }
+
+    if (startByte & 0x80) {
+      value = value.slice(0, -1);
+    }
+
+    return value;
+  }
+
+  /**
+   * Unpack a single nibble into a character
+   * @private
+   */
+  _unpackChar(value, tag) {
+    if (value <= 9) {
+      return String.fromCharCode(48 + value);
+    }
+
+    if (tag === this.TAGS.HEX_8) {
+      return String.fromCharCode(55 + value);
+    }
+
+    switch (value) {
+      case 10: return '-';
+      case 11: return '.';
+      case 15: return '\0';
+      default:
+        throw new BinaryError(`Invalid nibble: ${value}`, { reason: 'malformed' });
+    }
+  }
+
+  /**
+   * Look up double-byte token
+   * @private
+   */
+  _getDoubleToken(dictionary, index) {
+    const token = this.DOUBLE_TOKENS[dictionary * 256 + index];
+    if (token === undefined) {
+      throw new BinaryError(`Invalid double-byte token: ${dictionary}/${index}`, { reason: 'malformed' });
+    }
+    return token;
+  }
+
+  /**
+   * Create malformed frame error at the reader position
+   * @private
+   */
+  _malformed(reader, message) {
+    return new BinaryError(message, { reason: 'malformed', position: reader.getPosition() });
   }
 
   /**
    * Get token for string
-   * 
+   *
    * @param {string} str - String to get token for
    * @returns {number|null} Token index or null if not found
    */
   getToken(str) {
     const index = this.TOKENS.indexOf(str);
-    return index > 0 ? index : null;
+    return index >= 3 && index < this.TAGS.DICTIONARY_0 ? index : null;
   }
 
   /**
    * Get string for token
-   * 
+   *
    * @param {number} token - Token index
    * @returns {string|null} String or null if invalid token
    */
@@ -405,10 +571,16 @@ class BinaryWriter {
     this.length += bytes.length;
   }
 
+  writeInt16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value, 0);
+    this.writeBytes(buffer);
+  }
+
   writeInt20(value) {
-    // Write 20-bit integer in 3 bytes
+    // Write 20-bit integer in 3 bytes, upper nibble of the first byte unused
     const bytes = Buffer.alloc(3);
-    bytes[0] = (value >> 16) & 0xFF;
+    bytes[0] = (value >> 16) & 0x0F;
     bytes[1] = (value >> 8) & 0xFF;
     bytes[2] = value & 0xFF;
     this.writeBytes(bytes);
@@ -436,25 +608,30 @@ class BinaryReader {
 
   readByte() {
     if (this.position >= this.data.length) {
-      throw new Error('Unexpected end of binary data');
+      throw this._truncated(1);
     }
     return this.data[this.position++];
   }
 
   readBytes(count) {
     if (this.position + count > this.data.length) {
-      throw new Error('Unexpected end of binary data');
+      throw this._truncated(count);
     }
-    
+
     const bytes = this.data.slice(this.position, this.position + count);
     this.position += count;
     return bytes;
   }
 
+  readInt16() {
+    const bytes = this.readBytes(2);
+    return bytes.readUInt16BE(0);
+  }
+
   readInt20() {
     // Read 20-bit integer from 3 bytes
     const bytes = this.readBytes(3);
-    return (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+    return ((bytes[0] & 0x0F) << 16) | (bytes[1] << 8) | bytes[2];
   }
 
   readInt32() {
@@ -473,6 +650,385 @@ class BinaryReader {
   getRemaining() {
     return this.data.length - this.position;
   }
+
+  _truncated(needed) {
+    return new BinaryError('Unexpected end of binary data', {
+      reason: 'truncated',
+      position: this.position,
+      needed,
+      remaining: this.getRemaining()
+    });
+  }
+}
+
+/**
+ * Reader over a list of buffered chunks
+ *
+ * Implements the BinaryReader interface so BinaryHandler can parse straight
+ * from received chunks. Reads never copy unless a value spans two chunks.
+ * @private
+ */
+class ChunkReader {
+  constructor(chunks, offset, available) {
+    this.chunks = chunks;
+    this.chunkIndex = 0;
+    this.offset = offset;
+    this.available = available;
+    this.position = 0;
+  }
+
+  readByte() {
+    if (this.position >= this.available) {
+      throw this._truncated(1);
+    }
+
+    while (this.offset >= this.chunks[this.chunkIndex].length) {
+      this.chunkIndex++;
+      this.offset = 0;
+    }
+
+    this.position++;
+    return this.chunks[this.chunkIndex][this.offset++];
+  }
+
+  readBytes(count) {
+    if (this.position + count > this.available) {
+      throw this._truncated(count);
+    }
+
+    const parts = [];
+    let missing = count;
+
+    while (missing > 0) {
+      const chunk = this.chunks[this.chunkIndex];
+      const take = Math.min(missing, chunk.length - this.offset);
+
+      if (take > 0) {
+        parts.push(chunk.subarray(this.offset, this.offset + take));
+        this.offset += take;
+        missing -= take;
+      }
+
+      if (this.offset >= chunk.length && missing > 0) {
+        this.chunkIndex++;
+        this.offset = 0;
+      }
+    }
+
+    this.position += count;
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts, count);
+  }
+
+  readInt16() {
+    return this.readBytes(2).readUInt16BE(0);
+  }
+
+  readInt20() {
+    const bytes = this.readBytes(3);
+    return ((bytes[0] & 0x0F) << 16) | (bytes[1] << 8) | bytes[2];
+  }
+
+  readInt32() {
+    return this.readBytes(4).readUInt32BE(0);
+  }
+
+  hasMore() {
+    return this.position < this.available;
+  }
+
+  getPosition() {
+    return this.position;
+  }
+
+  getRemaining() {
+    return this.available - this.position;
+  }
+
+  _truncated(needed) {
+    return new BinaryError('Unexpected end of binary data', {
+      reason: 'truncated',
+      position: this.position,
+      needed,
+      remaining: this.getRemaining()
+    });
+  }
+}
+
+/**
+ * Incremental binary frame decoder
+ *
+ * Accepts a frame in chunks and emits it as soon as parts of it are complete.
+ * When the top-level node holds a list, each child is emitted on its own and
+ * released, so large history payloads never have to be decoded in one piece.
+ *
+ * Events:
+ * - `header` (description, attributes) - top-level node header is complete
+ * - `child` (node, index) - a child of the top-level list is complete
+ * - `node` (node) - the top-level node is complete; list content is only
+ *   kept on it when `retainChildren` is set, otherwise it is null
+ * - `error` (BinaryError) - the frame is malformed or oversized
+ *
+ * @extends EventEmitter
+ */
+class BinaryStreamDecoder extends EventEmitter {
+  /**
+   * Create stream decoder
+   *
+   * @param {Object} [options={}] - Decoder options
+   * @param {BinaryHandler} [options.handler] - Handler used to parse nodes
+   * @param {number} [options.maxFrameSize] - Largest frame accepted (bytes)
+   * @param {boolean} [options.retainChildren=false] - Keep children on the emitted node
+   */
+  constructor(options = {}) {
+    super();
+
+    this.handler = options.handler || new BinaryHandler(options);
+    this.maxFrameSize = options.maxFrameSize || this.handler.maxFrameSize;
+    this.retainChildren = options.retainChildren === true;
+
+    this.chunks = [];
+    this.offset = 0;
+    this.available = 0;
+    this.required = 1;
+    this.failed = false;
+    this.events = [];
+
+    this._resetFrame();
+  }
+
+  /**
+   * Feed a chunk of frame data
+   *
+   * @param {Buffer} chunk - Next chunk of binary data
+   * @returns {boolean} False once the decoder has failed
+   */
+  write(chunk) {
+    if (this.failed) {
+      return false;
+    }
+
+    if (chunk.length > 0) {
+      this.chunks.push(chunk);
+      this.available += chunk.length;
+      this.frameBytes += chunk.length;
+    }
+
+    if (this.frameBytes > this.maxFrameSize) {
+      this._fail(new BinaryError(`Frame exceeds limit of ${this.maxFrameSize} bytes`, {
+        reason: 'oversized',
+        position: this.frameBytes - this.available
+      }));
+      return false;
+    }
+
+    this._process();
+    return !this.failed;
+  }
+
+  /**
+   * Signal that no more data follows
+   * Emits `error` when a node is still incomplete.
+   */
+  end() {
+    if (this.failed) {
+      return;
+    }
+
+    if (this.phase !== 'header' || this.available > 0) {
+      const error = new BinaryError('Unexpected end of binary data', {
+        reason: 'truncated',
+        position: this.frameBytes - this.available,
+        remaining: this.available
+      });
+      this._fail(error);
+    }
+  }
+
+  /**
+   * Discard buffered data and start over
+   */
+  reset() {
+    this.chunks = [];
+    this.offset = 0;
+    this.available = 0;
+    this.required = 1;
+    this.failed = false;
+    this.events = [];
+    this._resetFrame();
+  }
+
+  /**
+   * Parse as many steps as the buffered data allows
+   * @private
+   */
+  _process() {
+    while (!this.failed && this.available >= this.required) {
+      const reader = new ChunkReader(this.chunks, this.offset, this.available);
+
+      try {
+        if (this.phase === 'header') {
+          this._readHeader(reader);
+        } else {
+          this._readChild(reader);
+        }
+      } catch (error) {
+        this.events = [];
+        
+        if (error.name === 'BinaryError' && error.reason === 'truncated') {
+          // Wait until at least the bytes this attempt asked for are buffered
+          this.required = error.position + (error.needed || 1);
+          return;
+        }
+
+        this._fail(error);
+        return;
+      }
+
+      this._commit(reader.getPosition());
+      this._flushEvents();
+    }
+  }
+
+  /**
+   * Read top-level node header (and content, unless it is a list)
+   * @private
+   */
+  _readHeader(reader) {
+    const handler = this.handler;
+    const listSize = handler._readListSize(reader, reader.readByte());
+    const descriptionTag = reader.readByte();
+
+    if (descriptionTag === handler.TAGS.STREAM_END) {
+      throw handler._malformed(reader, 'Unexpected stream end');
+    }
+
+    const description = handler._readString(reader, descriptionTag);
+    if (listSize === 0 || !description) {
+      throw handler._malformed(reader, 'Invalid node');
+    }
+
+    const attributes = handler._readAttributes(reader, (listSize - 1) >> 1);
+
+    if (listSize % 2 === 1) {
+      this._emitHeader(description, attributes);
+      this._completeFrame([description, attributes, null]);
+      return;
+    }
+
+    const contentTag = reader.readByte();
+
+    if (handler._isListTag(contentTag)) {
+      this.remainingChildren = handler._readListSize(reader, contentTag);
+      this.node = [description, attributes, this.retainChildren ? [] : null];
+      this.phase = 'children';
+      this._emitHeader(description, attributes);
+
+      if (this.remainingChildren === 0) {
+        this._completeFrame(this.node);
+      }
+      return;
+    }
+
+    const content = handler._readContentValue(reader, contentTag);
+    this._emitHeader(description, attributes);
+    this._completeFrame([description, attributes, content]);
+  }
+
+  /**
+   * Read next child of the top-level list
+   * @private
+   */
+  _readChild(reader) {
+    const child = this.handler._readNode(reader);
+    const index = this.childIndex++;
+
+    if (this.retainChildren) {
+      this.node[2].push(child);
+    }
+
+    this.events.push(['child', child, index]);
+
+    if (--this.remainingChildren === 0) {
+      this._completeFrame(this.node);
+    }
+  }
+
+  /**
+   * Queue header event
+   * @private
+   */
+  _emitHeader(description, attributes) {
+    this.events.push(['header', description, attributes]);
+  }
+
+  /**
+   * Queue completed node and prepare for the next frame
+   * @private
+   */
+  _completeFrame(node) {
+    this.events.push(['node', node]);
+    this._resetFrame();
+  }
+
+  /**
+   * Emit the events of the last parsed step
+   * Runs outside the parsing try, so an exception thrown by a listener
+   * reaches the caller of `write()` instead of failing the frame.
+   * @private
+   */
+  _flushEvents() {
+    const events = this.events;
+    this.events = [];
+
+    for (const [event, ...args] of events) {
+      this.emit(event, ...args);
+    }
+  }
+
+  /**
+   * Drop consumed bytes from the buffered chunks
+   * @private
+   */
+  _commit(bytes) {
+    this.available -= bytes;
+    this.required = 1;
+
+    let offset = this.offset + bytes;
+    while (this.chunks.length > 0 && offset >= this.chunks[0].length) {
+      offset -= this.chunks[0].length;
+      this.chunks.shift();
+    }
+    this.offset = offset;
+
+    if (this.phase === 'header') {
+      // Bytes still buffered belong to the next frame
+      this.frameBytes = this.available;
+    }
+  }
+
+  /**
+   * Reset per-frame state
+   * @private
+   */
+  _resetFrame() {
+    this.phase = 'header';
+    this.node = null;
+    this.remainingChildren = 0;
+    this.childIndex = 0;
+    this.frameBytes = this.available || 0;
+  }
+
+  /**
+   * Stop decoding and emit error
+   * @private
+   */
+  _fail(error) {
+    this.failed = true;
+    this.chunks = [];
+    this.available = 0;
+    logger.error('Failed to decode binary stream:', error);
+    this.emit('error', error);
+  }
 }
 
-module.exports = { BinaryHandler, BinaryWriter, BinaryReader };
+module.exports = { BinaryHandler, BinaryWriter, BinaryReader, BinaryStreamDecoder };
@@ -0,0 +1,91 @@
+/**
+ * Chat
+ * Chat model kept by ChatManager
+ */
+
+'use strict';
+
+/**
+ * Chat
+ *
+ * Plain data, changed only by ChatManager. Timestamps are milliseconds.
+ */
+class Chat {
+  /**
+   * Create chat
+   *
+   * @param {string} id - Chat JID
+   * @param {Object} [fields={}] - Initial field values
+   */
+  constructor(id, fields = {}) {
+    /** @type {string} */
+    this.id = id;
+    /** @type {string|null} */
+    this.name = null;
+    /** @type {number} Messages not read on any device */
+    this.unreadCount = 0;
+    /** @type {boolean} Marked unread by hand, regardless of `unreadCount` */
+    this.markedUnread = false;
+    /** @type {Object|null} Latest message */
+    this.lastMessage = null;
+    /** @type {number|null} Time of the latest activity */
+    this.timestamp = null;
+    /** @type {boolean} */
+    this.archived = false;
+    /** @type {number|null} When the chat was pinned */
+    this.pinnedAt = null;
+    /** @type {number|null} Muted until this time */
+    this.mutedUntil = null;
+    /** @type {number} Disappearing messages timer in seconds, 0 when off */
+    this.ephemeralExpiration = 0;
+    /** @type {number|null} When the disappearing messages setting last changed */
+    this.ephemeralSettingTimestamp = null;
+    /** @type {boolean} */
+    this.readOnly = false;
+
+    Object.assign(this, fields);
+  }
+
+  /**
+   * Whether this is a group chat
+   *
+   * @type {boolean}
+   */
+  get isGroup() {
+    return this.id.endsWith('@g.us');
+  }
+
+  /**
+   * Whether the chat is pinned
+   *
+   * @type {boolean}
+   */
+  get pinned() {
+    return this.pinnedAt !== null;
+  }
+
+  /**
+   * Whether the chat is muted right now
+   *
+   * @type {boolean}
+   */
+  get muted() {
+    return this.mutedUntil !== null && this.mutedUntil > Date.now();
+  }
+
+  /**
+   * Plain object, including the computed fields
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      ...this,
+      isGroup: this.isGroup,
+      pinned: this.pinned,
+      muted: this.muted
+    };
+  }
+}
+
+module.exports = Chat;
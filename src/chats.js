@@ -0,0 +1,466 @@
+/**
+ * Chat Manager
+ * Keeps the chat list in sync and handles archive, pin, mute, unread and
+ * clear operations
+ *
+ * @class ChatManager
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const { logger, normalizeJid, MessageError } = require('./utils');
+const { WAMetrics, WAFlags } = require('./constants');
+const Chat = require('./chat');
+
+// WhatsApp allows this many pinned chats
+const MAX_PINNED_CHATS = 3;
+
+/**
+ * Chat Manager for WhatsApp Web
+ *
+ * Chats come from the list pushed after login (or `getChats()`), and are
+ * updated from messages, read markers and `chat` modify nodes sent by the
+ * phone. Every change is emitted as `chat_update` ({chatId, changes, chat});
+ * a chat deleted on the phone is reported with `chat_delete` ({chatId}).
+ *
+ * @extends EventEmitter
+ */
+class ChatManager extends EventEmitter {
+  /**
+   * Create chat manager
+   *
+   * @param {WhatsAppClient} client - WhatsApp client instance
+   */
+  constructor(client) {
+    super();
+
+    this.client = client;
+    this.chatCache = new Map();
+
+    logger.debug('Chat manager initialized');
+  }
+
+  /**
+   * Get all chats
+   * Served from the cache when the chat list has arrived, otherwise (or
+   * with `refresh`) queried from the server.
+   *
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.refresh=false] - Query the server even when chats are known
+   * @returns {Promise<Chat[]>} Chats, most recent first
+   */
+  async getChats(options = {}) {
+    if (options.refresh || this.chatCache.size === 0) {
+      const response = await this.client.query(['query', { type: 'chat', epoch: this.client.epoch() }, null], {
+        binary: true,
+        binaryTags: [WAMetrics.QUERY_CHAT, WAFlags.IGNORE]
+      });
+
+      this.handleChats(Array.isArray(response) && Array.isArray(response[2]) ? response[2] : []);
+    }
+
+    return Array.from(this.chatCache.values())
+      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  }
+
+  /**
+   * Get a chat by ID
+   *
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Chat|undefined>} Chat or undefined when unknown
+   */
+  async getChatById(chatId) {
+    const id = normalizeJid(chatId);
+
+    if (!this.chatCache.has(id)) {
+      await this.getChats({ refresh: this.chatCache.size > 0 });
+    }
+
+    return this.chatCache.get(id);
+  }
+
+  /**
+   * Archive or unarchive a chat
+   *
+   * @param {string} chatId - Chat ID
+   * @param {boolean} [archive=true] - False to unarchive
+   * @returns {Promise<Chat>} Updated chat
+   */
+  async archiveChat(chatId, archive = true) {
+    try {
+      const id = normalizeJid(chatId);
+
+      await this._chatQuery(archive ? 'archive' : 'unarchive', id, await this._lastMessageAttributes(id));
+
+      logger.info(archive ? 'Chat archived' : 'Chat unarchived', { chatId: id });
+      return this._update(id, { archived: archive });
+
+    } catch (error) {
+      logger.error('Failed to archive chat:', error);
+      throw new MessageError(`Failed to archive chat: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pin or unpin a chat
+   *
+   * @param {string} chatId - Chat ID
+   * @param {boolean} [pin=true] - False to unpin
+   * @returns {Promise<Chat>} Updated chat
+   * @throws {MessageError} When `MAX_PINNED_CHATS` chats are pinned already
+   */
+  async pinChat(chatId, pin = true) {
+    try {
+      const id = normalizeJid(chatId);
+      const chat = this.chatCache.get(id);
+
+      if (pin && !(chat && chat.pinned)) {
+        const pinned = Array.from(this.chatCache.values()).filter(candidate => candidate.pinned).length;
+        if (pinned >= MAX_PINNED_CHATS) {
+          throw new MessageError(`Only ${MAX_PINNED_CHATS} chats can be pinned`);
+        }
+      }
+
+      const pinnedAt = pin ? Date.now() : null;
+
+      await this._chatQuery(pin ? 'pin' : 'unpin', id, pin
+        ? { pin: String(Math.floor(pinnedAt / 1000)) }
+        : { previous: chat && chat.pinnedAt ? String(Math.floor(chat.pinnedAt / 1000)) : undefined });
+
+      logger.info(pin ? 'Chat pinned' : 'Chat unpinned', { chatId: id });
+      return this._update(id, { pinnedAt });
+
+    } catch (error) {
+      logger.error('Failed to pin chat:', error);
+      throw new MessageError(`Failed to pin chat: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mute or unmute a chat
+   *
+   * @param {string} chatId - Chat ID
+   * @param {Date|number|null} until - End of the mute (Date or ms timestamp), null to unmute
+   * @returns {Promise<Chat>} Updated chat
+   */
+  async muteChat(chatId, until) {
+    try {
+      const id = normalizeJid(chatId);
+      const chat = this.chatCache.get(id);
+      const mutedUntil = until === null || until === undefined ? null : Number(until);
+
+      if (mutedUntil !== null && !(mutedUntil > Date.now())) {
+        throw new MessageError('Mute end must be in the future');
+      }
+
+      await this._chatQuery(mutedUntil ? 'mute' : 'unmute', id, mutedUntil
+        ? { mute: String(Math.floor(mutedUntil / 1000)) }
+        : { previous: chat && chat.mutedUntil ? String(Math.floor(chat.mutedUntil / 1000)) : undefined });
+
+      logger.info(mutedUntil ? 'Chat muted' : 'Chat unmuted', { chatId: id, until: mutedUntil });
+      return this._update(id, { mutedUntil });
+
+    } catch (error) {
+      logger.error('Failed to mute chat:', error);
+      throw new MessageError(`Failed to mute chat: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a chat unread, or read again
+   *
+   * @param {string} chatId - Chat ID
+   * @param {boolean} [unread=true] - False to mark it read
+   * @returns {Promise<Chat>} Updated chat
+   */
+  async markChatUnread(chatId, unread = true) {
+    try {
+      const id = normalizeJid(chatId);
+
+      if (!unread) {
+        await this.client.messages.markAsRead(id);
+        return this._update(id, { unreadCount: 0, markedUnread: false });
+      }
+
+      await this.client.setQuery([
+        ['read', { jid: id, type: 'false', count: '1' }, null]
+      ], [WAMetrics.READ, WAFlags.IGNORE]);
+
+      logger.info('Chat marked unread', { chatId: id });
+      return this._update(id, { markedUnread: true });
+
+    } catch (error) {
+      logger.error('Failed to mark chat unread:', error);
+      throw new MessageError(`Failed to mark chat unread: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear a chat's messages on every device
+   * Stored messages of the chat are removed as well.
+   *
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Chat>} Updated chat
+   */
+  async clearChat(chatId) {
+    try {
+      const id = normalizeJid(chatId);
+
+      await this._chatQuery('clear', id, await this._lastMessageAttributes(id));
+
+      logger.info('Chat cleared', { chatId: id });
+      return this._clearLocal(id);
+
+    } catch (error) {
+      logger.error('Failed to clear chat:', error);
+      throw new MessageError(`Failed to clear chat: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load `chat` nodes of the chat list
+   * No `chat_update` events are emitted.
+   *
+   * @param {Array[]} nodes - `chat` nodes
+   * @returns {number} Chats loaded
+   */
+  handleChats(nodes) {
+    let count = 0;
+
+    for (const [description, attributes] of nodes) {
+      if (description !== 'chat' || !attributes || !attributes.jid) {
+        continue;
+      }
+
+      const fields = this._parseChat(attributes);
+      const chat = this.chatCache.get(fields.id);
+
+      if (chat) {
+        // The list does not carry messages, keep the one we know
+        Object.assign(chat, fields);
+      } else {
+        this.chatCache.set(fields.id, new Chat(fields.id, fields));
+      }
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Update a chat from a sent or received message
+   *
+   * @param {Object} message - Message object
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.history=false] - Message from history sync, unread counts come from the chat list
+   */
+  handleMessage(message, options = {}) {
+    const chat = this.chatCache.get(message.chatId);
+    const changes = {};
+
+    if (!chat || !chat.lastMessage || message.timestamp >= chat.lastMessage.timestamp) {
+      changes.lastMessage = message;
+      changes.timestamp = message.timestamp;
+    }
+
+    if (!options.history) {
+      // Replying from any device reads the chat
+      if (message.fromMe) {
+        changes.unreadCount = 0;
+        changes.markedUnread = false;
+      } else {
+        changes.unreadCount = (chat ? chat.unreadCount : 0) + 1;
+      }
+    }
+
+    this._update(message.chatId, changes);
+  }
+
+  /**
+   * Forget a deleted message as the latest of its chat
+   *
+   * @param {Object} info - `message_delete` payload ({messageId, chatId})
+   * @returns {Promise<void>}
+   */
+  async handleMessageDelete({ messageId, chatId }) {
+    const chat = this.chatCache.get(chatId);
+    if (!chat || !chat.lastMessage || chat.lastMessage.id !== messageId) {
+      return;
+    }
+
+    const [previous] = await this.client.messages.fetchMessages(chatId, { limit: 1 });
+    this._update(chatId, { lastMessage: previous || null });
+  }
+
+  /**
+   * Handle `chat` modify node sent by the phone
+   *
+   * @param {Object} attributes - Node attributes (`{ jid, type, pin, mute }`)
+   * @returns {Promise<void>}
+   */
+  async handleModify(attributes) {
+    const id = normalizeJid(attributes.jid);
+    if (!id) {
+      return;
+    }
+
+    switch (attributes.type) {
+      case 'archive':
+      case 'unarchive':
+        this._update(id, { archived: attributes.type === 'archive' });
+        break;
+      case 'pin':
+      case 'unpin':
+        this._update(id, { pinnedAt: attributes.type === 'pin' ? toMillis(attributes.pin) || Date.now() : null });
+        break;
+      case 'mute':
+      case 'unmute':
+        this._update(id, { mutedUntil: attributes.type === 'mute' ? toMillis(attributes.mute) : null });
+        break;
+      case 'clear':
+        await this._clearLocal(id);
+        break;
+      case 'delete':
+        await this.client.messages.clearStoredMessages(id);
+        if (this.chatCache.delete(id)) {
+          this.emit('chat_delete', { chatId: id });
+        }
+        break;
+      default:
+        logger.debug('Unhandled chat modification:', attributes.type);
+    }
+  }
+
+  /**
+   * Handle read marker (`read` node), from the phone or our own `markAsRead()`
+   *
+   * @param {Object} attributes - Node attributes (`{ jid, type }`), `type="false"` marks unread
+   */
+  handleRead(attributes) {
+    const id = normalizeJid(attributes.jid);
+    if (!id) {
+      return;
+    }
+
+    this._update(id, attributes.type === 'false'
+      ? { markedUnread: true }
+      : { unreadCount: 0, markedUnread: false });
+  }
+
+  /**
+   * Handle a disappearing messages setting change
+   *
+   * @param {string} chatId - Chat ID
+   * @param {number} expiration - Timer in seconds, 0 when turned off
+   * @param {number} timestamp - When it changed (ms)
+   */
+  handleEphemeralSetting(chatId, expiration, timestamp) {
+    this._update(chatId, {
+      ephemeralExpiration: expiration || 0,
+      ephemeralSettingTimestamp: timestamp
+    });
+  }
+
+  /**
+   * Clear all caches
+   */
+  clearCaches() {
+    this.chatCache.clear();
+    logger.debug('Chat caches cleared');
+  }
+
+  /**
+   * Apply changes to a chat, creating it when unknown
+   * @private
+   */
+  _update(chatId, changes) {
+    let chat = this.chatCache.get(chatId);
+    if (!chat) {
+      chat = new Chat(chatId);
+      this.chatCache.set(chatId, chat);
+    }
+
+    const changed = {};
+    for (const [field, value] of Object.entries(changes)) {
+      if (chat[field] !== value) {
+        changed[field] = value;
+      }
+    }
+
+    if (Object.keys(changed).length > 0) {
+      Object.assign(chat, changed);
+      this.emit('chat_update', { chatId, changes: changed, chat });
+    }
+
+    return chat;
+  }
+
+  /**
+   * Drop a chat's messages locally
+   * @private
+   */
+  async _clearLocal(chatId) {
+    await this.client.messages.clearStoredMessages(chatId);
+    return this._update(chatId, { lastMessage: null, unreadCount: 0, markedUnread: false });
+  }
+
+  /**
+   * Send `chat` modify node
+   * @private
+   */
+  async _chatQuery(type, chatId, attributes = {}) {
+    const node = ['chat', { type, jid: chatId, ...attributes }, null];
+
+    Object.keys(node[1]).forEach(key => node[1][key] === undefined && delete node[1][key]);
+
+    return this.client.setQuery([node], [WAMetrics.CHAT, WAFlags.IGNORE]);
+  }
+
+  /**
+   * `index`/`owner` of the latest message, which archive and clear apply up to
+   * @private
+   */
+  async _lastMessageAttributes(chatId) {
+    const chat = this.chatCache.get(chatId);
+    const [last] = chat && chat.lastMessage
+      ? [chat.lastMessage]
+      : await this.client.messages.fetchMessages(chatId, { limit: 1 });
+
+    return last ? { index: last.id, owner: String(last.fromMe) } : {};
+  }
+
+  /**
+   * Convert chat list attributes
+   * @private
+   */
+  _parseChat(attributes) {
+    const count = parseInt(attributes.count, 10) || 0;
+
+    return {
+      id: normalizeJid(attributes.jid),
+      name: attributes.name || null,
+      // -1 is a chat marked unread
+      unreadCount: Math.max(count, 0),
+      markedUnread: count === -1,
+      timestamp: toMillis(attributes.t),
+      archived: attributes.archive === 'true',
+      pinnedAt: toMillis(attributes.pin),
+      mutedUntil: toMillis(attributes.mute),
+      ephemeralExpiration: parseInt(attributes.ephemeral, 10) || 0,
+      ephemeralSettingTimestamp: toMillis(attributes.eph_setting_ts),
+      readOnly: attributes.read_only === 'true'
+    };
+  }
+}
+
+/**
+ * Seconds attribute to milliseconds, null when missing or zero
+ * @private
+ */
+function toMillis(seconds) {
+  const value = parseInt(seconds, 10);
+  return value > 0 ? value * 1000 : null;
+}
+
+module.exports = ChatManager;
@@ -1,6 +1,7 @@
 /**
  * WhatsApp Web Client
- * Main client class for WhatsApp Web interactions
+ * Main client class, layering the feature managers on the real
+ * WhatsApp Web transport
  * 
  * @class WhatsAppClient
  */
@@ -8,23 +9,61 @@
 'use strict';
 
 const EventEmitter = require('events');
-const WebSocketManager = require('./websocket');
-const AuthManager = require('./auth');
+const qrTerminal = require('qrcode-terminal');
+const RealWebSocketManager = require('./websocket-real');
+const SessionManager = require('./session');
 const MessageManager = require('./messages');
 const MediaManager = require('./media');
 const ReactionManager = require('./reactions');
 const GroupManager = require('./groups');
 const ContactManager = require('./contacts');
 const StatusManager = require('./status');
-const SessionManager = require('./session');
-const CryptoManager = require('./crypto');
-const { logger } = require('./utils');
-const { ConnectionError, AuthError } = require('./utils');
-const { ClientStates, DefaultOptions } = require('./constants');
+const ChatManager = require('./chats');
+const proto = require('./proto');
+const { Outbox } = require('./outbox');
+const { HistorySync } = require('./history-sync');
+const { ConnectionStates } = require('./connection-state');
+const { FileAuthStore } = require('./auth-store');
+const {
+  logger,
+  formatPhoneNumber,
+  normalizeJid,
+  ConnectionError,
+  AuthError,
+  MessageError
+} = require('./utils');
+const { ClientStates, DefaultOptions, PresenceTypes, MessageAckStatus, WAMetrics, WAFlags, LogoutReasons } = require('./constants');
+const { parseE164, formatPairingCode } = require('./pairing-code');
 
 /**
  * WhatsApp Web Client
  * 
+ * `RealWebSocketManager` carries the connection, login and encrypted frames.
+ * The managers (`messages`, `media`, `groups`, `contacts`, `chats`,
+ * `status`, `reactions`) build protocol nodes and send them through `query()`,
+ * `setQuery()` and `relayMessage()`.
+ * 
+ * Restoring a stored session can end in `logged_out` (unlinked from the
+ * phone), `needs_rescan` (credentials rejected) or `session_replaced`
+ * (opened in another location), each with `{reason, status}`. `logged_out`
+ * is also emitted when the server ends a running session; its `reason` is
+ * one of `LogoutReasons`. The stored session is then cleared, or wiped with
+ * `wipeSessionOnLogout`.
+ * 
+ * `state` follows the transport's connection state machine (see
+ * `connection-state.js`), every change is emitted as `connection.update`.
+ * 
+ * Messages sent while the connection is down wait in an outbox and are
+ * relayed in order after the next login. A message that expires or is
+ * refused is reported with `message_dropped` ({id, chatId, reason}).
+ * Messages without a server ack are resent up to `maxMessageRetries` times,
+ * then reported with `message_failed` ({id, chatId, attempts, error}). Failed
+ * messages stay stored with status `error`.
+ * 
+ * After a login the contacts, chats and message history the phone pushes
+ * are loaded into `contacts`, `chats` and the message store, with
+ * `history_sync` progress events (see `history-sync.js`).
+ * 
  * @extends EventEmitter
  */
 class WhatsAppClient extends EventEmitter {
@@ -34,13 +73,29 @@ class WhatsAppClient extends EventEmitter {
    * @param {Object} options - Client configuration
    * @param {string} [options.authStrategy='qr'] - Authentication strategy ('qr' or 'pairing')
    * @param {string} [options.sessionPath='./session'] - Path to store session data
-   * @param {string} [options.phoneNumber] - Phone number for pairing authentication
-   * @param {boolean} [options.headless=true] - Run in headless mode
-   * @param {string} [options.userAgent] - Custom user agent string
+   * @param {AuthStore} [options.authStore] - Credential store (see `auth-store.js`), replaces the files in `sessionPath`
+   * @param {string} [options.passphrase] - Session encryption passphrase, defaults to `WHATSAPP_SESSION_PASSPHRASE`;
+   *   required unless `encryptionKey` is set or `encryptSession` is false (see `session.js`)
+   * @param {string} [options.phoneNumber] - Phone number for pairing authentication (E.164)
+   * @param {string[]} [options.serverUrls] - WebSocket endpoints (e.g. the mock server in test/)
    * @param {string} [options.proxyUrl] - Proxy URL for connections
-   * @param {number} [options.maxRetries=3] - Maximum connection retries
-   * @param {number} [options.retryDelay=5000] - Delay between retries (ms)
-   * @param {number} [options.messageTimeout=30000] - Message timeout (ms)
+   * @param {boolean} [options.autoReconnect=true] - Reconnect when the connection drops
+   * @param {boolean} [options.wipeSessionOnLogout=false] - Remove the session, backups and key info from the store on logout
+   * @param {number} [options.maxReconnectAttempts=50] - Maximum reconnection attempts
+   * @param {number} [options.outboxTtl=3600000] - Milliseconds a message may wait for a connection, `Infinity` for no limit (per message: `options.expiresIn`)
+   * @param {string} [options.outboxPath] - Directory persisting queued messages, so they survive a crash
+   * @param {AuthStore} [options.outboxStore] - Store persisting queued messages, replaces `outboxPath`
+   * @param {string} [options.messageStorePath] - Directory keeping sent and received messages (see `fetchMessages()`)
+   * @param {MessageStore} [options.messageStore] - Message store, replaces `messageStorePath` (in memory by default)
+   * @param {number} [options.messageTimeout=30000] - Query timeout (ms), also how long a relayed message waits for its server ack
+   * @param {boolean} [options.retryMessages=true] - Resend messages that get no server ack within `messageTimeout`
+   * @param {number} [options.maxMessageRetries=3] - Resends before `message_failed`
+   * @param {boolean} [options.syncHistory=true] - Store the message history pushed after login
+   * @param {number} [options.historyLimit] - Messages kept per chat from history, unlimited when omitted
+   * @param {number} [options.historySyncTimeout=20000] - Milliseconds without sync frames before the sync counts as finished
+   * @param {boolean} [options.printQRInTerminal=true] - Print QR codes to the terminal
+   * @param {Function} [options.qrCallback] - Called with every QR string and its `{attempt, ttl, expiresAt}` info
+   * @param {number} [options.maxQrRefreshes=5] - QR refs requested after the first expires before `qr_timeout`
    * @param {Object} [options.rateLimit] - Rate limiting configuration
    * @param {number} [options.rateLimit.messages=20] - Messages per interval
    * @param {number} [options.rateLimit.interval=60000] - Rate limit interval (ms)
@@ -51,12 +106,14 @@ class WhatsAppClient extends EventEmitter {
     // Merge options with defaults
     this.options = { ...DefaultOptions, ...options };
     
-    // Client state
-    this.state = ClientStates.DISCONNECTED;
-    this.info = null;
+    // Set when the client stops for a reason the connection state does not
+    // carry (failed login, destroy); cleared by initialize()
+    this.lifecycleState = null;
+    this.initializing = false;
     this.user = null;
+    this.sessionData = null;
     
-    // Initialize managers
+    // Initialize transport and managers
     this._initializeManagers();
     
     // Setup event handlers
@@ -64,125 +121,222 @@ class WhatsAppClient extends EventEmitter {
     
     // Rate limiting
     this._messageQueue = [];
-    this._rateLimitTimer = null;
+    this._queueActive = false;
+    this._queueTimer = null;
     
-    logger.info('WhatsApp client initialized', { 
+    logger.info('WhatsApp client initialized', {
       authStrategy: this.options.authStrategy,
-      sessionPath: this.options.sessionPath 
+      sessionPath: this.options.sessionPath
     });
   }
 
+  /**
+   * Client state, one of `ClientStates`
+   * 
+   * @type {string}
+   */
+  get state() {
+    return this.lifecycleState || this.websocket.connectionState;
+  }
+
+  /**
+   * Whether the client is authenticated and ready for operations
+   * 
+   * @type {boolean}
+   */
+  get isReady() {
+    return this.state === ClientStates.READY;
+  }
+
+  /**
+   * Whether the connection is logged in
+   * 
+   * @type {boolean}
+   */
+  get isAuthenticated() {
+    return this.websocket.isAuthenticated;
+  }
+
+  /**
+   * Wait until the connection reaches a state
+   * 
+   * @example
+   * await client.waitFor(ConnectionStates.READY, 60000);
+   * 
+   * @param {string|string[]} state - `ConnectionStates` value(s)
+   * @param {number} [timeout=30000] - Milliseconds before rejecting
+   * @returns {Promise<string>} State that was reached
+   * @throws {ConnectionError} On timeout
+   */
+  waitFor(state, timeout = 30000) {
+    return this.websocket.waitFor(state, timeout);
+  }
+
   /**
    * Initialize all manager instances
    * @private
    */
   _initializeManagers() {
-    this.websocket = new WebSocketManager(this.options);
-    this.auth = new AuthManager(this.options);
+    this.websocket = new RealWebSocketManager(this.options);
+    this.session = new SessionManager(this.options);
     this.messages = new MessageManager(this);
     this.media = new MediaManager(this);
     this.reactions = new ReactionManager(this);
     this.groups = new GroupManager(this);
     this.contacts = new ContactManager(this);
     this.status = new StatusManager(this);
-    this.session = new SessionManager(this.options);
-    this.crypto = new CryptoManager();
+    this.chats = new ChatManager(this);
+    
+    this.history = new HistorySync(this, {
+      syncHistory: this.options.syncHistory,
+      historyLimit: this.options.historyLimit,
+      timeout: this.options.historySyncTimeout
+    });
+    
+    const outboxStore = this.options.outboxStore ||
+      (this.options.outboxPath ? new FileAuthStore(this.options.outboxPath) : null);
+    this.outbox = new Outbox({ store: outboxStore, ttl: this.options.outboxTtl });
   }
 
   /**
-   * Setup event handlers between managers
+   * Setup event handlers between transport, managers and client
    * @private
    */
   _setupEventHandlers() {
-    // WebSocket events
+    // Transport events
+    this.websocket.on('connection.update', (update) => {
+      if (update.state === ConnectionStates.READY) {
+        this.history.start();
+        this._flushOutbox();
+      }
+      this.emit('connection.update', update);
+      
+      // Before the socket opens, so `connected` always follows
+      if (update.state === ConnectionStates.CONNECTING) {
+        this.emit('connecting');
+      }
+    });
+    
     this.websocket.on('connected', () => {
-      this.state = ClientStates.CONNECTED;
+      // Reconnected by the transport, log back in with the stored session
+      if (!this.initializing && this.sessionData && !this.lifecycleState) {
+        this._resumeSession();
+      }
       this.emit('connected');
     });
-
-    this.websocket.on('disconnected', (reason) => {
-      this.state = ClientStates.DISCONNECTED;
-      this.emit('disconnected', reason);
+    
+    this.websocket.on('qr', (qr) => {
+      this._handleQR(qr);
     });
-
-    this.websocket.on('message', (data) => {
-      this._handleWebSocketMessage(data);
+    
+    this.websocket.on('qr_timeout', (info) => {
+      logger.warn('QR code expired without being scanned');
+      this.emit('qr_timeout', info);
     });
-
-    this.websocket.on('error', (error) => {
-      logger.error('WebSocket error:', error);
-      this.emit('error', error);
+    
+    this.websocket.on('authenticated', (sessionData) => {
+      this._handleAuthenticated(sessionData).catch((error) => {
+        logger.error('Failed to finalize authentication:', error);
+      });
     });
-
-    // Authentication events
-    this.auth.on('qr', (qr) => {
-      this.emit('qr', qr);
+    
+    this.websocket.on('credentials_update', (changes) => {
+      this._handleCredentialsUpdate(changes);
     });
-
-    this.auth.on('pairing_code', (code) => {
-      this.emit('pairing_code', code);
+    
+    this.websocket.on('auth_failure', (reason) => {
+      this.lifecycleState = ClientStates.AUTH_FAILED;
+      this.emit('auth_failure', reason);
     });
-
-    this.auth.on('authenticated', (user) => {
-      this.state = ClientStates.AUTHENTICATED;
-      this.user = user;
-      this.emit('authenticated', user);
+    
+    // Stored credentials can no longer be used, a new QR scan is required
+    this.websocket.on('needs_rescan', (info) => {
+      this.lifecycleState = ClientStates.AUTH_FAILED;
+      this.emit('needs_rescan', info);
     });
-
-    this.auth.on('auth_failure', (error) => {
-      this.state = ClientStates.AUTH_FAILED;
-      this.emit('auth_failure', error);
+    
+    this.websocket.on('logged_out', (info) => {
+      this._handleLoggedOut(info).catch((error) => {
+        logger.error('Failed to handle logout:', error);
+      });
     });
-
-    this.auth.on('ready', () => {
-      this.state = ClientStates.READY;
-      this.emit('ready');
+    
+    this.websocket.on('session_replaced', (info) => {
+      this.emit('session_replaced', info);
     });
-
-    // Message events
-    this.messages.on('message', (message) => {
-      this.emit('message', message);
+    
+    this.websocket.on('binary_message', (frame) => {
+      this._handleBinaryNode(frame);
     });
-
-    this.messages.on('message_edit', (message) => {
-      this.emit('message_edit', message);
+    
+    this.websocket.on('binary_child', (frame) => {
+      this._handleBinaryChild(frame);
     });
-
-    this.messages.on('message_delete', (message) => {
-      this.emit('message_delete', message);
+    
+    this.websocket.on('json_message', (json) => {
+      this._handleJsonNode(json);
     });
-
-    // Group events
-    this.groups.on('group_join', (notification) => {
-      this.emit('group_join', notification);
+    
+    this.websocket.on('connection_lost', () => {
+      this.emit('connection_lost');
     });
-
-    this.groups.on('group_leave', (notification) => {
-      this.emit('group_leave', notification);
+    
+    this.websocket.on('disconnected', (info) => {
+      this.emit('disconnected', info.reason);
     });
-
-    this.groups.on('group_update', (notification) => {
-      this.emit('group_update', notification);
+    
+    this.websocket.on('error', (error) => {
+      logger.error('WebSocket error:', error);
+      this.emit('error', error);
     });
-
-    // Contact events
-    this.contacts.on('contact_changed', (contact) => {
-      this.emit('contact_changed', contact);
+    
+    // Manager events
+    const forward = (manager, events) => {
+      for (const event of events) {
+        manager.on(event, (data) => this.emit(event, data));
+      }
+    };
+    
+    forward(this.messages, ['message', 'message_create', 'message_edit', 'message_delete', 'message_ack']);
+    forward(this.groups, ['group_join', 'group_leave', 'group_update', 'group_created']);
+    forward(this.contacts, ['contact_changed', 'presence_update']);
+    forward(this.chats, ['chat_update', 'chat_delete']);
+    forward(this.status, ['status_update']);
+    forward(this.reactions, ['message_reaction']);
+    forward(this.history, ['history_sync']);
+    
+    // Keep chats' latest message and unread count current
+    this.messages.on('message', message => this.chats.handleMessage(message));
+    this.messages.on('message_create', message => this.chats.handleMessage(message));
+    this.messages.on('message_delete', (info) => {
+      this.chats.handleMessageDelete(info).catch((error) => {
+        logger.error('Failed to update chat after delete:', error);
+      });
     });
-
-    // Status events
-    this.status.on('status_update', (status) => {
-      this.emit('status_update', status);
+    
+    this.outbox.on('dropped', (info) => {
+      this.emit('message_dropped', info);
     });
-
-    // Reaction events
-    this.reactions.on('message_reaction', (reaction) => {
-      this.emit('message_reaction', reaction);
+    
+    // Restored from the store, nobody is waiting on these: report them like
+    // fresh sends
+    this.outbox.on('sent', ({ messageInfo, restored }) => {
+      if (restored) {
+        const message = this.messages._parseIncomingMessage(messageInfo);
+        message.status = MessageAckStatus.SERVER_ACK;
+        this.messages._storeMessage(message).then(() => {
+          this.chats.handleMessage(message);
+          this.emit('message_create', message);
+        }).catch((error) => {
+          logger.error('Failed to report restored message:', error);
+        });
+      }
     });
   }
 
   /**
    * Initialize the WhatsApp client
+   * Connects, then restores the stored session or starts QR authentication.
    * 
    * @returns {Promise<void>}
    * @throws {ConnectionError} When connection fails
@@ -192,38 +346,42 @@ class WhatsAppClient extends EventEmitter {
     try {
       logger.info('Initializing WhatsApp client...');
       
-      this.state = ClientStates.INITIALIZING;
+      this.lifecycleState = null;
+      this.initializing = true;
+      
+      // Messages queued before a crash are sent after login
+      await this.outbox.load();
       
-      // Load existing session if available
+      // Connect to WhatsApp Web servers
+      await this.websocket.connect();
+      
+      // Restore existing session if available (load() migrates and validates it)
       const sessionData = await this.session.load();
+      
       if (sessionData) {
         logger.info('Found existing session, attempting to restore...');
-        this.auth.setSession(sessionData);
+        this.sessionData = sessionData;
+        this._setUser(sessionData.wid, sessionData.pushname);
+        await this.websocket.loginWithSession(sessionData);
+      } else if (this.options.authStrategy === 'pairing' && this.options.phoneNumber) {
+        await this.requestPairingCode(this.options.phoneNumber);
+      } else {
+        await this.websocket.initializeAuth();
       }
-
-      // Initialize crypto manager
-      await this.crypto.initialize();
-
-      // Connect WebSocket
-      await this.websocket.connect();
-
-      // Start authentication process
-      await this.auth.authenticate();
-
-      // Start rate limiting
-      this._startRateLimiting();
-
-      logger.info('WhatsApp client initialized successfully');
       
     } catch (error) {
       logger.error('Failed to initialize client:', error);
-      this.state = ClientStates.FAILED;
+      if (this.lifecycleState !== ClientStates.AUTH_FAILED) {
+        this.lifecycleState = ClientStates.FAILED;
+      }
       
       if (error.name === 'AuthError') {
-        throw new AuthError(`Authentication failed: ${error.message}`);
+        throw new AuthError(`Authentication failed: ${error.message}`, { reason: error.reason, status: error.status });
       } else {
         throw new ConnectionError(`Failed to initialize client: ${error.message}`);
       }
+    } finally {
+      this.initializing = false;
     }
   }
 
@@ -236,26 +394,23 @@ class WhatsAppClient extends EventEmitter {
     try {
       logger.info('Destroying WhatsApp client...');
       
-      this.state = ClientStates.DISCONNECTING;
-      
       // Stop rate limiting
       this._stopRateLimiting();
+      this.outbox.close('client_destroyed');
+      this.history.stop();
       
       // Close WebSocket connection
-      if (this.websocket) {
-        await this.websocket.disconnect();
-      }
+      await this.websocket.disconnect();
       
-      // Clear session if needed
-      if (this.session) {
-        await this.session.clear();
-      }
+      // Stop manager timers
+      this.contacts.clearCaches();
+      this.status.clearCaches();
+      
+      this.lifecycleState = ClientStates.DESTROYED;
       
       // Remove all listeners
       this.removeAllListeners();
       
-      this.state = ClientStates.DESTROYED;
-      
       logger.info('WhatsApp client destroyed');
       
     } catch (error) {
@@ -273,21 +428,25 @@ class WhatsAppClient extends EventEmitter {
     try {
       logger.info('Logging out...');
       
-      // Send logout message to server
-      if (this.state === ClientStates.READY) {
-        await this.websocket.sendMessage({
-          tag: 'logout'
-        });
-      }
+      this._stopRateLimiting();
+      await this.outbox.clear('logged_out');
+      this.history.stop();
+      this.chats.clearCaches();
+      await this.websocket.logout();
       
       // Clear session data
-      await this.session.clear();
+      if (this.options.wipeSessionOnLogout) {
+        await this.session.wipe();
+      } else {
+        await this.session.clear();
+      }
       
       // Reset state
-      this.state = ClientStates.DISCONNECTED;
+      this.lifecycleState = null;
       this.user = null;
+      this.sessionData = null;
       
-      this.emit('logout');
+      this.emit('logged_out', { reason: LogoutReasons.LOCAL });
       
       logger.info('Logged out successfully');
       
@@ -299,12 +458,33 @@ class WhatsAppClient extends EventEmitter {
 
   /**
    * Request pairing code for phone authentication
+   * The code is entered on the phone under Linked devices > Link with phone
+   * number; `authenticated` and `ready` follow once the phone confirms.
    * 
-   * @param {string} phoneNumber - Phone number in international format
-   * @returns {Promise<string>} Pairing code
+   * @param {string} [phoneNumber] - Phone number in E.164 format, e.g. `+15551234567` (defaults to `options.phoneNumber`)
+   * @returns {Promise<string>} Pairing code formatted as `XXXX-XXXX`
+   * @throws {AuthError} When the number is invalid or the server rejects the request
    */
-  async requestPairingCode(phoneNumber) {
-    return this.auth.requestPairingCode(phoneNumber);
+  async requestPairingCode(phoneNumber = this.options.phoneNumber) {
+    const digits = parseE164(phoneNumber);
+    if (!digits) {
+      throw new AuthError('A phone number in E.164 format (e.g. +15551234567) is required for pairing authentication');
+    }
+    
+    if (this.state === ClientStates.READY) {
+      throw new AuthError('Client is already authenticated');
+    }
+    
+    const { code, expiresAt } = await this.websocket.requestPairingCode(digits);
+    const pairingCode = formatPairingCode(code);
+    
+    this.emit('pairing_code', pairingCode, { phoneNumber: digits, expiresAt });
+    
+    if (this.options.printQRInTerminal) {
+      console.log(`\n🔗 Enter this code on your phone (Linked devices > Link with phone number): ${pairingCode}`);
+    }
+    
+    return pairingCode;
   }
 
   /**
@@ -313,10 +493,13 @@ class WhatsAppClient extends EventEmitter {
    * @param {string} chatId - Chat ID to send message to
    * @param {string|Object} content - Message content
    * @param {Object} [options={}] - Additional options
+   * @param {number} [options.expiresIn] - Milliseconds the message may wait in the outbox (defaults to `outboxTtl`)
+   * @param {Object|string} [options.quoted] - Message (or ID of a stored message) to reply to
+   * @param {string[]} [options.mentions] - Mentioned contacts
    * @returns {Promise<Object>} Sent message object
    */
   async sendMessage(chatId, content, options = {}) {
-    this._checkReady();
+    this._checkCanSend();
     return this._queueMessage(() => this.messages.send(chatId, content, options));
   }
 
@@ -329,22 +512,308 @@ class WhatsAppClient extends EventEmitter {
    * @returns {Promise<Object>} Sent message object
    */
   async sendText(chatId, text, options = {}) {
-    return this.sendMessage(chatId, text, options);
+    this._checkCanSend();
+    return this._queueMessage(() => this.messages.sendText(chatId, text, options));
   }
 
   /**
    * Send media message
    * 
    * @param {string} chatId - Chat ID
-   * @param {Object} media - Media object
+   * @param {Object} media - Media object (see MediaManager#send)
    * @param {Object} [options={}] - Additional options
+   * @param {Object|string} [options.quoted] - Message (or ID of a stored message) to reply to
    * @returns {Promise<Object>} Sent message object
    */
   async sendMedia(chatId, media, options = {}) {
-    this._checkReady();
+    this._checkCanSend();
     return this._queueMessage(() => this.media.send(chatId, media, options));
   }
 
+  /**
+   * Reply to a stored message, quoting it
+   * 
+   * @example
+   * client.on('message', async (message) => {
+   *   if (message.body === '!ping') {
+   *     await client.replyToMessage(message.id, 'pong');
+   *   }
+   * });
+   * 
+   * @param {string} messageId - ID of the message to reply to
+   * @param {string|Object} content - Reply content, text or a message/media object
+   * @param {Object} [options={}] - Additional options
+   * @returns {Promise<Object>} Sent reply message
+   */
+  async replyToMessage(messageId, content, options = {}) {
+    this._checkCanSend();
+    return this._queueMessage(() => this.messages.replyToMessage(messageId, content, options));
+  }
+
+  /**
+   * Get the message a reply quotes
+   * 
+   * @param {Object|string} message - Reply message (e.g. from `message` events), or its ID
+   * @returns {Promise<Object|null>} Stored original or the quoted snapshot, null when not a reply
+   */
+  async getQuotedMessage(message) {
+    return this.messages.getQuotedMessage(message);
+  }
+
+  /**
+   * Get all contacts
+   * 
+   * @returns {Promise<Object[]>} Contacts
+   */
+  async getContacts() {
+    this._checkReady();
+    return this.contacts.getAllContacts();
+  }
+
+  /**
+   * Get all chats
+   * Served from the chat list pushed after login when it has arrived,
+   * otherwise (or with `refresh`) queried from the server.
+   * 
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.refresh=false] - Query the server even when chats are known
+   * @returns {Promise<Chat[]>} Chats, most recent first
+   */
+  async getChats(options = {}) {
+    if (options.refresh || this.chats.chatCache.size === 0) {
+      this._checkReady();
+    }
+    return this.chats.getChats(options);
+  }
+
+  /**
+   * Get chat by ID
+   * 
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Chat|undefined>} Chat or undefined when unknown
+   */
+  async getChatById(chatId) {
+    return this.chats.getChatById(chatId);
+  }
+
+  /**
+   * Archive or unarchive a chat
+   * 
+   * @param {string} chatId - Chat ID
+   * @param {boolean} [archive=true] - False to unarchive
+   * @returns {Promise<Chat>} Updated chat
+   */
+  async archiveChat(chatId, archive = true) {
+    this._checkReady();
+    return this.chats.archiveChat(chatId, archive);
+  }
+
+  /**
+   * Pin or unpin a chat (at most 3 are pinned)
+   * 
+   * @param {string} chatId - Chat ID
+   * @param {boolean} [pin=true] - False to unpin
+   * @returns {Promise<Chat>} Updated chat
+   */
+  async pinChat(chatId, pin = true) {
+    this._checkReady();
+    return this.chats.pinChat(chatId, pin);
+  }
+
+  /**
+   * Mute a chat until a given time
+   * 
+   * @example
+   * await client.muteChat(chatId, Date.now() + 8 * 60 * 60 * 1000);
+   * await client.muteChat(chatId, null); // unmute
+   * 
+   * @param {string} chatId - Chat ID
+   * @param {Date|number|null} until - End of the mute (Date or ms timestamp), null to unmute
+   * @returns {Promise<Chat>} Updated chat
+   */
+  async muteChat(chatId, until) {
+    this._checkReady();
+    return this.chats.muteChat(chatId, until);
+  }
+
+  /**
+   * Mark a chat unread on every device
+   * 
+   * @param {string} chatId - Chat ID
+   * @param {boolean} [unread=true] - False to mark it read
+   * @returns {Promise<Chat>} Updated chat
+   */
+  async markChatUnread(chatId, unread = true) {
+    this._checkReady();
+    return this.chats.markChatUnread(chatId, unread);
+  }
+
+  /**
+   * Clear a chat's messages, also from the message store
+   * 
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Chat>} Updated chat
+   */
+  async clearChat(chatId) {
+    this._checkReady();
+    return this.chats.clearChat(chatId);
+  }
+
+  /**
+   * Create group chat
+   * 
+   * @param {string} name - Group subject
+   * @param {string[]} participants - Participant phone numbers
+   * @returns {Promise<Object>} Created group
+   */
+  async createGroup(name, participants) {
+    this._checkReady();
+    return this.groups.createGroup(name, participants);
+  }
+
+  /**
+   * Join group via invite link
+   * 
+   * @param {string} inviteLink - `https://chat.whatsapp.com/<code>` link or bare code
+   * @returns {Promise<string>} Joined group ID
+   */
+  async joinGroupViaLink(inviteLink) {
+    this._checkReady();
+    return this.groups.acceptInvite(inviteLink);
+  }
+
+  /**
+   * Set own profile picture
+   * 
+   * @param {Buffer} imageBuffer - JPEG image
+   * @returns {Promise<void>}
+   */
+  async setProfilePicture(imageBuffer) {
+    this._checkReady();
+    return this.contacts.setProfilePicture(this.user.jid, imageBuffer);
+  }
+
+  /**
+   * Get profile picture URL
+   * 
+   * @param {string} chatId - Contact or group ID
+   * @returns {Promise<string|null>} Picture URL or null
+   */
+  async getProfilePicture(chatId) {
+    this._checkReady();
+    return this.contacts.getProfilePicture(chatId);
+  }
+
+  /**
+   * Update presence (typing, recording, etc.)
+   * 
+   * @param {string} [chatId] - Chat the presence applies to (omit for `available`/`unavailable`)
+   * @param {string} presence - Presence type (see PresenceTypes)
+   * @returns {Promise<void>}
+   */
+  async updatePresence(chatId, presence) {
+    this._checkReady();
+    
+    if (presence === undefined) {
+      presence = chatId;
+      chatId = null;
+    }
+    
+    if (!Object.values(PresenceTypes).includes(presence)) {
+      throw new Error(`Invalid presence: ${presence}`);
+    }
+    
+    return this.contacts.updatePresence(presence, chatId);
+  }
+
+  /**
+   * Mark messages as read
+   * 
+   * @param {string} chatId - Chat ID
+   * @param {string[]} [messageIds=[]] - Messages to mark (defaults to the latest received)
+   * @returns {Promise<void>}
+   */
+  async markAsRead(chatId, messageIds = []) {
+    this._checkReady();
+    return this.messages.markAsRead(chatId, messageIds);
+  }
+
+  /**
+   * Fetch stored messages of a chat, oldest first
+   * Reads the message store only, so it works offline and after a restart
+   * when `messageStorePath` is set.
+   * 
+   * @example
+   * let page = await client.fetchMessages(chatId, { limit: 20 });
+   * page = await client.fetchMessages(chatId, { before: page[0].id, limit: 20 });
+   * 
+   * @param {string} chatId - Chat ID
+   * @param {Object} [options={}] - Page options
+   * @param {string|number} [options.before] - Message ID or timestamp (ms) to read before
+   * @param {string|number} [options.after] - Message ID or timestamp (ms) to read after
+   * @param {number} [options.limit=50] - Maximum messages
+   * @returns {Promise<Object[]>} Messages
+   */
+  async fetchMessages(chatId, options = {}) {
+    return this.messages.fetchMessages(chatId, options);
+  }
+
+  /**
+   * Search stored messages
+   * Local only, see `MessageManager#searchMessages` for the query syntax and
+   * options.
+   * 
+   * @param {string} query - Search query
+   * @param {Object} [options={}] - Filters (`chatId`, `sender`, `type`, `after`, `before`...) and paging
+   * @returns {Promise<Object[]>} `{message, score, highlights, snippet}` results
+   */
+  async searchMessages(query, options = {}) {
+    return this.messages.searchMessages(query, options);
+  }
+
+  /**
+   * Get delivery information for a sent message
+   * Works offline with the receipts received so far; `message_ack` is
+   * emitted on every status change.
+   * 
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} `{ id, chatId, status, timestamps, recipients }`, null when unknown
+   */
+  async getMessageInfo(messageId) {
+    return this.messages.getMessageInfo(messageId);
+  }
+
+  /**
+   * Delete message
+   * 
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @param {boolean} [forEveryone=false] - Revoke for everyone
+   * @returns {Promise<void>}
+   */
+  async deleteMessage(chatId, messageId, forEveryone = false) {
+    this._checkReady();
+    return this.messages.deleteMessage(messageId, forEveryone);
+  }
+
+  /**
+   * React to message
+   * 
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @param {string} emoji - Reaction emoji, empty string removes the reaction
+   * @returns {Promise<Object|void>} Reaction
+   */
+  async reactToMessage(chatId, messageId, emoji) {
+    this._checkReady();
+    
+    if (!emoji) {
+      return this.reactions.removeReaction(messageId);
+    }
+    
+    return this.reactions.addReaction(messageId, emoji);
+  }
+
   /**
    * Get client information
    * 
@@ -353,125 +822,534 @@ class WhatsAppClient extends EventEmitter {
   getInfo() {
     return {
       state: this.state,
+      isReady: this.isReady,
+      isAuthenticated: this.isAuthenticated,
       user: this.user,
-      platform: this.info?.platform || 'unknown',
-      version: this.info?.version || 'unknown',
-      connected: this.state === ClientStates.READY
+      session: this.sessionData ? {
+        hasSession: true,
+        clientId: this.sessionData.clientId,
+        lastAuth: this.sessionData.timestamp
+      } : null,
+      connection: {
+        state: this.websocket.connectionState,
+        attempts: this.websocket.connectionAttempts,
+        server: this.websocket.currentServer
+      },
+      stats: {
+        contacts: this.contacts.contactCache.size,
+        groups: this.groups.groupCache.size,
+        messagesSent: this.websocket.messageSentCount
+      }
     };
   }
 
+  /**
+   * Send a JSON or binary query and wait for the reply
+   * Used by the managers to talk to the server.
+   * 
+   * @param {Array} payload - JSON payload or binary node
+   * @param {Object} [options={}] - Query options (see RealWebSocketManager#query)
+   * @param {string} [options.tag] - Message tag (generated when omitted)
+   * @param {boolean} [options.expect200=false] - Reject replies carrying a non-200 status
+   * @returns {Promise<Object|Array>} Server reply
+   * @throws {MessageError} When `expect200` is set and the status is not 200
+   */
+  async query(payload, options = {}) {
+    const response = await this.websocket.query(options.tag || null, payload, options);
+    
+    if (options.expect200 && response && response.status !== undefined && response.status !== 200) {
+      throw new MessageError(`Unexpected status in '${payload[0]}' query: ${response.status}`, {
+        status: response.status
+      });
+    }
+    
+    return response;
+  }
+
+  /**
+   * Send `action set` binary node (read receipts, groups, presence, blocks...)
+   * 
+   * @param {Array[]} nodes - Child nodes
+   * @param {number[]} [binaryTags] - Metric and flag bytes
+   * @param {string} [tag] - Message tag
+   * @returns {Promise<Object|Array>} Server reply
+   */
+  async setQuery(nodes, binaryTags = [WAMetrics.GROUP, WAFlags.IGNORE], tag = null) {
+    const json = ['action', { epoch: this.epoch(), type: 'set' }, nodes];
+    return this.query(json, { binary: true, binaryTags, tag, expect200: true });
+  }
+
+  /**
+   * Relay a message to its chat
+   * While the connection is down (or older messages are still waiting) the
+   * message goes to the outbox and the promise settles once it is relayed.
+   * 
+   * @param {Object} messageInfo - WebMessageInfo (`{ key, message, messageTimestamp, status }`)
+   * @param {Object} [options={}] - Relay options
+   * @param {number} [options.expiresIn] - Milliseconds the message may wait in the outbox
+   * @returns {Promise<Object>} Server reply
+   * @throws {MessageError} When the message is dropped from the outbox
+   */
+  async relayMessage(messageInfo, options = {}) {
+    if (!this.isReady || this.outbox.size > 0) {
+      const queued = this.outbox.add(messageInfo, options);
+      if (this.isReady) {
+        this._flushOutbox();
+      }
+      return queued;
+    }
+    
+    try {
+      return await this._relay(messageInfo);
+    } catch (error) {
+      // Connection dropped before the ack, send again after the next login
+      if (Outbox.isConnectionFailure(error)) {
+        return this.outbox.add(messageInfo, options);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a relay frame, resending it while no server ack arrives
+   * The message ID is used as the frame tag, so the server's ack resolves it
+   * whichever attempt it answers, and the server ignores repeated IDs.
+   * @private
+   */
+  async _relay(messageInfo) {
+    const { id, remoteJid } = messageInfo.key;
+    const retries = this.options.retryMessages ? this.options.maxMessageRetries : 0;
+    const encoded = proto.encodeWebMessageInfo(messageInfo);
+    
+    for (let attempt = 0; ; attempt++) {
+      const json = ['action', { epoch: this.epoch(), type: 'relay' }, [['message', null, encoded]]];
+      
+      try {
+        return await this.query(json, {
+          binary: true,
+          binaryTags: [WAMetrics.MESSAGE, WAFlags.IGNORE],
+          tag: id,
+          expect200: true
+        });
+      } catch (error) {
+        if (!(error instanceof ConnectionError) || error.reason !== 'timeout') {
+          throw error;
+        }
+        
+        // A `Msg` ack frame can arrive while the relay reply is lost
+        if (this.messages.isAcknowledged(id)) {
+          logger.debug('Relay reply missing but message was acked', { id });
+          return { status: 200 };
+        }
+        
+        if (attempt >= retries) {
+          logger.error('Message not acknowledged, giving up', { id, attempts: attempt + 1 });
+          this.emit('message_failed', { id, chatId: remoteJid, attempts: attempt + 1, error });
+          throw error;
+        }
+        
+        logger.warn('Message not acknowledged, resending', { id, attempt: attempt + 1, retries });
+      }
+    }
+  }
+
+  /**
+   * Send binary node without waiting for a reply
+   * Used for frames the server does not acknowledge, such as presence.
+   * 
+   * @param {Array} node - Binary node
+   * @param {number[]} binaryTags - Metric and flag bytes
+   * @returns {string} Message tag
+   */
+  sendNode(node, binaryTags) {
+    const tag = this.websocket.generateMessageTag();
+    this.websocket.sendBinary(tag, this.websocket.binaryHandler.encode(node), binaryTags);
+    return tag;
+  }
+
+  /**
+   * Epoch attribute for outgoing nodes (count of frames sent so far)
+   * 
+   * @returns {string} Epoch
+   */
+  epoch() {
+    return String(this.websocket.messageSentCount);
+  }
+
+  /**
+   * Check that a message can be sent now, or queued until the connection is
+   * back (the client was logged in and has not stopped)
+   * @private
+   */
+  _checkCanSend() {
+    if (!this.isReady && (this.lifecycleState || !this.sessionData)) {
+      throw new Error(`Client not ready. Current state: ${this.state}`);
+    }
+  }
+
+  /**
+   * Relay queued messages, called when the connection is ready
+   * @private
+   */
+  _flushOutbox() {
+    this.outbox.flush(messageInfo => this._relay(messageInfo)).catch((error) => {
+      logger.error('Failed to flush outbox:', error);
+    });
+  }
+
+  /**
+   * Log in again after the transport reconnected
+   * Failures are reported through `logged_out`, `needs_rescan` or
+   * `session_replaced`.
+   * @private
+   */
+  async _resumeSession() {
+    try {
+      logger.info('Reconnected, restoring session');
+      await this.websocket.loginWithSession(this.sessionData);
+    } catch (error) {
+      logger.error('Failed to restore session after reconnect:', error);
+    }
+  }
+
   /**
    * Check if client is ready
    * @private
    */
   _checkReady() {
-    if (this.state !== ClientStates.READY) {
+    if (!this.isReady) {
       throw new Error(`Client not ready. Current state: ${this.state}`);
     }
   }
 
   /**
-   * Handle incoming WebSocket messages
+   * Set logged in user from the phone's WID
    * @private
    */
-  async _handleWebSocketMessage(data) {
+  _setUser(wid, name) {
+    if (!wid) {
+      return;
+    }
+    
+    const jid = normalizeJid(wid);
+    this.user = {
+      id: formatPhoneNumber(jid),
+      jid,
+      name: name || null
+    };
+  }
+
+  /**
+   * Handle QR code from transport
+   * Listeners get the QR string first so `(qr) => ...` handlers keep working.
+   * @private
+   */
+  _handleQR(info) {
+    this.emit('qr', info.qr, info);
+    
+    if (this.options.printQRInTerminal) {
+      const seconds = Math.round(info.ttl / 1000);
+      console.log(`\n📱 Scan this QR code with WhatsApp (attempt ${info.attempt}, expires in ${seconds}s):`);
+      qrTerminal.generate(info.qr, { small: true });
+    }
+    
+    if (this.options.qrCallback) {
+      this.options.qrCallback(info.qr, info);
+    }
+  }
+
+  /**
+   * Handle successful login (new pairing or restored session)
+   * @private
+   */
+  async _handleAuthenticated(sessionData) {
+    if (sessionData) {
+      this.sessionData = sessionData;
+      this._setUser(sessionData.wid, sessionData.pushname);
+      
+      try {
+        await this.session.save(sessionData);
+      } catch (error) {
+        logger.error('Failed to save session:', error);
+      }
+    }
+    
+    this.emit('authenticated', this.sessionData);
+    
+    this._startRateLimiting();
+    
+    logger.info('WhatsApp client is ready');
+    this.emit('ready');
+  }
+
+  /**
+   * Session ended by the server or phone
+   * @private
+   */
+  async _handleLoggedOut(info) {
+    this.lifecycleState = ClientStates.AUTH_FAILED;
+    this._stopRateLimiting();
+    await this.outbox.clear('logged_out');
+    this.history.stop();
+    this.chats.clearCaches();
+    this.user = null;
+    this.sessionData = null;
+    
+    await this.websocket.disconnect();
+    
+    // The credentials are dead, so the next start shows a QR code instead of
+    // failing the login again
     try {
-      // Decrypt message if needed
-      if (data.encrypted) {
-        data = await this.crypto.decrypt(data);
+      if (this.options.wipeSessionOnLogout) {
+        await this.session.wipe();
+      } else {
+        await this.session.clear();
       }
+    } catch (error) {
+      logger.error('Failed to remove the logged out session:', error);
+    }
+    
+    this.emit('logged_out', info);
+  }
 
-      // Route message to appropriate handler
-      if (data.tag === 'message') {
-        await this.messages.handleIncoming(data);
-      } else if (data.tag === 'notification') {
-        await this._handleNotification(data);
-      } else if (data.tag === 'presence') {
-        await this.contacts.handlePresence(data);
-      } else if (data.tag === 'status') {
-        await this.status.handleUpdate(data);
+  /**
+   * Persist credentials the server changed while connected
+   * @private
+   */
+  async _handleCredentialsUpdate(changes) {
+    this.sessionData = { ...this.sessionData, ...changes };
+    
+    try {
+      await this.session.update(changes);
+    } catch (error) {
+      logger.error('Failed to persist credentials:', error);
+    }
+    
+    this.emit('credentials_update', changes);
+  }
+
+  /**
+   * Route incoming binary node to managers
+   * Streamed nodes arrive without children, those were routed one by one
+   * by `_handleBinaryChild()`.
+   * @private
+   */
+  _handleBinaryNode({ data, streamed }) {
+    try {
+      if (!Array.isArray(data)) {
+        return;
+      }
+      
+      const [description, attributes, content] = data;
+      const children = !streamed && Array.isArray(content) ? content : [];
+      
+      if (HistorySync.isSyncNode(description, attributes)) {
+        for (const child of children) {
+          this.history.handleChild(description, attributes, child);
+        }
+        this.history.endChunk(description, attributes);
+        return;
+      }
+      
+      if (description !== 'action' || (!streamed && !Array.isArray(content))) {
+        logger.debug('Unhandled binary node:', description);
+        return;
+      }
+      
+      for (const child of children) {
+        this._handleActionChild(attributes, child);
       }
       
     } catch (error) {
-      logger.error('Error handling WebSocket message:', error);
+      logger.error('Error handling binary node:', error);
       this.emit('error', error);
     }
   }
 
   /**
-   * Handle notifications
+   * Route one child of a streamed binary node
    * @private
    */
-  async _handleNotification(data) {
-    switch (data.type) {
-      case 'group_participant_add':
-      case 'group_participant_remove':
-      case 'group_participant_promote':
-      case 'group_participant_demote':
-        await this.groups.handleNotification(data);
+  _handleBinaryChild({ description, attributes, child }) {
+    try {
+      if (HistorySync.isSyncNode(description, attributes)) {
+        this.history.handleChild(description, attributes, child);
+      } else if (description === 'action') {
+        this._handleActionChild(attributes, child);
+      }
+    } catch (error) {
+      logger.error('Error handling binary node:', error);
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Route child of an `action` node
+   * @private
+   */
+  _handleActionChild(attributes, child) {
+    if (child[0] === 'message' && Buffer.isBuffer(child[2])) {
+      const messageInfo = proto.decodeWebMessageInfo(child[2]);
+      this.messages.handleIncoming(messageInfo, { add: attributes && attributes.add });
+    } else if (child[0] === 'user' && child[1]) {
+      this.contacts.handleUpdate(child[1]);
+    } else if (child[0] === 'received' && child[1]) {
+      this.messages.handleReceipt(child[1]);
+    } else if (child[0] === 'chat' && child[1]) {
+      this.chats.handleModify(child[1]).catch((error) => {
+        logger.error('Failed to apply chat modification:', error);
+      });
+    } else if (child[0] === 'read' && child[1]) {
+      this.chats.handleRead(child[1]);
+    }
+  }
+
+  /**
+   * Route incoming JSON frame to managers
+   * @private
+   */
+  _handleJsonNode(json) {
+    if (!Array.isArray(json) || !json[1]) {
+      return;
+    }
+    
+    const [command, data] = json;
+    
+    switch (command) {
+      case 'Presence':
+        this._handlePresence(data);
+        break;
+      case 'Chat':
+        if (data.cmd === 'action' && Array.isArray(data.data)) {
+          this._handleGroupAction(data.id, data.data);
+        }
+        break;
+      case 'Msg':
+      case 'MsgInfo':
+        if (data.cmd === 'ack' || data.cmd === 'acks') {
+          this.messages.handleAck(data);
+        }
+        break;
+      default:
+        logger.debug('Unhandled JSON command:', command);
+    }
+  }
+
+  /**
+   * Handle `Presence` update
+   * @private
+   */
+  _handlePresence(data) {
+    const { type } = data;
+    const isTyping = type === PresenceTypes.COMPOSING;
+    const isRecording = type === PresenceTypes.RECORDING;
+    
+    this.contacts.handlePresence({
+      from: formatPhoneNumber(data.id),
+      presence: isTyping || isRecording ? PresenceTypes.AVAILABLE : type,
+      lastSeen: data.t ? data.t * 1000 : null,
+      isTyping,
+      isRecording
+    });
+  }
+
+  /**
+   * Handle group action notification (`Chat` with `cmd: action`)
+   * Data is `[action, author, details]`.
+   * @private
+   */
+  _handleGroupAction(groupId, [action, author, details = {}]) {
+    const base = {
+      groupId: normalizeJid(groupId),
+      author: author ? formatPhoneNumber(author) : null
+    };
+    const participants = (details.participants || []).map(jid => formatPhoneNumber(jid));
+    
+    switch (action) {
+      case 'add':
+      case 'remove':
+      case 'promote':
+      case 'demote':
+        this.groups.handleNotification({ ...base, type: `group_participant_${action}`, participants });
         break;
-      case 'contact_changed':
-        await this.contacts.handleUpdate(data);
+      case 'subject':
+        this.groups.handleNotification({ ...base, type: 'group_update', name: details.subject });
+        break;
+      case 'description':
+        this.groups.handleNotification({ ...base, type: 'group_update', description: details.desc });
         break;
       default:
-        logger.debug('Unhandled notification type:', data.type);
+        logger.debug('Unhandled group action:', action);
     }
   }
 
   /**
-   * Queue message for rate limiting
+   * Queue operation for rate limiting
    * @private
    */
-  async _queueMessage(messageFunction) {
+  _queueMessage(messageFunction) {
+    // Offline sends go straight to the outbox, which keeps their order,
+    // unless they would overtake operations still waiting here
+    if (!this.isReady && !this._queueActive && this._messageQueue.length === 0) {
+      return messageFunction();
+    }
+    
     return new Promise((resolve, reject) => {
       this._messageQueue.push({
         function: messageFunction,
         resolve,
-        reject,
-        timestamp: Date.now()
+        reject
       });
+      
+      this._processMessageQueue();
     });
   }
 
   /**
-   * Start rate limiting timer
+   * Run the next queued operation, spacing them by the rate limit
    * @private
    */
-  _startRateLimiting() {
-    if (this._rateLimitTimer) {
+  async _processMessageQueue() {
+    if (this._queueActive || this._queueTimer || this._messageQueue.length === 0) {
       return;
     }
-
-    const { messages, interval } = this.options.rateLimit;
-    const delayPerMessage = interval / messages;
-
-    this._rateLimitTimer = setInterval(async () => {
-      if (this._messageQueue.length === 0) {
-        return;
-      }
-
-      const message = this._messageQueue.shift();
-      
-      try {
-        const result = await message.function();
-        message.resolve(result);
-      } catch (error) {
-        message.reject(error);
-      }
+    
+    this._queueActive = true;
+    const { function: messageFunction, resolve, reject } = this._messageQueue.shift();
+    
+    try {
+      resolve(await messageFunction());
+    } catch (error) {
+      reject(error);
+    } finally {
+      this._queueActive = false;
       
-    }, delayPerMessage);
+      const { messages, interval } = this.options.rateLimit;
+      this._queueTimer = setTimeout(() => {
+        this._queueTimer = null;
+        this._processMessageQueue();
+      }, Math.ceil(interval / messages));
+    }
+  }
+
+  /**
+   * Start rate limiting
+   * @private
+   */
+  _startRateLimiting() {
+    this._processMessageQueue();
   }
 
   /**
-   * Stop rate limiting timer
+   * Stop rate limiting and reject queued operations
    * @private
    */
   _stopRateLimiting() {
-    if (this._rateLimitTimer) {
-      clearInterval(this._rateLimitTimer);
-      this._rateLimitTimer = null;
+    if (this._queueTimer) {
+      clearTimeout(this._queueTimer);
+      this._queueTimer = null;
     }
-
+    
     // Reject all pending messages
     this._messageQueue.forEach(message => {
       message.reject(new Error('Client shutting down'));
@@ -0,0 +1,157 @@
+/**
+ * Connection State Machine
+ * Single source of truth for the connection lifecycle, owned by
+ * RealWebSocketManager and read by WhatsAppClient.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const { ConnectionError } = require('./utils');
+
+/**
+ * Connection states
+ *
+ * disconnected -> connecting -> open -> authenticating -> ready -> closing
+ */
+const ConnectionStates = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  AUTHENTICATING: 'authenticating',
+  READY: 'ready',
+  CLOSING: 'closing'
+};
+
+// Allowed next states; any state may drop to disconnected
+const TRANSITIONS = {
+  [ConnectionStates.DISCONNECTED]: [ConnectionStates.CONNECTING],
+  [ConnectionStates.CONNECTING]: [ConnectionStates.OPEN, ConnectionStates.CLOSING],
+  // A login can go straight to `Conn` without an explicit authenticating step
+  [ConnectionStates.OPEN]: [ConnectionStates.AUTHENTICATING, ConnectionStates.READY, ConnectionStates.CLOSING],
+  // Failed logins fall back to open, the socket is still usable
+  [ConnectionStates.AUTHENTICATING]: [ConnectionStates.READY, ConnectionStates.OPEN, ConnectionStates.CLOSING],
+  [ConnectionStates.READY]: [ConnectionStates.CLOSING],
+  [ConnectionStates.CLOSING]: []
+};
+
+/**
+ * Connection state machine
+ *
+ * Emits `connection.update` with `{previous, state, timestamp}` plus the
+ * metadata passed to `transition()` (`error`, `attempt`, `retryIn`,
+ * `reason`...).
+ *
+ * @extends EventEmitter
+ */
+class ConnectionStateMachine extends EventEmitter {
+  /**
+   * Create state machine
+   *
+   * @param {string} [initial='disconnected'] - Initial state
+   */
+  constructor(initial = ConnectionStates.DISCONNECTED) {
+    super();
+    this.current = initial;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Current state
+   *
+   * @type {string}
+   */
+  get state() {
+    return this.current;
+  }
+
+  /**
+   * Whether the current state is one of the given states
+   *
+   * @param {...string} states - States to compare with
+   * @returns {boolean}
+   */
+  is(...states) {
+    return states.includes(this.current);
+  }
+
+  /**
+   * Whether `next` is a valid transition from the current state
+   *
+   * @param {string} next - Next state
+   * @returns {boolean}
+   */
+  canTransition(next) {
+    return next === ConnectionStates.DISCONNECTED || TRANSITIONS[this.current].includes(next);
+  }
+
+  /**
+   * Move to a new state
+   * Transitions to the current state are ignored.
+   *
+   * @param {string} next - Next state
+   * @param {Object} [meta={}] - Metadata included in `connection.update`
+   * @returns {boolean} Whether the state changed
+   * @throws {ConnectionError} When the transition is not allowed
+   */
+  transition(next, meta = {}) {
+    if (next === this.current) {
+      return false;
+    }
+
+    if (!this.canTransition(next)) {
+      throw new ConnectionError(`Invalid connection state transition: ${this.current} -> ${next}`, {
+        from: this.current,
+        to: next
+      });
+    }
+
+    const previous = this.current;
+    this.current = next;
+    this.updatedAt = Date.now();
+
+    this.emit('connection.update', { ...meta, previous, state: next, timestamp: this.updatedAt });
+    return true;
+  }
+
+  /**
+   * Wait until the connection reaches a state
+   *
+   * @param {string|string[]} states - State, or any of several states
+   * @param {number} [timeout=30000] - Milliseconds before rejecting
+   * @returns {Promise<string>} State that was reached
+   * @throws {ConnectionError} On timeout
+   */
+  waitFor(states, timeout = 30000) {
+    const targets = Array.isArray(states) ? states : [states];
+
+    if (targets.includes(this.current)) {
+      return Promise.resolve(this.current);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onUpdate = (update) => {
+        if (targets.includes(update.state)) {
+          clearTimeout(timer);
+          this.removeListener('connection.update', onUpdate);
+          resolve(update.state);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        this.removeListener('connection.update', onUpdate);
+        reject(new ConnectionError(`Timed out waiting for connection state ${targets.join('/')}`, {
+          state: this.current,
+          timeout
+        }));
+      }, timeout);
+
+      this.on('connection.update', onUpdate);
+    });
+  }
+}
+
+module.exports = {
+  ConnectionStates,
+  ConnectionStateMachine
+};
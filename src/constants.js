@@ -21,6 +21,61 @@ module.exports = {
   // WhatsApp Web version
   WA_VERSION: '2,2121,6',
 
+  // Binary node tags (see whatsapp-web-reveng "Binary message format")
+  BinaryTags: {
+    LIST_EMPTY: 0,
+    STREAM_END: 2,
+    DICTIONARY_0: 236,
+    DICTIONARY_1: 237,
+    DICTIONARY_2: 238,
+    DICTIONARY_3: 239,
+    LIST_8: 248,
+    LIST_16: 249,
+    JID_PAIR: 250,
+    HEX_8: 251,
+    BINARY_8: 252,
+    BINARY_20: 253,
+    BINARY_32: 254,
+    NIBBLE_8: 255,
+    SINGLE_BYTE_MAX: 256,
+    PACKED_MAX: 254
+  },
+
+  // Single-byte token dictionary, indices 3-235 are written as one byte
+  SingleByteTokens: [
+    null, null, null, '200', '400', '404', '500', '501', '502', 'action',
+    'add', 'after', 'archive', 'author', 'available', 'battery', 'before',
+    'body', 'broadcast', 'chat', 'clear', 'code', 'composing', 'contacts',
+    'count', 'create', 'debug', 'delete', 'demote', 'duplicate', 'encoding',
+    'error', 'false', 'filehash', 'from', 'g.us', 'group', 'groups_v2',
+    'height', 'id', 'image', 'in', 'index', 'invis', 'item', 'jid', 'kind',
+    'last', 'leave', 'live', 'log', 'media', 'message', 'mimetype',
+    'missing', 'modify', 'name', 'notification', 'notify', 'out', 'owner',
+    'participant', 'paused', 'picture', 'played', 'presence', 'preview',
+    'promote', 'query', 'raw', 'read', 'receipt', 'received', 'recipient',
+    'recording', 'relay', 'remove', 'response', 'resume', 'retry',
+    's.whatsapp.net', 'seconds', 'set', 'size', 'status', 'subject',
+    'subscribe', 't', 'text', 'to', 'true', 'type', 'unarchive',
+    'unavailable', 'url', 'user', 'value', 'web', 'width', 'mute',
+    'read_only', 'admin', 'creator', 'short', 'update', 'powersave',
+    'checksum', 'epoch', 'block', 'previous', '409', 'replaced', 'reason',
+    'spam', 'modify_tag', 'message_info', 'delivery', 'emoji', 'title',
+    'description', 'canonical-url', 'matched-text', 'star', 'unstar',
+    'media_key', 'filename', 'identity', 'unread', 'page', 'page_count',
+    'search', 'media_message', 'security', 'call_log', 'profile',
+    'ciphertext', 'invite', 'gif', 'vcard', 'frequent', 'privacy',
+    'blacklist', 'whitelist', 'verify', 'location', 'document', 'elapsed',
+    'revoke_invite', 'expiration', 'unsubscribe', 'disable', 'vname',
+    'old_jid', 'new_jid', 'announcement', 'locked', 'prop', 'label',
+    'color', 'call', 'offer', 'call-id', 'quick_reply', 'sticker', 'pay_t',
+    'accept', 'reject', 'sticker_pack', 'invalid', 'canceled', 'missed',
+    'connected', 'result', 'audio', 'video', 'recent'
+  ],
+
+  // Double-byte token dictionary, addressed as DICTIONARY_n followed by an
+  // index byte. WhatsApp Web (non multi-device) ships this dictionary empty.
+  DoubleByteTokens: [],
+
   // Message types
   MessageTypes: {
     TEXT: 'conversation',
@@ -33,6 +88,17 @@ module.exports = {
     CONTACT: 'contactMessage'
   },
 
+  // Delivery status of sent messages, in lifecycle order
+  // (`error` can follow any of them)
+  MessageAckStatus: {
+    ERROR: 'error',
+    PENDING: 'pending',
+    SERVER_ACK: 'server_ack',
+    DELIVERED: 'delivered',
+    READ: 'read',
+    PLAYED: 'played'
+  },
+
   // Presence types
   PresenceTypes: {
     AVAILABLE: 'available',
@@ -46,5 +112,138 @@ module.exports = {
   GroupRoles: {
     ADMIN: 'admin',
     MEMBER: 'member'
+  },
+
+  // Group operations checked against the user's role
+  GroupActions: {
+    ADD_PARTICIPANTS: 'add',
+    REMOVE_PARTICIPANTS: 'remove',
+    PROMOTE_PARTICIPANTS: 'promote',
+    DEMOTE_PARTICIPANTS: 'demote',
+    EDIT_INFO: 'edit_info',
+    GET_INVITE_LINK: 'get_invite_link',
+    REVOKE_INVITE_LINK: 'revoke_invite_link'
+  },
+
+  // Contact presence states
+  ContactStates: {
+    AVAILABLE: 'available',
+    UNAVAILABLE: 'unavailable'
+  },
+
+  // Reaction operations
+  ReactionTypes: {
+    ADD: 'add',
+    REMOVE: 'remove',
+    UPDATE: 'update'
+  },
+
+  // Status (story) types
+  StatusTypes: {
+    TEXT: 'text',
+    IMAGE: 'imageMessage',
+    VIDEO: 'videoMessage'
+  },
+
+  // Status audience
+  PrivacySettings: {
+    CONTACTS: 'contacts',
+    CUSTOM: 'custom'
+  },
+
+  // Upload size limits in bytes, keyed by message type
+  MediaLimits: {
+    imageMessage: 16 * 1024 * 1024,
+    videoMessage: 64 * 1024 * 1024,
+    audioMessage: 16 * 1024 * 1024,
+    documentMessage: 100 * 1024 * 1024,
+    stickerMessage: 1024 * 1024
+  },
+
+  // Metric byte sent in front of binary frames, tells the server what the frame is
+  WAMetrics: {
+    DEBUG_LOG: 1,
+    QUERY_RESUME: 2,
+    LIVE_LOCATION: 3,
+    QUERY_MEDIA: 4,
+    QUERY_CHAT: 5,
+    QUERY_CONTACTS: 6,
+    QUERY_MESSAGES: 7,
+    PRESENCE: 8,
+    PRESENCE_SUBSCRIBE: 9,
+    GROUP: 10,
+    READ: 11,
+    CHAT: 12,
+    RECEIVED: 13,
+    PICTURE: 14,
+    STATUS: 15,
+    MESSAGE: 16,
+    QUERY_ACTIONS: 17,
+    BLOCK: 18,
+    QUERY_GROUP: 19,
+    QUERY_PREVIEW: 20,
+    QUERY_EMOJI: 21,
+    QUERY_READ: 22,
+    QUERY_SEARCH: 24,
+    QUERY_VCARD: 29,
+    QUERY_STATUS: 30,
+    QUERY_STATUS_UPDATE: 31,
+    QUERY_LIVE_LOCATION: 33,
+    QUERY_LABEL: 36,
+    QUERY_QUICK_REPLY: 39
+  },
+
+  // Flag byte sent after the metric byte
+  WAFlags: {
+    AVAILABLE: 160,
+    OTHER: 136,
+    IGNORE: 128,
+    ACKNOWLEDGE: 64,
+    UNAVAILABLE: 16,
+    EXPIRES: 8,
+    COMPOSING: 4,
+    RECORDING: 4,
+    PAUSED: 4
+  },
+
+  // Connection states (see connection-state.js) plus the states a client
+  // stops in
+  ClientStates: {
+    DISCONNECTED: 'disconnected',
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    AUTHENTICATING: 'authenticating',
+    READY: 'ready',
+    CLOSING: 'closing',
+    AUTH_FAILED: 'auth_failed',
+    FAILED: 'failed',
+    DESTROYED: 'destroyed'
+  },
+
+  // Reasons reported with the `logged_out` event
+  LogoutReasons: {
+    LOCAL: 'local', // logout() was called
+    UNPAIRED_FROM_PHONE: 'unpaired_from_phone', // session restore rejected with 401
+    DEVICE_REMOVED: 'device_removed', // linked device removed on the phone
+    SERVER_LOGOUT: 'server_logout' // server ended the session
+  },
+
+  // Client defaults, merged under user supplied options
+  DefaultOptions: {
+    authStrategy: 'qr',
+    sessionPath: './session',
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    browser: ['WhatsApp Web Library', 'Chrome', '120.0.0.0'],
+    autoReconnect: true,
+    maxReconnectAttempts: 50,
+    reconnectDelay: 2000,
+    keepAliveInterval: 20000,
+    connectionTimeout: 20000,
+    messageTimeout: 30000,
+    retryMessages: true,
+    syncHistory: true,
+    maxMessageRetries: 3,
+    rateLimit: { messages: 20, interval: 60000 },
+    printQRInTerminal: true
   }
 };
\ No newline at end of file
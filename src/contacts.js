@@ -8,9 +8,11 @@
 'use strict';
 
 const EventEmitter = require('events');
-const { logger, generateMessageId, formatPhoneNumber, validatePhoneNumber } = require('./utils');
+const { logger, formatPhoneNumber, validatePhoneNumber, createChatId } = require('./utils');
 const { MessageError } = require('./utils');
-const { PresenceTypes, ContactStates } = require('./constants');
+const { PresenceTypes, ContactStates, WAMetrics, WAFlags } = require('./constants');
+
+const USER_JID = /@(c\.us|s\.whatsapp\.net)$/;
 
 /**
  * Contact Manager for WhatsApp Web
@@ -58,32 +60,11 @@ class ContactManager extends EventEmitter {
         return this.contactCache.get(formattedId);
       }
 
-      // Request contact info from server
-      const requestData = {
-        tag: 'contact_info',
-        id: generateMessageId(),
-        contactId: formattedId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
-      // In real implementation, wait for server response
-      // For now, create a basic contact object
+      // Ask the server whether the number is registered
       const contact = {
-        id: formattedId,
-        name: null,
-        pushName: null,
-        shortName: null,
-        phone: formattedId,
-        isWAContact: true,
-        isMyContact: false,
-        isBlocked: false,
-        lastSeen: null,
-        presence: PresenceTypes.UNAVAILABLE,
-        profilePicture: null,
-        about: null,
-        state: ContactStates.AVAILABLE,
+        ...this._createContact(formattedId),
+        ...this.contactCache.get(formattedId),
+        isWAContact: await this.isOnWhatsApp(formattedId),
         updatedAt: Date.now()
       };
 
@@ -133,19 +114,20 @@ class ContactManager extends EventEmitter {
   async getAllContacts(options = {}) {
     try {
       logger.info('Retrieving all contacts');
-
-      // Request contact list from server
-      const requestData = {
-        tag: 'contact_list',
-        id: generateMessageId(),
-        onlyWAContacts: options.onlyWAContacts !== false,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
-      // Return cached contacts for now
-      return Array.from(this.contactCache.values());
+      
+      // Request contact list from server (must go encrypted)
+      const response = await this.client.query(
+        ['query', { epoch: this.client.epoch(), type: 'contacts' }, null],
+        { binary: true, binaryTags: [WAMetrics.QUERY_CONTACTS, WAFlags.IGNORE], expect200: true }
+      );
+      
+      this.handleContacts(Array.isArray(response && response[2]) ? response[2] : []);
+      
+      const contacts = Array.from(this.contactCache.values());
+      
+      return options.onlyWAContacts === false
+        ? contacts
+        : contacts.filter(contact => contact.isWAContact);
       
     } catch (error) {
       logger.error('Failed to get all contacts:', error);
@@ -167,19 +149,10 @@ class ContactManager extends EventEmitter {
 
       const formattedNumber = formatPhoneNumber(phoneNumber);
 
-      // Send check request
-      const requestData = {
-        tag: 'contact_check',
-        id: generateMessageId(),
-        phoneNumber: formattedNumber,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
-      // In real implementation, wait for server response
-      // For now, assume all numbers are on WhatsApp
-      return true;
+      // The server answers 200 for registered numbers and 404 otherwise
+      const response = await this.client.query(['query', 'exist', createChatId(formattedNumber)]);
+      
+      return Boolean(response && response.status === 200);
       
     } catch (error) {
       logger.error('Failed to check WhatsApp status:', error);
@@ -188,37 +161,29 @@ class ContactManager extends EventEmitter {
   }
 
   /**
-   * Get contact profile picture
+   * Get contact or group profile picture
    * 
-   * @param {string} contactId - Contact ID
+   * @param {string} contactId - Contact ID or group ID
    * @param {Object} [options={}] - Options
-   * @param {boolean} [options.highRes=false] - Get high resolution image
-   * @returns {Promise<Buffer|null>} Profile picture data or null
+   * @param {boolean} [options.forceRefresh=false] - Bypass the cache
+   * @returns {Promise<string|null>} Profile picture URL or null
    */
   async getProfilePicture(contactId, options = {}) {
     try {
-      const formattedId = formatPhoneNumber(contactId);
-      const cacheKey = `${formattedId}_${options.highRes ? 'high' : 'low'}`;
-
+      const jid = this._toJid(contactId);
+      
       // Check cache first
-      if (this.profilePictureCache.has(cacheKey)) {
-        return this.profilePictureCache.get(cacheKey);
+      if (!options.forceRefresh && this.profilePictureCache.has(jid)) {
+        return this.profilePictureCache.get(jid);
       }
-
+      
       // Request profile picture from server
-      const requestData = {
-        tag: 'profile_picture',
-        id: generateMessageId(),
-        contactId: formattedId,
-        highRes: options.highRes || false,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
-      // In real implementation, wait for server response
-      // For now, return null
-      return null;
+      const response = await this.client.query(['query', 'ProfilePicThumb', jid]);
+      const url = response && response.eurl ? response.eurl : null;
+      
+      this.profilePictureCache.set(jid, url);
+      
+      return url;
       
     } catch (error) {
       logger.error('Failed to get profile picture:', error);
@@ -241,18 +206,13 @@ class ContactManager extends EventEmitter {
         return this.statusCache.get(formattedId);
       }
 
-      // Request about from server
-      const requestData = {
-        tag: 'contact_about',
-        id: generateMessageId(),
-        contactId: formattedId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
-      // In real implementation, wait for server response
-      return null;
+      // Request about from server, `status` is a number when it is not set
+      const response = await this.client.query(['query', 'Status', createChatId(formattedId)]);
+      const about = response && typeof response.status === 'string' ? response.status : null;
+      
+      this.statusCache.set(formattedId, about);
+      
+      return about;
       
     } catch (error) {
       logger.error('Failed to get contact about:', error);
@@ -272,14 +232,7 @@ class ContactManager extends EventEmitter {
       logger.info('Blocking contact', { contactId: formattedId });
 
       // Send block request
-      const requestData = {
-        tag: 'contact_block',
-        id: generateMessageId(),
-        contactId: formattedId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
+      await this._blockQuery('add', formattedId);
 
       // Update local cache
       const contact = this.contactCache.get(formattedId);
@@ -310,14 +263,7 @@ class ContactManager extends EventEmitter {
       logger.info('Unblocking contact', { contactId: formattedId });
 
       // Send unblock request
-      const requestData = {
-        tag: 'contact_unblock',
-        id: generateMessageId(),
-        contactId: formattedId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
+      await this._blockQuery('remove', formattedId);
 
       // Update local cache
       const contact = this.contactCache.get(formattedId);
@@ -351,14 +297,7 @@ class ContactManager extends EventEmitter {
       }
 
       // Send presence subscription request
-      const requestData = {
-        tag: 'presence_subscribe',
-        id: generateMessageId(),
-        contactId: formattedId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
+      await this.client.query(['action', 'presence', 'subscribe', createChatId(formattedId)]);
 
       this.presenceSubscriptions.add(formattedId);
       logger.debug('Subscribed to presence updates', { contactId: formattedId });
@@ -382,16 +321,7 @@ class ContactManager extends EventEmitter {
         return; // Not subscribed
       }
 
-      // Send presence unsubscribe request
-      const requestData = {
-        tag: 'presence_unsubscribe',
-        id: generateMessageId(),
-        contactId: formattedId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
+      // There is no unsubscribe frame, updates are simply no longer tracked
       this.presenceSubscriptions.delete(formattedId);
       this.presenceCache.delete(formattedId);
       
@@ -425,25 +355,25 @@ class ContactManager extends EventEmitter {
    * Update own presence
    * 
    * @param {string} presence - Presence type
+   * @param {string} [chatId] - Chat the presence is for (typing, recording...)
    * @returns {Promise<void>}
    */
-  async updatePresence(presence) {
+  async updatePresence(presence, chatId = null) {
     try {
       if (!Object.values(PresenceTypes).includes(presence)) {
         throw new MessageError('Invalid presence type');
       }
-
-      // Send presence update
-      const requestData = {
-        tag: 'presence_update',
-        id: generateMessageId(),
-        presence: presence,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
-      logger.debug('Presence updated', { presence });
+      
+      // Send presence update, the server does not acknowledge it
+      const node = [
+        'action',
+        { epoch: this.client.epoch(), type: 'set' },
+        [['presence', { type: presence, to: chatId }, null]]
+      ];
+      
+      this.client.sendNode(node, [WAMetrics.PRESENCE, WAFlags[presence.toUpperCase()]]);
+      
+      logger.debug('Presence updated', { presence, chatId });
       
     } catch (error) {
       logger.error('Failed to update presence:', error);
@@ -451,6 +381,50 @@ class ContactManager extends EventEmitter {
     }
   }
 
+  /**
+   * Set own, contact or group profile picture
+   * 
+   * @param {string} jid - User or group JID
+   * @param {Buffer} image - JPEG image
+   * @param {Object} [options={}] - Options
+   * @param {Buffer} [options.preview] - 96x96 JPEG preview (defaults to `image`)
+   * @returns {Promise<string|null>} New profile picture URL
+   */
+  async setProfilePicture(jid, image, options = {}) {
+    try {
+      if (!Buffer.isBuffer(image)) {
+        throw new MessageError('Picture data must be a Buffer');
+      }
+      
+      if (image.length > 1024 * 1024) { // 1MB limit
+        throw new MessageError('Picture size cannot exceed 1MB');
+      }
+      
+      logger.info('Setting profile picture', { jid });
+      
+      const tag = this.client.websocket.generateMessageTag();
+      const node = [
+        'picture',
+        { jid, id: tag, type: 'set' },
+        [
+          ['image', null, image],
+          ['preview', null, options.preview || image]
+        ]
+      ];
+      
+      const response = await this.client.setQuery([node], [WAMetrics.PICTURE, WAFlags.OTHER], tag);
+      const url = response && response.eurl ? response.eurl : null;
+      
+      this.profilePictureCache.set(jid, url);
+      
+      return url;
+      
+    } catch (error) {
+      logger.error('Failed to set profile picture:', error);
+      throw new MessageError(`Failed to set profile picture: ${error.message}`);
+    }
+  }
+
   /**
    * Search contacts
    * 
@@ -543,13 +517,48 @@ class ContactManager extends EventEmitter {
     }
   }
 
+  /**
+   * Cache a contact list
+   * Used for `contacts` query replies and the list pushed after login; no
+   * `contact_changed` events are emitted.
+   * 
+   * @param {Array[]} nodes - `user` nodes
+   * @returns {number} Contacts cached
+   */
+  handleContacts(nodes) {
+    let count = 0;
+    
+    for (const [description, attributes] of nodes) {
+      if (description !== 'user' || !attributes || !USER_JID.test(attributes.jid || '')) {
+        continue;
+      }
+      
+      const update = this._parseContact(attributes);
+      
+      this.contactCache.set(update.id, {
+        ...this._createContact(update.id),
+        ...this.contactCache.get(update.id),
+        ...update,
+        isMyContact: Boolean(update.name),
+        updatedAt: Date.now()
+      });
+      count++;
+    }
+    
+    return count;
+  }
+
   /**
    * Handle contact update
    * 
-   * @param {Object} data - Contact data from WebSocket
+   * @param {Object} data - Contact data, or `user` node attributes from WebSocket
    */
   async handleUpdate(data) {
     try {
+      if (data.jid) {
+        data = this._parseContact(data);
+      }
+      
       const contactId = data.contactId || data.id;
       if (!contactId) return;
 
@@ -593,6 +602,68 @@ class ContactManager extends EventEmitter {
     this.presenceCleanupInterval = setInterval(() => {
       this._cleanupPresenceCache();
     }, 5 * 60 * 1000); // Every 5 minutes
+    
+    // Housekeeping only, don't keep the process alive
+    this.presenceCleanupInterval.unref();
+  }
+
+  /**
+   * Default contact object
+   * @private
+   */
+  _createContact(contactId) {
+    return {
+      id: contactId,
+      name: null,
+      pushName: null,
+      shortName: null,
+      phone: contactId,
+      isWAContact: true,
+      isMyContact: false,
+      isBlocked: false,
+      lastSeen: null,
+      presence: PresenceTypes.UNAVAILABLE,
+      profilePicture: null,
+      about: null,
+      state: ContactStates.AVAILABLE,
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Convert `user` node attributes to a contact update
+   * Attributes the server left out stay undefined so they don't overwrite cached values.
+   * @private
+   */
+  _parseContact(attributes) {
+    const update = {
+      id: formatPhoneNumber(attributes.jid),
+      name: attributes.name,
+      pushName: attributes.notify,
+      shortName: attributes.short,
+      verifiedName: attributes.vname
+    };
+    
+    Object.keys(update).forEach(key => update[key] === undefined && delete update[key]);
+    
+    return update;
+  }
+
+  /**
+   * Send `block` node
+   * @private
+   */
+  async _blockQuery(type, contactId) {
+    const node = ['block', { type }, [['user', { jid: createChatId(contactId) }, null]]];
+    return this.client.setQuery([node], [WAMetrics.BLOCK, WAFlags.IGNORE]);
+  }
+
+  /**
+   * Convert contact or group ID to a JID
+   * @private
+   */
+  _toJid(contactId) {
+    return contactId.includes('@') ? contactId : createChatId(contactId);
   }
 
   /**
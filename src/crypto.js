@@ -8,7 +8,8 @@
 'use strict';
 
 const crypto = require('crypto');
-const { logger } = require('./utils');
+const { logger, generateCurve25519KeyPair, computeCurve25519SharedSecret } = require('./utils');
+const aes = require('./aes');
 
 /**
  * Cryptography Manager for WhatsApp Web
@@ -37,10 +38,10 @@ class CryptoManager {
     try {
       logger.info('Initializing cryptographic components');
 
-      // Generate ECDH key pair
-      this.keyPair = crypto.createECDH('prime256v1');
-      this.privateKey = this.keyPair.generateKeys();
-      this.publicKey = this.keyPair.getPublicKey();
+      // Generate Curve25519 key pair
+      this.keyPair = generateCurve25519KeyPair();
+      this.privateKey = this.keyPair.privateKey;
+      this.publicKey = this.keyPair.publicKey;
 
       logger.info('Cryptographic components initialized successfully');
       
@@ -56,15 +57,7 @@ class CryptoManager {
    * @returns {Object} Key pair object
    */
   generateKeyPair() {
-    const ecdh = crypto.createECDH('prime256v1');
-    const privateKey = ecdh.generateKeys();
-    const publicKey = ecdh.getPublicKey();
-
-    return {
-      privateKey,
-      publicKey,
-      ecdh
-    };
+    return generateCurve25519KeyPair();
   }
 
   /**
@@ -79,7 +72,7 @@ class CryptoManager {
         throw new Error('Key pair not initialized');
       }
 
-      this.sharedSecret = this.keyPair.computeSecret(serverPublicKey);
+      this.sharedSecret = computeCurve25519SharedSecret(this.privateKey, serverPublicKey);
       
       // Derive encryption and MAC keys from shared secret
       this._deriveKeys();
@@ -109,26 +102,14 @@ class CryptoManager {
       const plaintext = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
       
       // Generate random IV
-      const iv = crypto.randomBytes(16);
-      
-      // Create cipher
-      const cipher = crypto.createCipherGCM('aes-256-gcm', this.encKey);
-      cipher.setIVBytes(iv);
-      
-      // Add additional authenticated data if provided
-      if (options.aad) {
-        cipher.setAAD(Buffer.from(options.aad));
-      }
+      const iv = crypto.randomBytes(aes.GCM_IV_SIZE);
       
-      // Encrypt data
-      let encrypted = cipher.update(plaintext);
-      encrypted = Buffer.concat([encrypted, cipher.final()]);
-      
-      // Get authentication tag
-      const authTag = cipher.getAuthTag();
+      // Encrypt data, authenticating additional data if provided
+      const aad = options.aad ? Buffer.from(options.aad) : null;
+      const { ciphertext, authTag } = aes.gcmEncrypt(this.encKey, iv, plaintext, aad);
       
       return {
-        encrypted,
+        encrypted: ciphertext,
         iv,
         authTag,
         algorithm: 'aes-256-gcm'
@@ -159,21 +140,9 @@ class CryptoManager {
         throw new Error(`Unsupported algorithm: ${algorithm}`);
       }
       
-      // Create decipher
-      const decipher = crypto.createDecipherGCM('aes-256-gcm', this.encKey);
-      decipher.setIVBytes(iv);
-      decipher.setAuthTag(authTag);
-      
-      // Add additional authenticated data if provided
-      if (options.aad) {
-        decipher.setAAD(Buffer.from(options.aad));
-      }
-      
-      // Decrypt data
-      let decrypted = decipher.update(encrypted);
-      decrypted = Buffer.concat([decrypted, decipher.final()]);
-      
-      return decrypted;
+      // Decrypt data, authenticating additional data if provided
+      const aad = options.aad ? Buffer.from(options.aad) : null;
+      return aes.gcmDecrypt(this.encKey, iv, encrypted, authTag, aad);
       
     } catch (error) {
       logger.error('Failed to decrypt data:', error);
@@ -308,29 +277,7 @@ class CryptoManager {
    * @returns {Object} Curve25519 key pair
    */
   generateCurve25519KeyPair() {
-    try {
-      // Generate 32 random bytes for private key
-      const privateKey = crypto.randomBytes(32);
-      
-      // Clamp the private key (set specific bits as per curve25519 spec)
-      privateKey[0] &= 248;
-      privateKey[31] &= 127;
-      privateKey[31] |= 64;
-      
-      // For a real implementation, you would compute the public key
-      // from the private key using curve25519 scalar multiplication
-      // This is a simplified version
-      const publicKey = crypto.randomBytes(32);
-      
-      return {
-        privateKey,
-        publicKey
-      };
-      
-    } catch (error) {
-      logger.error('Failed to generate curve25519 key pair:', error);
-      throw error;
-    }
+    return generateCurve25519KeyPair();
   }
 
   /**
@@ -348,15 +295,10 @@ class CryptoManager {
       }
       
       // Generate IV
-      const iv = crypto.randomBytes(16);
-      
-      // Create cipher
-      const cipher = crypto.createCipher('aes-256-cbc', mediaKey);
-      cipher.setIVBytes(iv);
+      const iv = crypto.randomBytes(aes.BLOCK_SIZE);
       
       // Encrypt media
-      let encrypted = cipher.update(mediaData);
-      encrypted = Buffer.concat([encrypted, cipher.final()]);
+      const encrypted = aes.cbcEncrypt(mediaKey, iv, mediaData);
       
       // Generate MAC
       const mac = crypto.createHmac('sha256', mediaKey);
@@ -398,15 +340,8 @@ class CryptoManager {
         throw new Error('Media MAC verification failed');
       }
       
-      // Create decipher
-      const decipher = crypto.createDecipher('aes-256-cbc', mediaKey);
-      decipher.setIVBytes(iv);
-      
       // Decrypt media
-      let decrypted = decipher.update(encryptedData);
-      decrypted = Buffer.concat([decrypted, decipher.final()]);
-      
-      return decrypted;
+      return aes.cbcDecrypt(mediaKey, iv, encryptedData);
       
     } catch (error) {
       logger.error('Failed to decrypt media:', error);
@@ -8,9 +8,11 @@
 'use strict';
 
 const EventEmitter = require('events');
-const { logger, generateMessageId, formatPhoneNumber, validatePhoneNumber } = require('./utils');
+const { logger, generateMessageId, formatPhoneNumber, validatePhoneNumber, createChatId, normalizeJid } = require('./utils');
 const { MessageError, AuthError } = require('./utils');
-const { GroupRoles, GroupActions, MessageTypes } = require('./constants');
+const { GroupRoles, GroupActions, WAMetrics, WAFlags } = require('./constants');
+
+const INVITE_LINK_PREFIX = 'https://chat.whatsapp.com/';
 
 /**
  * Group Manager for WhatsApp Web
@@ -77,33 +79,25 @@ class GroupManager extends EventEmitter {
       // Remove duplicates
       const uniqueParticipants = [...new Set(validParticipants)];
 
-      // Create group data
-      const groupData = {
-        tag: 'group_create',
-        id: generateMessageId(),
-        name: name.trim(),
-        participants: uniqueParticipants,
-        description: options.description || '',
-        timestamp: Date.now()
-      };
-
-      // Send group creation request
-      await this.client.websocket.sendMessage(groupData);
-
-      // Store pending operation
-      this.pendingOperations.set(groupData.id, {
-        type: 'create',
-        data: groupData,
-        timestamp: Date.now()
-      });
-
-      // Simulate group creation response (in real implementation, wait for server response)
-      const groupId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}@g.us`;
+      // Send group creation request, the server replies with the new group ID
+      const response = await this._groupQuery(
+        'create',
+        null,
+        name.trim(),
+        uniqueParticipants.map(phone => createChatId(phone))
+      );
+      
+      if (!response || !response.gid) {
+        throw new MessageError('Server did not return a group ID');
+      }
+      
+      const groupId = normalizeJid(response.gid);
       
       const group = {
         id: groupId,
         name: name.trim(),
-        description: options.description || '',
+        description: '',
+        descriptionId: null,
         participants: uniqueParticipants.map(phone => ({
           id: phone,
           role: GroupRoles.MEMBER,
@@ -130,6 +124,10 @@ class GroupManager extends EventEmitter {
       // Cache the group
       this.groupCache.set(groupId, group);
 
+      if (options.description) {
+        await this.updateGroupDescription(groupId, options.description);
+      }
+      
       // Set group picture if provided
       if (options.picture) {
         await this.setGroupPicture(groupId, options.picture);
@@ -150,29 +148,24 @@ class GroupManager extends EventEmitter {
    * Get group information
    * 
    * @param {string} groupId - Group ID
+   * @param {boolean} [refresh=false] - Bypass the cache
    * @returns {Promise<Object>} Group information
    */
-  async getGroupInfo(groupId) {
+  async getGroupInfo(groupId, refresh = false) {
     try {
       // Check cache first
-      if (this.groupCache.has(groupId)) {
+      if (!refresh && this.groupCache.has(groupId)) {
         return this.groupCache.get(groupId);
       }
-
-      // Request group info from server
-      const requestData = {
-        tag: 'group_info',
-        id: generateMessageId(),
-        groupId: groupId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
-      // In real implementation, wait for server response
-      // For now, return null if not cached
-      return null;
       
+      // Request group metadata from server
+      const metadata = await this.client.query(['query', 'GroupMetadata', groupId], { expect200: true });
+      const group = this._parseGroupMetadata(groupId, metadata);
+      
+      this.groupCache.set(groupId, group);
+      
+      return group;
+
     } catch (error) {
       logger.error('Failed to get group info:', error);
       throw new MessageError(`Failed to get group info: ${error.message}`);
@@ -207,15 +200,7 @@ class GroupManager extends EventEmitter {
       }
 
       // Send add participants request
-      const requestData = {
-        tag: 'group_participants_add',
-        id: generateMessageId(),
-        groupId: groupId,
-        participants: validParticipants,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
+      await this._groupQuery('add', groupId, null, validParticipants.map(phone => createChatId(phone)));
 
       // Update local cache
       if (group) {
@@ -267,15 +252,7 @@ class GroupManager extends EventEmitter {
       const validParticipants = participants.map(phone => formatPhoneNumber(phone));
 
       // Send remove participants request
-      const requestData = {
-        tag: 'group_participants_remove',
-        id: generateMessageId(),
-        groupId: groupId,
-        participants: validParticipants,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
+      await this._groupQuery('remove', groupId, null, validParticipants.map(phone => createChatId(phone)));
 
       // Update local cache
       const group = this.groupCache.get(groupId);
@@ -319,15 +296,7 @@ class GroupManager extends EventEmitter {
       const validParticipants = participants.map(phone => formatPhoneNumber(phone));
 
       // Send promote request
-      const requestData = {
-        tag: 'group_participants_promote',
-        id: generateMessageId(),
-        groupId: groupId,
-        participants: validParticipants,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
+      await this._groupQuery('promote', groupId, null, validParticipants.map(phone => createChatId(phone)));
 
       // Update local cache
       const group = this.groupCache.get(groupId);
@@ -383,15 +352,7 @@ class GroupManager extends EventEmitter {
       const validParticipants = participants.map(phone => formatPhoneNumber(phone));
 
       // Send demote request
-      const requestData = {
-        tag: 'group_participants_demote',
-        id: generateMessageId(),
-        groupId: groupId,
-        participants: validParticipants,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
+      await this._groupQuery('demote', groupId, null, validParticipants.map(phone => createChatId(phone)));
 
       // Update local cache
       const group = this.groupCache.get(groupId);
@@ -448,15 +409,7 @@ class GroupManager extends EventEmitter {
       }
 
       // Send update request
-      const requestData = {
-        tag: 'group_update_name',
-        id: generateMessageId(),
-        groupId: groupId,
-        name: name.trim(),
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
+      await this._groupQuery('subject', groupId, name.trim());
 
       // Update local cache
       const group = this.groupCache.get(groupId);
@@ -494,21 +447,22 @@ class GroupManager extends EventEmitter {
         throw new MessageError('Group description cannot exceed 512 characters');
       }
 
-      // Send update request
-      const requestData = {
-        tag: 'group_update_description',
-        id: generateMessageId(),
-        groupId: groupId,
-        description: description || '',
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
-      // Update local cache
       const group = this.groupCache.get(groupId);
+      const descriptionId = generateMessageId();
+      
+      // Send update request, chained to the description it replaces
+      const descriptionNode = [
+        'description',
+        { id: descriptionId, prev: group && group.descriptionId ? group.descriptionId : null },
+        Buffer.from(description || '', 'utf-8')
+      ];
+      
+      await this._groupQuery('description', groupId, null, null, [descriptionNode]);
+      
+      // Update local cache
       if (group) {
         group.description = description || '';
+        group.descriptionId = descriptionId;
         group.updatedAt = Date.now();
         this.groupCache.set(groupId, group);
       }
@@ -545,26 +499,10 @@ class GroupManager extends EventEmitter {
         throw new MessageError('Picture size cannot exceed 1MB');
       }
 
-      // Upload picture through media manager
-      const uploadResult = await this.client.media._uploadMedia({
-        data: pictureData,
-        mimetype: 'image/jpeg',
-        filename: 'group_picture.jpg'
-      });
-
-      // Send update request
-      const requestData = {
-        tag: 'group_update_picture',
-        id: generateMessageId(),
-        groupId: groupId,
-        pictureId: uploadResult.mediaId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
+      await this.client.contacts.setProfilePicture(groupId, pictureData);
+      
       logger.info('Group picture updated successfully', { groupId });
-      this.emit('group_picture_updated', { groupId, pictureId: uploadResult.mediaId });
+      this.emit('group_picture_updated', { groupId });
       
     } catch (error) {
       logger.error('Failed to set group picture:', error);
@@ -583,14 +521,7 @@ class GroupManager extends EventEmitter {
       logger.info('Leaving group', { groupId });
 
       // Send leave request
-      const requestData = {
-        tag: 'group_leave',
-        id: generateMessageId(),
-        groupId: groupId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
+      await this._groupQuery('leave', groupId);
 
       // Remove from cache
       this.groupCache.delete(groupId);
@@ -616,18 +547,9 @@ class GroupManager extends EventEmitter {
 
       await this._checkGroupPermissions(groupId, GroupActions.GET_INVITE_LINK);
 
-      // Send request for invite link
-      const requestData = {
-        tag: 'group_invite_link',
-        id: generateMessageId(),
-        groupId: groupId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
-      // In real implementation, wait for server response
-      const inviteLink = `https://chat.whatsapp.com/${generateMessageId()}`;
+      // Request the current invite code
+      const response = await this.client.query(['query', 'inviteCode', groupId], { expect200: true });
+      const inviteLink = `${INVITE_LINK_PREFIX}${response.code}`;
       
       logger.info('Group invite link retrieved', { groupId });
       
@@ -652,17 +574,10 @@ class GroupManager extends EventEmitter {
       await this._checkGroupPermissions(groupId, GroupActions.REVOKE_INVITE_LINK);
 
       // Send revoke request
-      const requestData = {
-        tag: 'group_invite_revoke',
-        id: generateMessageId(),
-        groupId: groupId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
-      // Generate new invite link
-      const newInviteLink = `https://chat.whatsapp.com/${generateMessageId()}`;
+      await this.client.query(['action', 'inviteReset', groupId], { expect200: true });
+      
+      // Fetch the code that replaced it
+      const newInviteLink = await this.getGroupInviteLink(groupId);
       
       logger.info('Group invite link revoked', { groupId });
       this.emit('group_invite_revoked', { groupId, newLink: newInviteLink });
@@ -675,6 +590,36 @@ class GroupManager extends EventEmitter {
     }
   }
 
+  /**
+   * Join a group through an invite link
+   * 
+   * @param {string} inviteLink - Invite link or bare invite code
+   * @returns {Promise<Object>} Joined group information
+   */
+  async acceptInvite(inviteLink) {
+    try {
+      const code = String(inviteLink).replace(INVITE_LINK_PREFIX, '').trim();
+      
+      if (!code) {
+        throw new MessageError('Invite code is required');
+      }
+      
+      logger.info('Joining group via invite', { code });
+      
+      const response = await this.client.query(['action', 'invite', code], { expect200: true });
+      const groupId = normalizeJid(response.gid);
+      const group = await this.getGroupInfo(groupId, true);
+      
+      logger.info('Joined group successfully', { groupId });
+      
+      return group;
+      
+    } catch (error) {
+      logger.error('Failed to accept group invite:', error);
+      throw new MessageError(`Failed to accept group invite: ${error.message}`);
+    }
+  }
+
   /**
    * Handle incoming group notification
    * 
@@ -903,6 +848,55 @@ class GroupManager extends EventEmitter {
     this.emit('group_created', group);
   }
 
+  /**
+   * Send a `group` node through `action set`
+   * The frame tag doubles as the node ID so the server reply resolves it.
+   * @private
+   */
+  async _groupQuery(type, groupId = null, subject = null, participants = null, additionalNodes = null) {
+    const tag = this.client.websocket.generateMessageTag();
+    const content = participants
+      ? participants.map(jid => ['participant', { jid }, null])
+      : additionalNodes;
+    
+    const node = [
+      'group',
+      { author: this.client.user.jid, id: tag, type, jid: groupId, subject },
+      content
+    ];
+    
+    return this.client.setQuery([node], [WAMetrics.GROUP, WAFlags.OTHER], tag);
+  }
+
+  /**
+   * Convert `GroupMetadata` reply to a group object
+   * @private
+   */
+  _parseGroupMetadata(groupId, metadata) {
+    const participants = (metadata.participants || []).map(participant => ({
+      id: formatPhoneNumber(participant.id),
+      role: participant.isAdmin || participant.isSuperAdmin ? GroupRoles.ADMIN : GroupRoles.MEMBER,
+      joinedAt: null
+    }));
+    
+    return {
+      id: normalizeJid(metadata.id || groupId),
+      name: metadata.subject || '',
+      description: metadata.desc || '',
+      descriptionId: metadata.descId || null,
+      participants,
+      admins: participants.filter(p => p.role === GroupRoles.ADMIN).map(p => p.id),
+      owner: metadata.owner ? formatPhoneNumber(metadata.owner) : null,
+      createdAt: metadata.creation ? metadata.creation * 1000 : null,
+      updatedAt: Date.now(),
+      settings: {
+        onlyAdminsCanMessage: String(metadata.announce) === 'true',
+        onlyAdminsCanEditInfo: String(metadata.restrict) === 'true',
+        disappearingMessages: false
+      }
+    };
+  }
+
   /**
    * Clear group cache
    */
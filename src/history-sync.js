@@ -0,0 +1,349 @@
+/**
+ * History Sync
+ * Loads the contact list, chat list and message history the phone pushes
+ * after a login into the client's stores, reporting progress as
+ * `history_sync` events.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const { logger } = require('./utils');
+
+// Quiet time after which a sync is considered finished
+const DEFAULT_HISTORY_SYNC_TIMEOUT = 20000;
+
+// Share of the progress percentage of each part of the sync
+const WEIGHTS = {
+  contacts: 10,
+  chats: 10,
+  recent: 20,
+  history: 60
+};
+
+/**
+ * History sync
+ *
+ * The server sends a `response` node of type `contacts` (`user` children),
+ * one of type `chat` (`chat` children), an `action` with `add="last"`
+ * holding the latest message of each chat, then `action` chunks with
+ * `add="before"` going back in time, the final one marked `last="true"`.
+ * Streamed frames deliver their children one by one, so everything is fed
+ * per child and closed with `endChunk()`.
+ *
+ * Emits `history_sync` after every chunk with `{phase, percent, chunks,
+ * contacts, chats, messages, done}`, `phase` being the part the chunk
+ * carried (`contacts`, `chats` or `messages`). A sync without a final chunk is
+ * finished after `timeout` milliseconds without sync frames.
+ *
+ * @extends EventEmitter
+ */
+class HistorySync extends EventEmitter {
+  /**
+   * Create history sync
+   *
+   * @param {WhatsAppClient} client - WhatsApp client instance
+   * @param {Object} [options={}] - Sync options
+   * @param {boolean} [options.syncHistory=true] - Store messages from history, contacts and chats are always loaded
+   * @param {number} [options.historyLimit] - Messages kept per chat from history (newest win), unlimited when omitted
+   * @param {number} [options.timeout=20000] - Milliseconds without sync frames before the sync is finished
+   */
+  constructor(client, options = {}) {
+    super();
+
+    this.client = client;
+    this.syncHistory = options.syncHistory !== false;
+    this.historyLimit = options.historyLimit || null;
+    this.timeout = options.timeout || DEFAULT_HISTORY_SYNC_TIMEOUT;
+    this.idleTimer = null;
+    this.queue = Promise.resolve();
+
+    this._reset();
+  }
+
+  /**
+   * Progress of the current sync
+   *
+   * @type {Object}
+   */
+  get progress() {
+    return {
+      percent: this._percent(),
+      chunks: this.chunks,
+      contacts: this.counts.contacts,
+      chats: this.counts.chats,
+      messages: this.counts.messages,
+      done: this.done
+    };
+  }
+
+  /**
+   * Start tracking a sync, called once the connection is ready
+   */
+  start() {
+    this._reset();
+    this._touch();
+  }
+
+  /**
+   * Stop the idle timer
+   */
+  stop() {
+    this._clearIdleTimer();
+  }
+
+  /**
+   * Whether a node belongs to the sync
+   *
+   * @param {string} description - Node description
+   * @param {Object} attributes - Node attributes
+   * @returns {boolean}
+   */
+  static isSyncNode(description, attributes) {
+    if (!attributes) {
+      return false;
+    }
+    if (description === 'response') {
+      return attributes.type === 'contacts' || attributes.type === 'chat';
+    }
+    return description === 'action' && (attributes.add === 'last' || attributes.add === 'before');
+  }
+
+  /**
+   * Feed one child of a sync node
+   *
+   * @param {string} description - Parent node description
+   * @param {Object} attributes - Parent node attributes
+   * @param {Array} child - Child node
+   */
+  handleChild(description, attributes, child) {
+    this._touch();
+
+    const [tag, childAttributes, content] = child;
+
+    if (description === 'response' && attributes.type === 'contacts' && tag === 'user' && childAttributes) {
+      if (this.client.contacts.handleContacts([child]) > 0) {
+        this.counts.contacts++;
+      }
+    } else if (description === 'response' && attributes.type === 'chat' && tag === 'chat' && childAttributes) {
+      this.counts.chats += this.client.chats.handleChats([child]);
+    } else if (description === 'action' && tag === 'message' && Buffer.isBuffer(content)) {
+      if (!this.syncHistory) {
+        return;
+      }
+
+      // Stored in frame order, behind messages of earlier chunks
+      this.queue = this.queue
+        .then(() => this._ingestMessage(content, attributes.add))
+        .catch((error) => {
+          logger.error('Failed to store history message:', error);
+        });
+    }
+  }
+
+  /**
+   * Close a sync node once all its children were fed
+   *
+   * @param {string} description - Node description
+   * @param {Object} attributes - Node attributes
+   * @returns {Promise<void>} Resolves once its messages are stored
+   */
+  endChunk(description, attributes) {
+    this._touch();
+
+    this.queue = this.queue.then(() => {
+      // Stragglers after the sync was finished are stored, not reported
+      if (this.done) {
+        return;
+      }
+
+      if (description === 'response') {
+        this.phase = attributes.type === 'contacts' ? 'contacts' : 'chats';
+        this.received[this.phase] = true;
+      } else {
+        this.phase = 'messages';
+        this.received[attributes.add === 'last' ? 'recent' : 'history'] = true;
+      }
+
+      this.chunks++;
+
+      const final = description === 'action' && attributes.add === 'before' && attributes.last === 'true';
+      if (final || (!this.syncHistory && this.received.contacts && this.received.chats)) {
+        this._finish();
+        return;
+      }
+
+      this._emitProgress();
+    }).catch((error) => {
+      logger.error('Failed to process history chunk:', error);
+    });
+
+    return this.queue;
+  }
+
+  /**
+   * Store one history message within `historyLimit`
+   * @private
+   */
+  async _ingestMessage(buffer, add) {
+    const evicted = [];
+
+    const message = await this.client.messages.handleHistory(buffer, candidate => this._admit(candidate, evicted));
+
+    for (const messageId of evicted) {
+      await this.client.messages._unstoreMessage(messageId);
+    }
+
+    if (message) {
+      this.client.chats.handleMessage(message, { history: true });
+      this.counts.messages++;
+      if (add === 'before') {
+        this.chatsWithHistory.add(message.chatId);
+      }
+    }
+  }
+
+  /**
+   * Keep the newest `historyLimit` messages of each chat
+   * @private
+   */
+  _admit(message, evicted) {
+    if (!this.historyLimit) {
+      return true;
+    }
+
+    let kept = this.kept.get(message.chatId);
+    if (!kept) {
+      kept = [];
+      this.kept.set(message.chatId, kept);
+    }
+
+    // Stored again, e.g. the latest message repeated in a history chunk
+    if (kept.some(entry => entry.id === message.id)) {
+      return true;
+    }
+
+    if (kept.length >= this.historyLimit) {
+      if (message.timestamp <= kept[0].timestamp) {
+        return false;
+      }
+      evicted.push(kept.shift().id);
+      this.counts.messages--;
+    }
+
+    // Oldest first
+    const index = kept.findIndex(entry => entry.timestamp > message.timestamp);
+    kept.splice(index === -1 ? kept.length : index, 0, { id: message.id, timestamp: message.timestamp });
+    return true;
+  }
+
+  /**
+   * Share of the sync received so far
+   * @private
+   */
+  _percent() {
+    if (this.done) {
+      return 100;
+    }
+
+    if (!this.syncHistory) {
+      return (this.received.contacts ? 50 : 0) + (this.received.chats ? 50 : 0);
+    }
+
+    const history = this.counts.chats > 0
+      ? Math.min(this.chatsWithHistory.size / this.counts.chats, 1)
+      : 0;
+
+    const percent = (this.received.contacts ? WEIGHTS.contacts : 0) +
+      (this.received.chats ? WEIGHTS.chats : 0) +
+      (this.received.recent ? WEIGHTS.recent : 0) +
+      history * WEIGHTS.history;
+
+    // 100 is only reported with `done`
+    return Math.min(Math.round(percent), 99);
+  }
+
+  /**
+   * Emit progress
+   * @private
+   */
+  _emitProgress() {
+    this.emit('history_sync', { phase: this.phase, ...this.progress });
+  }
+
+  /**
+   * Mark the sync finished
+   * @private
+   */
+  _finish() {
+    this._clearIdleTimer();
+    this.done = true;
+
+    logger.info('History sync finished', {
+      contacts: this.counts.contacts,
+      chats: this.counts.chats,
+      messages: this.counts.messages
+    });
+
+    this._emitProgress();
+  }
+
+  /**
+   * Push the idle deadline back
+   * @private
+   */
+  _touch() {
+    if (this.done) {
+      return;
+    }
+
+    this._clearIdleTimer();
+
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+
+      // Nothing arrived since login, there was nothing to sync
+      if (this.chunks === 0) {
+        return;
+      }
+
+      this.queue = this.queue.then(() => {
+        if (!this.done) {
+          this._finish();
+        }
+      });
+    }, this.timeout);
+
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Clear idle timer
+   * @private
+   */
+  _clearIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  /**
+   * Forget the progress of the previous sync
+   * @private
+   */
+  _reset() {
+    this.done = false;
+    this.phase = null;
+    this.chunks = 0;
+    this.counts = { contacts: 0, chats: 0, messages: 0 };
+    this.received = { contacts: false, chats: false, recent: false, history: false };
+    this.chatsWithHistory = new Set();
+    this.kept = new Map(); // chatId -> [{id, timestamp}] oldest first
+  }
+}
+
+module.exports = {
+  DEFAULT_HISTORY_SYNC_TIMEOUT,
+  HistorySync
+};
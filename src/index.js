@@ -10,29 +10,33 @@
 
 'use strict';
 
-// Production-ready WhatsApp Web implementation (like baileys.js)
-const ProductionWhatsAppClient = require('./production-client');
+// Unified client on the real WhatsApp Web transport
+const WhatsAppClient = require('./client');
 const RealWebSocketManager = require('./websocket-real');
+
+// Former client names, now thin subclasses of WhatsAppClient
+const ProductionWhatsAppClient = require('./production-client');
 const RealWhatsAppClient = require('./real-client');
 
-// Legacy components
-const WhatsAppClient = require('./client');
-const { ConnectionError, AuthError, MessageError, RateLimitError } = require('./utils');
+const { ConnectionError, AuthError, MessageError, RateLimitError, BinaryError } = require('./utils');
+const { AuthStore, MemoryAuthStore, FileAuthStore, JsonFileAuthStore } = require('./auth-store');
+const { ConnectionStates, ConnectionStateMachine } = require('./connection-state');
+const { Outbox } = require('./outbox');
+const { MessageStore, MemoryMessageStore, FileMessageStore } = require('./message-store');
+const Chat = require('./chat');
 
 /**
  * Main exports for the WhatsApp Web Node.js library
  * Now featuring real WhatsApp Web protocol implementation
  */
 module.exports = {
-  // Production-ready WhatsApp Web client (primary export - like baileys.js)
-  WhatsAppClient: ProductionWhatsAppClient,
-  ProductionWhatsAppClient,
-  
-  // Real implementation components
-  RealWhatsAppClient,
+  // WhatsApp Web client (primary export)
+  WhatsAppClient,
   RealWebSocketManager,
   
-  // Legacy client for compatibility
+  // Aliases kept for compatibility
+  ProductionWhatsAppClient,
+  RealWhatsAppClient,
   LegacyWhatsAppClient: WhatsAppClient,
   
   // Error classes
@@ -40,12 +44,37 @@ module.exports = {
   AuthError,
   MessageError,
   RateLimitError,
+  BinaryError,
   
   // Core components
   utils: require('./utils'),
+  constants: require('./constants'),
+  aes: require('./aes'),
   BinaryHandler: require('./binary').BinaryHandler,
+  proto: require('./proto'),
   SessionManager: require('./session'),
   
+  // Auth state stores for SessionManager
+  AuthStore,
+  MemoryAuthStore,
+  FileAuthStore,
+  JsonFileAuthStore,
+  
+  // Connection lifecycle
+  ConnectionStates,
+  ConnectionStateMachine,
+  
+  // Outbound message queue
+  Outbox,
+  
+  // Message stores for MessageManager
+  MessageStore,
+  MemoryMessageStore,
+  FileMessageStore,
+  
+  // Chat model kept by ChatManager
+  Chat,
+  
   // Version information
   version: '1.0.0',
   
@@ -55,10 +84,10 @@ module.exports = {
 };
 
 /**
- * Create a new real WhatsApp client instance
+ * Create a new WhatsApp client instance
  * 
  * @param {Object} options - Client configuration options
- * @returns {RealWhatsAppClient} New real client instance
+ * @returns {WhatsAppClient} New client instance
  * @example
  * const { createClient } = require('whatsapp-web-library');
  * 
@@ -68,7 +97,7 @@ module.exports = {
  * });
  */
 function createClient(options = {}) {
-  return new ProductionWhatsAppClient(options);
+  return new WhatsAppClient(options);
 }
 
 /**
@@ -97,4 +126,4 @@ module.exports.createClient = createClient;
 module.exports.getInfo = getInfo;
 
 // Default export for ES6 import compatibility
-module.exports.default = RealWhatsAppClient;
+module.exports.default = WhatsAppClient;
@@ -13,7 +13,8 @@ const path = require('path');
 const crypto = require('crypto');
 const { logger, generateMessageId, getMimeType, validateFileSize } = require('./utils');
 const { MessageError } = require('./utils');
-const { MessageTypes, MediaTypes, MediaLimits } = require('./constants');
+const aes = require('./aes');
+const { MessageTypes, MediaLimits } = require('./constants');
 
 /**
  * Media Manager for WhatsApp Web
@@ -48,6 +49,7 @@ class MediaManager extends EventEmitter {
    * @param {string|Buffer} media.data - File path or Buffer data
    * @param {string} [media.filename] - Original filename
    * @param {string} [media.caption] - Media caption
+   * @param {boolean} [media.ptt] - Send audio as voice note
    * @param {Object} [media.metadata] - Media metadata
    * @param {Object} [options={}] - Additional options
    * @returns {Promise<Object>} Sent media message
@@ -59,49 +61,16 @@ class MediaManager extends EventEmitter {
         type: media.type,
         hasData: !!media.data 
       });
-
-      // Validate media object
-      this._validateMedia(media);
-
-      // Prepare media data
-      const mediaData = await this._prepareMediaData(media);
       
-      // Upload media to WhatsApp servers
-      const uploadResult = await this._uploadMedia(mediaData);
+      const { content, mediaData } = await this.createMediaMessage(media);
+      
+      const sent = await this.client.messages.relay(chatId, content, options);
       
-      // Create message with media reference
-      const messageData = {
-        tag: 'message',
-        id: generateMessageId(),
-        chatId: chatId,
-        type: media.type,
-        timestamp: Date.now(),
-        media: {
-          id: uploadResult.mediaId,
-          url: uploadResult.url,
-          encKey: uploadResult.encKey,
-          sha256: uploadResult.sha256,
-          fileLength: uploadResult.fileLength,
-          mimetype: mediaData.mimetype,
-          filename: media.filename || mediaData.filename,
-          caption: media.caption || '',
-          metadata: media.metadata || {}
-        }
-      };
-
-      // Send through WebSocket
-      await this.client.websocket.sendMessage(messageData);
-
       const message = {
-        id: messageData.id,
-        chatId: chatId,
-        fromMe: true,
-        timestamp: Date.now(),
-        type: media.type,
+        ...sent,
         hasMedia: true,
-        mediaData: messageData.media,
-        caption: media.caption || '',
-        status: 'pending'
+        mediaData,
+        caption: media.caption || ''
       };
 
       logger.info('Media message sent successfully', { 
@@ -118,6 +87,57 @@ class MediaManager extends EventEmitter {
     }
   }
 
+  /**
+   * Upload media and build its protobuf message content
+   * 
+   * @param {Object} media - Media object (see `send()`)
+   * @returns {Promise<{content: Object, mediaData: Object}>} `Message` content and media reference
+   */
+  async createMediaMessage(media) {
+    // Validate media object
+    this._validateMedia(media);
+    
+    // Prepare media data
+    const prepared = await this._prepareMediaData(media);
+    
+    // Upload media to WhatsApp servers
+    const uploadResult = await this._uploadMedia(prepared);
+    
+    const mediaData = {
+      id: uploadResult.mediaId,
+      url: uploadResult.url,
+      encKey: uploadResult.encKey,
+      sha256: uploadResult.sha256,
+      fileLength: uploadResult.fileLength,
+      mimetype: prepared.mimetype,
+      filename: media.filename || prepared.filename,
+      caption: media.caption || '',
+      metadata: media.metadata || {}
+    };
+    
+    const body = {
+      url: mediaData.url,
+      mimetype: mediaData.mimetype,
+      fileSha256: Buffer.from(mediaData.sha256, 'hex'),
+      fileLength: mediaData.fileLength,
+      mediaKey: Buffer.from(mediaData.encKey, 'base64')
+    };
+    
+    if (media.type === MessageTypes.DOCUMENT) {
+      body.fileName = mediaData.filename;
+      body.title = mediaData.filename;
+    } else if (media.type === MessageTypes.AUDIO) {
+      body.ptt = Boolean(media.ptt);
+    } else if (media.type !== MessageTypes.STICKER) {
+      body.caption = mediaData.caption || undefined;
+    }
+    
+    return {
+      content: { [media.type]: body },
+      mediaData
+    };
+  }
+
   /**
    * Send image
    * 
@@ -172,8 +192,9 @@ class MediaManager extends EventEmitter {
    */
   async sendAudio(chatId, audioData, options = {}) {
     const media = {
-      type: options.ptt ? MessageTypes.PTT : MessageTypes.AUDIO,
+      type: MessageTypes.AUDIO,
       data: audioData,
+      ptt: Boolean(options.ptt),
       metadata: options.metadata
     };
 
@@ -449,9 +470,8 @@ class MediaManager extends EventEmitter {
    * @private
    */
   async _encryptMedia(data, key) {
-    const cipher = crypto.createCipher('aes-256-cbc', key);
-    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
-    return encrypted;
+    const iv = crypto.randomBytes(aes.BLOCK_SIZE);
+    return Buffer.concat([iv, aes.cbcEncrypt(key, iv, data)]);
   }
 
   /**
@@ -460,9 +480,8 @@ class MediaManager extends EventEmitter {
    */
   async _decryptMedia(encryptedData, keyBase64) {
     const key = Buffer.from(keyBase64, 'base64');
-    const decipher = crypto.createDecipher('aes-256-cbc', key);
-    const decrypted = Buffer.concat([decipher.update(encryptedData), decipher.final()]);
-    return decrypted;
+    const iv = encryptedData.subarray(0, aes.BLOCK_SIZE);
+    return aes.cbcDecrypt(key, iv, encryptedData.subarray(aes.BLOCK_SIZE));
   }
 
   /**
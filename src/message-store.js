@@ -0,0 +1,437 @@
+/**
+ * Message Stores
+ * Pluggable storage for sent and received messages, used by MessageManager
+ * to answer `fetchMessages()` and to find messages by ID (replies,
+ * reactions, deletes) after a restart.
+ */
+
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./auth-store');
+const { logger, MessageError } = require('./utils');
+
+// Messages returned by list() when no limit is given
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Message store interface
+ *
+ * Messages are the plain objects emitted by MessageManager (`id`, `chatId`,
+ * `timestamp`, `fromMe`, `body`, `status`...). `put()` replaces a message
+ * with the same ID. Custom stores extend this class, or any object
+ * implementing `get`, `put`, `delete` and `list` (and optionally
+ * `listChats`) can be passed as the `messageStore` option.
+ */
+class MessageStore {
+  /**
+   * Read a message
+   *
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} Message or null
+   */
+  async get(messageId) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  /**
+   * Insert or replace a message
+   *
+   * @param {Object} message - Message with `id`, `chatId` and `timestamp`
+   * @returns {Promise<void>}
+   */
+  async put(message) {
+    throw new Error(`${this.constructor.name} does not implement put()`);
+  }
+
+  /**
+   * Remove a message
+   *
+   * @param {string} messageId - Message ID
+   * @returns {Promise<void>}
+   */
+  async delete(messageId) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * List a chat's messages, oldest first
+   * Without a cursor the latest messages are returned. Cursors are message
+   * IDs, or timestamps in milliseconds.
+   *
+   * @param {string} chatId - Chat ID
+   * @param {Object} [options={}] - Page options
+   * @param {string|number} [options.before] - Only messages before this one
+   * @param {string|number} [options.after] - Only messages after this one
+   * @param {number} [options.limit=50] - Maximum messages
+   * @returns {Promise<Object[]>} Messages
+   */
+  async list(chatId, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  /**
+   * List chats with stored messages
+   * Optional, the search index is rebuilt from it after a restart.
+   *
+   * @returns {Promise<string[]>} Chat IDs
+   */
+  async listChats() {
+    throw new Error(`${this.constructor.name} does not implement listChats()`);
+  }
+
+  /**
+   * Merge changes into a stored message
+   *
+   * @param {string} messageId - Message ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} Updated message, null when unknown
+   */
+  async update(messageId, changes) {
+    const message = await this.get(messageId);
+    if (!message) {
+      return null;
+    }
+
+    const updated = { ...message, ...changes };
+    await this.put(updated);
+    return updated;
+  }
+}
+
+/**
+ * In-memory store, keeping the latest messages of each chat
+ *
+ * @extends MessageStore
+ */
+class MemoryMessageStore extends MessageStore {
+  /**
+   * Create in-memory store
+   *
+   * @param {Object} [options={}] - Store options
+   * @param {number} [options.maxMessagesPerChat=1000] - Older messages are forgotten past this count
+   */
+  constructor(options = {}) {
+    super();
+    this.maxMessagesPerChat = options.maxMessagesPerChat || 1000;
+    this.chats = new Map(); // chatId -> Map(messageId -> message)
+    this.chatIds = new Map(); // messageId -> chatId
+  }
+
+  async get(messageId) {
+    const chat = this.chats.get(this.chatIds.get(messageId));
+    return chat && chat.has(messageId) ? { ...chat.get(messageId) } : null;
+  }
+
+  async put(message) {
+    checkMessage(message);
+
+    // A message never moves between chats, but drop a stale copy anyway
+    if (this.chatIds.has(message.id) && this.chatIds.get(message.id) !== message.chatId) {
+      await this.delete(message.id);
+    }
+
+    let chat = this.chats.get(message.chatId);
+    if (!chat) {
+      chat = new Map();
+      this.chats.set(message.chatId, chat);
+    }
+
+    chat.set(message.id, { ...message });
+    this.chatIds.set(message.id, message.chatId);
+
+    if (chat.size > this.maxMessagesPerChat) {
+      let oldest = null;
+      for (const stored of chat.values()) {
+        if (!oldest || stored.timestamp < oldest.timestamp) {
+          oldest = stored;
+        }
+      }
+      chat.delete(oldest.id);
+      this.chatIds.delete(oldest.id);
+    }
+  }
+
+  async delete(messageId) {
+    const chat = this.chats.get(this.chatIds.get(messageId));
+    if (chat) {
+      chat.delete(messageId);
+    }
+    this.chatIds.delete(messageId);
+  }
+
+  async list(chatId, options = {}) {
+    const chat = this.chats.get(chatId);
+    const messages = chat ? sortMessages(Array.from(chat.values())) : [];
+    return paginate(messages, options).map(message => ({ ...message }));
+  }
+
+  async listChats() {
+    return Array.from(this.chats.keys()).filter(chatId => this.chats.get(chatId).size > 0);
+  }
+}
+
+/**
+ * Directory store, one append-only `<chatId>.jsonl` file per chat
+ * Updates and deletes append a line, the file is rewritten once most of its
+ * lines are stale.
+ *
+ * @extends MessageStore
+ */
+class FileMessageStore extends MessageStore {
+  /**
+   * Create directory store
+   *
+   * @param {string} directory - Directory holding the chat files
+   */
+  constructor(directory) {
+    super();
+    this.directory = directory;
+    this.chatIds = null; // messageId -> chatId, built on first lookup
+    this.indexReady = null;
+    this.chains = new Map(); // chatId -> pending file operation
+  }
+
+  async get(messageId) {
+    const index = await this._index();
+    const chatId = index.get(messageId);
+    if (!chatId) {
+      return null;
+    }
+
+    const { messages } = await this._enqueue(chatId, () => this._readChat(chatId));
+    return messages.get(messageId) || null;
+  }
+
+  async put(message) {
+    checkMessage(message);
+
+    const index = await this._index();
+    await this._enqueue(message.chatId, () => this._append(message.chatId, message));
+    index.set(message.id, message.chatId);
+  }
+
+  async delete(messageId) {
+    const index = await this._index();
+    const chatId = index.get(messageId);
+    if (!chatId) {
+      return;
+    }
+
+    await this._enqueue(chatId, () => this._append(chatId, { id: messageId, deleted: true }));
+    index.delete(messageId);
+  }
+
+  async list(chatId, options = {}) {
+    const { messages } = await this._enqueue(chatId, () => this._readChat(chatId));
+    return paginate(sortMessages(Array.from(messages.values())), options);
+  }
+
+  async listChats() {
+    const index = await this._index();
+    return Array.from(new Set(index.values()));
+  }
+
+  /**
+   * Run file operations of a chat one at a time
+   * @private
+   */
+  _enqueue(chatId, operation) {
+    const previous = this.chains.get(chatId) || Promise.resolve();
+    const run = previous.then(operation);
+
+    // Keep the chain alive after a failed operation
+    const chain = run.catch(() => {});
+    this.chains.set(chatId, chain);
+    chain.then(() => {
+      if (this.chains.get(chatId) === chain) {
+        this.chains.delete(chatId);
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Append a record to a chat file
+   * @private
+   */
+  async _append(chatId, record) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.appendFile(this._chatPath(chatId), `${JSON.stringify(record)}\n`, { encoding: 'utf8', mode: 0o600 });
+  }
+
+  /**
+   * Replay a chat file, compacting it when mostly stale
+   * @private
+   */
+  async _readChat(chatId) {
+    const filePath = this._chatPath(chatId);
+    const messages = new Map();
+    let lines;
+
+    try {
+      lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { messages };
+      }
+      throw error;
+    }
+
+    for (const line of lines) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash can leave a torn last line
+        logger.warn('Skipping unreadable message store line', { chatId });
+        continue;
+      }
+
+      if (record.deleted) {
+        messages.delete(record.id);
+      } else {
+        messages.set(record.id, record);
+      }
+    }
+
+    if (lines.length > messages.size * 2 + 100) {
+      const live = sortMessages(Array.from(messages.values()));
+      await writeFileAtomic(filePath, live.map(message => `${JSON.stringify(message)}\n`).join(''));
+      logger.debug('Compacted message store file', { chatId, lines: lines.length, messages: live.length });
+    }
+
+    return { messages };
+  }
+
+  /**
+   * Map message IDs to chats by reading every chat file once
+   * @private
+   */
+  async _index() {
+    if (!this.indexReady) {
+      this.indexReady = this._buildIndex().catch((error) => {
+        this.indexReady = null;
+        throw error;
+      });
+    }
+
+    await this.indexReady;
+    return this.chatIds;
+  }
+
+  /**
+   * Build the message ID index
+   * @private
+   */
+  async _buildIndex() {
+    const chatIds = new Map();
+    let entries;
+
+    try {
+      entries = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      entries = [];
+    }
+
+    for (const entry of entries.filter(name => name.endsWith('.jsonl'))) {
+      const chatId = decodeURIComponent(entry.slice(0, -'.jsonl'.length));
+      const { messages } = await this._enqueue(chatId, () => this._readChat(chatId));
+
+      for (const messageId of messages.keys()) {
+        chatIds.set(messageId, chatId);
+      }
+    }
+
+    this.chatIds = chatIds;
+  }
+
+  /**
+   * Chat file path
+   * @private
+   */
+  _chatPath(chatId) {
+    return path.join(this.directory, `${encodeURIComponent(chatId)}.jsonl`);
+  }
+}
+
+/**
+ * Sort messages oldest first
+ * Equal timestamps keep their insertion order.
+ * @private
+ */
+function sortMessages(messages) {
+  return messages
+    .map((message, index) => ({ message, index }))
+    .sort((a, b) => (a.message.timestamp - b.message.timestamp) || (a.index - b.index))
+    .map(({ message }) => message);
+}
+
+/**
+ * Apply `before`/`after`/`limit` to messages sorted oldest first
+ * @private
+ */
+function paginate(messages, options = {}) {
+  const limit = options.limit || DEFAULT_PAGE_SIZE;
+  let start = 0;
+  let end = messages.length;
+
+  if (options.after !== undefined && options.after !== null) {
+    start = cursorIndex(messages, options.after, 'after');
+  }
+
+  if (options.before !== undefined && options.before !== null) {
+    end = cursorIndex(messages, options.before, 'before');
+  }
+
+  if (end <= start) {
+    return [];
+  }
+
+  // Paging forward reads from the cursor, otherwise the latest come first
+  return options.after !== undefined && options.after !== null && (options.before === undefined || options.before === null)
+    ? messages.slice(start, Math.min(start + limit, end))
+    : messages.slice(Math.max(end - limit, start), end);
+}
+
+/**
+ * Resolve a cursor to a slice bound
+ * @private
+ */
+function cursorIndex(messages, cursor, direction) {
+  if (typeof cursor === 'number') {
+    const index = direction === 'after'
+      ? messages.findIndex(message => message.timestamp > cursor)
+      : messages.findIndex(message => message.timestamp >= cursor);
+    return index === -1 ? messages.length : index;
+  }
+
+  const index = messages.findIndex(message => message.id === cursor);
+  if (index === -1) {
+    throw new MessageError(`Unknown message cursor: ${cursor}`, { cursor });
+  }
+
+  return direction === 'after' ? index + 1 : index;
+}
+
+/**
+ * Messages need an ID, a chat and a timestamp to be stored
+ * @private
+ */
+function checkMessage(message) {
+  if (!message || typeof message.id !== 'string' || typeof message.chatId !== 'string' || typeof message.timestamp !== 'number') {
+    throw new MessageError('Stored messages need an id, a chatId and a numeric timestamp');
+  }
+  return message;
+}
+
+module.exports = {
+  MessageStore,
+  MemoryMessageStore,
+  FileMessageStore
+};
@@ -8,9 +8,52 @@
 'use strict';
 
 const EventEmitter = require('events');
-const { logger, generateMessageId, formatPhoneNumber } = require('./utils');
+const {
+  logger,
+  getTimestamp,
+  generateMessageId,
+  formatPhoneNumber,
+  createChatId,
+  normalizeJid
+} = require('./utils');
 const { MessageError } = require('./utils');
-const { MessageTypes, ChatTypes } = require('./constants');
+const { MessageTypes, MessageAckStatus, ReactionTypes, WAMetrics, WAFlags } = require('./constants');
+const { MessageStatus, ProtocolMessageTypes, decodeWebMessageInfo } = require('./proto');
+const { MemoryMessageStore, FileMessageStore } = require('./message-store');
+const { SearchIndex } = require('./search-index');
+
+// Chat receiving status posts
+const STATUS_BROADCAST = 'status@broadcast';
+
+// Content types sent through MediaManager
+const MEDIA_TYPES = [
+  MessageTypes.IMAGE,
+  MessageTypes.VIDEO,
+  MessageTypes.AUDIO,
+  MessageTypes.DOCUMENT,
+  MessageTypes.STICKER
+];
+
+// Ack status names indexed by protobuf `MessageStatus` level
+const ACK_STATUS_BY_LEVEL = [
+  MessageAckStatus.ERROR,
+  MessageAckStatus.PENDING,
+  MessageAckStatus.SERVER_ACK,
+  MessageAckStatus.DELIVERED,
+  MessageAckStatus.READ,
+  MessageAckStatus.PLAYED
+];
+
+// `type` of binary `received` receipts
+const RECEIPT_LEVELS = {
+  message: MessageStatus.DELIVERY_ACK,
+  read: MessageStatus.READ,
+  played: MessageStatus.PLAYED,
+  error: MessageStatus.ERROR
+};
+
+// Sent messages whose receipts are kept, oldest are forgotten first
+const MAX_TRACKED_RECEIPTS = 5000;
 
 /**
  * Message Manager for WhatsApp Web
@@ -20,15 +63,23 @@ const { MessageTypes, ChatTypes } = require('./constants');
 class MessageManager extends EventEmitter {
   /**
    * Create message manager
+   * Messages are kept in `client.options.messageStore`, a `FileMessageStore`
+   * in `client.options.messageStorePath`, or in memory.
    * 
    * @param {WhatsAppClient} client - WhatsApp client instance
    */
   constructor(client) {
     super();
     
+    const { messageStore, messageStorePath } = client.options || {};
+    
     this.client = client;
     this.pendingMessages = new Map();
-    this.messageCache = new Map();
+    this.store = messageStore || (messageStorePath ? new FileMessageStore(messageStorePath) : new MemoryMessageStore());
+    this.storeUpdates = Promise.resolve();
+    this.searchIndex = new SearchIndex();
+    this.searchIndexReady = null;
+    this.receipts = new Map();
     this.typingStates = new Map();
     
     logger.debug('Message manager initialized');
@@ -40,6 +91,8 @@ class MessageManager extends EventEmitter {
    * @param {string} chatId - Chat ID to send message to
    * @param {string|Object} content - Message content
    * @param {Object} [options={}] - Additional options
+   * @param {Object|string} [options.quoted] - Message (or ID of a stored message) to reply to
+   * @param {string[]} [options.mentions] - Mentioned contacts
    * @returns {Promise<Object>} Sent message object
    */
   async send(chatId, content, options = {}) {
@@ -51,39 +104,75 @@ class MessageManager extends EventEmitter {
         throw new MessageError('Invalid chat ID format');
       }
 
-      // Prepare message data
-      const messageData = await this._prepareMessage(chatId, content, options);
+      // Prepare message content
+      const messageContent = this._prepareMessage(chatId, content, options);
       
-      // Send through WebSocket
-      await this.client.websocket.sendMessage(messageData);
+      return await this.relay(chatId, messageContent, options);
       
-      // Store in pending messages
-      this.pendingMessages.set(messageData.id, {
-        ...messageData,
-        timestamp: Date.now(),
-        status: 'pending'
-      });
+    } catch (error) {
+      logger.error('Failed to send message:', error);
+      throw new MessageError(`Failed to send message: ${error.message}`, { reason: error.reason, queued: error.queued });
+    }
+  }
 
-      // Create message object
-      const message = {
-        id: messageData.id,
-        chatId: chatId,
+  /**
+   * Relay protobuf message content to a chat
+   * Lower level than `send()`, used by the media, status and reaction managers.
+   * A message that cannot be sent stays stored with status `error`.
+   * 
+   * @param {string} chatId - Chat ID
+   * @param {Object} content - `Message` protobuf object (e.g. `{ conversation: 'hi' }`)
+   * @param {Object} [options={}] - Additional options
+   * @param {string} [options.messageId] - Message ID (generated when omitted)
+   * @param {number} [options.expiresIn] - Milliseconds the message may wait in the outbox
+   * @param {Object|string} [options.quoted] - Message (or ID of a stored message) to reply to
+   * @param {string[]} [options.mentions] - Mentioned contacts
+   * @returns {Promise<Object>} Sent message object
+   * @throws {MessageError} When the quoted message ID is not stored
+   */
+  async relay(chatId, content, options = {}) {
+    const contextInfo = await this._buildContextInfo(chatId, options);
+    
+    const messageInfo = {
+      key: {
+        remoteJid: chatId,
         fromMe: true,
-        timestamp: Date.now(),
-        type: messageData.type || 'text',
-        body: content,
-        status: 'pending',
-        ...options
-      };
-
-      logger.info('Message sent successfully', { messageId: message.id, chatId });
-      
-      return message;
-      
+        id: options.messageId || generateMessageId()
+      },
+      message: contextInfo ? this._withContextInfo(content, contextInfo) : content,
+      messageTimestamp: getTimestamp(),
+      status: MessageStatus.PENDING
+    };
+    
+    const message = this._parseIncomingMessage(messageInfo);
+    
+    // Store in pending messages until the server acknowledges
+    this.pendingMessages.set(message.id, message);
+    this._trackReceipt(message);
+    await this._storeMessage(message);
+    
+    try {
+      await this.client.relayMessage(messageInfo, { expiresIn: options.expiresIn });
     } catch (error) {
-      logger.error('Failed to send message:', error);
-      throw new MessageError(`Failed to send message: ${error.message}`);
+      // Kept with its receipt so the app can show and resend it. Queued
+      // messages are still in the persisted outbox, sent after the next login.
+      if (!error.queued) {
+        this._applyAck(message.id, message.chatId, MessageStatus.ERROR);
+      }
+      this.pendingMessages.delete(message.id);
+      await this.storeUpdates;
+      throw error;
     }
+    
+    // The relay reply is the server ack, applied to the returned object and the stored copy
+    this._applyAck(message.id, message.chatId, MessageStatus.SERVER_ACK);
+    this.pendingMessages.delete(message.id);
+    await this.storeUpdates;
+    
+    logger.info('Message sent successfully', { messageId: message.id, chatId });
+    this.emit('message_create', message);
+    
+    return message;
   }
 
   /**
@@ -146,10 +235,10 @@ class MessageManager extends EventEmitter {
     }
 
     const contactData = {
+      ...contact,
       type: MessageTypes.CONTACT,
       name: contact.name,
-      phone: formatPhoneNumber(contact.phone),
-      ...contact
+      phone: formatPhoneNumber(contact.phone)
     };
 
     return this.send(chatId, contactData, options);
@@ -157,79 +246,60 @@ class MessageManager extends EventEmitter {
 
   /**
    * Reply to a message
+   * The reply quotes a snapshot of the stored original, media content is
+   * sent through `MediaManager`.
    * 
    * @param {string} messageId - ID of message to reply to
-   * @param {string|Object} content - Reply content
+   * @param {string|Object} content - Reply content (text, location, contact or media object)
    * @param {Object} [options={}] - Additional options
    * @returns {Promise<Object>} Sent reply message
+   * @throws {MessageError} When the original message is not stored
    */
   async replyToMessage(messageId, content, options = {}) {
-    const originalMessage = this.messageCache.get(messageId);
+    const originalMessage = await this.getMessage(messageId);
     
     if (!originalMessage) {
-      throw new MessageError('Original message not found');
+      throw new MessageError('Original message not found', { messageId });
     }
 
-    const replyOptions = {
-      ...options,
-      quotedMessage: {
-        id: messageId,
-        chatId: originalMessage.chatId,
-        content: originalMessage.body,
-        author: originalMessage.author
-      }
-    };
+    const replyOptions = { ...options, quoted: originalMessage };
+
+    if (content && typeof content === 'object' && MEDIA_TYPES.includes(content.type)) {
+      return this.client.media.send(originalMessage.chatId, content, replyOptions);
+    }
 
     return this.send(originalMessage.chatId, content, replyOptions);
   }
 
+  /**
+   * Get the message a reply quotes
+   * The stored original when known, otherwise the snapshot carried by the
+   * reply (`message.quoted`, without a timestamp).
+   * 
+   * @param {Object|string} message - Reply message, or its ID
+   * @returns {Promise<Object|null>} Quoted message, null when it is not a reply
+   */
+  async getQuotedMessage(message) {
+    const reply = typeof message === 'string' ? await this.getMessage(message) : message;
+    
+    if (!reply || !reply.quoted) {
+      return null;
+    }
+    
+    return (await this.getMessage(reply.quoted.id)) || reply.quoted;
+  }
+
   /**
    * Edit a message
+   * WhatsApp Web has no message edit operation, so this always rejects.
    * 
    * @param {string} messageId - Message ID to edit
    * @param {string} newContent - New message content
-   * @returns {Promise<Object>} Edited message object
+   * @returns {Promise<Object>} Never resolves successfully
+   * @throws {MessageError} Editing is not supported
    */
   async editMessage(messageId, newContent) {
-    try {
-      const message = this.pendingMessages.get(messageId) || this.messageCache.get(messageId);
-      
-      if (!message) {
-        throw new MessageError('Message not found');
-      }
-
-      if (!message.fromMe) {
-        throw new MessageError('Can only edit own messages');
-      }
-
-      const editData = {
-        tag: 'message_edit',
-        id: generateMessageId(),
-        messageId: messageId,
-        newContent: newContent,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(editData);
-
-      logger.info('Message edited successfully', { messageId });
-      
-      const editedMessage = {
-        ...message,
-        body: newContent,
-        edited: true,
-        editTimestamp: Date.now()
-      };
-
-      this.messageCache.set(messageId, editedMessage);
-      this.emit('message_edit', editedMessage);
-
-      return editedMessage;
-      
-    } catch (error) {
-      logger.error('Failed to edit message:', error);
-      throw new MessageError(`Failed to edit message: ${error.message}`);
-    }
+    throw new MessageError('Editing messages is not supported by WhatsApp Web', { messageId });
   }
 
   /**
@@ -241,7 +311,7 @@ class MessageManager extends EventEmitter {
    */
   async deleteMessage(messageId, forEveryone = false) {
     try {
-      const message = this.pendingMessages.get(messageId) || this.messageCache.get(messageId);
+      const message = this.pendingMessages.get(messageId) || await this.getMessage(messageId);
       
       if (!message) {
         throw new MessageError('Message not found');
@@ -251,21 +321,30 @@ class MessageManager extends EventEmitter {
         throw new MessageError('Can only delete own messages for everyone');
       }
 
-      const deleteData = {
-        tag: 'message_delete',
-        id: generateMessageId(),
-        messageId: messageId,
-        forEveryone: forEveryone,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(deleteData);
+      if (forEveryone) {
+        // Revoke through a protocol message in the same chat
+        await this.relay(message.chatId, {
+          protocolMessage: {
+            key: message.key,
+            type: ProtocolMessageTypes.REVOKE
+          }
+        });
+      } else {
+        // Clear the message from this account's chat only
+        await this.client.setQuery([
+          [
+            'chat',
+            { jid: message.chatId, modify_tag: String(Math.round(Math.random() * 1000000)), type: 'clear' },
+            [['item', { owner: String(message.fromMe), index: messageId }, null]]
+          ]
+        ], [WAMetrics.GROUP, WAFlags.IGNORE]);
+      }
 
       logger.info('Message deleted successfully', { messageId, forEveryone });
       
       // Remove from caches
       this.pendingMessages.delete(messageId);
-      this.messageCache.delete(messageId);
+      await this._unstoreMessage(messageId);
 
       this.emit('message_delete', { messageId, forEveryone });
       
@@ -284,14 +363,7 @@ class MessageManager extends EventEmitter {
    */
   async sendTyping(chatId, isTyping = true) {
     try {
-      const typingData = {
-        tag: 'chatstate',
-        chatId: chatId,
-        state: isTyping ? 'composing' : 'paused',
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(typingData);
+      await this.client.contacts.updatePresence(isTyping ? 'composing' : 'paused', chatId);
       
       this.typingStates.set(chatId, isTyping);
       
@@ -306,20 +378,35 @@ class MessageManager extends EventEmitter {
    * Mark messages as read
    * 
    * @param {string} chatId - Chat ID
-   * @param {string[]} [messageIds] - Specific message IDs to mark as read
+   * @param {string[]} [messageIds] - Specific message IDs to mark as read (defaults to the latest received)
    * @returns {Promise<void>}
    */
   async markAsRead(chatId, messageIds = []) {
     try {
-      const readData = {
-        tag: 'read_receipt',
-        chatId: chatId,
-        messageIds: messageIds,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(readData);
+      const lastMessage = messageIds.length > 0
+        ? await this.getMessage(messageIds[messageIds.length - 1]) || { id: messageIds[messageIds.length - 1], fromMe: false }
+        : await this._getLastReceived(chatId);
+      
+      if (!lastMessage) {
+        return;
+      }
+      
+      // The phone marks everything up to `index` as read
+      await this.client.setQuery([
+        [
+          'read',
+          {
+            jid: chatId,
+            count: String(messageIds.length || 1),
+            index: lastMessage.id,
+            owner: String(lastMessage.fromMe),
+            participant: lastMessage.key && lastMessage.key.participant
+          },
+          null
+        ]
+      ], [WAMetrics.READ, WAFlags.IGNORE]);
       
+      this.client.chats.handleRead({ jid: chatId });
       logger.debug('Messages marked as read', { chatId, count: messageIds.length });
       
     } catch (error) {
@@ -328,31 +415,102 @@ class MessageManager extends EventEmitter {
   }
 
   /**
-   * Search messages
+   * Get a sent or received message by ID
+   * 
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} Message or null when not stored
+   */
+  async getMessage(messageId) {
+    return this.store.get(messageId);
+  }
+
+  /**
+   * Fetch stored messages of a chat, oldest first
+   * Without a cursor the latest messages are returned; pass the first ID of
+   * a page as `before` to read further back.
+   * 
+   * @param {string} chatId - Chat ID
+   * @param {Object} [options={}] - Page options
+   * @param {string|number} [options.before] - Message ID or timestamp (ms) to read before
+   * @param {string|number} [options.after] - Message ID or timestamp (ms) to read after
+   * @param {number} [options.limit=50] - Maximum messages
+   * @returns {Promise<Object[]>} Messages
+   * @throws {MessageError} When a cursor ID is not in the chat
+   */
+  async fetchMessages(chatId, options = {}) {
+    return this.store.list(normalizeJid(chatId), options);
+  }
+
+  /**
+   * Remove every stored message of a chat
+   * 
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<number>} Messages removed
+   */
+  async clearStoredMessages(chatId) {
+    const messages = await this.store.list(normalizeJid(chatId), { limit: Infinity });
+    
+    for (const message of messages) {
+      await this._unstoreMessage(message.id);
+    }
+    
+    return messages.length;
+  }
+
+  /**
+   * Search stored messages
+   * Runs against a local index of message text, captions and document file
+   * names, built from the message store on first use. All words must match;
+   * `"quoted words"` match as a phrase and `word*` as a prefix.
    * 
-   * @param {string} query - Search query
+   * @example
+   * const results = await client.messages.searchMessages('"order 1234" refund*', {
+   *   chatId: '15551234567@c.us',
+   *   after: Date.now() - 7 * 24 * 60 * 60 * 1000
+   * });
+   * console.log(results[0].snippet); // '… about *order 1234* and the *refunded* …'
+   * 
+   * @param {string} query - Search query (empty to only apply the filters)
    * @param {Object} [options={}] - Search options
    * @param {string} [options.chatId] - Limit search to specific chat
+   * @param {string} [options.sender] - Only messages authored by this JID
+   * @param {boolean} [options.fromMe] - Only sent (true) or received (false) messages
+   * @param {string|string[]} [options.type] - Only these message types (`MessageTypes`)
+   * @param {number|Date} [options.after] - Only messages after this time
+   * @param {number|Date} [options.before] - Only messages before this time
    * @param {number} [options.limit=50] - Maximum results
-   * @param {number} [options.offset=0] - Results offset
-   * @returns {Promise<Array>} Search results
+   * @param {number} [options.offset=0] - Results to skip
+   * @param {string} [options.highlightStart='*'] - Inserted before matches in `snippet`
+   * @param {string} [options.highlightEnd='*'] - Inserted after matches in `snippet`
+   * @returns {Promise<Object[]>} `{message, score, highlights, snippet}` by relevance, then newest first;
+   *   `highlights` lists `{field, ranges: [[start, end]]}` per matching field
    */
   async searchMessages(query, options = {}) {
     try {
-      const searchData = {
-        tag: 'message_search',
-        query: query,
-        chatId: options.chatId,
-        limit: options.limit || 50,
-        offset: options.offset || 0,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(searchData);
+      const limit = options.limit || 50;
+      const offset = options.offset || 0;
       
-      // In real implementation, this would wait for search results
-      // For now, return empty array
-      return [];
+      await this._loadSearchIndex();
+      
+      const matches = this.searchIndex.search(query, options);
+      const results = [];
+      
+      for (const match of matches.slice(offset)) {
+        const message = await this.store.get(match.id);
+        
+        // Evicted from the store since it was indexed
+        if (!message) {
+          this.searchIndex.remove(match.id);
+          continue;
+        }
+        
+        results.push({ message, score: match.score, highlights: match.highlights, snippet: match.snippet });
+        if (results.length === limit) {
+          break;
+        }
+      }
+      
+      return results;
       
     } catch (error) {
       logger.error('Failed to search messages:', error);
@@ -362,27 +520,57 @@ class MessageManager extends EventEmitter {
 
   /**
    * Handle incoming message
+   * Reactions, revokes and status posts are handed to their managers,
+   * everything else is emitted as `message`.
    * 
-   * @param {Object} data - Message data from WebSocket
+   * @param {Object} messageInfo - Decoded WebMessageInfo
+   * @param {Object} [context={}] - Frame context
+   * @param {string} [context.add] - `add` attribute of the action node (`relay`, `last`, `before`...)
    */
-  async handleIncoming(data) {
+  async handleIncoming(messageInfo, context = {}) {
     try {
-      const message = await this._parseIncomingMessage(data);
+      const message = this._parseIncomingMessage(messageInfo);
+      const content = messageInfo.message || {};
       
-      // Cache the message
-      this.messageCache.set(message.id, message);
+      if (content.reactionMessage) {
+        const { key, text, senderTimestampMs } = content.reactionMessage;
+        await this.client.reactions.handleIncoming({
+          id: message.id,
+          messageId: key && key.id,
+          chatId: message.chatId,
+          emoji: text || '',
+          userId: formatPhoneNumber(message.author),
+          timestamp: senderTimestampMs || message.timestamp,
+          action: text ? ReactionTypes.ADD : ReactionTypes.REMOVE
+        });
+        return;
+      }
       
-      // Update pending message status if it's our own
-      if (this.pendingMessages.has(message.id)) {
-        const pending = this.pendingMessages.get(message.id);
-        pending.status = 'sent';
-        this.pendingMessages.set(message.id, pending);
+      if (content.protocolMessage && content.protocolMessage.type === ProtocolMessageTypes.REVOKE) {
+        const revokedId = content.protocolMessage.key && content.protocolMessage.key.id;
+        this.pendingMessages.delete(revokedId);
+        await this._unstoreMessage(revokedId);
+        this.emit('message_delete', { messageId: revokedId, chatId: message.chatId, forEveryone: true });
+        return;
       }
-
+      
+      if (content.protocolMessage && content.protocolMessage.type === ProtocolMessageTypes.EPHEMERAL_SETTING) {
+        this.client.chats.handleEphemeralSetting(message.chatId, content.protocolMessage.ephemeralExpiration, message.timestamp);
+        return;
+      }
+      
+      if (message.chatId === STATUS_BROADCAST) {
+        await this.client.status.handleUpdate(this._toStatusUpdate(message));
+        return;
+      }
+      
+      await this._storeMessage(message);
+      
       logger.debug('Incoming message processed', { 
         messageId: message.id, 
         chatId: message.chatId,
-        type: message.type 
+        type: message.type,
+        add: context.add
       });
       
       this.emit('message', message);
@@ -393,99 +581,715 @@ class MessageManager extends EventEmitter {
   }
 
   /**
-   * Prepare message data for sending
+   * Store a message from history sync
+   * No `message` event is emitted. Reactions and status posts are skipped,
+   * revokes remove the stored message.
+   * 
+   * @param {Buffer} buffer - Encoded WebMessageInfo
+   * @param {Function} [admit] - `(message) => boolean`, false skips the message
+   * @returns {Promise<Object|null>} Stored message, null when skipped
+   */
+  async handleHistory(buffer, admit) {
+    const messageInfo = decodeWebMessageInfo(buffer);
+    const message = this._parseIncomingMessage(messageInfo);
+    const content = messageInfo.message || {};
+    
+    if (content.protocolMessage && content.protocolMessage.type === ProtocolMessageTypes.REVOKE) {
+      await this._unstoreMessage(content.protocolMessage.key && content.protocolMessage.key.id);
+      return null;
+    }
+    
+    if (content.protocolMessage && content.protocolMessage.type === ProtocolMessageTypes.EPHEMERAL_SETTING) {
+      this.client.chats.handleEphemeralSetting(message.chatId, content.protocolMessage.ephemeralExpiration, message.timestamp);
+      return null;
+    }
+    
+    if (content.reactionMessage || message.chatId === STATUS_BROADCAST || (admit && !admit(message))) {
+      return null;
+    }
+    
+    await this._storeMessage(message);
+    return message;
+  }
+
+  /**
+   * Handle JSON ack (`Msg` or `MsgInfo` with `cmd: ack|acks`)
+   * `ack` is 1 (server), 2 (delivered), 3 (read) or 4 (played), -1 for an
+   * error. `participant` is set when one member of a group acked.
+   * 
+   * @param {Object} ack - Ack attributes (`{ id, ack, to, participant, t }`, `id` may be an array)
+   */
+  handleAck(ack) {
+    const ids = Array.isArray(ack.id) ? ack.id : [ack.id];
+    const level = Math.max(Number(ack.ack) + 1, MessageStatus.ERROR);
+    
+    if (!ACK_STATUS_BY_LEVEL[level]) {
+      logger.debug('Unknown ack level', { ack: ack.ack });
+      return;
+    }
+    
+    for (const id of ids) {
+      this._applyAck(id, normalizeJid(ack.to), level, normalizeJid(ack.participant), ack.t ? ack.t * 1000 : Date.now());
+    }
+  }
+
+  /**
+   * Handle binary receipt (`received` child of an `action` node)
+   * 
+   * @param {Object} receipt - Receipt attributes (`{ type, index, jid, owner, participant, t }`)
+   */
+  handleReceipt(receipt) {
+    // Receipts for messages we received are read markers from our own phone
+    if (!receipt || receipt.owner !== 'true') {
+      return;
+    }
+    
+    const level = RECEIPT_LEVELS[receipt.type];
+    if (level === undefined) {
+      logger.debug('Unknown receipt type', { type: receipt.type });
+      return;
+    }
+    
+    this._applyAck(
+      receipt.index,
+      normalizeJid(receipt.jid),
+      level,
+      normalizeJid(receipt.participant),
+      receipt.t ? parseInt(receipt.t, 10) * 1000 : Date.now()
+    );
+  }
+
+  /**
+   * Get delivery information for a sent message
+   * Group receipts are fetched from the server when the client is ready,
+   * otherwise the receipts seen so far are returned.
+   * 
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} `{ id, chatId, status, timestamps, recipients }` or null when the message is unknown.
+   *   `timestamps` maps each status to when it was reached (ms), `recipients` lists `{ jid, status, timestamps }`.
+   */
+  async getMessageInfo(messageId) {
+    const receipt = this.receipts.get(messageId);
+    const stored = receipt ? null : await this.getMessage(messageId);
+    const chatId = receipt ? receipt.chatId : stored && stored.fromMe ? stored.chatId : null;
+    
+    if (!chatId) {
+      return null;
+    }
+    
+    if (this.client.isReady) {
+      try {
+        await this._queryMessageInfo(messageId, chatId);
+      } catch (error) {
+        logger.debug('Message info query failed, using local receipts', { messageId, error: error.message });
+      }
+    }
+    
+    const tracked = this.receipts.get(messageId);
+    return tracked ? this._formatReceipt(tracked) : null;
+  }
+
+  /**
+   * Whether the server acknowledged a sent message
+   * 
+   * @param {string} messageId - Message ID
+   * @returns {boolean}
+   */
+  isAcknowledged(messageId) {
+    const receipt = this.receipts.get(messageId);
+    return Boolean(receipt) && receipt.level >= MessageStatus.SERVER_ACK;
+  }
+
+  /**
+   * Start tracking receipts for a sent message
+   * @private
+   */
+  _trackReceipt(message) {
+    if (this.receipts.size >= MAX_TRACKED_RECEIPTS) {
+      this.receipts.delete(this.receipts.keys().next().value);
+    }
+    
+    this.receipts.set(message.id, {
+      id: message.id,
+      chatId: message.chatId,
+      level: MessageStatus.PENDING,
+      timestamps: { [MessageAckStatus.PENDING]: Date.now() },
+      recipients: new Map()
+    });
+  }
+
+  /**
+   * Apply an ack to a message, or to one recipient when `participant` is set
+   * Statuses only move forward, except to `error`. Recipient acks roll up to
+   * the message once every known group member reached the level.
    * @private
    */
-  async _prepareMessage(chatId, content, options) {
-    const messageId = generateMessageId();
+  _applyAck(messageId, chatId, level, participant = null, timestamp = Date.now()) {
+    if (!messageId) {
+      return;
+    }
+    
+    let receipt = this.receipts.get(messageId);
+    if (!receipt) {
+      // Sent before this session, or from the phone
+      this._trackReceipt({ id: messageId, chatId });
+      receipt = this.receipts.get(messageId);
+      receipt.timestamps = {};
+    }
+    
+    const status = ACK_STATUS_BY_LEVEL[level];
+    
+    if (participant) {
+      const recipient = receipt.recipients.get(participant) || { jid: participant, level: MessageStatus.SERVER_ACK, timestamps: {} };
+      const previous = recipient.level;
+      
+      if (!this._ackAdvances(previous, level)) {
+        return;
+      }
+      
+      recipient.level = level;
+      recipient.timestamps[status] = timestamp;
+      receipt.recipients.set(participant, recipient);
+      
+      this.emit('message_ack', {
+        id: messageId,
+        chatId: receipt.chatId,
+        participant,
+        status,
+        previous: ACK_STATUS_BY_LEVEL[previous],
+        timestamp
+      });
+      
+      // The message as a whole is delivered (or read) once every member is
+      const overall = this._groupAckLevel(receipt);
+      if (overall > receipt.level) {
+        this._applyAck(messageId, receipt.chatId, overall, null, timestamp);
+      }
+      return;
+    }
+    
+    const previous = receipt.level;
+    if (!this._ackAdvances(previous, level)) {
+      return;
+    }
+    
+    receipt.level = level;
+    receipt.timestamps[status] = timestamp;
+    
+    // In a direct chat the chat is the only recipient
+    if (level > MessageStatus.SERVER_ACK && receipt.chatId && !receipt.chatId.endsWith('@g.us')) {
+      const recipient = receipt.recipients.get(receipt.chatId) || { jid: receipt.chatId, level, timestamps: {} };
+      recipient.level = level;
+      recipient.timestamps[status] = timestamp;
+      receipt.recipients.set(receipt.chatId, recipient);
+    }
+    
+    const pending = this.pendingMessages.get(messageId);
+    if (pending) {
+      pending.status = status;
+    }
+    
+    // One at a time, so a late read-modify-write cannot undo a newer status
+    this.storeUpdates = this.storeUpdates
+      .then(() => this.store.update(messageId, { status }))
+      .catch((error) => {
+        logger.error('Failed to store message status:', error);
+      });
     
-    let messageData = {
-      tag: 'message',
+    this.emit('message_ack', {
       id: messageId,
-      chatId: chatId,
-      timestamp: Date.now(),
-      type: MessageTypes.TEXT
+      chatId: receipt.chatId,
+      participant: null,
+      status,
+      previous: ACK_STATUS_BY_LEVEL[previous],
+      timestamp
+    });
+  }
+
+  /**
+   * Lowest ack level reached by all known members of a group
+   * Members are the ones that acked so far plus the participants of the
+   * cached group metadata; members without an ack count as `server_ack`.
+   * @private
+   */
+  _groupAckLevel(receipt) {
+    const members = new Set(receipt.recipients.keys());
+    const group = this.client.groups && this.client.groups.groupCache.get(receipt.chatId);
+    
+    if (group && Array.isArray(group.participants)) {
+      for (const member of group.participants) {
+        members.add(createChatId(member.id));
+      }
+    }
+    
+    if (this.client.user) {
+      members.delete(this.client.user.jid);
+    }
+    
+    let level = null;
+    for (const jid of members) {
+      const recipient = receipt.recipients.get(jid);
+      const reached = recipient ? recipient.level : MessageStatus.SERVER_ACK;
+      level = level === null ? reached : Math.min(level, reached);
+    }
+    
+    return level === null ? MessageStatus.PENDING : level;
+  }
+
+  /**
+   * Whether moving from one ack level to another is progress
+   * @private
+   */
+  _ackAdvances(current, next) {
+    return next === MessageStatus.ERROR ? current !== MessageStatus.ERROR : next > current;
+  }
+
+  /**
+   * Ask the server who received and read a message
+   * @private
+   */
+  async _queryMessageInfo(messageId, chatId) {
+    const response = await this.client.query([
+      'query',
+      { type: 'message_info', index: messageId, jid: chatId, epoch: this.client.epoch() },
+      null
+    ], { binary: true, binaryTags: [WAMetrics.QUERY_READ, WAFlags.IGNORE], expect200: true });
+    
+    const nodes = Array.isArray(response) && Array.isArray(response[2]) ? response[2] : [];
+    const levels = { delivery: MessageStatus.DELIVERY_ACK, read: MessageStatus.READ, played: MessageStatus.PLAYED };
+    
+    for (const [tag, , items] of nodes) {
+      if (!levels[tag] || !Array.isArray(items)) {
+        continue;
+      }
+      
+      for (const [, attributes] of items) {
+        if (attributes && attributes.jid) {
+          const timestamp = attributes.t ? parseInt(attributes.t, 10) * 1000 : Date.now();
+          this._applyAck(messageId, chatId, levels[tag], normalizeJid(attributes.jid), timestamp);
+        }
+      }
+    }
+  }
+
+  /**
+   * Public view of a tracked receipt
+   * @private
+   */
+  _formatReceipt(receipt) {
+    return {
+      id: receipt.id,
+      chatId: receipt.chatId,
+      status: ACK_STATUS_BY_LEVEL[receipt.level],
+      timestamps: { ...receipt.timestamps },
+      recipients: Array.from(receipt.recipients.values(), recipient => ({
+        jid: recipient.jid,
+        status: ACK_STATUS_BY_LEVEL[recipient.level],
+        timestamps: { ...recipient.timestamps }
+      }))
     };
+  }
 
-    // Handle different content types
+  /**
+   * Prepare protobuf message content for sending
+   * @private
+   */
+  _prepareMessage(chatId, content, options) {
     if (typeof content === 'string') {
-      messageData.body = content;
-      messageData.type = MessageTypes.TEXT;
-    } else if (typeof content === 'object') {
-      messageData = { ...messageData, ...content };
+      return { conversation: content };
     }
-
-    // Add quoted message if replying
-    if (options.quotedMessage) {
-      messageData.quotedMessage = options.quotedMessage;
+    
+    if (!content || typeof content !== 'object') {
+      throw new MessageError('Unsupported message content');
+    }
+    
+    switch (content.type) {
+      case MessageTypes.TEXT:
+        return this._prepareMessage(chatId, content.body || content.text || '', options);
+      
+      case MessageTypes.LOCATION:
+        return {
+          locationMessage: {
+            degreesLatitude: content.latitude,
+            degreesLongitude: content.longitude,
+            name: content.name || undefined,
+            address: content.address || undefined
+          }
+        };
+      
+      case MessageTypes.CONTACT:
+        return {
+          contactMessage: {
+            displayName: content.name,
+            vcard: content.vcard || [
+              'BEGIN:VCARD',
+              'VERSION:3.0',
+              `FN:${content.name}`,
+              `TEL;type=CELL;type=VOICE;waid=${content.phone}:+${content.phone}`,
+              'END:VCARD'
+            ].join('\n')
+          }
+        };
+      
+      default:
+        throw new MessageError(`Unsupported message type: ${content.type}`);
     }
+  }
 
+  /**
+   * Build context info for quotes and mentions
+   * @private
+   */
+  async _buildContextInfo(chatId, options) {
+    const contextInfo = {};
+    const quoted = await this._resolveQuoted(options);
+    
+    if (quoted) {
+      const author = quoted.author || (quoted.fromMe && this.client.user ? this.client.user.jid : null);
+      
+      contextInfo.stanzaId = quoted.id;
+      contextInfo.participant = author ? createChatId(author) : undefined;
+      contextInfo.quotedMessage = this._quotedContent(quoted);
+      
+      // Quoting a message of another chat, e.g. a private reply to a group message
+      if (quoted.chatId && quoted.chatId !== normalizeJid(chatId)) {
+        contextInfo.remoteJid = quoted.chatId;
+      }
+    }
+    
     // Add mentions if any
     if (options.mentions && options.mentions.length > 0) {
-      messageData.mentions = options.mentions;
+      contextInfo.mentionedJid = options.mentions.map(id => createChatId(id));
     }
+    
+    return Object.keys(contextInfo).length > 0 ? contextInfo : null;
+  }
 
-    return messageData;
+  /**
+   * Message to quote, looked up in the store when given by ID
+   * @private
+   */
+  async _resolveQuoted(options) {
+    // `quotedMessage` ({id, chatId, content, author}) is the former option
+    const quoted = options.quoted || options.quotedMessage;
+    
+    if (!quoted) {
+      return null;
+    }
+    
+    if (typeof quoted === 'string') {
+      const message = await this.getMessage(quoted);
+      if (!message) {
+        throw new MessageError(`Quoted message not found: ${quoted}`, { messageId: quoted });
+      }
+      return message;
+    }
+    
+    return quoted.body === undefined && quoted.content !== undefined
+      ? { ...quoted, body: quoted.content }
+      : quoted;
   }
 
   /**
-   * Parse incoming message data
+   * Attach context info to message content
+   * Plain text becomes an `extendedTextMessage`, the only text type with context.
    * @private
    */
-  async _parseIncomingMessage(data) {
-    const message = {
-      id: data.id || generateMessageId(),
-      chatId: data.chatId || data.from,
-      fromMe: data.fromMe || false,
-      author: data.author || data.participant || data.from,
-      timestamp: data.timestamp || Date.now(),
-      type: data.type || MessageTypes.TEXT,
-      body: data.body || data.text || '',
-      status: 'received'
+  _withContextInfo(content, contextInfo) {
+    if (content.conversation !== undefined) {
+      return { extendedTextMessage: { text: content.conversation, contextInfo } };
+    }
+    
+    const type = Object.keys(content)[0];
+    return {
+      ...content,
+      [type]: { ...content[type], contextInfo: { ...content[type].contextInfo, ...contextInfo } }
     };
+  }
+
+  /**
+   * Rebuild `Message` content of a stored message for a quote
+   * Nested quotes are left out, like the official clients do.
+   * @private
+   */
+  _quotedContent(message) {
+    if (message.mediaData && MEDIA_TYPES.includes(message.type)) {
+      const media = message.mediaData;
+      const body = {
+        url: media.url,
+        directPath: media.directPath,
+        mimetype: media.mimetype,
+        mediaKey: media.encKey ? Buffer.from(media.encKey, 'base64') : undefined,
+        fileSha256: media.sha256 ? Buffer.from(media.sha256, 'hex') : undefined,
+        fileLength: media.fileLength
+      };
+      
+      if (message.type === MessageTypes.DOCUMENT) {
+        body.fileName = media.filename;
+      } else if (message.type === MessageTypes.AUDIO) {
+        body.ptt = media.ptt;
+      } else if (message.type !== MessageTypes.STICKER) {
+        body.caption = message.caption || undefined;
+      }
+      
+      return { [message.type]: body };
+    }
+    
+    if (message.type === MessageTypes.LOCATION && message.location) {
+      return {
+        locationMessage: {
+          degreesLatitude: message.location.latitude,
+          degreesLongitude: message.location.longitude,
+          name: message.location.name,
+          address: message.location.address
+        }
+      };
+    }
+    
+    if (message.type === MessageTypes.CONTACT && message.contact) {
+      return { contactMessage: { displayName: message.contact.name, vcard: message.contact.vcard } };
+    }
+    
+    return { conversation: message.body || '' };
+  }
 
+  /**
+   * Parse WebMessageInfo into a message object
+   * @private
+   */
+  _parseIncomingMessage(messageInfo) {
+    const key = messageInfo.key || {};
+    const chatId = normalizeJid(key.remoteJid);
+    const me = this.client.user ? this.client.user.jid : null;
+    const fromMe = Boolean(key.fromMe);
+    const participant = normalizeJid(key.participant || messageInfo.participant);
+    const content = messageInfo.message || {};
+    const type = Object.keys(content)[0] || MessageTypes.TEXT;
+    const body = content[type] || {};
+    
+    const message = {
+      id: key.id,
+      key: {
+        remoteJid: chatId,
+        fromMe,
+        id: key.id,
+        participant: participant || undefined
+      },
+      chatId,
+      from: fromMe ? me : chatId,
+      to: fromMe ? chatId : me,
+      fromMe,
+      author: fromMe ? me : (participant || chatId),
+      pushName: messageInfo.pushName || null,
+      timestamp: (messageInfo.messageTimestamp || getTimestamp()) * 1000,
+      type,
+      body: '',
+      status: fromMe ? ACK_STATUS_BY_LEVEL[messageInfo.status] || MessageAckStatus.SERVER_ACK : 'received'
+    };
+    
     // Handle different message types
-    switch (data.type) {
+    switch (type) {
+      case MessageTypes.TEXT:
+        message.body = content.conversation || '';
+        break;
+      
+      case 'extendedTextMessage':
+        message.type = MessageTypes.TEXT;
+        message.body = body.text || '';
+        break;
+      
       case MessageTypes.IMAGE:
       case MessageTypes.VIDEO:
       case MessageTypes.AUDIO:
       case MessageTypes.DOCUMENT:
+      case MessageTypes.STICKER:
         message.hasMedia = true;
-        message.mediaData = data.mediaData;
-        message.caption = data.caption;
+        message.caption = body.caption || '';
+        message.body = message.caption;
+        message.mediaData = {
+          url: body.url,
+          directPath: body.directPath,
+          mimetype: body.mimetype,
+          encKey: body.mediaKey ? body.mediaKey.toString('base64') : undefined,
+          sha256: body.fileSha256 ? body.fileSha256.toString('hex') : undefined,
+          fileLength: body.fileLength,
+          filename: body.fileName,
+          caption: message.caption,
+          ptt: body.ptt
+        };
         break;
       
       case MessageTypes.LOCATION:
         message.location = {
-          latitude: data.latitude,
-          longitude: data.longitude,
-          name: data.locationName,
-          address: data.locationAddress
+          latitude: body.degreesLatitude,
+          longitude: body.degreesLongitude,
+          name: body.name,
+          address: body.address
         };
         break;
       
       case MessageTypes.CONTACT:
         message.contact = {
-          name: data.contactName,
-          phone: data.contactPhone,
-          vcard: data.vcard
+          name: body.displayName,
+          vcard: body.vcard
         };
         break;
     }
-
+    
+    const contextInfo = body.contextInfo;
+    
     // Handle quoted messages
-    if (data.quotedMessage) {
-      message.quotedMessage = data.quotedMessage;
+    if (contextInfo && contextInfo.stanzaId) {
+      message.quotedMessage = {
+        id: contextInfo.stanzaId,
+        author: normalizeJid(contextInfo.participant),
+        message: contextInfo.quotedMessage
+      };
+      message.quoted = this._parseQuoted(contextInfo, chatId);
     }
-
+    
     // Handle mentions
-    if (data.mentions) {
-      message.mentions = data.mentions;
+    if (contextInfo && contextInfo.mentionedJid) {
+      message.mentions = contextInfo.mentionedJid.map(jid => normalizeJid(jid));
     }
-
+    
     return message;
   }
 
+  /**
+   * Parse the snapshot a reply carries into a message object
+   * @private
+   */
+  _parseQuoted(contextInfo, chatId) {
+    const me = this.client.user ? this.client.user.jid : null;
+    const author = normalizeJid(contextInfo.participant) || null;
+    const remoteJid = normalizeJid(contextInfo.remoteJid) || chatId;
+    
+    const quoted = this._parseIncomingMessage({
+      key: {
+        remoteJid,
+        fromMe: Boolean(me && author === me),
+        id: contextInfo.stanzaId,
+        participant: remoteJid.endsWith('@g.us') ? author : undefined
+      },
+      message: contextInfo.quotedMessage || {}
+    });
+    
+    // Quotes carry neither the original time nor its own quote
+    quoted.timestamp = null;
+    delete quoted.quoted;
+    delete quoted.quotedMessage;
+    
+    if (author) {
+      quoted.author = author;
+    }
+    
+    return quoted;
+  }
+
+  /**
+   * Convert message posted to status@broadcast into a status update
+   * @private
+   */
+  _toStatusUpdate(message) {
+    const update = {
+      id: message.id,
+      from: formatPhoneNumber(message.author),
+      timestamp: message.timestamp
+    };
+    
+    if (message.hasMedia) {
+      return {
+        ...update,
+        type: message.type,
+        mediaUrl: message.mediaData.url,
+        caption: message.caption,
+        mimetype: message.mediaData.mimetype
+      };
+    }
+    
+    return { ...update, type: 'text', text: message.body };
+  }
+
+  /**
+   * Latest cached message received in a chat
+   * @private
+   */
+  async _getLastReceived(chatId) {
+    const recent = await this.store.list(chatId, { limit: 50 });
+    return recent.reverse().find(message => !message.fromMe) || null;
+  }
+
+  /**
+   * Record a message in the store
+   * Store failures are logged, they never fail a send or drop an incoming message.
+   * @private
+   */
+  async _storeMessage(message) {
+    try {
+      await this.store.put(message);
+      this.searchIndex.add(message);
+    } catch (error) {
+      logger.error('Failed to store message:', error);
+    }
+  }
+
+  /**
+   * Remove a message from the store
+   * @private
+   */
+  async _unstoreMessage(messageId) {
+    this.searchIndex.remove(messageId);
+    
+    try {
+      await this.store.delete(messageId);
+    } catch (error) {
+      logger.error('Failed to remove stored message:', error);
+    }
+  }
+
+  /**
+   * Index messages stored before this process started, once
+   * Stores without `listChats()` only have messages seen since startup indexed.
+   * @private
+   */
+  _loadSearchIndex() {
+    if (!this.searchIndexReady) {
+      this.searchIndexReady = this._buildSearchIndex().catch((error) => {
+        this.searchIndexReady = null;
+        throw error;
+      });
+    }
+    return this.searchIndexReady;
+  }
+  
+  /**
+   * Read every stored message into the search index
+   * @private
+   */
+  async _buildSearchIndex() {
+    let chatIds;
+    try {
+      chatIds = await this.store.listChats();
+    } catch (error) {
+      logger.warn('Message store cannot list chats, searching messages seen since startup only', { error: error.message });
+      return;
+    }
+    
+    for (const chatId of chatIds) {
+      const messages = await this.store.list(chatId, { limit: Infinity });
+      
+      for (const message of messages) {
+        // Messages stored meanwhile are indexed already
+        if (!this.searchIndex.has(message.id)) {
+          this.searchIndex.add(message);
+        }
+      }
+    }
+    
+    logger.debug('Search index built', { messages: this.searchIndex.size });
+  }
+
   /**
    * Validate chat ID format
    * @private
@@ -502,22 +1306,6 @@ class MessageManager extends EventEmitter {
     const chatIdRegex = /^(\d+@c\.us|\d+-\d+@g\.us|status@broadcast)$/;
     return chatIdRegex.test(chatId);
   }
-
-  /**
-   * Clean up old pending messages
-   * @private
-   */
-  _cleanupPendingMessages() {
-    const now = Date.now();
-    const timeout = 5 * 60 * 1000; // 5 minutes
-
-    for (const [messageId, message] of this.pendingMessages) {
-      if (now - message.timestamp > timeout) {
-        this.pendingMessages.delete(messageId);
-        logger.debug('Cleaned up expired pending message', { messageId });
-      }
-    }
-  }
 }
 
 module.exports = MessageManager;
@@ -0,0 +1,428 @@
+/**
+ * Outbox
+ * Outgoing messages waiting for a logged in connection. Entries are relayed
+ * in the order they were queued once the client is ready again, and can be
+ * kept in an AuthStore so a crash does not lose them.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const { logger, ConnectionError, MessageError } = require('./utils');
+const proto = require('./proto');
+
+// How long a message may wait for a connection by default
+const DEFAULT_OUTBOX_TTL = 60 * 60 * 1000;
+
+const KEY_PREFIX = 'outbox/';
+
+// Longest delay setTimeout accepts, longer ones fire immediately
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Outbound message queue
+ *
+ * Events: `sent` ({id, chatId, messageInfo, response, restored}) and
+ * `dropped` ({id, chatId, queuedAt, reason, error}). `reason` is `expired`,
+ * `failed` (the server rejected the message), `logged_out` or
+ * `client_destroyed`. Restored entries were read back from the store and
+ * have no caller waiting on them.
+ *
+ * @extends EventEmitter
+ */
+class Outbox extends EventEmitter {
+  /**
+   * Create outbox
+   *
+   * @param {Object} [options={}] - Outbox options
+   * @param {AuthStore} [options.store] - Store persisting queued messages (memory only when omitted)
+   * @param {number} [options.ttl=3600000] - Default milliseconds a message may wait before it is dropped, `Infinity` for no limit
+   * @throws {MessageError} When `ttl` is not a positive number
+   */
+  constructor(options = {}) {
+    super();
+
+    this.store = options.store || null;
+    this.ttl = options.ttl !== undefined ? checkExpiresIn(options.ttl, 'ttl') : DEFAULT_OUTBOX_TTL;
+    this.entries = [];
+    this.seq = 0;
+    this.loaded = null;
+    this.flushing = null;
+    this.inFlight = null;
+    this.expiryTimer = null;
+  }
+
+  /**
+   * Number of queued messages
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Read persisted messages back, once
+   * Expired entries are dropped.
+   *
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = this._load().catch((error) => {
+        this.loaded = null;
+        throw error;
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Queue a message
+   *
+   * @param {Object} messageInfo - WebMessageInfo to relay
+   * @param {Object} [options={}] - Queue options
+   * @param {number} [options.expiresIn] - Milliseconds before the message is dropped (defaults to `ttl`), `Infinity` for no limit
+   * @returns {Promise<Object>} Server reply once the message is relayed
+   * @throws {MessageError} When the message is dropped, `error.reason` tells why,
+   *   or `expiresIn` is not a positive number
+   */
+  add(messageInfo, options = {}) {
+    return new Promise((resolve, reject) => {
+      const queuedAt = Date.now();
+      const expiresIn = options.expiresIn !== undefined ? checkExpiresIn(options.expiresIn, 'expiresIn') : this.ttl;
+
+      const entry = {
+        id: messageInfo.key.id,
+        chatId: messageInfo.key.remoteJid,
+        seq: this.seq++,
+        queuedAt,
+        // null never expires, and survives JSON unlike Infinity
+        expiresAt: expiresIn === Infinity ? null : queuedAt + expiresIn,
+        messageInfo,
+        resolve,
+        reject
+      };
+
+      this.entries.push(entry);
+      this._scheduleExpiry();
+
+      logger.debug('Message queued in outbox', { id: entry.id, queued: this.entries.length });
+
+      entry.persisted = this._persist(entry).catch((error) => {
+        logger.error('Failed to persist outbox entry:', error);
+      });
+    });
+  }
+
+  /**
+   * Relay queued messages in order
+   * Stops at the first connection failure and keeps the remaining entries.
+   *
+   * @param {Function} send - `(messageInfo) => Promise<reply>`
+   * @returns {Promise<void>}
+   */
+  flush(send) {
+    if (!this.flushing) {
+      this.flushing = this._flush(send).finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Drop every queued message, including persisted ones
+   *
+   * @param {string} reason - Drop reason
+   * @returns {Promise<void>}
+   */
+  async clear(reason) {
+    for (const entry of [...this.entries]) {
+      this._drop(entry, reason);
+    }
+
+    if (this.store) {
+      const keys = await this.store.keys(KEY_PREFIX);
+      await Promise.all(keys.map(key => this.store.delete(key)));
+    }
+  }
+
+  /**
+   * Stop the outbox
+   * Persisted messages stay in the store and are sent after the next login;
+   * their callers are rejected with `error.queued` set. Memory-only
+   * messages are dropped.
+   *
+   * @param {string} reason - Drop reason
+   */
+  close(reason) {
+    this._clearExpiryTimer();
+
+    if (!this.store) {
+      for (const entry of [...this.entries]) {
+        this._drop(entry, reason);
+      }
+      return;
+    }
+
+    for (const entry of this.entries) {
+      if (entry.reject) {
+        entry.reject(new MessageError(`Message ${entry.id} not sent yet, kept in outbox`, {
+          reason,
+          queued: true
+        }));
+      }
+    }
+    this.entries = [];
+    this.loaded = null;
+  }
+
+  /**
+   * Whether a relay failed because the connection went away
+   * The message never got its ack, so it can be queued again; the server
+   * ignores a message ID it has already seen.
+   *
+   * @param {Error} error - Relay error
+   * @returns {boolean}
+   */
+  static isConnectionFailure(error) {
+    return error instanceof ConnectionError && (error.reason === 'closed' || error.reason === 'not_connected');
+  }
+
+  /**
+   * Read persisted entries
+   * @private
+   */
+  async _load() {
+    if (!this.store) {
+      return;
+    }
+
+    const keys = await this.store.keys(KEY_PREFIX);
+    const restored = [];
+
+    for (const key of keys) {
+      try {
+        const stored = JSON.parse(await this.store.get(key));
+        restored.push({
+          id: stored.id,
+          chatId: stored.chatId,
+          seq: stored.seq,
+          queuedAt: stored.queuedAt,
+          expiresAt: stored.expiresAt,
+          messageInfo: proto.decodeWebMessageInfo(Buffer.from(stored.message, 'base64')),
+          resolve: null,
+          reject: null
+        });
+      } catch (error) {
+        logger.warn('Discarding unreadable outbox entry', { key, error: error.message });
+        await this.store.delete(key);
+      }
+    }
+
+    // Sequence numbers restart with each process, queue time orders across them
+    restored.sort((a, b) => a.queuedAt - b.queuedAt || a.seq - b.seq);
+
+    // Restored entries were queued before anything added in this process
+    this.entries = [...restored, ...this.entries.filter(entry => !restored.some(r => r.id === entry.id))];
+    this.seq = this.entries.reduce((max, entry) => Math.max(max, entry.seq + 1), this.seq);
+
+    if (restored.length > 0) {
+      logger.info(`Restored ${restored.length} queued message(s) from outbox`);
+    }
+
+    this._dropExpired();
+    this._scheduleExpiry();
+  }
+
+  /**
+   * Relay entries one at a time
+   * @private
+   */
+  async _flush(send) {
+    while (this.entries.length > 0) {
+      const entry = this.entries[0];
+
+      if (isExpired(entry, Date.now())) {
+        this._drop(entry, 'expired');
+        continue;
+      }
+
+      let response;
+      this.inFlight = entry;
+      try {
+        response = await send(entry.messageInfo);
+      } catch (error) {
+        if (Outbox.isConnectionFailure(error)) {
+          logger.info('Outbox flush interrupted, waiting for the next login', { remaining: this.entries.length });
+          return;
+        }
+
+        this._drop(entry, 'failed', error);
+        continue;
+      } finally {
+        this.inFlight = null;
+        this._scheduleExpiry();
+      }
+
+      // Cleared (logout, destroy) while the relay was pending
+      if (!this._remove(entry)) {
+        continue;
+      }
+
+      if (entry.resolve) {
+        entry.resolve(response);
+      }
+
+      this.emit('sent', {
+        id: entry.id,
+        chatId: entry.chatId,
+        messageInfo: entry.messageInfo,
+        response,
+        restored: !entry.resolve
+      });
+    }
+  }
+
+  /**
+   * Remove entry and reject its caller
+   * @private
+   */
+  _drop(entry, reason, error = null) {
+    if (!this._remove(entry)) {
+      return;
+    }
+
+    logger.warn('Dropped queued message', { id: entry.id, reason });
+
+    if (entry.reject) {
+      entry.reject(error || new MessageError(`Message ${entry.id} dropped from outbox: ${reason}`, { reason }));
+    }
+
+    this.emit('dropped', {
+      id: entry.id,
+      chatId: entry.chatId,
+      queuedAt: entry.queuedAt,
+      reason,
+      error
+    });
+  }
+
+  /**
+   * Remove entry from memory and store
+   * @private
+   */
+  _remove(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index === -1) {
+      return false;
+    }
+
+    this.entries.splice(index, 1);
+
+    if (this.store) {
+      // Wait for the write so a late set() cannot bring the entry back
+      Promise.resolve(entry.persisted).then(() => this.store.delete(KEY_PREFIX + entry.id)).catch((error) => {
+        logger.error('Failed to remove outbox entry:', error);
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Write entry to the store
+   * @private
+   */
+  async _persist(entry) {
+    if (!this.store) {
+      return;
+    }
+
+    await this.store.set(KEY_PREFIX + entry.id, JSON.stringify({
+      id: entry.id,
+      chatId: entry.chatId,
+      seq: entry.seq,
+      queuedAt: entry.queuedAt,
+      expiresAt: entry.expiresAt,
+      message: proto.encodeWebMessageInfo(entry.messageInfo).toString('base64')
+    }));
+  }
+
+  /**
+   * Drop entries past their expiry
+   * @private
+   */
+  _dropExpired() {
+    const now = Date.now();
+
+    // A message being relayed is past the point of dropping
+    for (const entry of this.entries.filter(entry => isExpired(entry, now) && entry !== this.inFlight)) {
+      this._drop(entry, 'expired');
+    }
+  }
+
+  /**
+   * Arm the timer for the next expiry
+   * @private
+   */
+  _scheduleExpiry() {
+    this._clearExpiryTimer();
+
+    // The in-flight entry is rescheduled once its relay settles
+    const expiries = this.entries
+      .filter(entry => entry !== this.inFlight && entry.expiresAt !== null)
+      .map(entry => entry.expiresAt);
+
+    if (expiries.length === 0) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(Math.min(...expiries) - Date.now(), 0), MAX_TIMER_DELAY);
+
+    this.expiryTimer = setTimeout(() => {
+      this.expiryTimer = null;
+      this._dropExpired();
+      this._scheduleExpiry();
+    }, delay);
+
+    // Queued messages alone do not keep the process alive
+    this.expiryTimer.unref();
+  }
+
+  /**
+   * Clear expiry timer
+   * @private
+   */
+  _clearExpiryTimer() {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+  }
+}
+
+/**
+ * Whether an entry is past its expiry
+ * @private
+ */
+function isExpired(entry, now) {
+  return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+/**
+ * Validate a time to live
+ * @private
+ */
+function checkExpiresIn(value, name) {
+  if (typeof value !== 'number' || Number.isNaN(value) || value <= 0) {
+    throw new MessageError(`${name} must be a positive number of milliseconds or Infinity`, { reason: 'invalid_option' });
+  }
+  return value;
+}
+
+module.exports = {
+  DEFAULT_OUTBOX_TTL,
+  Outbox
+};
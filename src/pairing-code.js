@@ -0,0 +1,136 @@
+/**
+ * Pairing Code Helpers
+ * Phone-number linking: the companion shows an 8-character code, the user
+ * types it on the phone. The companion public key is sent wrapped with a
+ * key derived from the code, so only a phone that was given the code can
+ * unwrap it and complete the link.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const aes = require('./aes');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Codes use Crockford-style base32 without 0, O, I and U
+const CODE_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTVWXYZ';
+const CODE_LENGTH = 8;
+
+// Wrapping key derivation, as in WhatsApp's link code registration
+const PBKDF2_ITERATIONS = 2 << 16;
+const SALT_SIZE = 32;
+const WRAP_AAD = Buffer.from('link_code_pairing_wrapped_companion_ephemeral_pub', 'utf8');
+
+/**
+ * Generate a random pairing code
+ *
+ * @returns {string} 8 characters from `CODE_ALPHABET`
+ */
+function generatePairingCode() {
+  // 5 bytes = 40 bits = 8 base32 characters
+  let bits = BigInt(`0x${crypto.randomBytes(5).toString('hex')}`);
+  let code = '';
+
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code = CODE_ALPHABET[Number(bits & 31n)] + code;
+    bits >>= 5n;
+  }
+
+  return code;
+}
+
+/**
+ * Format code for display as `XXXX-XXXX`
+ *
+ * @param {string} code - Pairing code
+ * @returns {string} Grouped code
+ */
+function formatPairingCode(code) {
+  const normalized = normalizePairingCode(code);
+  return `${normalized.slice(0, 4)}-${normalized.slice(4)}`;
+}
+
+/**
+ * Normalize user input (case, separators) to a bare code
+ *
+ * @param {string} code - Code as typed or displayed
+ * @returns {string} Bare uppercase code
+ */
+function normalizePairingCode(code) {
+  return String(code).toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+/**
+ * Parse an E.164 phone number
+ * Accepts common separators (`+1 (555) 123-4567`), rejects national formats.
+ *
+ * @param {string} phoneNumber - Phone number
+ * @returns {string|null} Digits including country code, or null if invalid
+ */
+function parseE164(phoneNumber) {
+  if (typeof phoneNumber !== 'string' && typeof phoneNumber !== 'number') {
+    return null;
+  }
+
+  const compact = String(phoneNumber).trim().replace(/[\s().-]/g, '');
+  const match = /^\+?([1-9]\d{6,14})$/.exec(compact);
+
+  return match ? match[1] : null;
+}
+
+/**
+ * Wrap companion public key with a key derived from the code
+ *
+ * @param {string} code - Pairing code
+ * @param {Buffer} publicKey - Companion Curve25519 public key
+ * @returns {Promise<Buffer>} `salt | iv | tag | ciphertext`
+ */
+async function wrapPublicKey(code, publicKey) {
+  const salt = crypto.randomBytes(SALT_SIZE);
+  const iv = crypto.randomBytes(aes.GCM_IV_SIZE);
+  const key = await deriveWrappingKey(code, salt);
+
+  const { ciphertext, authTag } = aes.gcmEncrypt(key, iv, publicKey, WRAP_AAD);
+  return Buffer.concat([salt, iv, authTag, ciphertext]);
+}
+
+/**
+ * Unwrap companion public key, as the phone does with the typed code
+ *
+ * @param {string} code - Pairing code
+ * @param {Buffer} wrapped - Output of `wrapPublicKey()`
+ * @returns {Promise<Buffer>} Companion public key
+ * @throws {Error} When the code is wrong
+ */
+async function unwrapPublicKey(code, wrapped) {
+  const ivEnd = SALT_SIZE + aes.GCM_IV_SIZE;
+  const tagEnd = ivEnd + aes.GCM_TAG_SIZE;
+
+  if (wrapped.length <= tagEnd) {
+    throw new Error('Wrapped public key is truncated');
+  }
+
+  const key = await deriveWrappingKey(code, wrapped.slice(0, SALT_SIZE));
+  return aes.gcmDecrypt(key, wrapped.slice(SALT_SIZE, ivEnd), wrapped.slice(tagEnd), wrapped.slice(ivEnd, tagEnd), WRAP_AAD);
+}
+
+/**
+ * Derive wrapping key from code
+ * @private
+ */
+function deriveWrappingKey(code, salt) {
+  return pbkdf2(normalizePairingCode(code), salt, PBKDF2_ITERATIONS, aes.KEY_SIZE, 'sha256');
+}
+
+module.exports = {
+  CODE_ALPHABET,
+  CODE_LENGTH,
+  generatePairingCode,
+  formatPairingCode,
+  normalizePairingCode,
+  parseE164,
+  wrapPublicKey,
+  unwrapPublicKey
+};
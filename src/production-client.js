@@ -1,584 +1,19 @@
 /**
- * Production-Ready WhatsApp Web Client
- * Full-featured implementation comparable to @whiskeysockets/baileys
- * Complete with all professional features for production use
+ * Production WhatsApp Web Client
+ * Kept for compatibility, the unified `WhatsAppClient` now carries the
+ * full feature set on the real transport
  */
 
 'use strict';
 
-const { EventEmitter } = require('events');
-const RealWebSocketManager = require('./websocket-real');
-const SessionManager = require('./session');
-const { BinaryHandler } = require('./binary');
-const qrTerminal = require('qrcode-terminal');
-const { 
-  logger, 
-  generateRandomBase64, 
-  generateMessageId,
-  createChatId,
-  validateChatId,
-  formatPhoneNumber,
-  ConnectionError, 
-  AuthError,
-  MessageError,
-  sleep,
-  retryWithBackoff
-} = require('./utils');
+const WhatsAppClient = require('./client');
 
 /**
- * Production-Ready WhatsApp Web Client
- * Full-featured like baileys.js with all production capabilities
+ * Production WhatsApp Web Client
+ * 
+ * @deprecated Use `WhatsAppClient`
+ * @extends WhatsAppClient
  */
-class ProductionWhatsAppClient extends EventEmitter {
-  constructor(options = {}) {
-    super();
-    
-    this.options = {
-      // Authentication options
-      authStrategy: options.authStrategy || 'qr', // 'qr' or 'pairing'
-      sessionPath: options.sessionPath || './session',
-      phoneNumber: options.phoneNumber,
-      
-      // Connection options
-      userAgent: options.userAgent || 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      proxyUrl: options.proxyUrl,
-      
-      // Reconnection settings (like baileys)
-      autoReconnect: options.autoReconnect !== false,
-      maxReconnectAttempts: options.maxReconnectAttempts || 50,
-      reconnectDelay: options.reconnectDelay || 2000,
-      keepAliveInterval: options.keepAliveInterval || 20000,
-      connectionTimeout: options.connectionTimeout || 20000,
-      
-      // Message handling
-      messageTimeout: options.messageTimeout || 30000,
-      retryMessages: options.retryMessages !== false,
-      maxMessageRetries: options.maxMessageRetries || 3,
-      
-      // Rate limiting
-      rateLimit: options.rateLimit || { messages: 20, interval: 60000 },
-      
-      // QR code display
-      qrTerminal: options.qrTerminal !== false,
-      qrCallback: options.qrCallback,
-      
-      // Logging
-      logLevel: options.logLevel || 'info',
-      printQRInTerminal: options.printQRInTerminal !== false,
-      
-      // Browser emulation
-      browser: options.browser || ['WhatsApp Web Library', 'Chrome', '120.0.0.0'],
-      
-      ...options
-    };
-    
-    // Client state
-    this.state = 'disconnected'; // disconnected, connecting, connected, authenticated, ready
-    this.isReady = false;
-    this.isAuthenticated = false;
-    this.sessionData = null;
-    this.userInfo = null;
-    this.contacts = new Map();
-    this.chats = new Map();
-    
-    // Initialize core components
-    this.websocket = new RealWebSocketManager(this.options);
-    this.session = new SessionManager(this.options);
-    this.binaryHandler = new BinaryHandler();
-    
-    // Message handling
-    this.messageQueue = [];
-    this.pendingMessages = new Map();
-    this.messagingActive = false;
-    this.rateLimitTimer = null;
-    
-    // Event handling
-    this.eventHandlers = new Map();
-    
-    this._setupInternalEventHandlers();
-    this._startMessageProcessor();
-    
-    logger.info('Production WhatsApp Web client initialized');
-  }
+class ProductionWhatsAppClient extends WhatsAppClient {}
 
-  /**
-   * Initialize the client - Main entry point
-   */
-  async initialize() {
-    try {
-      logger.info('🚀 Initializing production WhatsApp Web client...');
-      this.state = 'connecting';
-      
-      // Connect to WhatsApp Web servers
-      await this.websocket.connect();
-      
-      // Try to restore existing session first
-      const existingSession = await this.session.load();
-      
-      if (existingSession && this._isSessionValid(existingSession)) {
-        logger.info('📱 Restoring existing session...');
-        await this._restoreSession(existingSession);
-      } else {
-        logger.info('🆕 Starting new authentication...');
-        await this._startNewAuthentication();
-      }
-      
-    } catch (error) {
-      logger.error('Failed to initialize client:', error);
-      this.state = 'disconnected';
-      this.emit('auth_failure', error.message);
-      throw new ConnectionError(`Initialization failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Send text message with full production features
-   */
-  async sendMessage(chatId, content, options = {}) {
-    try {
-      this._checkReady();
-      
-      // Validate and format chat ID
-      if (!validateChatId(chatId)) {
-        // Try to create valid chat ID from phone number
-        chatId = createChatId(chatId, options.isGroup);
-      }
-      
-      const messageData = {
-        to: chatId,
-        content: content,
-        type: options.type || 'text',
-        quotedMessageId: options.quotedMessageId,
-        mentions: options.mentions || [],
-        timestamp: Date.now()
-      };
-      
-      // Queue message with retry logic
-      return await this._queueMessage(async () => {
-        return await this._sendMessageInternal(messageData, options);
-      });
-      
-    } catch (error) {
-      logger.error('Failed to send message:', error);
-      throw new MessageError(`Send failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Send text message (shorthand)
-   */
-  async sendText(chatId, text, options = {}) {
-    return await this.sendMessage(chatId, text, { ...options, type: 'text' });
-  }
-
-  /**
-   * Send media message with upload handling
-   */
-  async sendMedia(chatId, media, options = {}) {
-    try {
-      this._checkReady();
-      
-      // Handle different media types
-      const mediaData = await this._processMedia(media, options);
-      
-      return await this.sendMessage(chatId, mediaData, {
-        ...options,
-        type: mediaData.type
-      });
-      
-    } catch (error) {
-      logger.error('Failed to send media:', error);
-      throw new MessageError(`Media send failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Get all contacts with full information
-   */
-  async getContacts() {
-    this._checkReady();
-    
-    // Return cached contacts or fetch from server
-    if (this.contacts.size === 0) {
-      await this._fetchContacts();
-    }
-    
-    return Array.from(this.contacts.values());
-  }
-
-  /**
-   * Get all chats with messages
-   */
-  async getChats() {
-    this._checkReady();
-    
-    if (this.chats.size === 0) {
-      await this._fetchChats();
-    }
-    
-    return Array.from(this.chats.values());
-  }
-
-  /**
-   * Get chat by ID
-   */
-  async getChatById(chatId) {
-    this._checkReady();
-    
-    if (!this.chats.has(chatId)) {
-      await this._fetchChatInfo(chatId);
-    }
-    
-    return this.chats.get(chatId);
-  }
-
-  /**
-   * Create group chat
-   */
-  async createGroup(name, participants) {
-    this._checkReady();
-    
-    const groupData = {
-      name: name,
-      participants: participants.map(p => formatPhoneNumber(p))
-    };
-    
-    return await this._createGroupInternal(groupData);
-  }
-
-  /**
-   * Join group via invite link
-   */
-  async joinGroupViaLink(inviteLink) {
-    this._checkReady();
-    
-    return await this._joinGroupInternal(inviteLink);
-  }
-
-  /**
-   * Set profile picture
-   */
-  async setProfilePicture(imageBuffer) {
-    this._checkReady();
-    
-    return await this._setProfilePictureInternal(imageBuffer);
-  }
-
-  /**
-   * Get profile picture
-   */
-  async getProfilePicture(chatId) {
-    this._checkReady();
-    
-    return await this._getProfilePictureInternal(chatId);
-  }
-
-  /**
-   * Update presence (typing, recording, etc.)
-   */
-  async updatePresence(chatId, presence) {
-    this._checkReady();
-    
-    const validPresences = ['available', 'unavailable', 'composing', 'recording', 'paused'];
-    if (!validPresences.includes(presence)) {
-      throw new Error(`Invalid presence: ${presence}`);
-    }
-    
-    return await this._updatePresenceInternal(chatId, presence);
-  }
-
-  /**
-   * Mark messages as read
-   */
-  async markAsRead(chatId, messageIds = []) {
-    this._checkReady();
-    
-    return await this._markAsReadInternal(chatId, messageIds);
-  }
-
-  /**
-   * Delete message
-   */
-  async deleteMessage(chatId, messageId, forEveryone = false) {
-    this._checkReady();
-    
-    return await this._deleteMessageInternal(chatId, messageId, forEveryone);
-  }
-
-  /**
-   * React to message
-   */
-  async reactToMessage(chatId, messageId, emoji) {
-    this._checkReady();
-    
-    return await this._reactToMessageInternal(chatId, messageId, emoji);
-  }
-
-  /**
-   * Get client info with full details
-   */
-  getInfo() {
-    return {
-      state: this.state,
-      isReady: this.isReady,
-      isAuthenticated: this.isAuthenticated,
-      user: this.userInfo,
-      session: this.sessionData ? {
-        hasSession: true,
-        clientId: this.sessionData.clientId,
-        lastAuth: this.sessionData.timestamp
-      } : null,
-      connection: {
-        state: this.websocket.connectionState,
-        attempts: this.websocket.connectionAttempts,
-        server: this.websocket._getNextServer()
-      },
-      stats: {
-        contacts: this.contacts.size,
-        chats: this.chats.size,
-        messagesSent: this.websocket.messageSentCount
-      }
-    };
-  }
-
-  /**
-   * Logout and cleanup
-   */
-  async logout() {
-    try {
-      logger.info('Logging out from WhatsApp Web...');
-      
-      await this.websocket.disconnect();
-      await this.session.clear();
-      
-      this._resetState();
-      this.emit('logged_out');
-      
-    } catch (error) {
-      logger.error('Error during logout:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Destroy client and cleanup all resources
-   */
-  async destroy() {
-    try {
-      logger.info('Destroying WhatsApp Web client...');
-      
-      // Stop all timers
-      if (this.rateLimitTimer) {
-        clearInterval(this.rateLimitTimer);
-      }
-      
-      // Disconnect WebSocket
-      await this.websocket.disconnect();
-      
-      // Clear all data
-      this._resetState();
-      this.removeAllListeners();
-      
-      logger.info('Client destroyed successfully');
-      
-    } catch (error) {
-      logger.error('Error during client destruction:', error);
-    }
-  }
-
-  /**
-   * Setup internal event handlers
-   */
-  _setupInternalEventHandlers() {
-    // WebSocket events
-    this.websocket.on('connected', () => {
-      this.state = 'connected';
-      this.emit('connecting');
-    });
-
-    this.websocket.on('qr', (qrCode) => {
-      this.emit('qr', qrCode);
-      
-      if (this.options.printQRInTerminal) {
-        console.log('\n📱 Scan this QR code with WhatsApp:');
-        console.log('═'.repeat(50));
-        qrTerminal.generate(qrCode, { small: true });
-        console.log('═'.repeat(50));
-        console.log('✅ Real QR code from WhatsApp Web servers!\n');
-      }
-      
-      if (this.options.qrCallback) {
-        this.options.qrCallback(qrCode);
-      }
-    });
-
-    this.websocket.on('authenticated', async (sessionData) => {
-      this.isAuthenticated = true;
-      this.sessionData = sessionData;
-      this.state = 'authenticated';
-      
-      // Save session
-      await this.session.save(sessionData);
-      
-      this.emit('authenticated', sessionData);
-      this._finalizeInitialization();
-    });
-
-    this.websocket.on('binary_message', (data) => {
-      this._handleIncomingMessage(data);
-    });
-
-    this.websocket.on('json_message', (data) => {
-      this._handleJsonMessage(data);
-    });
-
-    this.websocket.on('connection_lost', () => {
-      this.state = 'connecting';
-      this.emit('connection_lost');
-    });
-
-    this.websocket.on('error', (error) => {
-      logger.error('WebSocket error:', error);
-      this.emit('error', error);
-    });
-  }
-
-  /**
-   * Start new authentication process
-   */
-  async _startNewAuthentication() {
-    if (this.options.authStrategy === 'pairing' && this.options.phoneNumber) {
-      await this._initializePairingAuth();
-    } else {
-      await this.websocket.initializeAuth();
-    }
-  }
-
-  /**
-   * Restore existing session
-   */
-  async _restoreSession(sessionData) {
-    this.sessionData = sessionData;
-    await this.websocket.loginWithSession(sessionData);
-  }
-
-  /**
-   * Finalize initialization after authentication
-   */
-  _finalizeInitialization() {
-    this.state = 'ready';
-    this.isReady = true;
-    
-    logger.info('✅ WhatsApp Web client is ready for production use!');
-    this.emit('ready');
-  }
-
-  /**
-   * Check if client is ready for operations
-   */
-  _checkReady() {
-    if (!this.isReady) {
-      throw new Error('Client is not ready. Call initialize() first.');
-    }
-    
-    if (!this.isAuthenticated) {
-      throw new AuthError('Client is not authenticated');
-    }
-  }
-
-  /**
-   * Validate session data
-   */
-  _isSessionValid(session) {
-    return session && 
-           session.clientToken && 
-           session.serverToken && 
-           session.clientId &&
-           session.encKey && 
-           session.macKey &&
-           (Date.now() - session.timestamp) < (7 * 24 * 60 * 60 * 1000); // 7 days
-  }
-
-  /**
-   * Reset client state
-   */
-  _resetState() {
-    this.state = 'disconnected';
-    this.isReady = false;
-    this.isAuthenticated = false;
-    this.sessionData = null;
-    this.userInfo = null;
-    this.contacts.clear();
-    this.chats.clear();
-    this.messageQueue = [];
-    this.pendingMessages.clear();
-  }
-
-  /**
-   * Start message processing queue
-   */
-  _startMessageProcessor() {
-    this.rateLimitTimer = setInterval(() => {
-      this._processMessageQueue();
-    }, Math.ceil(this.options.rateLimit.interval / this.options.rateLimit.messages));
-  }
-
-  /**
-   * Process message queue with rate limiting
-   */
-  async _processMessageQueue() {
-    if (this.messagingActive || this.messageQueue.length === 0 || !this.isReady) {
-      return;
-    }
-    
-    this.messagingActive = true;
-    
-    try {
-      const { function: messageFunction, resolve, reject } = this.messageQueue.shift();
-      const result = await messageFunction();
-      resolve(result);
-    } catch (error) {
-      const item = this.messageQueue[this.messageQueue.length - 1];
-      if (item && item.reject) {
-        item.reject(error);
-      }
-    } finally {
-      this.messagingActive = false;
-    }
-  }
-
-  /**
-   * Queue message with retry logic
-   */
-  async _queueMessage(messageFunction) {
-    return new Promise((resolve, reject) => {
-      this.messageQueue.push({
-        function: messageFunction,
-        resolve,
-        reject,
-        attempts: 0,
-        maxAttempts: this.options.maxMessageRetries
-      });
-    });
-  }
-
-  // Placeholder methods for full implementation
-  async _sendMessageInternal(messageData, options) { /* Implementation */ }
-  async _processMedia(media, options) { /* Implementation */ }
-  async _fetchContacts() { /* Implementation */ }
-  async _fetchChats() { /* Implementation */ }
-  async _fetchChatInfo(chatId) { /* Implementation */ }
-  async _createGroupInternal(groupData) { /* Implementation */ }
-  async _joinGroupInternal(inviteLink) { /* Implementation */ }
-  async _setProfilePictureInternal(imageBuffer) { /* Implementation */ }
-  async _getProfilePictureInternal(chatId) { /* Implementation */ }
-  async _updatePresenceInternal(chatId, presence) { /* Implementation */ }
-  async _markAsReadInternal(chatId, messageIds) { /* Implementation */ }
-  async _deleteMessageInternal(chatId, messageId, forEveryone) { /* Implementation */ }
-  async _reactToMessageInternal(chatId, messageId, emoji) { /* Implementation */ }
-  async _initializePairingAuth() { /* Implementation */ }
-  _handleIncomingMessage(data) { /* Implementation */ }
-  _handleJsonMessage(data) { /* Implementation */ }
-}
-
-module.exports = ProductionWhatsAppClient;
\ No newline at end of file
+module.exports = ProductionWhatsAppClient;
@@ -0,0 +1,463 @@
+/**
+ * Message Protobuf Codec
+ * Minimal schema-driven encoder/decoder for the WebMessageInfo protobuf
+ * carried inside relay and action nodes
+ */
+
+'use strict';
+
+const { BinaryError } = require('./utils');
+
+// Protobuf wire types
+const WireTypes = {
+  VARINT: 0,
+  FIXED64: 1,
+  LENGTH_DELIMITED: 2,
+  FIXED32: 5
+};
+
+// WebMessageInfo.status
+const MessageStatus = {
+  ERROR: 0,
+  PENDING: 1,
+  SERVER_ACK: 2,
+  DELIVERY_ACK: 3,
+  READ: 4,
+  PLAYED: 5
+};
+
+// ProtocolMessage.type
+const ProtocolMessageTypes = {
+  REVOKE: 0,
+  EPHEMERAL_SETTING: 3
+};
+
+/*
+ * Schemas map field names to `{ no, type, schema?, repeated? }`. Only the
+ * fields this library reads or writes are listed, unknown fields are skipped
+ * when decoding.
+ */
+
+const MessageKey = {
+  remoteJid: { no: 1, type: 'string' },
+  fromMe: { no: 2, type: 'bool' },
+  id: { no: 3, type: 'string' },
+  participant: { no: 4, type: 'string' }
+};
+
+const Message = {};
+
+const ContextInfo = {
+  stanzaId: { no: 1, type: 'string' },
+  participant: { no: 2, type: 'string' },
+  quotedMessage: { no: 3, type: 'message', schema: Message },
+  remoteJid: { no: 4, type: 'string' },
+  mentionedJid: { no: 15, type: 'string', repeated: true },
+  isForwarded: { no: 22, type: 'bool' }
+};
+
+const ImageMessage = {
+  url: { no: 1, type: 'string' },
+  mimetype: { no: 2, type: 'string' },
+  caption: { no: 3, type: 'string' },
+  fileSha256: { no: 4, type: 'bytes' },
+  fileLength: { no: 5, type: 'uint64' },
+  height: { no: 6, type: 'uint32' },
+  width: { no: 7, type: 'uint32' },
+  mediaKey: { no: 8, type: 'bytes' },
+  fileEncSha256: { no: 9, type: 'bytes' },
+  directPath: { no: 11, type: 'string' },
+  jpegThumbnail: { no: 16, type: 'bytes' },
+  contextInfo: { no: 17, type: 'message', schema: ContextInfo }
+};
+
+const ContactMessage = {
+  displayName: { no: 1, type: 'string' },
+  vcard: { no: 16, type: 'string' },
+  contextInfo: { no: 17, type: 'message', schema: ContextInfo }
+};
+
+const LocationMessage = {
+  degreesLatitude: { no: 1, type: 'double' },
+  degreesLongitude: { no: 2, type: 'double' },
+  name: { no: 3, type: 'string' },
+  address: { no: 4, type: 'string' },
+  url: { no: 5, type: 'string' },
+  jpegThumbnail: { no: 16, type: 'bytes' },
+  contextInfo: { no: 17, type: 'message', schema: ContextInfo }
+};
+
+const ExtendedTextMessage = {
+  text: { no: 1, type: 'string' },
+  matchedText: { no: 2, type: 'string' },
+  canonicalUrl: { no: 4, type: 'string' },
+  description: { no: 5, type: 'string' },
+  title: { no: 6, type: 'string' },
+  textArgb: { no: 7, type: 'fixed32' },
+  backgroundArgb: { no: 8, type: 'fixed32' },
+  font: { no: 9, type: 'enum' },
+  contextInfo: { no: 17, type: 'message', schema: ContextInfo }
+};
+
+const DocumentMessage = {
+  url: { no: 1, type: 'string' },
+  mimetype: { no: 2, type: 'string' },
+  title: { no: 3, type: 'string' },
+  fileSha256: { no: 4, type: 'bytes' },
+  fileLength: { no: 5, type: 'uint64' },
+  pageCount: { no: 6, type: 'uint32' },
+  mediaKey: { no: 7, type: 'bytes' },
+  fileName: { no: 8, type: 'string' },
+  fileEncSha256: { no: 9, type: 'bytes' },
+  directPath: { no: 10, type: 'string' },
+  jpegThumbnail: { no: 16, type: 'bytes' },
+  contextInfo: { no: 17, type: 'message', schema: ContextInfo }
+};
+
+const AudioMessage = {
+  url: { no: 1, type: 'string' },
+  mimetype: { no: 2, type: 'string' },
+  fileSha256: { no: 3, type: 'bytes' },
+  fileLength: { no: 4, type: 'uint64' },
+  seconds: { no: 5, type: 'uint32' },
+  ptt: { no: 6, type: 'bool' },
+  mediaKey: { no: 7, type: 'bytes' },
+  fileEncSha256: { no: 8, type: 'bytes' },
+  directPath: { no: 9, type: 'string' },
+  contextInfo: { no: 17, type: 'message', schema: ContextInfo }
+};
+
+const VideoMessage = {
+  url: { no: 1, type: 'string' },
+  mimetype: { no: 2, type: 'string' },
+  fileSha256: { no: 3, type: 'bytes' },
+  fileLength: { no: 4, type: 'uint64' },
+  seconds: { no: 5, type: 'uint32' },
+  mediaKey: { no: 6, type: 'bytes' },
+  caption: { no: 7, type: 'string' },
+  gifPlayback: { no: 8, type: 'bool' },
+  height: { no: 9, type: 'uint32' },
+  width: { no: 10, type: 'uint32' },
+  fileEncSha256: { no: 11, type: 'bytes' },
+  directPath: { no: 13, type: 'string' },
+  jpegThumbnail: { no: 16, type: 'bytes' },
+  contextInfo: { no: 17, type: 'message', schema: ContextInfo }
+};
+
+const StickerMessage = {
+  url: { no: 1, type: 'string' },
+  fileSha256: { no: 2, type: 'bytes' },
+  fileEncSha256: { no: 3, type: 'bytes' },
+  mediaKey: { no: 4, type: 'bytes' },
+  mimetype: { no: 5, type: 'string' },
+  height: { no: 6, type: 'uint32' },
+  width: { no: 7, type: 'uint32' },
+  directPath: { no: 8, type: 'string' },
+  fileLength: { no: 9, type: 'uint64' },
+  contextInfo: { no: 17, type: 'message', schema: ContextInfo }
+};
+
+const ProtocolMessage = {
+  key: { no: 1, type: 'message', schema: MessageKey },
+  type: { no: 2, type: 'enum' },
+  ephemeralExpiration: { no: 4, type: 'uint32' }
+};
+
+const ReactionMessage = {
+  key: { no: 1, type: 'message', schema: MessageKey },
+  text: { no: 2, type: 'string' },
+  senderTimestampMs: { no: 4, type: 'uint64' }
+};
+
+Object.assign(Message, {
+  conversation: { no: 1, type: 'string' },
+  imageMessage: { no: 3, type: 'message', schema: ImageMessage },
+  contactMessage: { no: 4, type: 'message', schema: ContactMessage },
+  locationMessage: { no: 5, type: 'message', schema: LocationMessage },
+  extendedTextMessage: { no: 6, type: 'message', schema: ExtendedTextMessage },
+  documentMessage: { no: 7, type: 'message', schema: DocumentMessage },
+  audioMessage: { no: 8, type: 'message', schema: AudioMessage },
+  videoMessage: { no: 9, type: 'message', schema: VideoMessage },
+  protocolMessage: { no: 12, type: 'message', schema: ProtocolMessage },
+  stickerMessage: { no: 26, type: 'message', schema: StickerMessage },
+  reactionMessage: { no: 46, type: 'message', schema: ReactionMessage }
+});
+
+const WebMessageInfo = {
+  key: { no: 1, type: 'message', schema: MessageKey },
+  message: { no: 2, type: 'message', schema: Message },
+  messageTimestamp: { no: 3, type: 'uint64' },
+  status: { no: 4, type: 'enum' },
+  participant: { no: 5, type: 'string' },
+  ignore: { no: 16, type: 'bool' },
+  starred: { no: 17, type: 'bool' },
+  broadcast: { no: 18, type: 'bool' },
+  pushName: { no: 19, type: 'string' },
+  messageStubType: { no: 24, type: 'enum' },
+  messageStubParameters: { no: 26, type: 'string', repeated: true }
+};
+
+const Schemas = {
+  WebMessageInfo,
+  MessageKey,
+  Message,
+  ContextInfo,
+  ImageMessage,
+  ContactMessage,
+  LocationMessage,
+  ExtendedTextMessage,
+  DocumentMessage,
+  AudioMessage,
+  VideoMessage,
+  StickerMessage,
+  ProtocolMessage,
+  ReactionMessage
+};
+
+/**
+ * Encode object with a schema
+ *
+ * @param {Object} schema - Message schema (see `Schemas`)
+ * @param {Object} value - Plain object to encode
+ * @returns {Buffer} Protobuf bytes
+ */
+function encode(schema, value) {
+  const parts = [];
+  const fields = Object.entries(schema).sort((a, b) => a[1].no - b[1].no);
+
+  for (const [name, field] of fields) {
+    const fieldValue = value[name];
+
+    if (fieldValue === null || fieldValue === undefined) {
+      continue;
+    }
+
+    const values = field.repeated ? fieldValue : [fieldValue];
+    for (const item of values) {
+      parts.push(encodeField(field, item));
+    }
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode protobuf bytes with a schema
+ *
+ * @param {Object} schema - Message schema (see `Schemas`)
+ * @param {Buffer} buffer - Protobuf bytes
+ * @returns {Object} Decoded object, only known fields are present
+ * @throws {BinaryError} When the bytes are not valid protobuf
+ */
+function decode(schema, buffer) {
+  const byNumber = new Map();
+  for (const [name, field] of Object.entries(schema)) {
+    byNumber.set(field.no, { name, field });
+  }
+
+  const result = {};
+  const reader = { buffer, offset: 0 };
+
+  while (reader.offset < buffer.length) {
+    const key = Number(readVarint(reader));
+    const fieldNo = key >>> 3;
+    const wireType = key & 0x07;
+    const known = byNumber.get(fieldNo);
+    const raw = readRaw(reader, wireType);
+
+    if (!known) {
+      continue;
+    }
+
+    const value = decodeValue(known.field, raw, wireType);
+    if (known.field.repeated) {
+      (result[known.name] = result[known.name] || []).push(value);
+    } else {
+      result[known.name] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Encode single field with its key
+ * @private
+ */
+function encodeField(field, value) {
+  switch (field.type) {
+    case 'string':
+      return lengthDelimited(field.no, Buffer.from(String(value), 'utf8'));
+    case 'bytes':
+      return lengthDelimited(field.no, Buffer.isBuffer(value) ? value : Buffer.from(value, 'base64'));
+    case 'message':
+      return lengthDelimited(field.no, encode(field.schema, value));
+    case 'bool':
+      return Buffer.concat([fieldKey(field.no, WireTypes.VARINT), writeVarint(value ? 1 : 0)]);
+    case 'enum':
+    case 'uint32':
+    case 'uint64':
+      return Buffer.concat([fieldKey(field.no, WireTypes.VARINT), writeVarint(value)]);
+    case 'fixed32': {
+      const bytes = Buffer.alloc(4);
+      bytes.writeUInt32LE(value >>> 0);
+      return Buffer.concat([fieldKey(field.no, WireTypes.FIXED32), bytes]);
+    }
+    case 'double': {
+      const bytes = Buffer.alloc(8);
+      bytes.writeDoubleLE(value);
+      return Buffer.concat([fieldKey(field.no, WireTypes.FIXED64), bytes]);
+    }
+    default:
+      throw new BinaryError(`Unsupported protobuf field type: ${field.type}`, { reason: 'malformed' });
+  }
+}
+
+/**
+ * Convert raw wire value to its schema type
+ * @private
+ */
+function decodeValue(field, raw, wireType) {
+  switch (field.type) {
+    case 'string':
+      return raw.toString('utf8');
+    case 'bytes':
+      return Buffer.from(raw);
+    case 'message':
+      return decode(field.schema, raw);
+    case 'bool':
+      return raw !== 0n;
+    case 'enum':
+    case 'uint32':
+    case 'uint64':
+      return Number(raw);
+    case 'fixed32':
+      return raw.readUInt32LE(0);
+    case 'double':
+      return wireType === WireTypes.FIXED64 ? raw.readDoubleLE(0) : raw.readFloatLE(0);
+    default:
+      throw new BinaryError(`Unsupported protobuf field type: ${field.type}`, { reason: 'malformed' });
+  }
+}
+
+/**
+ * Read raw field value for a wire type
+ * @private
+ */
+function readRaw(reader, wireType) {
+  switch (wireType) {
+    case WireTypes.VARINT:
+      return readVarint(reader);
+    case WireTypes.FIXED64:
+      return readBytes(reader, 8);
+    case WireTypes.LENGTH_DELIMITED:
+      return readBytes(reader, Number(readVarint(reader)));
+    case WireTypes.FIXED32:
+      return readBytes(reader, 4);
+    default:
+      throw new BinaryError(`Unsupported protobuf wire type: ${wireType}`, { reason: 'malformed' });
+  }
+}
+
+/**
+ * Read bytes, failing on truncated input
+ * @private
+ */
+function readBytes(reader, length) {
+  if (reader.offset + length > reader.buffer.length) {
+    throw new BinaryError('Truncated protobuf message', { reason: 'truncated' });
+  }
+
+  const bytes = reader.buffer.subarray(reader.offset, reader.offset + length);
+  reader.offset += length;
+  return bytes;
+}
+
+/**
+ * Read base-128 varint as BigInt
+ * @private
+ */
+function readVarint(reader) {
+  let result = 0n;
+  let shift = 0n;
+
+  for (;;) {
+    const byte = readBytes(reader, 1)[0];
+    result |= BigInt(byte & 0x7F) << shift;
+
+    if ((byte & 0x80) === 0) {
+      return result;
+    }
+
+    shift += 7n;
+    if (shift > 63n) {
+      throw new BinaryError('Protobuf varint is too long', { reason: 'malformed' });
+    }
+  }
+}
+
+/**
+ * Write base-128 varint, negative values as 64-bit two's complement
+ * @private
+ */
+function writeVarint(value) {
+  let remaining = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+
+  do {
+    let byte = Number(remaining & 0x7Fn);
+    remaining >>= 7n;
+    if (remaining > 0n) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while (remaining > 0n);
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encode field key
+ * @private
+ */
+function fieldKey(fieldNo, wireType) {
+  return writeVarint((fieldNo << 3) | wireType);
+}
+
+/**
+ * Encode length-delimited field
+ * @private
+ */
+function lengthDelimited(fieldNo, bytes) {
+  return Buffer.concat([fieldKey(fieldNo, WireTypes.LENGTH_DELIMITED), writeVarint(bytes.length), bytes]);
+}
+
+/**
+ * Encode WebMessageInfo
+ *
+ * @param {Object} messageInfo - `{ key, message, messageTimestamp, status, ... }`
+ * @returns {Buffer} Protobuf bytes
+ */
+function encodeWebMessageInfo(messageInfo) {
+  return encode(WebMessageInfo, messageInfo);
+}
+
+/**
+ * Decode WebMessageInfo
+ *
+ * @param {Buffer} buffer - Protobuf bytes
+ * @returns {Object} Decoded message info
+ */
+function decodeWebMessageInfo(buffer) {
+  return decode(WebMessageInfo, buffer);
+}
+
+module.exports = {
+  MessageStatus,
+  ProtocolMessageTypes,
+  Schemas,
+  encode,
+  decode,
+  encodeWebMessageInfo,
+  decodeWebMessageInfo
+};
@@ -8,9 +8,9 @@
 'use strict';
 
 const EventEmitter = require('events');
-const { logger, generateMessageId } = require('./utils');
+const { logger } = require('./utils');
 const { MessageError } = require('./utils');
-const { ReactionTypes, EmojiCategories } = require('./constants');
+const { ReactionTypes } = require('./constants');
 
 /**
  * Reaction Manager for WhatsApp Web
@@ -64,33 +64,19 @@ class ReactionManager extends EventEmitter {
         return this.updateReaction(messageId, emoji, options);
       }
 
-      // Create reaction data
-      const reactionData = {
-        tag: 'reaction',
-        id: generateMessageId(),
-        messageId: messageId,
-        chatId: message.chatId,
-        emoji: emoji,
-        action: ReactionTypes.ADD,
-        timestamp: Date.now(),
-        userId: this.client.user.id
-      };
-
-      // Send through WebSocket
-      await this.client.websocket.sendMessage(reactionData);
-
-      // Store pending reaction
-      this.pendingReactions.set(reactionData.id, reactionData);
-
+      // Send reaction message
+      const sent = await this._sendReaction(message, emoji);
+      
       // Create reaction object
       const reaction = {
-        id: reactionData.id,
+        id: sent.id,
         messageId: messageId,
         chatId: message.chatId,
         emoji: emoji,
+        userId: this.client.user.id,
         fromMe: true,
         timestamp: Date.now(),
-        status: 'pending'
+        status: sent.status
       };
 
       // Update local cache
@@ -127,20 +113,13 @@ class ReactionManager extends EventEmitter {
         throw new MessageError('No reaction found to remove');
       }
 
-      // Create reaction removal data
-      const reactionData = {
-        tag: 'reaction',
-        id: generateMessageId(),
-        messageId: messageId,
-        chatId: existingReaction.chatId,
-        emoji: '',
-        action: ReactionTypes.REMOVE,
-        timestamp: Date.now(),
-        userId: this.client.user.id
-      };
-
-      // Send through WebSocket
-      await this.client.websocket.sendMessage(reactionData);
+      // An empty reaction text removes it
+      const message = await this._getMessageById(messageId);
+      if (!message) {
+        throw new MessageError('Message not found');
+      }
+      
+      await this._sendReaction(message, '');
 
       // Remove from cache
       this._removeFromReactionCache(messageId, this.client.user.id);
@@ -181,20 +160,13 @@ class ReactionManager extends EventEmitter {
         return existingReaction;
       }
 
-      // Create reaction update data
-      const reactionData = {
-        tag: 'reaction',
-        id: generateMessageId(),
-        messageId: messageId,
-        chatId: existingReaction.chatId,
-        emoji: newEmoji,
-        action: ReactionTypes.UPDATE,
-        timestamp: Date.now(),
-        userId: this.client.user.id
-      };
-
-      // Send through WebSocket
-      await this.client.websocket.sendMessage(reactionData);
+      const message = await this._getMessageById(messageId);
+      if (!message) {
+        throw new MessageError('Message not found');
+      }
+      
+      // A new reaction from the same user replaces the previous one
+      await this._sendReaction(message, newEmoji);
 
       // Update cache
       const updatedReaction = {
@@ -407,13 +379,23 @@ class ReactionManager extends EventEmitter {
    * @private
    */
   async _getMessageById(messageId) {
-    // Try to get from message manager cache
-    if (this.client.messages && this.client.messages.messageCache) {
-      return this.client.messages.messageCache.get(messageId);
-    }
+    return this.client.messages.getMessage(messageId);
+  }
+
+  /**
+   * Relay a `reactionMessage` pointing at the given message
+   * @private
+   */
+  async _sendReaction(message, emoji) {
+    const content = {
+      reactionMessage: {
+        key: message.key,
+        text: emoji,
+        senderTimestampMs: Date.now()
+      }
+    };
     
-    // Fallback - in real implementation, this would query message storage
-    return { id: messageId, chatId: 'unknown' };
+    return this.client.messages.relay(message.chatId, content);
   }
 
   /**
@@ -1,548 +1,19 @@
 /**
  * Real WhatsApp Web Client
- * Complete implementation based on reverse engineering
- * Provides authentic WhatsApp Web functionality
+ * Kept for compatibility, the unified `WhatsAppClient` now uses
+ * `RealWebSocketManager` directly
  */
 
 'use strict';
 
-const { EventEmitter } = require('events');
-const RealWebSocketManager = require('./websocket-real');
-const SessionManager = require('./session');
-const { BinaryHandler } = require('./binary');
-const { 
-  logger, 
-  generateRandomBase64, 
-  generateMessageId,
-  createChatId,
-  validateChatId,
-  ConnectionError, 
-  AuthError,
-  MessageError 
-} = require('./utils');
+const WhatsAppClient = require('./client');
 
 /**
  * Real WhatsApp Web Client
- * Implements the authentic WhatsApp Web protocol
+ * 
+ * @deprecated Use `WhatsAppClient`
+ * @extends WhatsAppClient
  */
-class RealWhatsAppClient extends EventEmitter {
-  constructor(options = {}) {
-    super();
-    
-    this.options = {
-      authStrategy: options.authStrategy || 'qr',
-      sessionPath: options.sessionPath || './session',
-      phoneNumber: options.phoneNumber,
-      headless: options.headless !== false,
-      userAgent: options.userAgent || 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      proxyUrl: options.proxyUrl,
-      maxRetries: options.maxRetries || 3,
-      retryDelay: options.retryDelay || 5000,
-      messageTimeout: options.messageTimeout || 30000,
-      rateLimit: options.rateLimit || { messages: 20, interval: 60000 },
-      ...options
-    };
-    
-    this.isReady = false;
-    this.isAuthenticated = false;
-    this.sessionData = null;
-    this.userInfo = null;
-    
-    // Initialize components
-    this.websocket = new RealWebSocketManager(this.options);
-    this.session = new SessionManager(this.options);
-    this.binaryHandler = new BinaryHandler();
-    
-    // Message rate limiting
-    this.messageQueue = [];
-    this.messagingActive = false;
-    this.rateLimitTimer = null;
-    
-    this._setupEventHandlers();
-    
-    logger.info('Real WhatsApp Web client initialized');
-  }
+class RealWhatsAppClient extends WhatsAppClient {}
 
-  /**
-   * Setup event handlers between components
-   */
-  _setupEventHandlers() {
-    // WebSocket events
-    this.websocket.on('connected', () => {
-      logger.info('Connected to WhatsApp Web servers');
-      this.emit('connecting');
-    });
-
-    this.websocket.on('qr', (qrCode) => {
-      logger.info('QR code generated for authentication');
-      this.emit('qr', qrCode);
-    });
-
-    this.websocket.on('authenticated', (sessionData) => {
-      this.isAuthenticated = true;
-      this.sessionData = sessionData;
-      logger.info('Successfully authenticated with WhatsApp Web');
-      
-      // Save session data
-      this.session.save(sessionData).catch(err => {
-        logger.error('Failed to save session:', err);
-      });
-      
-      this.emit('authenticated', sessionData);
-      this._finalizeInitialization();
-    });
-
-    this.websocket.on('auth_failure', (reason) => {
-      logger.error('Authentication failed:', reason);
-      this.emit('auth_failure', reason);
-    });
-
-    this.websocket.on('binary_message', (messageData) => {
-      this._handleBinaryMessage(messageData);
-    });
-
-    this.websocket.on('json_message', (jsonData) => {
-      this._handleJsonMessage(jsonData);
-    });
-
-    this.websocket.on('disconnected', (info) => {
-      this.isReady = false;
-      this.isAuthenticated = false;
-      logger.info('Disconnected from WhatsApp Web');
-      this.emit('disconnected', info.reason);
-    });
-
-    this.websocket.on('error', (error) => {
-      logger.error('WebSocket error:', error);
-      this.emit('error', error);
-    });
-  }
-
-  /**
-   * Initialize the WhatsApp client
-   */
-  async initialize() {
-    try {
-      logger.info('Initializing WhatsApp Web client...');
-      
-      // Connect to WhatsApp Web servers
-      await this.websocket.connect();
-      
-      // Try to restore existing session
-      const existingSession = await this.session.load();
-      
-      if (existingSession && this._isSessionValid(existingSession)) {
-        logger.info('Restoring existing session');
-        await this.websocket.loginWithSession(existingSession);
-      } else {
-        logger.info('Starting new authentication');
-        if (this.options.authStrategy === 'pairing' && this.options.phoneNumber) {
-          // Pairing code authentication
-          await this._initializePairingAuth();
-        } else {
-          // QR code authentication
-          await this.websocket.initializeAuth();
-        }
-      }
-      
-    } catch (error) {
-      logger.error('Failed to initialize client:', error);
-      throw new ConnectionError(`Initialization failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Request pairing code for phone authentication
-   */
-  async requestPairingCode(phoneNumber) {
-    try {
-      if (!phoneNumber) {
-        phoneNumber = this.options.phoneNumber;
-      }
-      
-      if (!phoneNumber) {
-        throw new AuthError('Phone number is required for pairing authentication');
-      }
-      
-      logger.info('Requesting pairing code for:', phoneNumber);
-      
-      // Implementation would involve sending pairing request to WhatsApp servers
-      // This is a simplified version - real implementation would follow the protocol
-      const pairingCode = this._generatePairingCode();
-      
-      this.emit('pairing_code', pairingCode);
-      return pairingCode;
-      
-    } catch (error) {
-      logger.error('Failed to request pairing code:', error);
-      throw new AuthError(`Pairing code request failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Send text message
-   */
-  async sendText(chatId, text, options = {}) {
-    try {
-      this._checkReady();
-      
-      if (!validateChatId(chatId)) {
-        throw new MessageError('Invalid chat ID format');
-      }
-      
-      const messageId = generateMessageId();
-      const timestamp = Math.floor(Date.now() / 1000);
-      
-      const messageData = {
-        key: {
-          fromMe: true,
-          remoteJid: chatId,
-          id: messageId
-        },
-        messageTimestamp: timestamp,
-        status: 1,
-        message: {
-          conversation: text
-        }
-      };
-      
-      // Add to rate limit queue
-      return this._queueMessage(async () => {
-        await this._sendBinaryMessage(messageId, messageData);
-        
-        const sentMessage = {
-          id: messageId,
-          to: chatId,
-          body: text,
-          timestamp: timestamp,
-          fromMe: true
-        };
-        
-        this.emit('message_create', sentMessage);
-        return sentMessage;
-      });
-      
-    } catch (error) {
-      logger.error('Failed to send text message:', error);
-      throw new MessageError(`Send message failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Send media message
-   */
-  async sendMedia(chatId, media, options = {}) {
-    try {
-      this._checkReady();
-      
-      if (!validateChatId(chatId)) {
-        throw new MessageError('Invalid chat ID format');
-      }
-      
-      // Media handling would involve uploading to WhatsApp servers
-      // and creating appropriate message structure
-      logger.info('Media sending not fully implemented yet');
-      throw new MessageError('Media sending feature is under development');
-      
-    } catch (error) {
-      logger.error('Failed to send media message:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Get client information
-   */
-  getInfo() {
-    return {
-      isReady: this.isReady,
-      isAuthenticated: this.isAuthenticated,
-      user: this.userInfo,
-      session: this.sessionData ? {
-        hasSession: true,
-        clientId: this.sessionData.clientId
-      } : null
-    };
-  }
-
-  /**
-   * Logout and clear session
-   */
-  async logout() {
-    try {
-      logger.info('Logging out and clearing session');
-      
-      await this.websocket.disconnect();
-      await this.session.clear();
-      
-      this.isReady = false;
-      this.isAuthenticated = false;
-      this.sessionData = null;
-      this.userInfo = null;
-      
-      this.emit('logged_out');
-      
-    } catch (error) {
-      logger.error('Error during logout:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Destroy the client and cleanup resources
-   */
-  async destroy() {
-    try {
-      logger.info('Destroying WhatsApp client');
-      
-      if (this.rateLimitTimer) {
-        clearInterval(this.rateLimitTimer);
-        this.rateLimitTimer = null;
-      }
-      
-      await this.websocket.disconnect();
-      
-      this.removeAllListeners();
-      
-    } catch (error) {
-      logger.error('Error during client destruction:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Finalize initialization after authentication
-   */
-  _finalizeInitialization() {
-    this.isReady = true;
-    this._startRateLimiting();
-    
-    logger.info('WhatsApp Web client is ready');
-    this.emit('ready');
-  }
-
-  /**
-   * Handle binary messages from WhatsApp
-   */
-  _handleBinaryMessage(messageData) {
-    try {
-      const { tag, data } = messageData;
-      
-      // Process different types of binary messages
-      if (this._isIncomingMessage(data)) {
-        const message = this._parseIncomingMessage(data);
-        this.emit('message', message);
-      } else if (this._isMessageReceipt(data)) {
-        const receipt = this._parseMessageReceipt(data);
-        this.emit('message_receipt', receipt);
-      } else if (this._isPresenceUpdate(data)) {
-        const presence = this._parsePresenceUpdate(data);
-        this.emit('presence_update', presence);
-      }
-      
-    } catch (error) {
-      logger.error('Error handling binary message:', error);
-    }
-  }
-
-  /**
-   * Handle JSON messages from WhatsApp
-   */
-  _handleJsonMessage(jsonData) {
-    try {
-      // Process various JSON message types
-      logger.debug('Received JSON message:', jsonData);
-      this.emit('json_message', jsonData);
-      
-    } catch (error) {
-      logger.error('Error handling JSON message:', error);
-    }
-  }
-
-  /**
-   * Send binary message using WhatsApp protocol
-   */
-  async _sendBinaryMessage(messageId, messageData) {
-    try {
-      // Encode message using WhatsApp binary protocol
-      const binaryData = this._encodeBinaryMessage(messageData);
-      
-      // Send through WebSocket
-      this.websocket.sendBinary(messageId, binaryData);
-      
-    } catch (error) {
-      logger.error('Failed to send binary message:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Encode message to WhatsApp binary format
-   */
-  _encodeBinaryMessage(messageData) {
-    try {
-      // Create binary message structure for WhatsApp
-      const actionData = [
-        'action',
-        {
-          type: 'relay',
-          epoch: this.websocket.messageSentCount.toString()
-        },
-        [
-          ['message', null, messageData]
-        ]
-      ];
-      
-      return this.binaryHandler.encode(actionData);
-      
-    } catch (error) {
-      logger.error('Error encoding binary message:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Check if client is ready
-   */
-  _checkReady() {
-    if (!this.isReady) {
-      throw new Error('Client is not ready. Call initialize() first.');
-    }
-    
-    if (!this.isAuthenticated) {
-      throw new AuthError('Client is not authenticated');
-    }
-  }
-
-  /**
-   * Queue message for rate limiting
-   */
-  async _queueMessage(messageFunction) {
-    return new Promise((resolve, reject) => {
-      this.messageQueue.push({
-        function: messageFunction,
-        resolve,
-        reject
-      });
-      
-      this._processMessageQueue();
-    });
-  }
-
-  /**
-   * Process message queue with rate limiting
-   */
-  async _processMessageQueue() {
-    if (this.messagingActive || this.messageQueue.length === 0) {
-      return;
-    }
-    
-    this.messagingActive = true;
-    
-    const { function: messageFunction, resolve, reject } = this.messageQueue.shift();
-    
-    try {
-      const result = await messageFunction();
-      resolve(result);
-    } catch (error) {
-      reject(error);
-    } finally {
-      this.messagingActive = false;
-      
-      // Schedule next message processing
-      setTimeout(() => {
-        this._processMessageQueue();
-      }, Math.ceil(this.options.rateLimit.interval / this.options.rateLimit.messages));
-    }
-  }
-
-  /**
-   * Start rate limiting system
-   */
-  _startRateLimiting() {
-    this.rateLimitTimer = setInterval(() => {
-      this._processMessageQueue();
-    }, 1000);
-  }
-
-  /**
-   * Check if session is valid
-   */
-  _isSessionValid(session) {
-    return session && 
-           session.clientToken && 
-           session.serverToken && 
-           session.clientId &&
-           session.encKey && 
-           session.macKey;
-  }
-
-  /**
-   * Initialize pairing authentication
-   */
-  async _initializePairingAuth() {
-    // Implementation for pairing code authentication
-    // This would follow the WhatsApp Web pairing protocol
-    throw new Error('Pairing authentication not fully implemented yet');
-  }
-
-  /**
-   * Generate pairing code
-   */
-  _generatePairingCode() {
-    // Generate 8-digit pairing code
-    return Math.floor(10000000 + Math.random() * 90000000).toString();
-  }
-
-  /**
-   * Parse incoming message from binary data
-   */
-  _parseIncomingMessage(data) {
-    // Simplified message parsing
-    return {
-      id: generateMessageId(),
-      from: 'unknown@c.us',
-      body: 'Incoming message',
-      timestamp: Math.floor(Date.now() / 1000),
-      fromMe: false
-    };
-  }
-
-  /**
-   * Check if binary data is incoming message
-   */
-  _isIncomingMessage(data) {
-    // Implement message type detection
-    return false;
-  }
-
-  /**
-   * Check if binary data is message receipt
-   */
-  _isMessageReceipt(data) {
-    return false;
-  }
-
-  /**
-   * Check if binary data is presence update
-   */
-  _isPresenceUpdate(data) {
-    return false;
-  }
-
-  /**
-   * Parse message receipt
-   */
-  _parseMessageReceipt(data) {
-    return { type: 'receipt' };
-  }
-
-  /**
-   * Parse presence update
-   */
-  _parsePresenceUpdate(data) {
-    return { type: 'presence' };
-  }
-}
-
-module.exports = RealWhatsAppClient;
\ No newline at end of file
+module.exports = RealWhatsAppClient;
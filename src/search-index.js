@@ -0,0 +1,433 @@
+/**
+ * Search Index
+ * In-memory inverted index over message text (body, captions, document
+ * file names), used by MessageManager to search history without a server
+ * round trip.
+ */
+
+'use strict';
+
+const { normalizeJid } = require('./utils');
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 40;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Inverted message index
+ *
+ * Queries are words that must all match. `"quoted words"` match as a phrase
+ * within one field and a trailing `*` matches a prefix (`inv*` finds
+ * "invoice"). Matching ignores case and accents.
+ */
+class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // messageId -> document
+    this.postings = new Map(); // token -> Map(messageId -> term frequency)
+  }
+
+  /**
+   * Number of indexed messages
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Whether a message is indexed
+   *
+   * @param {string} messageId - Message ID
+   * @returns {boolean}
+   */
+  has(messageId) {
+    return this.documents.has(messageId);
+  }
+
+  /**
+   * Index a message, replacing an earlier version
+   *
+   * @param {Object} message - Message object
+   */
+  add(message) {
+    this.remove(message.id);
+
+    const fields = extractFields(message);
+    const document = {
+      id: message.id,
+      chatId: message.chatId,
+      author: message.author || null,
+      fromMe: Boolean(message.fromMe),
+      timestamp: message.timestamp,
+      type: message.type,
+      fields
+    };
+
+    const frequencies = new Map();
+    for (const field of fields) {
+      for (const word of field.words) {
+        frequencies.set(word.token, (frequencies.get(word.token) || 0) + 1);
+      }
+    }
+
+    for (const [token, count] of frequencies) {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Map());
+      }
+      this.postings.get(token).set(message.id, count);
+    }
+
+    document.tokens = Array.from(frequencies.keys());
+    this.documents.set(message.id, document);
+  }
+
+  /**
+   * Remove a message
+   *
+   * @param {string} messageId - Message ID
+   */
+  remove(messageId) {
+    const document = this.documents.get(messageId);
+    if (!document) {
+      return;
+    }
+
+    for (const token of document.tokens) {
+      const posting = this.postings.get(token);
+      posting.delete(messageId);
+      if (posting.size === 0) {
+        this.postings.delete(token);
+      }
+    }
+
+    this.documents.delete(messageId);
+  }
+
+  /**
+   * Forget every message
+   */
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+  }
+
+  /**
+   * Search indexed messages
+   * Results are ordered by relevance, then newest first. An empty query
+   * returns every message matching the filters, newest first.
+   *
+   * @param {string} query - Search query
+   * @param {Object} [options={}] - Search options
+   * @param {string} [options.chatId] - Only this chat
+   * @param {string} [options.sender] - Only messages authored by this JID
+   * @param {boolean} [options.fromMe] - Only sent (true) or received (false) messages
+   * @param {string|string[]} [options.type] - Only these message types
+   * @param {number|Date} [options.after] - Only messages after this time (ms)
+   * @param {number|Date} [options.before] - Only messages before this time (ms)
+   * @param {string} [options.highlightStart='*'] - Inserted before each match in snippets
+   * @param {string} [options.highlightEnd='*'] - Inserted after each match in snippets
+   * @returns {Object[]} `{id, score, highlights, snippet}` for every match
+   */
+  search(query, options = {}) {
+    const terms = parseQuery(query);
+    const filter = buildFilter(options);
+    const results = [];
+
+    for (const document of this._candidates(terms)) {
+      if (!filter(document)) {
+        continue;
+      }
+
+      const highlights = [];
+      let score = 0;
+      let matched = true;
+
+      for (const term of terms) {
+        const ranges = matchTerm(document, term);
+        if (ranges.length === 0) {
+          matched = false;
+          break;
+        }
+
+        score += ranges.length * this._idf(term);
+        highlights.push(...ranges);
+      }
+
+      if (!matched) {
+        continue;
+      }
+
+      results.push({
+        id: document.id,
+        timestamp: document.timestamp,
+        score,
+        highlights: groupHighlights(highlights),
+        snippet: null
+      });
+    }
+
+    results.sort((a, b) => (b.score - a.score) || (b.timestamp - a.timestamp));
+
+    for (const result of results) {
+      result.snippet = buildSnippet(this.documents.get(result.id), result.highlights, options);
+      delete result.timestamp;
+    }
+
+    return results;
+  }
+
+  /**
+   * Documents containing every token of the query
+   * @private
+   */
+  _candidates(terms) {
+    if (terms.length === 0) {
+      return this.documents.values();
+    }
+
+    let candidates = null;
+
+    for (const term of terms) {
+      const ids = new Set();
+      for (const token of term.tokens) {
+        for (const id of this._lookup(token, term.prefix && token === term.tokens[term.tokens.length - 1])) {
+          ids.add(id);
+        }
+      }
+
+      candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+      if (candidates.size === 0) {
+        return [];
+      }
+    }
+
+    return Array.from(candidates, id => this.documents.get(id));
+  }
+
+  /**
+   * Message IDs holding a token, or a token starting with it
+   * @private
+   */
+  _lookup(token, prefix) {
+    if (!prefix) {
+      const posting = this.postings.get(token);
+      return posting ? posting.keys() : [];
+    }
+
+    const ids = new Set();
+    for (const [indexed, posting] of this.postings) {
+      if (indexed.startsWith(token)) {
+        for (const id of posting.keys()) {
+          ids.add(id);
+        }
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Inverse document frequency of a term's rarest token
+   * @private
+   */
+  _idf(term) {
+    const counts = term.tokens.map((token) => {
+      const posting = this.postings.get(token);
+      return posting ? posting.size : 0;
+    });
+    return Math.log(1 + this.documents.size / (1 + Math.min(...counts)));
+  }
+}
+
+/**
+ * Fold text for matching: lower case, no accents
+ * @private
+ */
+function fold(text) {
+  return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into words with their offsets
+ * @private
+ */
+function tokenize(text) {
+  const words = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    words.push({ token: fold(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+}
+
+/**
+ * Searchable text of a message
+ * @private
+ */
+function extractFields(message) {
+  const fields = [];
+  const add = (name, text) => {
+    if (typeof text === 'string' && text.length > 0) {
+      fields.push({ name, text, words: tokenize(text) });
+    }
+  };
+
+  // Media messages copy their caption into the body
+  add('body', message.body);
+  if (message.caption && message.caption !== message.body) {
+    add('caption', message.caption);
+  }
+  if (message.mediaData) {
+    add('filename', message.mediaData.filename);
+  }
+  if (message.location) {
+    add('location', [message.location.name, message.location.address].filter(Boolean).join(', '));
+  }
+  if (message.contact) {
+    add('contact', message.contact.name);
+  }
+
+  return fields;
+}
+
+/**
+ * Parse a query into terms
+ * `{tokens, phrase, prefix}`, phrases keep their word order.
+ * @private
+ */
+function parseQuery(query) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+
+  for (const match of String(query || '').matchAll(pattern)) {
+    const phrase = match[1] !== undefined;
+    const text = phrase ? match[1] : match[2];
+    const prefix = !phrase && text.endsWith('*');
+    const tokens = tokenize(text).map(word => word.token);
+
+    if (tokens.length === 0) {
+      continue;
+    }
+
+    // `foo-bar` is a phrase of two words, like the text it was copied from
+    terms.push({ tokens, phrase: phrase || tokens.length > 1, prefix });
+  }
+
+  return terms;
+}
+
+/**
+ * Build a predicate from the search filters
+ * @private
+ */
+function buildFilter(options) {
+  const types = options.type ? [].concat(options.type) : null;
+  const sender = options.sender ? normalizeJid(options.sender) : null;
+  const chatId = options.chatId ? normalizeJid(options.chatId) : null;
+  const after = options.after !== undefined ? Number(options.after) : null;
+  const before = options.before !== undefined ? Number(options.before) : null;
+
+  return document => (!chatId || document.chatId === chatId) &&
+    (!sender || document.author === sender) &&
+    (options.fromMe === undefined || document.fromMe === Boolean(options.fromMe)) &&
+    (!types || types.includes(document.type)) &&
+    (after === null || document.timestamp > after) &&
+    (before === null || document.timestamp < before);
+}
+
+/**
+ * Ranges where a term occurs in a document
+ * @private
+ */
+function matchTerm(document, term) {
+  const ranges = [];
+  const last = term.tokens.length - 1;
+
+  for (const field of document.fields) {
+    const { words } = field;
+
+    for (let i = 0; i + last < words.length; i++) {
+      const hit = term.tokens.every((token, offset) => {
+        const word = words[i + offset].token;
+        return term.prefix && offset === last ? word.startsWith(token) : word === token;
+      });
+
+      if (hit) {
+        ranges.push({ field: field.name, start: words[i].start, end: words[i + last].end });
+      }
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Merge match ranges per field
+ * @private
+ */
+function groupHighlights(ranges) {
+  const fields = new Map();
+
+  for (const range of ranges) {
+    if (!fields.has(range.field)) {
+      fields.set(range.field, []);
+    }
+    fields.get(range.field).push([range.start, range.end]);
+  }
+
+  return Array.from(fields, ([field, list]) => {
+    list.sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const [start, end] of list) {
+      const previous = merged[merged.length - 1];
+      if (previous && start <= previous[1]) {
+        previous[1] = Math.max(previous[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    }
+
+    return { field, ranges: merged };
+  });
+}
+
+/**
+ * Text around the first match with every match marked
+ * @private
+ */
+function buildSnippet(document, highlights, options) {
+  const field = highlights.length > 0
+    ? document.fields.find(candidate => candidate.name === highlights[0].field)
+    : document.fields[0];
+
+  if (!field) {
+    return null;
+  }
+
+  const ranges = highlights.length > 0 ? highlights[0].ranges : [];
+  const open = options.highlightStart !== undefined ? options.highlightStart : '*';
+  const close = options.highlightEnd !== undefined ? options.highlightEnd : '*';
+  const from = ranges.length > 0 ? Math.max(ranges[0][0] - SNIPPET_CONTEXT, 0) : 0;
+  const to = ranges.length > 0
+    ? Math.min(ranges[0][1] + SNIPPET_CONTEXT, field.text.length)
+    : Math.min(SNIPPET_CONTEXT * 2, field.text.length);
+
+  let snippet = '';
+  let position = from;
+
+  for (const [start, end] of ranges) {
+    if (start >= to) {
+      break;
+    }
+    snippet += field.text.slice(position, start) + open + field.text.slice(start, Math.min(end, to)) + close;
+    position = Math.min(end, to);
+  }
+  snippet += field.text.slice(position, to);
+
+  return (from > 0 ? '…' : '') + snippet + (to < field.text.length ? '…' : '');
+}
+
+module.exports = {
+  SearchIndex
+};
@@ -7,10 +7,75 @@
 
 'use strict';
 
-const fs = require('fs').promises;
-const path = require('path');
 const crypto = require('crypto');
+const { promisify } = require('util');
 const { logger, AuthError } = require('./utils');
+const aes = require('./aes');
+const { FileAuthStore } = require('./auth-store');
+
+// Additional authenticated data bound to encrypted session files
+const SESSION_AAD = Buffer.from('whatsapp-session', 'utf8');
+
+// Auth store keys
+const SESSION_KEY = 'session';
+const KEY_INFO_KEY = 'session-key';
+const ROTATION_KEY = 'session-key-rotation';
+const ROTATION_PREFIX = 'key-rotation/';
+const BACKUP_DIRECTORY = 'backups';
+const BACKUP_PREFIX = `${BACKUP_DIRECTORY}/session_backup_`;
+
+// Passphrase key derivation
+const PASSPHRASE_ENV = 'WHATSAPP_SESSION_PASSPHRASE';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_CHECK_INFO = Buffer.from('whatsapp-session-key-check', 'utf8');
+const scrypt = promisify(crypto.scrypt);
+
+// Portable export bundles
+const BUNDLE_FORMAT = 'whatsapp-session-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_AAD = Buffer.from(BUNDLE_FORMAT, 'utf8');
+
+/**
+ * Stored session format
+ * 
+ * Version history:
+ * - 0: unversioned credentials exported from the WhatsApp Web browser
+ *   (`WABrowserId`, `WASecretBundle`, `WAToken1`, `WAToken2`) or from
+ *   other libraries (`clientID`, keys as serialized Buffers)
+ * - 1: `version: '1.0.0'`, the field names below
+ * - 2: numeric `version`, keys always base64 strings, no null fields
+ * 
+ * @typedef {Object} SessionData
+ * @property {string} clientId - Base64 client id sent with `admin init`/`admin login`
+ * @property {string} clientToken - Client token from the `Conn` message
+ * @property {string} serverToken - Server token from the `Conn` message
+ * @property {string} encKey - Base64 encoded 32-byte AES key
+ * @property {string} macKey - Base64 encoded 32-byte HMAC key
+ * @property {string} [wid] - Own JID (e.g. `15551234567@c.us`)
+ * @property {string} [pushname] - Own display name
+ * @property {number} [timestamp] - Time of the last save (ms)
+ * @property {number} [version] - Format version, `SESSION_VERSION` once stored
+ */
+const SESSION_VERSION = 2;
+
+// Field rules for validate()
+const SESSION_SCHEMA = {
+  clientId: { required: true, check: isNonEmptyString, expected: 'a non-empty string' },
+  clientToken: { required: true, check: isNonEmptyString, expected: 'a non-empty string' },
+  serverToken: { required: true, check: isNonEmptyString, expected: 'a non-empty string' },
+  encKey: { required: true, check: isBase64Key, expected: 'a base64 encoded 32-byte key' },
+  macKey: { required: true, check: isBase64Key, expected: 'a base64 encoded 32-byte key' },
+  wid: { required: false, check: value => isNonEmptyString(value) && value.includes('@'), expected: 'a JID' },
+  pushname: { required: false, check: value => typeof value === 'string', expected: 'a string' },
+  timestamp: { required: false, check: Number.isFinite, expected: 'a number' },
+  version: { required: false, check: Number.isInteger, expected: 'an integer' }
+};
+
+// Upgrades from version N to N + 1, indexed by N
+const SESSION_MIGRATIONS = [
+  migrateLegacyExport,
+  migrateToNumericVersion
+];
 
 /**
  * Session Manager for WhatsApp Web
@@ -20,18 +85,32 @@ class SessionManager {
    * Create session manager
    * 
    * @param {Object} options - Configuration options
+   * @param {string} [options.sessionPath='./session'] - Directory for the default file store
+   * @param {AuthStore} [options.authStore] - Credential store (defaults to a `FileAuthStore` in `sessionPath`)
+   * @param {boolean} [options.encryptSession=true] - Encrypt stored session data
+   * @param {string} [options.passphrase] - Passphrase the encryption key is derived from
+   *   (defaults to the `WHATSAPP_SESSION_PASSPHRASE` environment variable); required,
+   *   like `encryptionKey`, unless `encryptSession` is false
+   * @param {string} [options.passphraseEnv='WHATSAPP_SESSION_PASSPHRASE'] - Environment variable holding the passphrase
+   * @param {string} [options.encryptionKey] - Hex encoded 32-byte encryption key, used instead of a passphrase
+   * @param {number} [options.maxBackups=5] - Backups to keep
    */
   constructor(options = {}) {
     this.options = options;
     this.sessionPath = options.sessionPath || './session';
-    this.sessionFile = path.join(this.sessionPath, 'session.json');
-    this.backupPath = path.join(this.sessionPath, 'backups');
+    this.store = options.authStore || new FileAuthStore(this.sessionPath);
     this.encryptSession = options.encryptSession !== false;
-    this.encryptionKey = options.encryptionKey || this._generateEncryptionKey();
     this.maxBackups = options.maxBackups || 5;
     
+    // Resolved on first use, see `_ensureKey()`
+    this.encryptionKey = null;
+    this.keyReady = null;
+    
+    // Session writes run one at a time so runtime updates never interleave
+    this.writeChain = Promise.resolve();
+    
     logger.debug('Session manager initialized', { 
-      sessionPath: this.sessionPath,
+      store: this.store.constructor.name,
       encrypted: this.encryptSession 
     });
   }
@@ -46,27 +125,18 @@ class SessionManager {
     try {
       logger.info('Saving session data');
 
-      // Ensure session directory exists
-      await this._ensureDirectoryExists(this.sessionPath);
-
-      // Prepare session data
-      const dataToSave = {
-        ...sessionData,
-        timestamp: Date.now(),
-        version: '1.0.0'
-      };
-
-      // Encrypt if enabled
-      let serializedData = JSON.stringify(dataToSave, null, 2);
-      if (this.encryptSession) {
-        serializedData = this._encryptData(serializedData);
+      const { errors } = this.validate(sessionData);
+      if (errors.length > 0) {
+        logger.warn('Saving incomplete session data', { errors: errors.map(e => e.message) });
       }
 
-      // Create backup before saving new session
-      await this._createBackup();
+      await this._enqueue(async () => {
+        // Create backup before saving new session
+        await this._createBackup();
 
-      // Write session data
-      await fs.writeFile(this.sessionFile, serializedData, 'utf8');
+        // Write session data
+        await this._writeSession(sessionData);
+      });
 
       logger.info('Session data saved successfully');
       
@@ -76,6 +146,38 @@ class SessionManager {
     }
   }
 
+  /**
+   * Merge credentials that changed at runtime into the stored session
+   * Used for keys and tokens the server rotates while connected. The merged
+   * session is written in a single store update and no backup is taken.
+   * 
+   * @param {Object} changes - Changed session fields
+   * @returns {Promise<Object>} Updated session data
+   */
+  async update(changes) {
+    try {
+      const updated = await this._enqueue(async () => {
+        const serializedData = await this._read(SESSION_KEY);
+        if (serializedData === null) {
+          throw new Error('No stored session to update');
+        }
+
+        const stored = this._migrate(await this._deserialize(serializedData));
+        const sessionData = { ...stored, ...changes };
+        await this._writeSession(sessionData);
+
+        return sessionData;
+      });
+
+      logger.debug('Session credentials updated', { fields: Object.keys(changes) });
+      return updated;
+      
+    } catch (error) {
+      logger.error('Failed to update session:', error);
+      throw new AuthError(`Failed to update session: ${error.message}`);
+    }
+  }
+
   /**
    * Load session data
    * 
@@ -85,17 +187,18 @@ class SessionManager {
     try {
       logger.info('Loading session data');
 
-      // Check if session file exists
-      if (!(await this._fileExists(this.sessionFile))) {
-        logger.info('No session file found');
+      // Read session data
+      let serializedData = await this._read(SESSION_KEY);
+
+      if (serializedData === null) {
+        logger.info('No stored session found');
         return null;
       }
 
-      // Read session data
-      let serializedData = await fs.readFile(this.sessionFile, 'utf8');
-
       // Decrypt if needed
       if (this.encryptSession) {
+        await this._ensureKey();
+
         try {
           serializedData = this._decryptData(serializedData);
         } catch (decryptError) {
@@ -111,12 +214,14 @@ class SessionManager {
         }
       }
 
-      // Parse session data
-      const sessionData = JSON.parse(serializedData);
+      // Parse and upgrade session data
+      const storedData = JSON.parse(serializedData);
+      const sessionData = this._migrate(storedData);
 
       // Validate session data
-      if (!this._validateSessionData(sessionData)) {
-        logger.error('Invalid session data format');
+      const { valid, errors } = this.validate(sessionData);
+      if (!valid) {
+        logger.error('Invalid session data format', { errors: errors.map(e => e.message) });
         
         // Try to restore from backup
         const backupData = await this._restoreFromBackup();
@@ -134,12 +239,28 @@ class SessionManager {
         return null;
       }
 
+      // Persist the upgrade, keeping the old format as a backup
+      if (storedData.version !== SESSION_VERSION) {
+        await this._enqueue(async () => {
+          await this._createBackup();
+          await this._writeSession(sessionData, sessionData.timestamp);
+        });
+
+        logger.info('Session data migrated', { from: storedData.version || 0, to: SESSION_VERSION });
+      }
+
       logger.info('Session data loaded successfully');
       return sessionData;
       
     } catch (error) {
       logger.error('Failed to load session:', error);
       
+      // Backups are encrypted with the same key, report the key problem instead.
+      // Older backups must not overwrite a session from a newer release either.
+      if (this._isKeyError(error) || error.reason === 'unsupported_version') {
+        throw error;
+      }
+      
       // Try to restore from backup
       try {
         const backupData = await this._restoreFromBackup();
@@ -155,6 +276,37 @@ class SessionManager {
     }
   }
 
+  /**
+   * Check session data against the session format
+   * 
+   * @param {Object} sessionData - Session data
+   * @returns {{valid: boolean, errors: Array<{field: string, problem: string, message: string}>}}
+   *   Validation result; `problem` is `missing` or `malformed`
+   */
+  validate(sessionData) {
+    if (!sessionData || typeof sessionData !== 'object' || Array.isArray(sessionData)) {
+      return {
+        valid: false,
+        errors: [{ field: '', problem: 'malformed', message: 'session data must be an object' }]
+      };
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(SESSION_SCHEMA)) {
+      const value = sessionData[field];
+
+      if (value === undefined || value === null || value === '') {
+        if (rule.required) {
+          errors.push({ field, problem: 'missing', message: `${field} is missing` });
+        }
+      } else if (!rule.check(value)) {
+        errors.push({ field, problem: 'malformed', message: `${field} must be ${rule.expected}` });
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
   /**
    * Clear session data
    * 
@@ -164,13 +316,13 @@ class SessionManager {
     try {
       logger.info('Clearing session data');
 
-      // Create backup before clearing
-      await this._createBackup();
+      await this._enqueue(async () => {
+        // Create backup before clearing
+        await this._createBackup();
 
-      // Remove session file
-      if (await this._fileExists(this.sessionFile)) {
-        await fs.unlink(this.sessionFile);
-      }
+        // Remove stored session
+        await this.store.delete(SESSION_KEY);
+      });
 
       logger.info('Session data cleared successfully');
       
@@ -180,13 +332,48 @@ class SessionManager {
     }
   }
 
+  /**
+   * Remove the session, its backups and key info from the store
+   * Used when the credentials are dead (device unlinked), so nothing can
+   * bring them back on the next start.
+   * 
+   * @returns {Promise<void>}
+   */
+  async wipe() {
+    try {
+      logger.info('Wiping session data and backups');
+
+      await this._enqueue(async () => {
+        const keys = [
+          SESSION_KEY,
+          KEY_INFO_KEY,
+          ROTATION_KEY,
+          ...(await this.store.keys(BACKUP_PREFIX)),
+          ...(await this.store.keys(ROTATION_PREFIX))
+        ];
+        for (const key of keys) {
+          await this.store.delete(key);
+        }
+
+        this.encryptionKey = null;
+        this.keyReady = null;
+      });
+
+      logger.info('Session data wiped');
+      
+    } catch (error) {
+      logger.error('Failed to wipe session:', error);
+      throw new AuthError(`Failed to wipe session: ${error.message}`);
+    }
+  }
+
   /**
    * Check if session exists
    * 
    * @returns {Promise<boolean>} True if session exists
    */
   async exists() {
-    return this._fileExists(this.sessionFile);
+    return (await this.store.get(SESSION_KEY)) !== null;
   }
 
   /**
@@ -196,18 +383,20 @@ class SessionManager {
    */
   async getInfo() {
     try {
-      if (!(await this.exists())) {
+      const serializedData = await this._read(SESSION_KEY);
+      if (serializedData === null) {
         return null;
       }
 
-      const stats = await fs.stat(this.sessionFile);
+      const sessionData = await this._deserialize(serializedData);
       
       return {
         exists: true,
-        size: stats.size,
-        created: stats.birthtime,
-        modified: stats.mtime,
-        encrypted: this.encryptSession
+        size: Buffer.byteLength(serializedData, 'utf8'),
+        modified: sessionData.timestamp ? new Date(sessionData.timestamp) : null,
+        version: getSessionVersion(sessionData),
+        encrypted: this.encryptSession,
+        store: this.store.constructor.name
       };
       
     } catch (error) {
@@ -222,7 +411,7 @@ class SessionManager {
    * @returns {Promise<void>}
    */
   async backup() {
-    await this._createBackup();
+    await this._enqueue(() => this._createBackup());
   }
 
   /**
@@ -232,26 +421,23 @@ class SessionManager {
    */
   async listBackups() {
     try {
-      if (!(await this._directoryExists(this.backupPath))) {
-        return [];
-      }
-
-      const files = await fs.readdir(this.backupPath);
+      const keys = await this.store.keys(BACKUP_PREFIX);
       const backups = [];
 
-      for (const file of files) {
-        if (file.startsWith('session_backup_') && file.endsWith('.json')) {
-          const filePath = path.join(this.backupPath, file);
-          const stats = await fs.stat(filePath);
-          
-          backups.push({
-            filename: file,
-            path: filePath,
-            size: stats.size,
-            created: stats.birthtime,
-            modified: stats.mtime
-          });
+      for (const key of keys) {
+        const serializedData = await this._read(key);
+        if (serializedData === null) {
+          continue;
         }
+
+        const name = key.slice(BACKUP_DIRECTORY.length + 1);
+        
+        backups.push({
+          filename: `${name}.json`,
+          key: key,
+          size: Buffer.byteLength(serializedData, 'utf8'),
+          created: this._parseBackupTime(name)
+        });
       }
 
       // Sort by creation date (newest first)
@@ -292,18 +478,16 @@ class SessionManager {
 
       logger.info('Restoring session from backup', { filename: backupFile.filename });
 
-      // Read backup data
-      let serializedData = await fs.readFile(backupFile.path, 'utf8');
-
-      // Decrypt if needed
-      if (this.encryptSession) {
-        serializedData = this._decryptData(serializedData);
+      // Read, decrypt and validate backup data
+      const serializedData = await this._read(backupFile.key);
+      if (serializedData === null) {
+        throw new Error(`Backup disappeared: ${backupFile.filename}`);
       }
 
-      // Parse and validate
-      const sessionData = JSON.parse(serializedData);
-      if (!this._validateSessionData(sessionData)) {
-        throw new Error('Invalid backup data format');
+      const sessionData = this._migrate(await this._deserialize(serializedData));
+      const { valid, errors } = this.validate(sessionData);
+      if (!valid) {
+        throw new Error(`Invalid backup data format: ${errors.map(e => e.message).join(', ')}`);
       }
 
       // Save as current session
@@ -318,6 +502,208 @@ class SessionManager {
     }
   }
 
+  /**
+   * Re-encrypt the session and its backups with a new key
+   * 
+   * Everything is decrypted with the current key before anything is
+   * written, so a wrong current key changes nothing. The re-encrypted
+   * entries are staged next to the originals and the rotation is committed
+   * with a single write of a rotation record; a rotation interrupted after
+   * that point is completed the next time the key is resolved, one
+   * interrupted before it leaves the store on the old key.
+   * 
+   * @param {Object} [options={}] - New key source
+   * @param {string} [options.passphrase] - New passphrase
+   * @param {string} [options.encryptionKey] - New hex encoded 32-byte key
+   * @param {boolean} [options.discardUnreadable=false] - Delete entries the current key cannot decrypt instead of failing
+   * @returns {Promise<void>}
+   * @throws {AuthError} When encryption is disabled, no new key is given, the
+   *   current key is wrong or entries cannot be decrypted (`reason: 'unreadable_entries'`, `keys`)
+   */
+  async rotateEncryptionKey(options = {}) {
+    if (!this.encryptSession) {
+      throw new AuthError('Session encryption is disabled');
+    }
+
+    try {
+      logger.info('Rotating session encryption key');
+
+      await this._enqueue(async () => {
+        await this._ensureKey();
+
+        // Decrypt everything with the current key first
+        const plaintexts = new Map();
+        const unreadable = [];
+        const keys = [SESSION_KEY, ...(await this.store.keys(BACKUP_PREFIX))];
+
+        for (const key of keys) {
+          const serializedData = await this.store.get(key);
+          if (serializedData === null) {
+            continue;
+          }
+
+          try {
+            plaintexts.set(key, this._decryptData(serializedData));
+          } catch (error) {
+            unreadable.push(key);
+          }
+        }
+
+        if (unreadable.length > 0 && !options.discardUnreadable) {
+          throw new AuthError(
+            `Cannot decrypt ${unreadable.join(', ')} with the current key, delete them or pass discardUnreadable`,
+            { reason: 'unreadable_entries', keys: unreadable }
+          );
+        }
+
+        let resolved;
+        if (options.encryptionKey) {
+          resolved = { key: this._parseKey(options.encryptionKey), info: { kdf: 'none' } };
+        } else if (options.passphrase) {
+          resolved = await this._deriveKey(options.passphrase);
+        } else {
+          throw new AuthError('A new passphrase or encryptionKey is required', { reason: 'missing_key' });
+        }
+
+        // Stage the re-encrypted entries, the old ones stay readable
+        await this._discardStagedEntries();
+        for (const [key, plaintext] of plaintexts) {
+          await this.store.set(ROTATION_PREFIX + key, this._encryptData(plaintext, resolved.key));
+        }
+
+        // Commit point
+        const rotation = {
+          version: 1,
+          keyInfo: resolved.info,
+          check: this._keyCheck(resolved.key),
+          entries: Array.from(plaintexts.keys()),
+          discard: unreadable
+        };
+        await this.store.set(ROTATION_KEY, JSON.stringify(rotation, null, 2));
+
+        this.encryptionKey = resolved.key.toString('hex');
+        this.keyReady = Promise.resolve(resolved.key);
+
+        await this._completeRotation(rotation);
+      });
+
+      logger.info('Session encryption key rotated');
+      
+    } catch (error) {
+      logger.error('Failed to rotate encryption key:', error);
+      if (this._isKeyError(error) || error.reason === 'unreadable_entries') {
+        throw error;
+      }
+      throw new AuthError(`Failed to rotate encryption key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export the session and its backups as a portable encrypted bundle
+   * 
+   * The bundle is a JSON string that carries its own format version, KDF
+   * salt and cipher parameters, so it can be imported on another host with
+   * only the passphrase. It does not depend on this store's encryption key.
+   * 
+   * @param {string} passphrase - Passphrase protecting the bundle
+   * @returns {Promise<string>} Encrypted bundle
+   * @throws {AuthError} When there is no session or it cannot be decrypted
+   */
+  async export(passphrase) {
+    if (!isNonEmptyString(passphrase)) {
+      throw new AuthError('A passphrase is required to export the session');
+    }
+
+    try {
+      const bundle = await this._enqueue(async () => {
+        const serializedData = await this._read(SESSION_KEY);
+        if (serializedData === null) {
+          throw new Error('No stored session to export');
+        }
+
+        const session = this._migrate(await this._deserialize(serializedData));
+
+        // Backups travel with their metadata so history survives the move
+        const backups = [];
+        for (const backup of await this.listBackups()) {
+          try {
+            const backupData = await this._read(backup.key);
+            backups.push({
+              filename: backup.filename,
+              created: backup.created.toISOString(),
+              session: this._migrate(await this._deserialize(backupData))
+            });
+          } catch (error) {
+            logger.warn('Skipping unreadable backup during export', { filename: backup.filename });
+          }
+        }
+
+        return this._sealBundle({ session, backups, exportedAt: Date.now() }, passphrase);
+      });
+
+      logger.info('Session exported');
+      return bundle;
+      
+    } catch (error) {
+      logger.error('Failed to export session:', error);
+      throw this._isKeyError(error) ? error : new AuthError(`Failed to export session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import a bundle created by `export()`
+   * The current session, if any, is kept as a backup.
+   * 
+   * @param {string} bundle - Encrypted bundle
+   * @param {string} passphrase - Passphrase the bundle was exported with
+   * @returns {Promise<Object>} Imported session data
+   * @throws {AuthError} When the passphrase is wrong or the bundle is invalid
+   */
+  async import(bundle, passphrase) {
+    try {
+      const payload = await this._openBundle(bundle, passphrase);
+
+      // Every entry is checked before anything is written
+      const sessionData = this._checkBundleEntry(payload.session, 'Session bundle');
+      if (payload.backups !== undefined && !Array.isArray(payload.backups)) {
+        throw new AuthError('Session bundle backups must be a list', { reason: 'invalid_bundle' });
+      }
+
+      const backups = (payload.backups || []).map((backup) => {
+        const filename = backup && backup.filename;
+        const name = String(filename).replace(/\.json$/, '');
+        const key = `${BACKUP_DIRECTORY}/${name}`;
+        if (name.includes('/') || !key.startsWith(BACKUP_PREFIX)) {
+          throw new AuthError(`Unexpected backup ${filename} in session bundle`, { reason: 'invalid_bundle' });
+        }
+
+        return { key, sessionData: this._checkBundleEntry(backup.session, `Backup ${filename} in session bundle`) };
+      });
+
+      await this._enqueue(async () => {
+        const entries = [];
+        for (const backup of backups) {
+          entries.push([backup.key, await this._serialize({ ...backup.sessionData, version: SESSION_VERSION })]);
+        }
+
+        await this._createBackup();
+        for (const [key, value] of entries) {
+          await this.store.set(key, value);
+        }
+
+        await this._writeSession(sessionData, sessionData.timestamp);
+        await this.cleanOldBackups();
+      });
+
+      logger.info('Session imported', { backups: backups.length });
+      return sessionData;
+      
+    } catch (error) {
+      logger.error('Failed to import session:', error);
+      throw error instanceof AuthError ? error : new AuthError(`Failed to import session: ${error.message}`);
+    }
+  }
+
   /**
    * Clean old backups
    * 
@@ -335,7 +721,7 @@ class SessionManager {
       const backupsToRemove = backups.slice(this.maxBackups);
       
       for (const backup of backupsToRemove) {
-        await fs.unlink(backup.path);
+        await this.store.delete(backup.key);
         logger.debug('Removed old backup', { filename: backup.filename });
       }
 
@@ -352,22 +738,19 @@ class SessionManager {
    */
   async _createBackup() {
     try {
-      if (!(await this._fileExists(this.sessionFile))) {
+      const serializedData = await this._read(SESSION_KEY);
+      if (serializedData === null) {
         return; // No session to backup
       }
 
-      // Ensure backup directory exists
-      await this._ensureDirectoryExists(this.backupPath);
-
-      // Create backup filename with timestamp
+      // Create backup key with timestamp
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupFilename = `session_backup_${timestamp}.json`;
-      const backupFilePath = path.join(this.backupPath, backupFilename);
+      const backupKey = `${BACKUP_PREFIX}${timestamp}`;
 
-      // Copy session file to backup
-      await fs.copyFile(this.sessionFile, backupFilePath);
+      // Copy stored session to backup
+      await this.store.set(backupKey, serializedData);
 
-      logger.debug('Session backup created', { filename: backupFilename });
+      logger.debug('Session backup created', { key: backupKey });
 
       // Clean old backups
       await this.cleanOldBackups();
@@ -379,130 +762,500 @@ class SessionManager {
   }
 
   /**
-   * Restore from latest backup
+   * Serialize, encrypt and store session data
    * @private
    */
-  async _restoreFromBackup() {
-    try {
-      return await this.restoreFromBackup();
-    } catch (error) {
-      logger.error('Failed to restore from backup:', error);
-      return null;
+  async _writeSession(sessionData, timestamp = Date.now()) {
+    const dataToSave = {
+      ...sessionData,
+      timestamp,
+      version: SESSION_VERSION
+    };
+
+    await this.store.set(SESSION_KEY, await this._serialize(dataToSave));
+  }
+
+  /**
+   * Serialize and encrypt (if enabled) session data
+   * @private
+   */
+  async _serialize(sessionData) {
+    const serializedData = JSON.stringify(sessionData, null, 2);
+    if (!this.encryptSession) {
+      return serializedData;
+    }
+
+    await this._ensureKey();
+    return this._encryptData(serializedData);
+  }
+
+  /**
+   * Decrypt (if enabled) and parse stored session data
+   * @private
+   */
+  async _deserialize(serializedData) {
+    if (!this.encryptSession) {
+      return JSON.parse(serializedData);
+    }
+
+    await this._ensureKey();
+    return JSON.parse(this._decryptData(serializedData));
+  }
+
+  /**
+   * Read a stored entry
+   * The key is resolved first, which completes an interrupted key rotation.
+   * @private
+   */
+  async _read(key) {
+    if (this.encryptSession) {
+      await this._ensureKey();
+    }
+
+    return this.store.get(key);
+  }
+
+  /**
+   * Resolve the encryption key once
+   * @private
+   */
+  _ensureKey() {
+    if (!this.keyReady) {
+      this.keyReady = this._resolveKey().catch((error) => {
+        this.keyReady = null;
+        throw error;
+      });
     }
+
+    return this.keyReady;
   }
 
   /**
-   * Validate session data format
+   * Derive or load the encryption key and check it against the stored key info
+   * 
+   * Key info (`session-key` in the store) records how the key is obtained:
+   * `scrypt` with its salt for passphrases or `none` for an explicit
+   * `encryptionKey`. Its `check` value identifies the key without revealing
+   * it, so a wrong passphrase fails here instead of surfacing as a corrupt
+   * session. The key itself is never stored: without a passphrase or
+   * `encryptionKey` nothing can be encrypted.
    * @private
    */
-  _validateSessionData(sessionData) {
-    if (!sessionData || typeof sessionData !== 'object') {
-      return false;
+  async _resolveKey() {
+    await this._resumeRotation();
+
+    const storedInfo = await this.store.get(KEY_INFO_KEY);
+    const keyInfo = storedInfo ? JSON.parse(storedInfo) : null;
+    const passphrase = this._getPassphrase();
+
+    let resolved;
+    if (this.options.encryptionKey) {
+      resolved = { key: this._parseKey(this.options.encryptionKey), info: { kdf: 'none' } };
+    } else if (passphrase) {
+      const params = keyInfo && keyInfo.kdf === 'scrypt' ? keyInfo : null;
+      resolved = await this._deriveKey(passphrase, params);
+    } else if (keyInfo && keyInfo.kdf === 'none') {
+      throw new AuthError('Stored session was encrypted with an explicit encryptionKey, pass the same key', {
+        reason: 'missing_key'
+      });
+    } else {
+      throw new AuthError(
+        `No session passphrase configured, set the passphrase option or ${this._getPassphraseEnv()} ` +
+        '(or pass encryptionKey, or disable encryptSession)',
+        { reason: 'missing_key' }
+      );
+    }
+
+    const check = this._keyCheck(resolved.key);
+
+    if (keyInfo && keyInfo.check !== check) {
+      throw new AuthError('Session encryption key does not match the stored session (wrong passphrase or encryptionKey?)', {
+        reason: 'wrong_key'
+      });
     }
 
-    // Check required fields
-    const requiredFields = ['clientToken', 'serverToken'];
-    for (const field of requiredFields) {
-      if (!sessionData[field]) {
-        return false;
+    if (!keyInfo) {
+      await this._writeKeyInfo(resolved.info, check);
+    }
+
+    this.encryptionKey = resolved.key.toString('hex');
+    return resolved.key;
+  }
+
+  /**
+   * Finish a committed key rotation, or drop what an uncommitted one staged
+   * @private
+   */
+  async _resumeRotation() {
+    const storedRotation = await this.store.get(ROTATION_KEY);
+
+    if (storedRotation) {
+      logger.warn('Completing interrupted session key rotation');
+      await this._completeRotation(JSON.parse(storedRotation));
+    } else {
+      await this._discardStagedEntries();
+    }
+  }
+
+  /**
+   * Move staged entries over the originals and switch the key info
+   * Safe to repeat: staged entries are only removed once all are in place.
+   * @private
+   */
+  async _completeRotation(rotation) {
+    for (const key of rotation.entries) {
+      const staged = await this.store.get(ROTATION_PREFIX + key);
+      if (staged !== null) {
+        await this.store.set(key, staged);
       }
     }
 
-    return true;
+    for (const key of rotation.discard) {
+      await this.store.delete(key);
+    }
+
+    await this._writeKeyInfo(rotation.keyInfo, rotation.check);
+    await this._discardStagedEntries();
+    await this.store.delete(ROTATION_KEY);
   }
 
   /**
-   * Generate encryption key
+   * Remove entries staged by a key rotation
    * @private
    */
-  _generateEncryptionKey() {
-    return crypto.randomBytes(32).toString('hex');
+  async _discardStagedEntries() {
+    for (const key of await this.store.keys(ROTATION_PREFIX)) {
+      await this.store.delete(key);
+    }
   }
 
   /**
-   * Encrypt data
+   * Derive key from passphrase with scrypt
+   * Reuses the salt and cost parameters from `params` when given.
    * @private
    */
-  _encryptData(data) {
-    const algorithm = 'aes-256-gcm';
-    const key = Buffer.from(this.encryptionKey, 'hex');
-    const iv = crypto.randomBytes(16);
-    
-    const cipher = crypto.createCipher(algorithm, key);
-    cipher.setAAD(Buffer.from('whatsapp-session', 'utf8'));
-    
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
+  async _deriveKey(passphrase, params = null) {
+    const { N, r, p } = params || SCRYPT_PARAMS;
+    const salt = params ? params.salt : crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(passphrase, Buffer.from(salt, 'hex'), 32, { N, r, p });
+
+    return { key, info: { kdf: 'scrypt', salt, N, r, p } };
+  }
+
+  /**
+   * Encrypt an export payload with a passphrase
+   * @private
+   */
+  async _sealBundle(payload, passphrase) {
+    const { key, info } = await this._deriveKey(passphrase);
+    const iv = crypto.randomBytes(aes.GCM_IV_SIZE);
     
-    const authTag = cipher.getAuthTag();
+    const plaintext = Buffer.from(JSON.stringify(payload), 'utf8');
+    const { ciphertext, authTag } = aes.gcmEncrypt(key, iv, plaintext, BUNDLE_AAD);
     
     return JSON.stringify({
-      algorithm,
-      iv: iv.toString('hex'),
-      authTag: authTag.toString('hex'),
-      data: encrypted
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      kdf: info,
+      algorithm: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      authTag: authTag.toString('base64'),
+      data: ciphertext.toString('base64')
     });
   }
 
   /**
-   * Decrypt data
+   * Check and decrypt an export bundle
    * @private
    */
-  _decryptData(encryptedData) {
-    const parsed = JSON.parse(encryptedData);
-    const { algorithm, iv, authTag, data } = parsed;
-    
-    const key = Buffer.from(this.encryptionKey, 'hex');
-    
-    const decipher = crypto.createDecipher(algorithm, key);
-    decipher.setAAD(Buffer.from('whatsapp-session', 'utf8'));
-    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
-    
-    let decrypted = decipher.update(data, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+  async _openBundle(bundle, passphrase) {
+    let envelope;
+    try {
+      envelope = typeof bundle === 'string' ? JSON.parse(bundle) : bundle;
+    } catch (error) {
+      throw new AuthError('Session bundle is not valid JSON', { reason: 'invalid_bundle' });
+    }
+
+    if (!envelope || envelope.format !== BUNDLE_FORMAT) {
+      throw new AuthError('Not a session bundle', { reason: 'invalid_bundle' });
+    }
+    if (envelope.version !== BUNDLE_VERSION || envelope.algorithm !== 'aes-256-gcm' ||
+        !envelope.kdf || envelope.kdf.kdf !== 'scrypt') {
+      throw new AuthError(`Unsupported session bundle version ${envelope.version}`, { reason: 'invalid_bundle' });
+    }
+
+    const { key } = await this._deriveKey(String(passphrase || ''), envelope.kdf);
+
+    let plaintext;
+    try {
+      plaintext = aes.gcmDecrypt(
+        key,
+        Buffer.from(envelope.iv, 'base64'),
+        Buffer.from(envelope.data, 'base64'),
+        Buffer.from(envelope.authTag, 'base64'),
+        BUNDLE_AAD
+      );
+    } catch (error) {
+      throw new AuthError('Wrong passphrase or corrupted session bundle', { reason: 'wrong_passphrase' });
+    }
+
+    return JSON.parse(plaintext.toString('utf8'));
   }
 
   /**
-   * Check if file exists
+   * Migrate and validate a session read from an import bundle
    * @private
    */
-  async _fileExists(filePath) {
-    try {
-      await fs.access(filePath, fs.constants.F_OK);
-      return true;
-    } catch {
-      return false;
+  _checkBundleEntry(sessionData, label) {
+    let migrated = sessionData;
+    if (sessionData && typeof sessionData === 'object' && !Array.isArray(sessionData)) {
+      try {
+        migrated = this._migrate(sessionData);
+      } catch (error) {
+        throw error instanceof AuthError ? error : new AuthError(`${label} cannot be migrated: ${error.message}`, {
+          reason: 'invalid_bundle'
+        });
+      }
+    }
+
+    const { valid, errors } = this.validate(migrated);
+    if (!valid) {
+      throw new AuthError(`${label} is invalid: ${errors.map(e => e.message).join(', ')}`, {
+        reason: 'invalid_bundle'
+      });
     }
+    return migrated;
   }
 
   /**
-   * Check if directory exists
+   * Store key info
    * @private
    */
-  async _directoryExists(dirPath) {
-    try {
-      const stats = await fs.stat(dirPath);
-      return stats.isDirectory();
-    } catch {
-      return false;
+  async _writeKeyInfo(info, check) {
+    await this.store.set(KEY_INFO_KEY, JSON.stringify({ version: 1, ...info, check }, null, 2));
+  }
+
+  /**
+   * Key fingerprint stored in key info
+   * @private
+   */
+  _keyCheck(key) {
+    return crypto.createHmac('sha256', key).update(KEY_CHECK_INFO).digest('hex');
+  }
+
+  /**
+   * Parse and check a hex encoded key
+   * @private
+   */
+  _parseKey(hexKey) {
+    const key = Buffer.from(String(hexKey), 'hex');
+    if (key.length !== 32) {
+      throw new AuthError('Session encryption key must be 32 bytes, hex encoded', { reason: 'invalid_key' });
     }
+    return key;
+  }
+
+  /**
+   * Passphrase from options or environment
+   * @private
+   */
+  _getPassphrase() {
+    return this.options.passphrase || process.env[this._getPassphraseEnv()] || null;
   }
 
   /**
-   * Ensure directory exists
+   * Name of the passphrase environment variable
    * @private
    */
-  async _ensureDirectoryExists(dirPath) {
+  _getPassphraseEnv() {
+    return this.options.passphraseEnv || PASSPHRASE_ENV;
+  }
+
+  /**
+   * Whether an error is about the encryption key rather than the data
+   * @private
+   */
+  _isKeyError(error) {
+    return error instanceof AuthError && ['missing_key', 'wrong_key', 'invalid_key'].includes(error.reason);
+  }
+
+  /**
+   * Run a store write after the previous ones settle
+   * @private
+   */
+  _enqueue(task) {
+    const run = this.writeChain.then(task);
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Creation time encoded in a backup name
+   * @private
+   */
+  _parseBackupTime(name) {
+    const match = /(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(name);
+    return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : new Date(0);
+  }
+
+  /**
+   * Restore from latest backup
+   * @private
+   */
+  async _restoreFromBackup() {
     try {
-      await fs.mkdir(dirPath, { recursive: true });
+      return await this.restoreFromBackup();
     } catch (error) {
-      if (error.code !== 'EEXIST') {
-        throw error;
-      }
+      logger.error('Failed to restore from backup:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Upgrade session data to the current format
+   * @private
+   */
+  _migrate(sessionData) {
+    let version = getSessionVersion(sessionData);
+
+    if (version > SESSION_VERSION) {
+      throw new AuthError(`Session format version ${version} is newer than supported version ${SESSION_VERSION}`, {
+        reason: 'unsupported_version'
+      });
+    }
+
+    let migrated = sessionData;
+    while (version < SESSION_VERSION) {
+      migrated = SESSION_MIGRATIONS[version](migrated);
+      version++;
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Encrypt data
+   * @private
+   */
+  _encryptData(data, key = Buffer.from(this.encryptionKey, 'hex')) {
+    const iv = crypto.randomBytes(aes.GCM_IV_SIZE);
+    
+    const { ciphertext, authTag } = aes.gcmEncrypt(key, iv, Buffer.from(data, 'utf8'), SESSION_AAD);
+    
+    return JSON.stringify({
+      algorithm: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      authTag: authTag.toString('hex'),
+      data: ciphertext.toString('hex')
+    });
+  }
+
+  /**
+   * Decrypt data
+   * @private
+   */
+  _decryptData(encryptedData) {
+    const parsed = JSON.parse(encryptedData);
+    const { algorithm, iv, authTag, data } = parsed;
+    
+    const key = Buffer.from(this.encryptionKey, 'hex');
+    
+    if (algorithm !== 'aes-256-gcm') {
+      throw new Error(`Unsupported session encryption algorithm: ${algorithm}`);
     }
+    
+    const decrypted = aes.gcmDecrypt(
+      key,
+      Buffer.from(iv, 'hex'),
+      Buffer.from(data, 'hex'),
+      Buffer.from(authTag, 'hex'),
+      SESSION_AAD
+    );
+    
+    return decrypted.toString('utf8');
   }
 }
 
+/**
+ * Format version of stored session data
+ * @private
+ */
+function getSessionVersion(sessionData) {
+  if (Number.isInteger(sessionData.version)) {
+    return sessionData.version;
+  }
+
+  // Version 1 stored a semver string
+  if (typeof sessionData.version === 'string') {
+    return parseInt(sessionData.version, 10) || 0;
+  }
+
+  return 0;
+}
+
+/**
+ * 0 -> 1: map browser localStorage and other library exports to our fields
+ * @private
+ */
+function migrateLegacyExport(sessionData) {
+  const { clientID, WABrowserId, WASecretBundle, WAToken1, WAToken2, ...rest } = sessionData;
+  const unquote = value => (typeof value === 'string' ? value.replace(/"/g, '') : value);
+  const migrated = { ...rest, version: '1.0.0' };
+
+  if (WABrowserId !== undefined) {
+    const secretBundle = typeof WASecretBundle === 'string' ? JSON.parse(WASecretBundle) : (WASecretBundle || {});
+
+    migrated.clientId = unquote(WABrowserId);
+    migrated.clientToken = unquote(WAToken1);
+    migrated.serverToken = unquote(WAToken2);
+    migrated.encKey = secretBundle.encKey;
+    migrated.macKey = secretBundle.macKey;
+  } else if (clientID !== undefined && migrated.clientId === undefined) {
+    migrated.clientId = clientID;
+  }
+
+  return migrated;
+}
+
+/**
+ * 1 -> 2: numeric version, base64 keys, no null fields
+ * @private
+ */
+function migrateToNumericVersion(sessionData) {
+  const migrated = {};
+
+  for (const [field, value] of Object.entries(sessionData)) {
+    if (value === null) {
+      continue;
+    }
+
+    // JSON.stringify turns Buffers into { type: 'Buffer', data: [...] }
+    if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+      migrated[field] = Buffer.from(value.data).toString('base64');
+    } else {
+      migrated[field] = value;
+    }
+  }
+
+  migrated.version = 2;
+  return migrated;
+}
+
+/**
+ * Non-empty string check
+ * @private
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Base64 string decoding to a 32-byte key
+ * @private
+ */
+function isBase64Key(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(value) &&
+    Buffer.from(value, 'base64').length === 32;
+}
+
 module.exports = SessionManager;
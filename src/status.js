@@ -8,9 +8,13 @@
 'use strict';
 
 const EventEmitter = require('events');
-const { logger, generateMessageId, formatPhoneNumber } = require('./utils');
+const { logger, formatPhoneNumber, createChatId } = require('./utils');
 const { MessageError } = require('./utils');
-const { MessageTypes, StatusTypes, PrivacySettings } = require('./constants');
+const { StatusTypes, PrivacySettings, WAMetrics, WAFlags } = require('./constants');
+const { ProtocolMessageTypes } = require('./proto');
+
+const STATUS_BROADCAST = 'status@broadcast';
+const STATUS_LIFETIME = 24 * 60 * 60 * 1000;
 
 /**
  * Status Manager for WhatsApp Web
@@ -63,24 +67,25 @@ class StatusManager extends EventEmitter {
 
       // Prepare status data
       const statusData = {
-        tag: 'status_post',
-        id: generateMessageId(),
         type: StatusTypes.TEXT,
         text: text.trim(),
         backgroundColor: options.backgroundColor || '#000000',
         font: options.font || 'default',
         privacy: options.viewers ? PrivacySettings.CUSTOM : PrivacySettings.CONTACTS,
-        viewers: options.viewers || [],
-        timestamp: Date.now(),
-        expiresAt: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
+        viewers: options.viewers || []
       };
-
-      // Send status post request
-      await this.client.websocket.sendMessage(statusData);
-
+      
+      // Post to the status broadcast list
+      const sent = await this.client.messages.relay(STATUS_BROADCAST, {
+        extendedTextMessage: {
+          text: statusData.text,
+          backgroundArgb: this._colorToArgb(statusData.backgroundColor)
+        }
+      });
+      
       // Create status object
       const status = {
-        id: statusData.id,
+        id: sent.id,
         type: StatusTypes.TEXT,
         content: {
           text: text.trim(),
@@ -88,17 +93,17 @@ class StatusManager extends EventEmitter {
           font: statusData.font
         },
         from: this.client.user.id,
-        timestamp: statusData.timestamp,
-        expiresAt: statusData.expiresAt,
+        timestamp: sent.timestamp,
+        expiresAt: sent.timestamp + STATUS_LIFETIME,
         viewers: [],
         privacy: statusData.privacy,
         isViewed: false,
         fromMe: true
       };
-
+      
       // Cache own status
       this.myStatusCache.set(status.id, status);
-
+      
       logger.info('Text status posted successfully', { statusId: status.id });
       this.emit('status_posted', status);
 
@@ -134,44 +139,32 @@ class StatusManager extends EventEmitter {
       }
 
       // Upload media first
-      const uploadResult = await this.client.media._uploadMedia({
+      const { content, mediaData } = await this.client.media.createMediaMessage({
+        type: media.type,
         data: media.data,
         mimetype: media.mimetype || 'image/jpeg',
-        filename: media.filename || `status_${Date.now()}`
+        filename: media.filename || `status_${Date.now()}`,
+        caption: options.caption
       });
-
-      // Prepare status data
-      const statusData = {
-        tag: 'status_post',
-        id: generateMessageId(),
-        type: media.type,
-        mediaId: uploadResult.mediaId,
-        mediaUrl: uploadResult.url,
-        caption: options.caption || '',
-        privacy: options.viewers ? PrivacySettings.CUSTOM : PrivacySettings.CONTACTS,
-        viewers: options.viewers || [],
-        timestamp: Date.now(),
-        expiresAt: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
-      };
-
-      // Send status post request
-      await this.client.websocket.sendMessage(statusData);
-
+      
+      // Post to the status broadcast list
+      const sent = await this.client.messages.relay(STATUS_BROADCAST, content);
+      
       // Create status object
       const status = {
-        id: statusData.id,
+        id: sent.id,
         type: media.type,
         content: {
-          mediaId: uploadResult.mediaId,
-          mediaUrl: uploadResult.url,
+          mediaId: mediaData.id,
+          mediaUrl: mediaData.url,
           caption: options.caption || '',
-          mimetype: media.mimetype || 'image/jpeg'
+          mimetype: mediaData.mimetype
         },
         from: this.client.user.id,
-        timestamp: statusData.timestamp,
-        expiresAt: statusData.expiresAt,
+        timestamp: sent.timestamp,
+        expiresAt: sent.timestamp + STATUS_LIFETIME,
         viewers: [],
-        privacy: statusData.privacy,
+        privacy: options.viewers ? PrivacySettings.CUSTOM : PrivacySettings.CONTACTS,
         isViewed: false,
         fromMe: true
       };
@@ -282,16 +275,20 @@ class StatusManager extends EventEmitter {
         throw new MessageError('Status has expired');
       }
 
-      // Send view notification to server
-      const viewData = {
-        tag: 'status_view',
-        id: generateMessageId(),
-        statusId: statusId,
-        contactId: formattedId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(viewData);
+      // Send a read receipt for the status to its author
+      await this.client.setQuery([
+        [
+          'read',
+          {
+            jid: STATUS_BROADCAST,
+            count: '1',
+            index: statusId,
+            owner: 'false',
+            participant: createChatId(formattedId)
+          },
+          null
+        ]
+      ], [WAMetrics.READ, WAFlags.IGNORE]);
 
       // Mark as viewed locally
       this.viewedStatusCache.set(statusId, Date.now());
@@ -324,18 +321,20 @@ class StatusManager extends EventEmitter {
       }
 
       const formattedId = formatPhoneNumber(contactId);
-
-      // Send reaction
-      const reactionData = {
-        tag: 'status_reaction',
-        id: generateMessageId(),
-        statusId: statusId,
-        contactId: formattedId,
-        emoji: emoji,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(reactionData);
+      
+      // Send reaction pointing at the status message
+      await this.client.messages.relay(STATUS_BROADCAST, {
+        reactionMessage: {
+          key: {
+            remoteJid: STATUS_BROADCAST,
+            fromMe: false,
+            id: statusId,
+            participant: createChatId(formattedId)
+          },
+          text: emoji,
+          senderTimestampMs: Date.now()
+        }
+      });
 
       logger.debug('Status reaction sent successfully', { statusId, emoji });
       this.emit('status_reaction_sent', { statusId, contactId: formattedId, emoji });
@@ -362,15 +361,13 @@ class StatusManager extends EventEmitter {
         throw new MessageError('Status not found or not owned by user');
       }
 
-      // Send delete request
-      const deleteData = {
-        tag: 'status_delete',
-        id: generateMessageId(),
-        statusId: statusId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(deleteData);
+      // Revoke the status message
+      await this.client.messages.relay(STATUS_BROADCAST, {
+        protocolMessage: {
+          key: { remoteJid: STATUS_BROADCAST, fromMe: true, id: statusId },
+          type: ProtocolMessageTypes.REVOKE
+        }
+      });
 
       // Remove from cache
       this.myStatusCache.delete(statusId);
@@ -397,19 +394,22 @@ class StatusManager extends EventEmitter {
         throw new MessageError('Status not found or not owned by user');
       }
 
-      // Request viewers from server
-      const requestData = {
-        tag: 'status_viewers',
-        id: generateMessageId(),
-        statusId: statusId,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(requestData);
-
-      // In real implementation, wait for server response
-      // For now, return cached viewers
-      return status.viewers || [];
+      // Request read receipts for the status message
+      const response = await this.client.query(
+        ['query', { type: 'message_info', index: statusId, jid: STATUS_BROADCAST, epoch: this.client.epoch() }, null],
+        { binary: true, binaryTags: [WAMetrics.QUERY_READ, WAFlags.IGNORE], expect200: true }
+      );
+      
+      const nodes = Array.isArray(response && response[2]) ? response[2] : [];
+      const readNode = nodes.find(node => node[0] === 'read');
+      const users = readNode && Array.isArray(readNode[2]) ? readNode[2] : [];
+      
+      status.viewers = users.map(([, attributes]) => ({
+        id: formatPhoneNumber(attributes.jid),
+        viewedAt: attributes.t ? parseInt(attributes.t, 10) * 1000 : null
+      }));
+      
+      return status.viewers;
       
     } catch (error) {
       logger.error('Failed to get status viewers:', error);
@@ -427,16 +427,7 @@ class StatusManager extends EventEmitter {
     try {
       const formattedIds = contactIds.map(id => formatPhoneNumber(id));
 
-      // Send subscription request
-      const subscribeData = {
-        tag: 'status_subscribe',
-        id: generateMessageId(),
-        contactIds: formattedIds,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(subscribeData);
-
+      // There is no subscription frame, statuses of all contacts arrive with the message stream
       // Add to subscriptions
       formattedIds.forEach(id => this.statusSubscriptions.add(id));
 
@@ -457,16 +448,6 @@ class StatusManager extends EventEmitter {
     try {
       const formattedIds = contactIds.map(id => formatPhoneNumber(id));
 
-      // Send unsubscribe request
-      const unsubscribeData = {
-        tag: 'status_unsubscribe',
-        id: generateMessageId(),
-        contactIds: formattedIds,
-        timestamp: Date.now()
-      };
-
-      await this.client.websocket.sendMessage(unsubscribeData);
-
       // Remove from subscriptions
       formattedIds.forEach(id => this.statusSubscriptions.delete(id));
 
@@ -561,6 +542,18 @@ class StatusManager extends EventEmitter {
     this.statusExpiryInterval = setInterval(() => {
       this._cleanupExpiredStatuses();
     }, 5 * 60 * 1000); // Every 5 minutes
+    
+    // Housekeeping only, don't keep the process alive
+    this.statusExpiryInterval.unref();
+  }
+
+  /**
+   * Convert `#RRGGBB` color to the ARGB integer used by text statuses
+   * @private
+   */
+  _colorToArgb(color) {
+    const hex = String(color).replace('#', '');
+    return /^[0-9a-f]{6}$/i.test(hex) ? parseInt(`ff${hex}`, 16) : 0xff000000;
   }
 
   /**
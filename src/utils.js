@@ -5,6 +5,32 @@
 'use strict';
 
 const crypto = require('crypto');
+const aes = require('./aes');
+const { MediaLimits } = require('./constants');
+
+// File extension to MIME type, for media sent from disk
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  '3gp': 'video/3gpp',
+  mov: 'video/quicktime',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg; codecs=opus',
+  opus: 'audio/ogg; codecs=opus',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  zip: 'application/zip',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
 
 /**
  * Logger utility
@@ -74,40 +100,21 @@ function hmacSha256(key, data) {
 }
 
 /**
- * AES encryption with padding
+ * AES-CBC encryption (random IV prepended)
  */
 function aesEncrypt(key, plaintext) {
-  // Add PKCS7 padding
-  const blockSize = 16;
-  const padding = blockSize - (plaintext.length % blockSize);
-  const paddedText = Buffer.concat([plaintext, Buffer.alloc(padding, padding)]);
-  
-  const iv = crypto.randomBytes(blockSize);
-  const cipher = crypto.createCipher('aes-256-cbc', key);
-  cipher.setIVBytes(iv);
-  
-  let encrypted = cipher.update(paddedText);
-  encrypted = Buffer.concat([encrypted, cipher.final()]);
-  
-  return Buffer.concat([iv, encrypted]);
+  const iv = crypto.randomBytes(aes.BLOCK_SIZE);
+  return Buffer.concat([iv, aes.cbcEncrypt(key, iv, plaintext)]);
 }
 
 /**
- * AES decryption with unpadding
+ * AES-CBC decryption (IV prepended)
  */
 function aesDecrypt(key, ciphertext) {
-  const iv = ciphertext.slice(0, 16);
-  const encrypted = ciphertext.slice(16);
-  
-  const decipher = crypto.createDecipher('aes-256-cbc', key);
-  decipher.setIVBytes(iv);
+  const iv = ciphertext.slice(0, aes.BLOCK_SIZE);
+  const encrypted = ciphertext.slice(aes.BLOCK_SIZE);
   
-  let decrypted = decipher.update(encrypted);
-  decrypted = Buffer.concat([decrypted, decipher.final()]);
-  
-  // Remove PKCS7 padding
-  const padding = decrypted[decrypted.length - 1];
-  return decrypted.slice(0, decrypted.length - padding);
+  return aes.cbcDecrypt(key, iv, encrypted);
 }
 
 /**
@@ -151,7 +158,9 @@ function hkdf(inputKeyMaterial, salt, info, length) {
   for (let i = 1; i <= blocks; i++) {
     const hmac = crypto.createHmac('sha256', prk);
     hmac.update(previousBlock);
-    hmac.update(info);
+    if (info) {
+      hmac.update(info);
+    }
     hmac.update(Buffer.from([i]));
     
     previousBlock = hmac.digest();
@@ -161,23 +170,47 @@ function hkdf(inputKeyMaterial, salt, info, length) {
   return okm.slice(0, length);
 }
 
+// DER prefixes wrapping raw 32-byte X25519 keys as PKCS#8 / SPKI
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
 /**
- * Generate curve25519 key pair (simplified)
+ * Generate curve25519 key pair
+ * Keys are returned as raw 32-byte buffers, as used on the wire.
  */
 function generateCurve25519KeyPair() {
-  // Generate 32 random bytes for private key
-  const privateKey = crypto.randomBytes(32);
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('x25519');
   
-  // Clamp the private key according to curve25519 spec
-  privateKey[0] &= 248;
-  privateKey[31] &= 127;
-  privateKey[31] |= 64;
+  return {
+    privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(X25519_PKCS8_PREFIX.length),
+    publicKey: publicKey.export({ format: 'der', type: 'spki' }).subarray(X25519_SPKI_PREFIX.length)
+  };
+}
+
+/**
+ * Compute curve25519 shared secret from raw 32-byte keys
+ */
+function computeCurve25519SharedSecret(privateKey, publicKey) {
+  if (!Buffer.isBuffer(privateKey) || privateKey.length !== 32) {
+    throw new Error('Curve25519 private key must be 32 bytes');
+  }
   
-  // For demo purposes, generate a mock public key
-  // In real implementation, this would use proper curve25519 scalar multiplication
-  const publicKey = crypto.randomBytes(32);
+  if (!Buffer.isBuffer(publicKey) || publicKey.length !== 32) {
+    throw new Error('Curve25519 public key must be 32 bytes');
+  }
   
-  return { privateKey, publicKey };
+  return crypto.diffieHellman({
+    privateKey: crypto.createPrivateKey({
+      key: Buffer.concat([X25519_PKCS8_PREFIX, privateKey]),
+      format: 'der',
+      type: 'pkcs8'
+    }),
+    publicKey: crypto.createPublicKey({
+      key: Buffer.concat([X25519_SPKI_PREFIX, publicKey]),
+      format: 'der',
+      type: 'spki'
+    })
+  });
 }
 
 /**
@@ -218,6 +251,46 @@ function validateChatId(chatId) {
   return regex.test(chatId);
 }
 
+/**
+ * Check that a phone number has a plausible international length
+ */
+function validatePhoneNumber(phoneNumber) {
+  if (typeof phoneNumber !== 'string' && typeof phoneNumber !== 'number') {
+    return false;
+  }
+  
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  return digits.length >= 7 && digits.length <= 15;
+}
+
+/**
+ * Convert a wire JID (`@s.whatsapp.net`) to the chat ID form (`@c.us`)
+ */
+function normalizeJid(jid) {
+  return typeof jid === 'string' ? jid.replace('@s.whatsapp.net', '@c.us') : jid;
+}
+
+/**
+ * Guess MIME type from a file name
+ */
+function getMimeType(filename) {
+  const extension = String(filename).split('.').pop().toLowerCase();
+  return MIME_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * Check media size against the limit for its message type
+ */
+function validateFileSize(size, type) {
+  const limit = MediaLimits[type];
+  
+  if (limit && size > limit) {
+    throw new MessageError(`Media exceeds size limit of ${limit} bytes`);
+  }
+  
+  return true;
+}
+
 /**
  * Sleep utility
  */
@@ -327,6 +400,15 @@ class RateLimitError extends Error {
   }
 }
 
+class BinaryError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BinaryError';
+    this.code = 'BINARY_ERROR';
+    Object.assign(this, details);
+  }
+}
+
 module.exports = {
   logger,
   getTimestamp,
@@ -341,10 +423,15 @@ module.exports = {
   whatsappDecrypt,
   hkdf,
   generateCurve25519KeyPair,
+  computeCurve25519SharedSecret,
   parseWhatsAppVersion,
   formatPhoneNumber,
   createChatId,
   validateChatId,
+  validatePhoneNumber,
+  normalizeJid,
+  getMimeType,
+  validateFileSize,
   sleep,
   retryWithBackoff,
   deepMerge,
@@ -353,5 +440,6 @@ module.exports = {
   ConnectionError,
   AuthError,
   MessageError,
-  RateLimitError
+  RateLimitError,
+  BinaryError
 };
\ No newline at end of file
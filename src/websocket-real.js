@@ -16,11 +16,18 @@ const {
   generateRandomBase64, 
   hmacSha256, 
   hkdf,
+  generateCurve25519KeyPair,
+  computeCurve25519SharedSecret,
   whatsappEncrypt,
   whatsappDecrypt,
-  ConnectionError 
+  ConnectionError,
+  AuthError
 } = require('./utils');
-const { BinaryHandler } = require('./binary');
+const { BinaryHandler, BinaryStreamDecoder } = require('./binary');
+const aes = require('./aes');
+const { generatePairingCode, wrapPublicKey } = require('./pairing-code');
+const { LogoutReasons } = require('./constants');
+const { ConnectionStates, ConnectionStateMachine } = require('./connection-state');
 
 // WhatsApp Web servers (correct endpoint from reverse engineering)
 const WA_WEB_SERVERS = [
@@ -33,6 +40,22 @@ const WA_WEB_SERVERS = [
 // WhatsApp Web version (current as per reverse engineering)
 const WHATSAPP_WEB_VERSION = '2,2121,6';
 
+// Ciphertext slice size used when decrypting large frames incrementally
+const STREAM_CHUNK_SIZE = 64 * 1024;
+
+// QR refs live this long when the server does not send a ttl
+const DEFAULT_QR_TTL = 20000;
+
+// Pairing codes expire after this long when the server does not say
+const DEFAULT_PAIRING_TTL = 180000;
+
+// `admin login` failures (whatsapp-web-reveng), each with its own event
+const LOGIN_FAILURES = {
+  401: { event: 'logged_out', reason: LogoutReasons.UNPAIRED_FROM_PHONE, message: 'session was logged out from the phone' },
+  403: { event: 'needs_rescan', reason: 'access_denied', message: 'access denied for these credentials' },
+  409: { event: 'session_replaced', reason: 'replaced', message: 'session is open in another location' }
+};
+
 /**
  * Real WhatsApp Web WebSocket Manager
  * Implements the authentic protocol from reverse engineering
@@ -43,9 +66,7 @@ class RealWebSocketManager extends EventEmitter {
     
     this.options = options;
     this.ws = null;
-    this.isConnected = false;
-    this.isAuthenticated = false;
-    this.messageQueue = new Map();
+    this.messageQueue = new Map(); // tag -> pending query
     this.keepAliveTimer = null;
     this.reconnectTimer = null;
     this.binaryHandler = new BinaryHandler();
@@ -56,11 +77,20 @@ class RealWebSocketManager extends EventEmitter {
     this.reconnectDelay = this.options.reconnectDelay || 2000;
     this.keepAliveInterval = this.options.keepAliveInterval || 20000;
     this.connectionTimeout = this.options.connectionTimeout || 20000;
+    this.messageTimeout = this.options.messageTimeout || 30000;
+    this.streamingThreshold = this.options.streamingThreshold || 512 * 1024;
+    this.serverUrls = this.options.serverUrls || WA_WEB_SERVERS;
     this.autoReconnect = this.options.autoReconnect !== false;
     this.lastActivity = Date.now();
     this.pingInterval = null;
     this.pongTimeout = null;
     
+    // QR refs expire, `admin Conn reref` asks for a new one
+    this.maxQrRefreshes = this.options.maxQrRefreshes !== undefined ? this.options.maxQrRefreshes : 5;
+    this.qrTimer = null;
+    this.qrAttempt = 0;
+    this.qrTtl = DEFAULT_QR_TTL;
+    
     // Authentication state
     this.clientId = null;
     this.serverRef = null;
@@ -68,6 +98,8 @@ class RealWebSocketManager extends EventEmitter {
     this.publicKey = null;
     this.encKey = null;
     this.macKey = null;
+    this.restoring = false;
+    this.challengeAnswered = false;
     
     // Connection info
     this.connectionInfo = {
@@ -81,26 +113,74 @@ class RealWebSocketManager extends EventEmitter {
     };
     
     this.messageSentCount = 0;
+    this.tagPrefix = getTimestamp();
+    this.tagCounter = 0;
     this.serverIndex = 0;
-    this.connectionState = 'disconnected'; // disconnected, connecting, connected, authenticated
+    this.currentServer = null; // URL of the latest connection attempt
+    
+    // Connection lifecycle, see connection-state.js
+    this.connection = new ConnectionStateMachine();
+    this.connection.on('connection.update', (update) => {
+      logger.debug('Connection state', { from: update.previous, to: update.state });
+      this.emit('connection.update', update);
+    });
     
     logger.debug('Real WebSocket manager initialized with persistent connection');
   }
 
+  /**
+   * Current connection state (`ConnectionStates`)
+   * 
+   * @type {string}
+   */
+  get connectionState() {
+    return this.connection.state;
+  }
+
+  /**
+   * Whether the socket is open
+   * 
+   * @type {boolean}
+   */
+  get isConnected() {
+    return this.connection.is(ConnectionStates.OPEN, ConnectionStates.AUTHENTICATING, ConnectionStates.READY);
+  }
+
+  /**
+   * Whether the connection is logged in
+   * 
+   * @type {boolean}
+   */
+  get isAuthenticated() {
+    return this.connection.is(ConnectionStates.READY);
+  }
+
+  /**
+   * Wait until the connection reaches a state
+   * 
+   * @param {string|string[]} state - `ConnectionStates` value(s)
+   * @param {number} [timeout=30000] - Milliseconds before rejecting
+   * @returns {Promise<string>} State that was reached
+   */
+  waitFor(state, timeout = 30000) {
+    return this.connection.waitFor(state, timeout);
+  }
+
   /**
    * Connect to WhatsApp Web servers with persistent connection like baileys.js
    */
   async connect() {
-    if (this.connectionState === 'connecting' || this.connectionState === 'connected') {
+    if (!this.connection.is(ConnectionStates.DISCONNECTED)) {
       logger.debug('Already connecting or connected');
       return;
     }
 
-    this.connectionState = 'connecting';
     this.connectionAttempts++;
+    this.connection.transition(ConnectionStates.CONNECTING, { attempt: this.connectionAttempts });
 
     try {
       const serverUrl = this._getNextServer();
+      this.currentServer = serverUrl;
       logger.info(`Connecting to WhatsApp Web server (attempt ${this.connectionAttempts}):`, serverUrl);
       
       const wsOptions = {
@@ -135,7 +215,6 @@ class RealWebSocketManager extends EventEmitter {
       // Wait for connection with timeout
       await new Promise((resolve, reject) => {
         const timeout = setTimeout(() => {
-          this.connectionState = 'disconnected';
           reject(new ConnectionError('Connection timeout'));
         }, this.connectionTimeout);
         
@@ -152,20 +231,28 @@ class RealWebSocketManager extends EventEmitter {
       });
       
     } catch (error) {
-      this.connectionState = 'disconnected';
       logger.error('Failed to connect to WhatsApp Web:', error);
       
+      // Drop the half-open socket so a late `open` cannot revive it
+      if (this.ws) {
+        this.ws.removeAllListeners();
+        this.ws.terminate();
+        this.ws = null;
+      }
+      
+      const retry = this.autoReconnect && this.connectionAttempts < this.maxReconnectAttempts;
+      const delay = retry ? this._calculateBackoffDelay() : null;
+      
+      this.connection.transition(ConnectionStates.DISCONNECTED, {
+        error,
+        attempt: this.connectionAttempts,
+        retryIn: delay
+      });
+      
       // Auto-reconnect like baileys.js
-      if (this.autoReconnect && this.connectionAttempts < this.maxReconnectAttempts) {
-        const delay = this._calculateBackoffDelay();
+      if (retry) {
         logger.info(`Reconnecting in ${delay}ms... (${this.connectionAttempts}/${this.maxReconnectAttempts})`);
-        
-        this.reconnectTimer = setTimeout(() => {
-          this.connect().catch(err => {
-            logger.error('Reconnection failed:', err);
-            this.emit('reconnect_failed', err);
-          });
-        }, delay);
+        this._scheduleReconnect(delay);
       } else {
         logger.error('Max reconnection attempts reached or auto-reconnect disabled');
         this.emit('connection_failed', error);
@@ -182,48 +269,92 @@ class RealWebSocketManager extends EventEmitter {
     try {
       logger.info('Initializing WhatsApp Web authentication');
       
-      // Generate client ID (16 random bytes, base64 encoded)
-      this.clientId = generateRandomBase64(16);
+      this.connection.transition(ConnectionStates.AUTHENTICATING);
       
-      // Send init message
-      const messageTag = getTimestamp().toString();
-      const initMessage = [
-        'admin',
-        'init',
-        parseWhatsAppVersion(WHATSAPP_WEB_VERSION),
-        [`WhatsApp Web Library at ${new Date().toISOString()}`, 'WhatsApp Web Library'],
-        this.clientId,
-        true
-      ];
+      const response = await this._sendInit();
+      return this._handleLoginResponse(response);
       
-      this.messageQueue.set(messageTag, { 
-        desc: '_login', 
-        resolve: null, 
-        reject: null 
-      });
+    } catch (error) {
+      logger.error('Failed to initialize authentication:', error);
+      this._authenticationFailed(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link with a pairing code instead of a QR code
+   * The phone completes the link with the same `Conn` secret as a QR scan,
+   * which emits `authenticated`.
+   * 
+   * @param {string} phoneNumber - Phone number digits including country code
+   * @returns {Promise<{code: string, ref: string, ttl: number, expiresAt: number}>} Code to enter on the phone
+   * @throws {AuthError} When the server rejects the number or the request
+   */
+  async requestPairingCode(phoneNumber) {
+    try {
+      logger.info('Requesting pairing code for:', phoneNumber);
       
-      this._sendMessage(messageTag, initMessage);
+      this.connection.transition(ConnectionStates.AUTHENTICATING);
       
-      // Wait for server response
-      return new Promise((resolve, reject) => {
-        const queueItem = this.messageQueue.get(messageTag);
-        queueItem.resolve = resolve;
-        queueItem.reject = reject;
-        
-        setTimeout(() => {
-          if (this.messageQueue.has(messageTag)) {
-            this.messageQueue.delete(messageTag);
-            reject(new Error('Authentication initialization timeout'));
-          }
-        }, 30000);
-      });
+      const init = await this._sendInit();
+      if (init.status !== 200) {
+        throw new AuthError(`Login failed with status: ${init.status}`, { status: init.status });
+      }
+      this.serverRef = init.ref;
+      
+      // The phone encrypts the session keys to this key pair, as after a QR scan
+      const keyPair = generateCurve25519KeyPair();
+      this.privateKey = keyPair.privateKey;
+      this.publicKey = keyPair.publicKey;
+      
+      const code = generatePairingCode();
+      const wrapped = await wrapPublicKey(code, this.publicKey);
+      
+      const response = await this.query(null, ['admin', 'link_code', {
+        stage: 'companion_hello',
+        jid: `${phoneNumber}@c.us`,
+        ref: this.serverRef,
+        wrappedPublicKey: wrapped.toString('base64'),
+        platform: 'WhatsApp Web Library'
+      }], { timeout: this.messageTimeout });
+      
+      if (response.status === 400) {
+        throw new AuthError(`Server rejected phone number ${phoneNumber}`, { status: 400 });
+      }
+      if (response.status !== 200) {
+        throw new AuthError(`Pairing code request failed with status: ${response.status}`, { status: response.status });
+      }
+      
+      const ttl = response.ttl || DEFAULT_PAIRING_TTL;
+      return { code, ref: response.ref || this.serverRef, ttl, expiresAt: Date.now() + ttl };
       
     } catch (error) {
-      logger.error('Failed to initialize authentication:', error);
+      logger.error('Failed to request pairing code:', error);
+      this._authenticationFailed(error);
       throw error;
     }
   }
 
+  /**
+   * Send `admin init` with a new client id
+   * @private
+   */
+  _sendInit() {
+    // Generate client ID (16 random bytes, base64 encoded)
+    this.clientId = generateRandomBase64(16);
+    
+    const initMessage = [
+      'admin',
+      'init',
+      parseWhatsAppVersion(WHATSAPP_WEB_VERSION),
+      [`WhatsApp Web Library at ${new Date().toISOString()}`, 'WhatsApp Web Library'],
+      this.clientId,
+      true
+    ];
+    
+    return this.query(null, initMessage, { timeout: 30000 });
+  }
+
   /**
    * Login with existing session
    */
@@ -231,6 +362,8 @@ class RealWebSocketManager extends EventEmitter {
     try {
       logger.info('Logging in with existing session');
       
+      this.connection.transition(ConnectionStates.AUTHENTICATING);
+      
       this.clientId = sessionData.clientId;
       this.connectionInfo.clientToken = sessionData.clientToken;
       this.connectionInfo.serverToken = sessionData.serverToken;
@@ -238,7 +371,6 @@ class RealWebSocketManager extends EventEmitter {
       this.macKey = Buffer.from(sessionData.macKey, 'base64');
       
       // Send init message
-      const messageTag = getTimestamp().toString();
       const initMessage = [
         'admin',
         'init',
@@ -248,10 +380,9 @@ class RealWebSocketManager extends EventEmitter {
         true
       ];
       
-      this._sendMessage(messageTag, initMessage);
+      await this.query(null, initMessage, { timeout: 30000 });
       
       // Send login message
-      const loginTag = getTimestamp().toString();
       const loginMessage = [
         'admin',
         'login',
@@ -261,40 +392,115 @@ class RealWebSocketManager extends EventEmitter {
         'takeover'
       ];
       
-      this.messageQueue.set(loginTag, { 
-        desc: '_restoresession',
-        resolve: null,
-        reject: null
-      });
+      // The server may send `Cmd challenge` before answering, then `Conn`
+      this.restoring = true;
+      this.challengeAnswered = false;
       
-      this._sendMessage(loginTag, loginMessage);
+      const response = await this.query(null, loginMessage, { timeout: 30000 });
+      this._handleSessionResponse(response);
       
-      return new Promise((resolve, reject) => {
-        const queueItem = this.messageQueue.get(loginTag);
-        queueItem.resolve = resolve;
-        queueItem.reject = reject;
-        
-        setTimeout(() => {
-          if (this.messageQueue.has(loginTag)) {
-            this.messageQueue.delete(loginTag);
-            reject(new Error('Session login timeout'));
-          }
-        }, 30000);
-      });
+      if (!this.isAuthenticated) {
+        await this._waitForEvent('authenticated', this.messageTimeout);
+      }
+      
+      return response;
       
     } catch (error) {
       logger.error('Failed to login with session:', error);
+      this._authenticationFailed(error);
       throw error;
+    } finally {
+      this.restoring = false;
     }
   }
 
+  /**
+   * Generate unique message tag
+   * 
+   * @returns {string} Tag in WhatsApp Web format (`<seconds>.--<counter>`)
+   */
+  generateMessageTag() {
+    return `${this.tagPrefix}.--${this.tagCounter++}`;
+  }
+
+  /**
+   * Send a frame and wait for the server reply carrying the same tag
+   * 
+   * @param {string|null} tag - Message tag (generated when null)
+   * @param {Array|Object} payload - JSON payload, or binary node when `options.binary` is set
+   * @param {Object} [options={}] - Query options
+   * @param {number} [options.timeout] - Milliseconds to wait for the reply (defaults to `messageTimeout`)
+   * @param {AbortSignal} [options.signal] - Signal cancelling the query
+   * @param {boolean} [options.binary=false] - Encode payload as binary node and send encrypted
+   * @param {number[]} [options.binaryTags] - Metric and flag bytes for binary queries
+   * @returns {Promise<Object|Array>} Parsed JSON reply or decoded binary node
+   */
+  query(tag, payload, options = {}) {
+    const messageTag = tag || this.generateMessageTag();
+    const timeout = options.timeout || this.messageTimeout;
+    const { signal } = options;
+    
+    if (this.messageQueue.has(messageTag)) {
+      return Promise.reject(new Error(`Query with tag ${messageTag} already pending`));
+    }
+    
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this._settleQuery(messageTag);
+        reject(signal.reason);
+      };
+      
+      const timer = setTimeout(() => {
+        this._settleQuery(messageTag);
+        reject(new ConnectionError(`Query ${messageTag} timed out after ${timeout}ms`, {
+          reason: 'timeout',
+          tag: messageTag
+        }));
+      }, timeout);
+      
+      this.messageQueue.set(messageTag, {
+        resolve,
+        reject,
+        cleanup: () => {
+          clearTimeout(timer);
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+        }
+      });
+      
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      
+      try {
+        if (options.binary) {
+          this.sendBinary(messageTag, this.binaryHandler.encode(payload), options.binaryTags);
+        } else {
+          this._sendMessage(messageTag, payload);
+        }
+      } catch (error) {
+        this._settleQuery(messageTag);
+        reject(error);
+      }
+    });
+  }
+
   /**
    * Send binary message
+   * 
+   * @param {string} messageId - Message tag
+   * @param {Buffer} data - Encoded binary node
+   * @param {number[]} [binaryTags=[0x01, 0x80]] - Metric and flag bytes (see `WAMetrics`/`WAFlags`)
    */
-  sendBinary(messageId, data) {
+  sendBinary(messageId, data, binaryTags = [0x01, 0x80]) {
     try {
       if (!this.isAuthenticated) {
-        throw new Error('Not authenticated');
+        throw new ConnectionError('Not authenticated', { reason: 'not_connected' });
       }
       
       // Encrypt the message
@@ -304,8 +510,7 @@ class RealWebSocketManager extends EventEmitter {
       const payload = Buffer.concat([
         Buffer.from(messageId),
         Buffer.from(','),
-        Buffer.from([0x01]), // Metric (MESSAGE = 1)
-        Buffer.from([0x80]), // Flags
+        Buffer.from(binaryTags),
         encryptedMessage
       ]);
       
@@ -320,8 +525,25 @@ class RealWebSocketManager extends EventEmitter {
     }
   }
 
+  /**
+   * Unlink this device and disconnect
+   * The stored credentials are invalid afterwards.
+   */
+  async logout() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      // Send goodbye message like baileys.js
+      this._sendMessage('goodbye', ['admin', 'Conn', 'disconnect']);
+      
+      // Wait a bit for message to be sent
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    
+    await this.disconnect();
+  }
+
   /**
    * Disconnect from WhatsApp Web and cleanup all persistent connections
+   * The session stays linked and can be restored later, see `logout()`.
    */
   async disconnect() {
     try {
@@ -329,18 +551,17 @@ class RealWebSocketManager extends EventEmitter {
       
       // Disable auto-reconnect
       this.autoReconnect = false;
-      this.connectionState = 'disconnected';
+      
+      if (this.connection.canTransition(ConnectionStates.CLOSING)) {
+        this.connection.transition(ConnectionStates.CLOSING, { reason: 'client disconnect' });
+      }
       
       // Clear all timers and monitoring
       this._clearKeepAlive();
+      this._clearQRTimer();
+      this._rejectPendingQueries('client disconnected');
       
       if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        // Send goodbye message like baileys.js
-        this._sendMessage('goodbye', ['admin', 'Conn', 'disconnect']);
-        
-        // Wait a bit for message to be sent
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
         // Close WebSocket gracefully
         this.ws.close(1000, 'Client disconnect');
       } else if (this.ws) {
@@ -348,9 +569,8 @@ class RealWebSocketManager extends EventEmitter {
         this.ws.terminate();
       }
       
-      this.isConnected = false;
-      this.isAuthenticated = false;
       this.ws = null;
+      this.connection.transition(ConnectionStates.DISCONNECTED, { reason: 'client disconnect' });
       
       // Reset connection state
       this.connectionAttempts = 0;
@@ -368,8 +588,7 @@ class RealWebSocketManager extends EventEmitter {
    */
   _handleOpen() {
     logger.info('🟢 WebSocket connection opened to WhatsApp Web servers');
-    this.connectionState = 'connected';
-    this.isConnected = true;
+    this.connection.transition(ConnectionStates.OPEN);
     this.lastActivity = Date.now();
     this.connectionAttempts = 0; // Reset on successful connection
     
@@ -400,7 +619,20 @@ class RealWebSocketManager extends EventEmitter {
    */
   _handleTextMessage(message) {
     try {
-      const [messageTag, messageContent] = message.split(',', 2);
+      // Keep-alive response ("!<timestamp>")
+      if (message.startsWith('!')) {
+        this.lastActivity = Date.now();
+        return;
+      }
+      
+      const commaIndex = message.indexOf(',');
+      if (commaIndex === -1) {
+        logger.debug('Ignoring untagged text message:', message);
+        return;
+      }
+      
+      const messageTag = message.slice(0, commaIndex);
+      const messageContent = message.slice(commaIndex + 1);
       
       logger.debug('Received text message:', { tag: messageTag, content: messageContent });
       
@@ -439,12 +671,30 @@ class RealWebSocketManager extends EventEmitter {
       const messageTag = data.slice(0, commaIndex).toString();
       const messageContent = data.slice(commaIndex + 1);
       
+      // Large frames (history sync) are decrypted and decoded incrementally,
+      // replies to pending queries are always decoded whole
+      if (messageContent.length > this.streamingThreshold && !this.messageQueue.has(messageTag)) {
+        this._handleStreamedBinaryMessage(messageTag, messageContent);
+        return;
+      }
+      
       // Decrypt the message
       const decryptedData = whatsappDecrypt(this.encKey, this.macKey, messageContent);
       
       // Parse binary data
       const parsedData = this.binaryHandler.decode(decryptedData);
       
+      // Reply to a binary query
+      if (this.messageQueue.has(messageTag)) {
+        this._settleQuery(messageTag).resolve(parsedData);
+        return;
+      }
+      
+      if (Array.isArray(parsedData) && parsedData[0] === 'stream:error') {
+        this._handleStreamError(parsedData);
+        return;
+      }
+      
       logger.debug('Received binary message:', { tag: messageTag, data: parsedData });
       
       this.emit('binary_message', {
@@ -457,91 +707,289 @@ class RealWebSocketManager extends EventEmitter {
     }
   }
 
+  /**
+   * Handle large binary message without decoding it in one piece
+   * Emits `binary_child` for every child of the top-level node as soon as it
+   * has been decrypted and decoded, then `binary_message` with the header.
+   */
+  _handleStreamedBinaryMessage(messageTag, messageContent) {
+    const receivedHmac = messageContent.subarray(0, 32);
+    const encrypted = messageContent.subarray(32);
+    
+    // Verify HMAC before any plaintext is produced
+    const computedHmac = hmacSha256(this.macKey, encrypted);
+    if (!crypto.timingSafeEqual(receivedHmac, computedHmac)) {
+      throw new Error('HMAC verification failed');
+    }
+    
+    const decoder = new BinaryStreamDecoder({ handler: this.binaryHandler });
+    let header = null;
+    let failure = null;
+    
+    decoder.on('header', (description, attributes) => {
+      header = { description, attributes };
+    });
+    
+    decoder.on('child', (child, index) => {
+      this.emit('binary_child', {
+        tag: messageTag,
+        description: header.description,
+        attributes: header.attributes,
+        child,
+        index
+      });
+    });
+    
+    decoder.on('node', (node) => {
+      logger.debug('Received streamed binary message:', { tag: messageTag, description: node[0] });
+      
+      this.emit('binary_message', {
+        tag: messageTag,
+        data: node,
+        streamed: true
+      });
+    });
+    
+    decoder.on('error', (error) => {
+      failure = error;
+    });
+    
+    const decipher = aes.createCbcDecipher(this.encKey, encrypted.subarray(0, aes.BLOCK_SIZE));
+    
+    for (let offset = aes.BLOCK_SIZE; offset < encrypted.length && !failure; offset += STREAM_CHUNK_SIZE) {
+      decoder.write(decipher.update(encrypted.subarray(offset, offset + STREAM_CHUNK_SIZE)));
+    }
+    
+    if (!failure) {
+      decoder.write(decipher.final());
+      decoder.end();
+    }
+    
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * Remove pending query and release its timer and abort listener
+   */
+  _settleQuery(messageTag) {
+    const queueItem = this.messageQueue.get(messageTag);
+    
+    if (queueItem) {
+      this.messageQueue.delete(messageTag);
+      queueItem.cleanup();
+    }
+    
+    return queueItem;
+  }
+
+  /**
+   * Reject all pending queries (connection went away)
+   */
+  _rejectPendingQueries(reason) {
+    for (const messageTag of [...this.messageQueue.keys()]) {
+      const queueItem = this._settleQuery(messageTag);
+      queueItem.reject(new ConnectionError(`Query ${messageTag} failed: ${reason}`, {
+        reason: 'closed',
+        tag: messageTag
+      }));
+    }
+  }
+
   /**
    * Handle queued message response
    */
   _handleQueuedMessage(messageTag, messageContent) {
-    const queueItem = this.messageQueue.get(messageTag);
-    this.messageQueue.delete(messageTag);
+    const queueItem = this._settleQuery(messageTag);
     
     try {
-      const response = JSON.parse(messageContent);
-      
-      if (queueItem.desc === '_login') {
-        this._handleLoginResponse(response, queueItem);
-      } else if (queueItem.desc === '_restoresession') {
-        this._handleSessionResponse(response, queueItem);
-      }
-      
+      queueItem.resolve(JSON.parse(messageContent));
     } catch (error) {
-      if (queueItem.reject) {
-        queueItem.reject(error);
-      }
+      queueItem.reject(error);
     }
   }
 
   /**
    * Handle login response (QR generation)
    */
-  _handleLoginResponse(response, queueItem) {
+  _handleLoginResponse(response) {
+    if (response.status !== 200) {
+      throw new Error(`Login failed with status: ${response.status}`);
+    }
+    
+    this.serverRef = response.ref;
+    
+    // Generate Curve25519 key pair, kept for every ref of this login
+    const keyPair = generateCurve25519KeyPair();
+    this.privateKey = keyPair.privateKey;
+    this.publicKey = keyPair.publicKey;
+    
+    this.qrAttempt = 0;
+    const qr = this._emitQR(response.ttl);
+    
+    return {
+      qr: qr.qr,
+      serverRef: this.serverRef
+    };
+  }
+
+  /**
+   * Emit QR for the current ref and schedule its refresh
+   * @private
+   */
+  _emitQR(ttl) {
+    this._clearQRTimer();
+    
+    const qrTtl = ttl || DEFAULT_QR_TTL;
+    this.qrTtl = qrTtl;
+    
+    const qr = {
+      qr: [this.serverRef, this.publicKey.toString('base64'), this.clientId].join(','),
+      ref: this.serverRef,
+      attempt: ++this.qrAttempt,
+      ttl: qrTtl,
+      expiresAt: Date.now() + qrTtl
+    };
+    
+    logger.info(`QR code generated (attempt ${qr.attempt}/${this.maxQrRefreshes + 1}):`, qr.qr);
+    
+    this.emit('qr', qr);
+    
+    this.qrTimer = setTimeout(() => {
+      this._refreshQR().catch((error) => {
+        logger.error('QR refresh failed:', error);
+      });
+    }, qrTtl);
+    
+    return qr;
+  }
+
+  /**
+   * Replace the expired QR ref, or give up after `maxQrRefreshes`
+   * @private
+   */
+  async _refreshQR() {
+    this.qrTimer = null;
+    
+    if (this.isAuthenticated || !this.isConnected) {
+      return;
+    }
+    
+    if (this.qrAttempt > this.maxQrRefreshes) {
+      logger.warn(`QR code not scanned after ${this.qrAttempt} attempts`);
+      this.emit('qr_timeout', { attempts: this.qrAttempt, reason: 'max_refreshes' });
+      return;
+    }
+    
+    let ttl = this.qrTtl;
     try {
-      if (response.status !== 200) {
-        throw new Error(`Login failed with status: ${response.status}`);
-      }
-      
-      this.serverRef = response.ref;
-      
-      // Generate Curve25519 key pair
-      const keyPair = this._generateKeyPair();
-      this.privateKey = keyPair.privateKey;
-      this.publicKey = keyPair.publicKey;
-      
-      // Generate QR code content
-      const qrContent = [
-        this.serverRef,
-        this.publicKey.toString('base64'),
-        this.clientId
-      ].join(',');
+      const response = await this.query(null, ['admin', 'Conn', 'reref'], { timeout: this.messageTimeout });
       
-      logger.info('QR code generated:', qrContent);
-      
-      if (queueItem.resolve) {
-        queueItem.resolve({
-          qr: qrContent,
-          serverRef: this.serverRef
-        });
+      // Too many QR requests, the server will not issue more refs
+      if (response.status === 429) {
+        logger.warn('QR refresh rate limited by server');
+        this.emit('qr_timeout', { attempts: this.qrAttempt, reason: 'rate_limited' });
+        return;
+      }
+      if (response.status !== 200 || !response.ref) {
+        throw new Error(`QR refresh failed with status: ${response.status}`);
       }
       
-      this.emit('qr', qrContent);
+      this.serverRef = response.ref;
+      ttl = response.ttl;
       
     } catch (error) {
-      if (queueItem.reject) {
-        queueItem.reject(error);
-      }
+      // Show the previous ref again and retry when it expires
+      logger.warn('Failed to refresh QR ref:', error.message);
+    }
+    
+    // The scan may have completed while the query was in flight
+    if (!this.isAuthenticated && this.isConnected) {
+      this._emitQR(ttl);
     }
   }
 
   /**
-   * Handle session response
+   * Stop the QR refresh loop
+   * @private
    */
-  _handleSessionResponse(response, queueItem) {
-    try {
-      if (response.status !== 200) {
-        throw new Error(`Session restore failed with status: ${response.status}`);
-      }
-      
-      this.isAuthenticated = true;
-      this.emit('authenticated');
-      
-      if (queueItem.resolve) {
-        queueItem.resolve(response);
-      }
-      
-    } catch (error) {
-      if (queueItem.reject) {
-        queueItem.reject(error);
+  _clearQRTimer() {
+    if (this.qrTimer) {
+      clearTimeout(this.qrTimer);
+      this.qrTimer = null;
+    }
+  }
+
+  /**
+   * Handle `admin login` response
+   * Success is only final once `Conn` arrives; failures emit
+   * `logged_out`, `needs_rescan` or `session_replaced` and throw.
+   */
+  _handleSessionResponse(response) {
+    const status = response.status;
+    
+    if (status === 200) {
+      return response;
+    }
+    
+    // Login already went through on this socket, `Conn` follows as usual
+    if (status === 405) {
+      logger.warn('Session already logged in on this connection');
+      return response;
+    }
+    
+    // Tokens were accepted if we were challenged, so the mac key is wrong
+    let failure = LOGIN_FAILURES[status];
+    if (status === 401 && this.challengeAnswered) {
+      failure = { event: 'needs_rescan', reason: 'challenge_failed', message: 'stored keys failed the login challenge' };
+    }
+    
+    if (!failure) {
+      throw new AuthError(`Session restore failed with status: ${status}`, { status });
+    }
+    
+    logger.warn(`Session restore failed: ${failure.message}`, { status });
+    if (failure.event === 'logged_out') {
+      this._handleLoggedOut(failure.reason, { status });
+    } else {
+      // Logging in again would take the session back from the other location
+      if (failure.event === 'session_replaced') {
+        this.autoReconnect = false;
       }
+      this.emit(failure.event, { reason: failure.reason, status });
     }
+    
+    throw new AuthError(`Session restore failed: ${failure.message}`, { reason: failure.reason, status });
+  }
+
+  /**
+   * Wait for an event, failing on timeout or disconnect
+   * @private
+   */
+  _waitForEvent(event, timeout) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.removeListener(event, onEvent);
+        this.removeListener('disconnected', onDisconnected);
+      };
+      const onEvent = (data) => {
+        cleanup();
+        resolve(data);
+      };
+      const onDisconnected = () => {
+        cleanup();
+        reject(new ConnectionError(`Connection closed while waiting for ${event}`));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new ConnectionError(`Timed out waiting for ${event}`));
+      }, timeout);
+      
+      this.once(event, onEvent);
+      this.once('disconnected', onDisconnected);
+    });
   }
 
   /**
@@ -579,21 +1027,43 @@ class RealWebSocketManager extends EventEmitter {
     try {
       logger.info('Processing connection info');
       
+      this._clearQRTimer();
+      
       this.connectionInfo.clientToken = connData.clientToken;
       this.connectionInfo.serverToken = connData.serverToken;
       this.connectionInfo.browserToken = connData.browserToken;
       this.connectionInfo.me = connData.wid;
       this.connectionInfo.pushname = connData.pushname;
       
+      // Restored sessions get fresh tokens but keep their keys
+      if (!connData.secret) {
+        this.emit('credentials_update', {
+          clientToken: connData.clientToken,
+          serverToken: connData.serverToken,
+          wid: connData.wid,
+          pushname: connData.pushname
+        });
+        
+        if (this.restoring) {
+          this.connection.transition(ConnectionStates.READY, { wid: connData.wid, restored: true });
+          logger.info(`Session restored as ${connData.pushname} (${connData.wid})`);
+          this.emit('authenticated');
+        }
+        return;
+      }
+      
       // Process secret and derive keys
       const secret = Buffer.from(connData.secret, 'base64');
+      if (secret.length !== 144) {
+        throw new Error(`Invalid secret length: ${secret.length}`);
+      }
       this.connectionInfo.secret = secret;
       
       // Compute shared secret using Curve25519
-      this.connectionInfo.sharedSecret = this._computeSharedSecret(secret.slice(0, 32));
+      this.connectionInfo.sharedSecret = computeCurve25519SharedSecret(this.privateKey, secret.slice(0, 32));
       
-      // Derive encryption keys using HKDF
-      const sharedSecretExpanded = hkdf(this.connectionInfo.sharedSecret, Buffer.alloc(32), Buffer.from('WhatsApp Web Keys'), 80);
+      // Expand shared secret using HKDF (zero salt, no info)
+      const sharedSecretExpanded = hkdf(this.connectionInfo.sharedSecret, Buffer.alloc(32), null, 80);
       
       // Validate HMAC
       const hmacValidation = hmacSha256(sharedSecretExpanded.slice(32, 64), Buffer.concat([secret.slice(0, 32), secret.slice(64)]));
@@ -602,13 +1072,12 @@ class RealWebSocketManager extends EventEmitter {
       }
       
       // Decrypt keys
-      const keysEncrypted = Buffer.concat([sharedSecretExpanded.slice(64), secret.slice(64)]);
-      const keysDecrypted = this._aesDecrypt(sharedSecretExpanded.slice(0, 32), keysEncrypted);
+      const keysDecrypted = aes.cbcDecrypt(sharedSecretExpanded.slice(0, 32), sharedSecretExpanded.slice(64), secret.slice(64));
       
       this.encKey = keysDecrypted.slice(0, 32);
       this.macKey = keysDecrypted.slice(32, 64);
       
-      this.isAuthenticated = true;
+      this.connection.transition(ConnectionStates.READY, { wid: connData.wid, restored: false });
       
       // Start keep-alive
       this._startKeepAlive();
@@ -620,7 +1089,9 @@ class RealWebSocketManager extends EventEmitter {
         serverToken: this.connectionInfo.serverToken,
         clientId: this.clientId,
         encKey: this.encKey.toString('base64'),
-        macKey: this.macKey.toString('base64')
+        macKey: this.macKey.toString('base64'),
+        wid: connData.wid,
+        pushname: connData.pushname
       });
       
     } catch (error) {
@@ -634,7 +1105,7 @@ class RealWebSocketManager extends EventEmitter {
    */
   _sendMessage(tag, data) {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      throw new Error('WebSocket not connected');
+      throw new ConnectionError('WebSocket not connected', { reason: 'not_connected' });
     }
     
     const message = `${tag},${JSON.stringify(data)}`;
@@ -643,50 +1114,6 @@ class RealWebSocketManager extends EventEmitter {
     logger.debug('Message sent:', { tag, data });
   }
 
-  /**
-   * Generate Curve25519 key pair
-   */
-  _generateKeyPair() {
-    // Generate private key (32 random bytes)
-    const privateKey = crypto.randomBytes(32);
-    
-    // Clamp private key for Curve25519
-    privateKey[0] &= 248;
-    privateKey[31] &= 127;
-    privateKey[31] |= 64;
-    
-    // For demo, generate mock public key
-    // In real implementation, use proper scalar multiplication
-    const publicKey = crypto.randomBytes(32);
-    
-    return { privateKey, publicKey };
-  }
-
-  /**
-   * Compute shared secret (mock implementation)
-   */
-  _computeSharedSecret(serverPublicKey) {
-    // This is a simplified version
-    // Real implementation would use proper Curve25519 ECDH
-    return crypto.randomBytes(32);
-  }
-
-  /**
-   * AES decrypt utility
-   */
-  _aesDecrypt(key, ciphertext) {
-    const iv = ciphertext.slice(0, 16);
-    const encrypted = ciphertext.slice(16);
-    
-    const decipher = crypto.createDecipherGCM('aes-256-cbc', key);
-    decipher.setIVBytes(iv);
-    
-    let decrypted = decipher.update(encrypted);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-    
-    return decrypted;
-  }
-
   /**
    * Start persistent keep-alive system like baileys.js
    */
@@ -774,8 +1201,11 @@ class RealWebSocketManager extends EventEmitter {
   _handleConnectionDead() {
     logger.warn('Connection detected as dead, initiating reconnection');
     
-    this.connectionState = 'disconnected';
-    this.isConnected = false;
+    const delay = this.autoReconnect ? this._calculateBackoffDelay() : null;
+    this.connection.transition(ConnectionStates.DISCONNECTED, {
+      error: new ConnectionError('Connection lost', { reason: 'connection_lost' }),
+      retryIn: delay
+    });
     
     // Clean up current connection
     if (this.ws) {
@@ -785,24 +1215,32 @@ class RealWebSocketManager extends EventEmitter {
     }
     
     this._clearKeepAlive();
+    this._rejectPendingQueries('connection lost');
     
     // Emit disconnection event
     this.emit('connection_lost');
     
     // Auto-reconnect if enabled
     if (this.autoReconnect) {
-      const delay = this._calculateBackoffDelay();
       logger.info(`Auto-reconnecting in ${delay}ms...`);
-      
-      this.reconnectTimer = setTimeout(() => {
-        this.connect().catch(err => {
-          logger.error('Auto-reconnection failed:', err);
-          this.emit('reconnect_failed', err);
-        });
-      }, delay);
+      this._scheduleReconnect(delay);
     }
   }
 
+  /**
+   * Connect again after a delay
+   * @private
+   */
+  _scheduleReconnect(delay) {
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(err => {
+        logger.error('Auto-reconnection failed:', err);
+        this.emit('reconnect_failed', err);
+      });
+    }, delay);
+  }
+
   /**
    * Calculate exponential backoff delay for reconnection
    */
@@ -819,8 +1257,8 @@ class RealWebSocketManager extends EventEmitter {
    * Get next server URL
    */
   _getNextServer() {
-    const server = WA_WEB_SERVERS[this.serverIndex];
-    this.serverIndex = (this.serverIndex + 1) % WA_WEB_SERVERS.length;
+    const server = this.serverUrls[this.serverIndex % this.serverUrls.length];
+    this.serverIndex = (this.serverIndex + 1) % this.serverUrls.length;
     return server;
   }
 
@@ -829,15 +1267,29 @@ class RealWebSocketManager extends EventEmitter {
    */
   _handleClose(code, reason) {
     logger.info('WebSocket closed:', { code, reason: reason.toString() });
-    this.isConnected = false;
-    this.isAuthenticated = false;
     
-    if (this.keepAliveTimer) {
-      clearInterval(this.keepAliveTimer);
-      this.keepAliveTimer = null;
+    // A failed handshake is reported by connect(), with its retry schedule
+    const handshake = this.connection.is(ConnectionStates.CONNECTING);
+    
+    // Closed by the server or the network, disconnect() and logouts turn
+    // auto-reconnect off before closing
+    const reconnect = !handshake && this.autoReconnect;
+    const delay = reconnect ? this._calculateBackoffDelay() : null;
+    
+    if (!handshake) {
+      this.connection.transition(ConnectionStates.DISCONNECTED, { code, reason: reason.toString(), retryIn: delay });
     }
     
+    this._clearKeepAlive();
+    this._clearQRTimer();
+    this._rejectPendingQueries(`connection closed (${code})`);
+    
     this.emit('disconnected', { code, reason: reason.toString() });
+    
+    if (reconnect) {
+      logger.info(`Reconnecting in ${delay}ms...`);
+      this._scheduleReconnect(delay);
+    }
   }
 
   /**
@@ -855,28 +1307,92 @@ class RealWebSocketManager extends EventEmitter {
     if (cmdData.type === 'challenge') {
       logger.info('Received challenge, processing...');
       this._handleChallenge(cmdData.challenge);
+    } else if (cmdData.type === 'disconnect' && cmdData.kind === 'replaced') {
+      // Another browser took over; reconnecting would take it back
+      logger.warn('Session was opened in another location');
+      this.autoReconnect = false;
+      this.emit('session_replaced', { reason: 'replaced' });
+    } else if (cmdData.type === 'disconnect') {
+      const reason = cmdData.kind === LogoutReasons.DEVICE_REMOVED
+        ? LogoutReasons.DEVICE_REMOVED
+        : LogoutReasons.SERVER_LOGOUT;
+      this._handleLoggedOut(reason, { kind: cmdData.kind || null });
+    }
+  }
+
+  /**
+   * Handle `stream:error` node
+   * `conflict` children say why: `replaced` by another browser, or
+   * `device_removed` from the phone. Code 401 means the session is gone.
+   */
+  _handleStreamError(node) {
+    const [, attributes = {}, content] = node;
+    const conflict = Array.isArray(content) ? content.find(child => child[0] === 'conflict') : null;
+    const conflictType = conflict && conflict[1] ? conflict[1].type : null;
+    const code = attributes.code ? Number(attributes.code) : null;
+    
+    logger.warn('Received stream error', { code, conflict: conflictType });
+    
+    if (conflictType === 'replaced') {
+      this.autoReconnect = false;
+      this.emit('session_replaced', { reason: 'replaced', status: code });
+    } else if (conflictType === LogoutReasons.DEVICE_REMOVED) {
+      this._handleLoggedOut(LogoutReasons.DEVICE_REMOVED, { status: code });
+    } else if (code === 401) {
+      this._handleLoggedOut(LogoutReasons.SERVER_LOGOUT, { status: code });
+    }
+  }
+
+  /**
+   * Session ended by the server or phone
+   * Credentials are dead, so reconnecting would only loop.
+   */
+  _handleLoggedOut(reason, details = {}) {
+    logger.warn('Logged out by server', { reason, ...details });
+    
+    this.autoReconnect = false;
+    this._clearQRTimer();
+    
+    if (this.connection.canTransition(ConnectionStates.CLOSING)) {
+      this.connection.transition(ConnectionStates.CLOSING, { reason });
     }
+    
+    this.emit('logged_out', { reason, ...details });
   }
 
   /**
-   * Handle authentication challenge
+   * Fall back to open after a failed login, the socket is still usable
+   * @private
    */
-  _handleChallenge(challenge) {
+  _authenticationFailed(error) {
+    if (this.connection.is(ConnectionStates.AUTHENTICATING)) {
+      this.connection.transition(ConnectionStates.OPEN, { error });
+    }
+  }
+
+  /**
+   * Answer login challenge
+   * The server checks that we still hold the mac key: the challenge bytes
+   * are HMAC-SHA256 signed with it.
+   */
+  async _handleChallenge(challenge) {
     try {
-      const challengeData = Buffer.from(challenge, 'base64');
-      const response = whatsappEncrypt(this.encKey, this.macKey, challengeData);
-      const responseB64 = response.toString('base64');
-      
-      const messageTag = getTimestamp().toString();
+      const signature = hmacSha256(this.macKey, Buffer.from(challenge, 'base64'));
       const challengeResponse = [
         'admin',
         'challenge',
-        responseB64,
+        signature.toString('base64'),
         this.connectionInfo.serverToken,
         this.clientId
       ];
       
-      this._sendMessage(messageTag, challengeResponse);
+      // The pending login is answered with the outcome as well
+      this.challengeAnswered = true;
+      const response = await this.query(null, challengeResponse, { timeout: this.messageTimeout });
+      
+      if (response.status !== 200) {
+        logger.warn('Login challenge rejected', { status: response.status });
+      }
       
     } catch (error) {
       logger.error('Error handling challenge:', error);
@@ -0,0 +1,197 @@
+'use strict';
+
+const aes = require('../src/aes');
+const {
+  hkdf,
+  hmacSha256,
+  generateCurve25519KeyPair,
+  computeCurve25519SharedSecret,
+  whatsappEncrypt,
+  whatsappDecrypt
+} = require('../src/utils');
+
+const hex = value => Buffer.from(value, 'hex');
+
+describe('aes', () => {
+  describe('AES-256-CBC (NIST SP 800-38A F.2.5)', () => {
+    const key = hex('603deb1015ca71be2b73aef0857d77811f352c073b6108d72d9810a30914dff4');
+    const iv = hex('000102030405060708090a0b0c0d0e0f');
+    const plaintext = hex(
+      '6bc1bee22e409f96e93d7e117393172a' +
+      'ae2d8a571e03ac9c9eb76fac45af8e51' +
+      '30c81c46a35ce411e5fbc1191a0a52ef' +
+      'f69f2445df4f9b17ad2b417be66c3710'
+    );
+    const ciphertext = hex(
+      'f58c4c04d6e5f1ba779eabfb5f7bfbd6' +
+      '9cfc4e967edb808d679f777bc6702c7d' +
+      '39f23369a9d9bacfa530e26304231461' +
+      'b2eb05e2c39be9fcda6c19078c6a9d1b'
+    );
+
+    it('encrypts to the known ciphertext followed by a full padding block', () => {
+      const encrypted = aes.cbcEncrypt(key, iv, plaintext);
+
+      expect(encrypted.length).toBe(plaintext.length + aes.BLOCK_SIZE);
+      expect(encrypted.subarray(0, ciphertext.length).toString('hex')).toBe(ciphertext.toString('hex'));
+    });
+
+    it('decrypts the known ciphertext', () => {
+      const decipher = aes.createCbcDecipher(key, iv);
+      decipher.setAutoPadding(false);
+
+      const decrypted = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+      expect(decrypted.toString('hex')).toBe(plaintext.toString('hex'));
+    });
+
+    it('round-trips data that is not block aligned', () => {
+      const data = Buffer.from('Hello, WhatsApp');
+      expect(aes.cbcDecrypt(key, iv, aes.cbcEncrypt(key, iv, data))).toEqual(data);
+    });
+
+    it('rejects keys and IVs of the wrong size', () => {
+      expect(() => aes.cbcEncrypt(key.subarray(0, 16), iv, plaintext)).toThrow('AES key must be 32 bytes');
+      expect(() => aes.cbcEncrypt(key, iv.subarray(0, 12), plaintext)).toThrow('AES IV must be 16 bytes');
+    });
+  });
+
+  describe('AES-256-GCM (GCM specification test cases)', () => {
+    it('matches test case 13 (empty plaintext)', () => {
+      const { ciphertext, authTag } = aes.gcmEncrypt(Buffer.alloc(32), Buffer.alloc(12), Buffer.alloc(0));
+
+      expect(ciphertext.length).toBe(0);
+      expect(authTag.toString('hex')).toBe('530f8afbc74536b9a963b4f1c4cb738b');
+    });
+
+    it('matches test case 14 (one zero block)', () => {
+      const { ciphertext, authTag } = aes.gcmEncrypt(Buffer.alloc(32), Buffer.alloc(12), Buffer.alloc(16));
+
+      expect(ciphertext.toString('hex')).toBe('cea7403d4d606b6e074ec5d3baf39d18');
+      expect(authTag.toString('hex')).toBe('d0d1c8a799996bf0265b98b5d48ab919');
+    });
+
+    describe('test case 16 (additional authenticated data)', () => {
+      const key = hex('feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308');
+      const iv = hex('cafebabefacedbaddecaf888');
+      const aad = hex('feedfacedeadbeeffeedfacedeadbeefabaddad2');
+      const plaintext = hex(
+        'd9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a72' +
+        '1c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39'
+      );
+      const ciphertext = hex(
+        '522dc1f099567d07f47f37a32a84427d643a8cdcbfe5c0c97598a2bd2555d1aa' +
+        '8cb08e48590dbb3da7b08b1056828838c5f61e6393ba7a0abcc9f662'
+      );
+      const authTag = hex('76fc6ece0f4e1768cddf8853bb2d551b');
+
+      it('encrypts to the known ciphertext and tag', () => {
+        const encrypted = aes.gcmEncrypt(key, iv, plaintext, aad);
+
+        expect(encrypted.ciphertext.toString('hex')).toBe(ciphertext.toString('hex'));
+        expect(encrypted.authTag.toString('hex')).toBe(authTag.toString('hex'));
+      });
+
+      it('decrypts the known ciphertext', () => {
+        expect(aes.gcmDecrypt(key, iv, ciphertext, authTag, aad).toString('hex')).toBe(plaintext.toString('hex'));
+      });
+
+      it('rejects a modified tag, ciphertext or AAD', () => {
+        const badTag = Buffer.from(authTag);
+        badTag[0] ^= 1;
+        const badCiphertext = Buffer.from(ciphertext);
+        badCiphertext[0] ^= 1;
+
+        expect(() => aes.gcmDecrypt(key, iv, ciphertext, badTag, aad)).toThrow();
+        expect(() => aes.gcmDecrypt(key, iv, badCiphertext, authTag, aad)).toThrow();
+        expect(() => aes.gcmDecrypt(key, iv, ciphertext, authTag, Buffer.from('other'))).toThrow();
+      });
+
+      it('rejects a truncated tag', () => {
+        expect(() => aes.gcmDecrypt(key, iv, ciphertext, authTag.subarray(0, 12), aad))
+          .toThrow('AES-GCM auth tag must be 16 bytes');
+      });
+    });
+  });
+});
+
+describe('hkdf (RFC 5869)', () => {
+  const ikm = Buffer.alloc(22, 0x0b);
+
+  it('matches test case 1', () => {
+    const okm = hkdf(ikm, hex('000102030405060708090a0b0c'), hex('f0f1f2f3f4f5f6f7f8f9'), 42);
+
+    expect(okm.toString('hex')).toBe(
+      '3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865'
+    );
+  });
+
+  it('matches test case 3 (no salt, no info)', () => {
+    const okm = hkdf(ikm, Buffer.alloc(0), null, 42);
+
+    expect(okm.toString('hex')).toBe(
+      '8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8'
+    );
+  });
+});
+
+describe('hmacSha256 (RFC 4231)', () => {
+  it('matches test case 1', () => {
+    expect(hmacSha256(Buffer.alloc(20, 0x0b), Buffer.from('Hi There')).toString('hex'))
+      .toBe('b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7');
+  });
+
+  it('matches test case 2', () => {
+    expect(hmacSha256(Buffer.from('Jefe'), Buffer.from('what do ya want for nothing?')).toString('hex'))
+      .toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+  });
+});
+
+describe('X25519 (RFC 7748 section 6.1)', () => {
+  const alicePrivate = hex('77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a');
+  const alicePublic = hex('8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a');
+  const bobPrivate = hex('5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb');
+  const bobPublic = hex('de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f');
+  const shared = '4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742';
+
+  // u = 9, multiplying by it gives the public key
+  const basePoint = Buffer.concat([Buffer.from([9]), Buffer.alloc(31)]);
+
+  it('derives the public keys from the private keys', () => {
+    expect(computeCurve25519SharedSecret(alicePrivate, basePoint).toString('hex')).toBe(alicePublic.toString('hex'));
+    expect(computeCurve25519SharedSecret(bobPrivate, basePoint).toString('hex')).toBe(bobPublic.toString('hex'));
+  });
+
+  it('computes the same shared secret on both sides', () => {
+    expect(computeCurve25519SharedSecret(alicePrivate, bobPublic).toString('hex')).toBe(shared);
+    expect(computeCurve25519SharedSecret(bobPrivate, alicePublic).toString('hex')).toBe(shared);
+  });
+
+  it('generates raw 32-byte key pairs that match', () => {
+    const { privateKey, publicKey } = generateCurve25519KeyPair();
+
+    expect(privateKey).toHaveLength(32);
+    expect(computeCurve25519SharedSecret(privateKey, basePoint)).toEqual(publicKey);
+  });
+
+  it('rejects keys that are not 32 bytes', () => {
+    expect(() => computeCurve25519SharedSecret(alicePrivate.subarray(1), bobPublic)).toThrow('private key must be 32 bytes');
+    expect(() => computeCurve25519SharedSecret(alicePrivate, bobPublic.toString('hex'))).toThrow('public key must be 32 bytes');
+  });
+});
+
+describe('whatsappEncrypt', () => {
+  const encKey = Buffer.alloc(32, 1);
+  const macKey = Buffer.alloc(32, 2);
+
+  it('round-trips through whatsappDecrypt', () => {
+    const data = Buffer.from('frame payload');
+    expect(whatsappDecrypt(encKey, macKey, whatsappEncrypt(encKey, macKey, data))).toEqual(data);
+  });
+
+  it('rejects a frame whose HMAC does not match', () => {
+    const frame = whatsappEncrypt(encKey, macKey, Buffer.from('frame payload'));
+    frame[frame.length - 1] ^= 1;
+
+    expect(() => whatsappDecrypt(encKey, macKey, frame)).toThrow('HMAC verification failed');
+  });
+});
@@ -0,0 +1,217 @@
+'use strict';
+
+const { BinaryHandler, BinaryStreamDecoder } = require('../src/binary');
+const { BinaryError } = require('../src/utils');
+
+/**
+ * Frames assembled byte by byte from the binary format described in
+ * whatsapp-web-reveng/README.md, with the node each one decodes to.
+ * Token indices: action 9, add 10, available 14, from 34, g.us 35, id 39,
+ * last 47, message 52, participant 61, presence 65, query 68,
+ * s.whatsapp.net 80, type 91, user 95.
+ */
+const FRAMES = [
+  {
+    name: 'tokens only (LIST_8, single-byte tokens, no content)',
+    bytes: [0xF8, 0x03, 65, 91, 14],
+    node: ['presence', { type: 'available' }, null]
+  },
+  {
+    name: 'JID_PAIR with a NIBBLE_8 user',
+    bytes: [
+      0xF8, 0x05, 65, 91, 14, 34,
+      0xFA, 0xFF, 0x06, 0x49, 0x12, 0x34, 0x56, 0x78, 0x90, 80
+    ],
+    node: ['presence', { type: 'available', from: '491234567890@c.us' }, null]
+  },
+  {
+    name: 'odd-length NIBBLE_8 group JID with a dash',
+    bytes: [
+      0xF8, 0x03, 68, 45,
+      0xFA, 0xFF, 0x84, 0x12, 0x3A, 0x45, 0x6F, 35
+    ],
+    node: ['query', { jid: '123-456@g.us' }, null]
+  },
+  {
+    name: 'HEX_8 message id',
+    bytes: [0xF8, 0x03, 52, 39, 0xFB, 0x08, 0x3E, 0xB0, 0xC4, 0x31, 0xC4, 0xB8, 0xA4, 0xA5],
+    node: ['message', { id: '3EB0C431C4B8A4A5' }, null]
+  },
+  {
+    name: 'BINARY_8 attribute value',
+    bytes: [0xF8, 0x03, 95, 91, 0xFC, 0x05, 0x68, 0x65, 0x6C, 0x6C, 0x6F],
+    node: ['user', { type: 'hello' }, null]
+  },
+  {
+    name: 'action with a BINARY_8 message child',
+    bytes: [
+      0xF8, 0x04, 9, 10, 47,
+      0xF8, 0x01,
+      0xF8, 0x02, 52, 0xFC, 0x03, 0x0A, 0x0B, 0x0C
+    ],
+    node: ['action', { add: 'last' }, [['message', null, Buffer.from([0x0A, 0x0B, 0x0C])]]]
+  },
+  {
+    name: 'LIST_EMPTY content',
+    bytes: [0xF8, 0x02, 68, 0x00],
+    node: ['query', null, []]
+  },
+  {
+    name: 'participant with an empty-user JID_PAIR',
+    bytes: [0xF8, 0x03, 61, 45, 0xFA, 0x00, 80],
+    node: ['participant', { jid: '@c.us' }, null]
+  },
+  {
+    name: 'relayed group message (tokens, HEX_8 id, NIBBLE_8 JID_PAIR participant, BINARY_8 content)',
+    bytes: [
+      0xF8, 0x04, 9, 10, 47,
+      0xF8, 0x01,
+      0xF8, 0x06, 52,
+      39, 0xFB, 0x08, 0x3E, 0xB0, 0xC4, 0x31, 0xC4, 0xB8, 0xA4, 0xA5,
+      61, 0xFA, 0xFF, 0x06, 0x49, 0x12, 0x34, 0x56, 0x78, 0x90, 80,
+      0xFC, 0x03, 0x0A, 0x0B, 0x0C
+    ],
+    node: ['action', { add: 'last' }, [
+      ['message', { id: '3EB0C431C4B8A4A5', participant: '491234567890@c.us' }, Buffer.from([0x0A, 0x0B, 0x0C])]
+    ]]
+  }
+];
+
+describe('BinaryHandler', () => {
+  const handler = new BinaryHandler();
+
+  describe.each(FRAMES)('$name', ({ bytes, node }) => {
+    const frame = Buffer.from(bytes);
+
+    it('decodes the captured frame', () => {
+      expect(handler.decode(frame)).toEqual(node);
+    });
+
+    it('encodes back to the same bytes', () => {
+      expect(handler.encode(node).equals(frame)).toBe(true);
+    });
+  });
+
+  it('writes BINARY_20 content from 256 bytes on', () => {
+    const content = Buffer.alloc(300, 7);
+    const frame = handler.encode(['message', null, content]);
+
+    expect(Array.from(frame.subarray(0, 6))).toEqual([0xF8, 0x02, 52, 0xFD, 0x00, 0x01]);
+    expect(frame[6]).toBe(0x2C);
+    expect(handler.decode(frame)[2].equals(content)).toBe(true);
+  });
+
+  it('writes BINARY_32 content from 1 MiB on', () => {
+    const content = Buffer.alloc(1 << 20, 1);
+    const frame = handler.encode(['message', null, content]);
+
+    expect(Array.from(frame.subarray(0, 8))).toEqual([0xF8, 0x02, 52, 0xFE, 0x00, 0x10, 0x00, 0x00]);
+    expect(handler.decode(frame)[2].length).toBe(content.length);
+  });
+
+  it('writes LIST_16 for 256 children or more', () => {
+    const children = Array.from({ length: 256 }, () => ['user', null, null]);
+    const frame = handler.encode(['action', null, children]);
+
+    expect(Array.from(frame.subarray(0, 6))).toEqual([0xF8, 0x02, 9, 0xF9, 0x01, 0x00]);
+    expect(handler.decode(frame)).toEqual(['action', null, children]);
+  });
+
+  it('writes strings that are not packable as BINARY_8', () => {
+    const node = ['message', { id: 'true_123abc', body: 'Hello, world' }, null];
+    expect(handler.decode(handler.encode(node))).toEqual(node);
+  });
+
+  it('reads string content back as bytes', () => {
+    const decoded = handler.decode(handler.encode(['message', null, 'Hello, world']));
+    expect(decoded[2]).toEqual(Buffer.from('Hello, world'));
+  });
+
+  it('rejects a truncated frame', () => {
+    expect(() => handler.decode(Buffer.from([0xF8, 0x05, 65, 91]))).toThrow(BinaryError);
+  });
+
+  it('rejects frames above maxFrameSize', () => {
+    const small = new BinaryHandler({ maxFrameSize: 4 });
+    expect(() => small.decode(Buffer.from(FRAMES[1].bytes))).toThrow(BinaryError);
+  });
+
+  it('rejects unknown markers', () => {
+    expect(() => handler.decode(Buffer.from([0xF8, 0x01, 0x02]))).toThrow(BinaryError);
+  });
+});
+
+describe('BinaryStreamDecoder', () => {
+  it.each(FRAMES)('decodes the $name frame', ({ bytes, node }) => {
+    const decoder = new BinaryStreamDecoder({ retainChildren: true });
+    const nodes = [];
+
+    decoder.on('node', decoded => nodes.push(decoded));
+    decoder.write(Buffer.from(bytes));
+    decoder.end();
+
+    expect(nodes).toEqual([node]);
+  });
+
+  it('decodes a frame written one byte at a time', () => {
+    const frame = FRAMES[5];
+    const decoder = new BinaryStreamDecoder({ retainChildren: true });
+    const children = [];
+    const nodes = [];
+
+    decoder.on('child', child => children.push(child));
+    decoder.on('node', node => nodes.push(node));
+    for (const byte of frame.bytes) {
+      decoder.write(Buffer.from([byte]));
+    }
+    decoder.end();
+
+    expect(children).toEqual(frame.node[2]);
+    expect(nodes).toEqual([frame.node]);
+  });
+
+  it('emits the children of a large list one at a time', () => {
+    const handler = new BinaryHandler();
+    const children = Array.from({ length: 500 }, (_, i) => ['message', { id: `MSG${i}` }, Buffer.alloc(64, i % 256)]);
+    const frame = handler.encode(['action', { add: 'last' }, children]);
+    const decoder = new BinaryStreamDecoder({ handler });
+    const received = [];
+    const counts = [];
+    const nodes = [];
+
+    decoder.on('child', (child, index) => received.push([index, child]));
+    decoder.on('node', node => nodes.push(node));
+    for (let offset = 0; offset < frame.length; offset += 1024) {
+      decoder.write(frame.subarray(offset, offset + 1024));
+      counts.push(received.length);
+    }
+    decoder.end();
+
+    // Children arrive while the frame is still being written
+    expect(counts[0]).toBeGreaterThan(0);
+    expect(counts[0]).toBeLessThan(children.length);
+    expect(counts.slice(1).every((count, i) => count >= counts[i])).toBe(true);
+    expect(received.map(([index]) => index)).toEqual(children.map((_, i) => i));
+    expect(received.map(([, child]) => child)).toEqual(children);
+    expect(nodes).toEqual([['action', { add: 'last' }, null]]);
+  });
+
+  it('lets exceptions thrown by listeners through without failing the frame', () => {
+    const frame = FRAMES[5];
+    const decoder = new BinaryStreamDecoder();
+    const errors = [];
+    const nodes = [];
+
+    decoder.on('error', error => errors.push(error));
+    decoder.once('child', () => {
+      throw new Error('listener failed');
+    });
+    decoder.on('node', node => nodes.push(node));
+
+    expect(() => decoder.write(Buffer.from(frame.bytes))).toThrow('listener failed');
+    expect(errors).toEqual([]);
+
+    decoder.write(Buffer.from(FRAMES[0].bytes));
+    expect(nodes).toEqual([FRAMES[0].node]);
+  });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const { MessageError } = require('../src');
+const { once, record, serverSession, setActions, useMockServer } = require('./helpers');
+
+const CHATS = ['15551110001@c.us', '15551110002@c.us', '15551110003@c.us', '15551110004@c.us'];
+const [CHAT] = CHATS;
+
+// One received message per chat, the newest in the first chat
+const HISTORY = {
+  chats: CHATS.map((jid, i) => ({ jid, count: '1', t: String(1600000400 - i) })),
+  messages: CHATS.map((jid, i) => ({
+    key: { remoteJid: jid, fromMe: false, id: `LAST${i}` },
+    message: { conversation: `hello ${i}` },
+    messageTimestamp: 1600000400 - i
+  })).reverse()
+};
+
+describe('ChatManager against MockWhatsAppServer', () => {
+  const mock = useMockServer();
+
+  // Logged in with the chat list synced, recording sent `chat` nodes and updates
+  const withChats = async () => {
+    const client = await mock.login({ syncHistory: true });
+    const synced = once(client, 'history_sync', update => update.done);
+    mock.server.sendHistory(serverSession(mock.server), HISTORY);
+    await synced;
+
+    return { client, sent: setActions(mock.server), updates: record(client, 'chat_update') };
+  };
+
+  const seconds = ms => String(Math.floor(ms / 1000));
+
+  it('archives up to the latest message and unarchives', async () => {
+    const { client, sent, updates } = await withChats();
+
+    expect(await client.chats.archiveChat(CHAT)).toMatchObject({ id: CHAT, archived: true });
+    await client.chats.archiveChat(CHAT, false);
+
+    expect(sent).toEqual([
+      ['chat', { type: 'archive', jid: CHAT, index: 'LAST0', owner: 'false' }, null],
+      ['chat', { type: 'unarchive', jid: CHAT, index: 'LAST0', owner: 'false' }, null]
+    ]);
+    expect(updates.map(({ chatId, changes }) => ({ chatId, changes }))).toEqual([
+      { chatId: CHAT, changes: { archived: true } },
+      { chatId: CHAT, changes: { archived: false } }
+    ]);
+  });
+
+  it('pins at most MAX_PINNED_CHATS chats', async () => {
+    const { client, sent, updates } = await withChats();
+
+    for (const chatId of CHATS.slice(0, 3)) {
+      await client.chats.pinChat(chatId);
+    }
+    await expect(client.chats.pinChat(CHATS[3])).rejects.toThrow(new MessageError('Failed to pin chat: Only 3 chats can be pinned'));
+
+    const { pinnedAt } = await client.chats.pinChat(CHAT);
+    expect(sent).toHaveLength(4);
+    expect(sent[3]).toEqual(['chat', { type: 'pin', jid: CHAT, pin: seconds(pinnedAt) }, null]);
+    expect(updates.filter(update => update.chatId === CHATS[3])).toEqual([]);
+
+    await client.chats.pinChat(CHAT, false);
+    expect(sent[4]).toEqual(['chat', { type: 'unpin', jid: CHAT, previous: seconds(pinnedAt) }, null]);
+    expect(updates[updates.length - 1]).toMatchObject({ chatId: CHAT, changes: { pinnedAt: null } });
+
+    await expect(client.chats.pinChat(CHATS[3])).resolves.toMatchObject({ pinned: true });
+  });
+
+  it('mutes until a future time and unmutes', async () => {
+    const { client, sent, updates } = await withChats();
+    const until = Date.now() + 3600000;
+
+    expect(await client.chats.muteChat(CHAT, new Date(until))).toMatchObject({ mutedUntil: until, muted: true });
+    await client.chats.muteChat(CHAT, null);
+
+    expect(sent).toEqual([
+      ['chat', { type: 'mute', jid: CHAT, mute: seconds(until) }, null],
+      ['chat', { type: 'unmute', jid: CHAT, previous: seconds(until) }, null]
+    ]);
+    expect(updates.map(update => update.changes)).toEqual([{ mutedUntil: until }, { mutedUntil: null }]);
+  });
+
+  it('rejects a mute end in the past without sending anything', async () => {
+    const { client, sent, updates } = await withChats();
+
+    await expect(client.chats.muteChat(CHAT, Date.now() - 1000)).rejects.toThrow('Mute end must be in the future');
+
+    expect(sent).toEqual([]);
+    expect(updates).toEqual([]);
+  });
+
+  it('marks a chat unread and read again', async () => {
+    const { client, sent, updates } = await withChats();
+
+    expect(await client.chats.markChatUnread(CHAT)).toMatchObject({ markedUnread: true, unreadCount: 1 });
+    expect(await client.chats.markChatUnread(CHAT, false)).toMatchObject({ markedUnread: false, unreadCount: 0 });
+
+    expect(sent).toEqual([
+      ['read', { jid: CHAT, type: 'false', count: '1' }, null],
+      ['read', { jid: CHAT, count: '1', index: 'LAST0', owner: 'false' }, null]
+    ]);
+    expect(updates.map(update => update.changes)).toEqual([
+      { markedUnread: true },
+      { unreadCount: 0, markedUnread: false }
+    ]);
+  });
+
+  it('clears the chat up to the latest message and drops its stored messages', async () => {
+    const { client, sent, updates } = await withChats();
+
+    expect(await client.chats.clearChat(CHAT)).toMatchObject({ lastMessage: null, unreadCount: 0 });
+
+    expect(sent).toEqual([['chat', { type: 'clear', jid: CHAT, index: 'LAST0', owner: 'false' }, null]]);
+    expect(updates.map(update => update.changes)).toEqual([{ lastMessage: null, unreadCount: 0 }]);
+    expect(await client.fetchMessages(CHAT)).toEqual([]);
+    expect(await client.messages.getMessage('LAST1')).toMatchObject({ body: 'hello 1' });
+  });
+});
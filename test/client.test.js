@@ -0,0 +1,145 @@
+'use strict';
+
+const { MemoryAuthStore, MemoryMessageStore, ConnectionStates } = require('../src');
+const proto = require('../src/proto');
+const { wait, once, relayedMessages, serverSession, useMockServer } = require('./helpers');
+
+const CHAT = '15551112222@c.us';
+
+const text = info => info.message.conversation;
+
+describe('WhatsAppClient against MockWhatsAppServer', () => {
+  const mock = useMockServer();
+  const { createClient, start, login } = mock;
+
+  it('logs in by QR and saves the credentials', async () => {
+    const client = createClient();
+    const qr = once(client, 'qr');
+
+    await start(client);
+
+    expect(await qr).toEqual(expect.any(String));
+    expect(client.isReady).toBe(true);
+    expect(client.user.jid).toBe(mock.server.options.wid);
+    expect(await client.session.load()).toMatchObject({ wid: mock.server.options.wid });
+  });
+
+  it('reports the connected server without moving the rotation', async () => {
+    const client = await login({ serverUrls: [mock.url, 'ws://127.0.0.1:1/ws'] });
+    const serverIndex = client.websocket.serverIndex;
+
+    expect(client.getInfo().connection.server).toBe(mock.url);
+    expect(client.getInfo().connection.server).toBe(mock.url);
+    expect(client.websocket.serverIndex).toBe(serverIndex);
+  });
+
+  it('emits connecting before connected, also after a reconnect', async () => {
+    const client = createClient({ autoReconnect: true, reconnectDelay: 20 });
+    const events = [];
+    client.on('connecting', () => events.push('connecting'));
+    client.on('connected', () => events.push('connected'));
+    await start(client);
+
+    const reconnected = once(client, 'connection.update', update => update.state === ConnectionStates.READY);
+    mock.server.drop(serverSession(mock.server));
+    await reconnected;
+
+    expect(events).toEqual(['connecting', 'connected', 'connecting', 'connected']);
+  });
+
+  it('restores the saved session without a QR code', async () => {
+    await login();
+    await mock.clients[0].destroy();
+
+    const restored = createClient();
+    const qr = jest.fn();
+    restored.on('qr', qr);
+
+    await start(restored);
+
+    expect(qr).not.toHaveBeenCalled();
+    expect(restored.user.jid).toBe(mock.server.options.wid);
+  });
+
+  it('relays sent messages as encrypted binary frames', async () => {
+    const relayed = relayedMessages(mock.server);
+    const client = await login();
+
+    const message = await client.sendText(CHAT, 'hello mock');
+
+    expect(relayed.map(text)).toEqual(['hello mock']);
+    expect(message).toMatchObject({ chatId: CHAT, fromMe: true, body: 'hello mock' });
+    expect((await client.fetchMessages(CHAT)).map(stored => stored.id)).toEqual([message.id]);
+  });
+
+  it('marks the sent message and its stored copy as acknowledged by the server', async () => {
+    const client = await login();
+
+    const message = await client.sendText(CHAT, 'ack me');
+
+    expect(message.status).toBe('server_ack');
+    expect(await client.messages.getMessage(message.id)).toMatchObject({ status: 'server_ack' });
+    expect(client.messages.pendingMessages.size).toBe(0);
+  });
+
+  it('emits incoming relayed messages', async () => {
+    const client = await login();
+    const received = once(client, 'message');
+
+    mock.server.sendNode(serverSession(mock.server), ['action', { add: 'relay' }, [[
+      'message',
+      null,
+      proto.encodeWebMessageInfo({
+        key: { remoteJid: CHAT, fromMe: false, id: 'INCOMING1' },
+        message: { conversation: 'hi from the phone' },
+        messageTimestamp: Math.floor(Date.now() / 1000)
+      })
+    ]]]);
+
+    expect(await received).toMatchObject({ id: 'INCOMING1', chatId: CHAT, body: 'hi from the phone' });
+  });
+
+  it('reconnects after a dropped connection and flushes queued messages', async () => {
+    const relayed = relayedMessages(mock.server);
+    const client = await login({ autoReconnect: true, reconnectDelay: 50 });
+
+    const reconnected = once(client, 'connection.update', update => update.state === ConnectionStates.READY);
+    mock.server.drop(serverSession(mock.server));
+    await wait(20);
+
+    const queued = client.sendText(CHAT, 'sent while offline');
+    await reconnected;
+
+    await expect(queued).resolves.toMatchObject({ body: 'sent while offline' });
+    expect(relayed.map(text)).toEqual(['sent while offline']);
+  });
+
+  it('keeps messages left in a persisted outbox and stores them once sent after the next login', async () => {
+    const relayed = relayedMessages(mock.server);
+    const outboxStore = new MemoryAuthStore();
+    const messageStore = new MemoryMessageStore();
+    const client = await login({ outboxStore, messageStore, autoReconnect: true, reconnectDelay: 60000 });
+
+    const disconnected = once(client, 'connection.update', update => update.state !== ConnectionStates.READY);
+    mock.server.drop(serverSession(mock.server));
+    await disconnected;
+
+    const queued = client.sendText(CHAT, 'sent after restart');
+    queued.catch(() => {});
+    await wait(20);
+    await client.destroy();
+
+    const error = await queued.catch(rejection => rejection);
+    expect(error.queued).toBe(true);
+    const [kept] = await messageStore.list(CHAT);
+    expect(kept).toMatchObject({ body: 'sent after restart', status: 'pending' });
+
+    const restarted = createClient({ outboxStore, messageStore });
+    const created = once(restarted, 'message_create');
+    await start(restarted);
+
+    expect(await created).toMatchObject({ id: kept.id, status: 'server_ack' });
+    expect(relayed.map(text)).toEqual(['sent after restart']);
+    expect(await restarted.fetchMessages(CHAT)).toEqual([expect.objectContaining({ id: kept.id, status: 'server_ack' })]);
+  });
+});
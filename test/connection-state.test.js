@@ -0,0 +1,127 @@
+'use strict';
+
+const { ConnectionStates, ConnectionStateMachine } = require('../src/connection-state');
+const { ConnectionError } = require('../src/utils');
+
+const {
+  DISCONNECTED,
+  CONNECTING,
+  OPEN,
+  AUTHENTICATING,
+  READY,
+  CLOSING
+} = ConnectionStates;
+
+// Every state reached through valid transitions
+const PATHS = {
+  [DISCONNECTED]: [],
+  [CONNECTING]: [CONNECTING],
+  [OPEN]: [CONNECTING, OPEN],
+  [AUTHENTICATING]: [CONNECTING, OPEN, AUTHENTICATING],
+  [READY]: [CONNECTING, OPEN, AUTHENTICATING, READY],
+  [CLOSING]: [CONNECTING, CLOSING]
+};
+
+const ALLOWED = {
+  [DISCONNECTED]: [CONNECTING],
+  [CONNECTING]: [OPEN, CLOSING, DISCONNECTED],
+  [OPEN]: [AUTHENTICATING, READY, CLOSING, DISCONNECTED],
+  [AUTHENTICATING]: [READY, OPEN, CLOSING, DISCONNECTED],
+  [READY]: [CLOSING, DISCONNECTED],
+  [CLOSING]: [DISCONNECTED]
+};
+
+function machineIn(state) {
+  const machine = new ConnectionStateMachine();
+  for (const next of PATHS[state]) {
+    machine.transition(next);
+  }
+  return machine;
+}
+
+describe('ConnectionStateMachine', () => {
+  const states = Object.values(ConnectionStates);
+
+  describe.each(states)('from %s', (from) => {
+    it.each(states.filter(to => to !== from))('allows -> %s only as listed', (to) => {
+      const machine = machineIn(from);
+      const allowed = ALLOWED[from].includes(to);
+
+      expect(machine.canTransition(to)).toBe(allowed);
+      if (allowed) {
+        expect(machine.transition(to)).toBe(true);
+        expect(machine.state).toBe(to);
+      } else {
+        expect(() => machine.transition(to)).toThrow(ConnectionError);
+        expect(machine.state).toBe(from);
+      }
+    });
+  });
+
+  it('reports the invalid transition', () => {
+    const machine = new ConnectionStateMachine();
+
+    expect(() => machine.transition(READY)).toThrow(expect.objectContaining({
+      message: 'Invalid connection state transition: disconnected -> ready',
+      from: DISCONNECTED,
+      to: READY
+    }));
+  });
+
+  it('emits connection.update with the metadata', () => {
+    const machine = new ConnectionStateMachine();
+    const updates = [];
+    machine.on('connection.update', update => updates.push(update));
+
+    machine.transition(CONNECTING, { attempt: 2 });
+
+    expect(updates).toEqual([{ attempt: 2, previous: DISCONNECTED, state: CONNECTING, timestamp: expect.any(Number) }]);
+  });
+
+  it('ignores a transition to the current state', () => {
+    const machine = machineIn(READY);
+    const update = jest.fn();
+    machine.on('connection.update', update);
+
+    expect(machine.transition(READY)).toBe(false);
+    expect(machine.state).toBe(READY);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  describe('waitFor', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('resolves at once when already in the state', async () => {
+      await expect(machineIn(OPEN).waitFor([OPEN, READY])).resolves.toBe(OPEN);
+    });
+
+    it('resolves with the first of the states reached', async () => {
+      const machine = new ConnectionStateMachine();
+      const waiting = machine.waitFor([READY, CLOSING]);
+
+      machine.transition(CONNECTING);
+      machine.transition(CLOSING);
+
+      await expect(waiting).resolves.toBe(CLOSING);
+      expect(machine.listenerCount('connection.update')).toBe(0);
+    });
+
+    it('rejects on timeout and stops listening', async () => {
+      jest.useFakeTimers();
+      const machine = machineIn(CONNECTING);
+      const waiting = machine.waitFor(READY, 1000);
+
+      jest.advanceTimersByTime(1000);
+
+      await expect(waiting).rejects.toMatchObject({
+        name: 'ConnectionError',
+        message: 'Timed out waiting for connection state ready',
+        state: CONNECTING,
+        timeout: 1000
+      });
+      expect(machine.listenerCount('connection.update')).toBe(0);
+    });
+  });
+});
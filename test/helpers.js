@@ -0,0 +1,133 @@
+'use strict';
+
+const MockWhatsAppServer = require('./mock-server');
+const { WhatsAppClient, MemoryAuthStore } = require('../src');
+const proto = require('../src/proto');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolve with the first event matching the predicate
+ */
+function once(emitter, event, predicate = () => true) {
+  return new Promise((resolve) => {
+    const listener = (...args) => {
+      if (predicate(...args)) {
+        emitter.removeListener(event, listener);
+        resolve(args[0]);
+      }
+    };
+    emitter.on(event, listener);
+  });
+}
+
+/**
+ * Collect every emission of an event
+ */
+function record(emitter, event) {
+  const events = [];
+  emitter.on(event, payload => events.push(payload));
+  return events;
+}
+
+/**
+ * The server side of the only open connection
+ */
+function serverSession(server) {
+  return [...server.sessions][0];
+}
+
+/**
+ * Relay frames the server received, decoded to WebMessageInfo
+ */
+function relayedMessages(server) {
+  const messages = [];
+  server.on('binary', ({ node }) => {
+    if (node[0] === 'action' && node[1] && node[1].type === 'relay') {
+      messages.push(proto.decodeWebMessageInfo(node[2][0][2]));
+    }
+  });
+  return messages;
+}
+
+/**
+ * `set` actions the server received, as their child nodes
+ */
+function setActions(server) {
+  const nodes = [];
+  server.on('binary', ({ node }) => {
+    if (node[0] === 'action' && node[1] && node[1].type === 'set') {
+      nodes.push(...node[2]);
+    }
+  });
+  return nodes;
+}
+
+/**
+ * Start a mock server before each test and stop it with its clients after
+ * `createClient()` scans QR codes on the server unless `scan` is false,
+ * `login()` resolves once the client is ready.
+ */
+function useMockServer(serverOptions = {}) {
+  const context = {
+    server: null,
+    url: null,
+    authStore: null,
+    clients: []
+  };
+
+  context.createClient = (options = {}, { scan = true } = {}) => {
+    const client = new WhatsAppClient({
+      serverUrls: [context.url],
+      authStore: context.authStore,
+      passphrase: 'test passphrase',
+      printQRInTerminal: false,
+      autoReconnect: false,
+      syncHistory: false,
+      ...options
+    });
+    if (scan) {
+      client.on('qr', qr => context.server.scan(qr));
+    }
+    context.clients.push(client);
+    return client;
+  };
+
+  // `ready` follows saving the credentials
+  context.start = async (client) => {
+    const ready = once(client, 'ready');
+    await client.initialize();
+    await ready;
+    return client;
+  };
+
+  context.login = options => context.start(context.createClient(options));
+
+  beforeEach(async () => {
+    context.server = new MockWhatsAppServer(serverOptions);
+    context.url = await context.server.start();
+    context.authStore = new MemoryAuthStore();
+    context.clients = [];
+  });
+
+  afterEach(async () => {
+    for (const client of context.clients) {
+      client.options.autoReconnect = false;
+      client.websocket.autoReconnect = false;
+      await client.destroy();
+    }
+    await context.server.stop();
+  });
+
+  return context;
+}
+
+module.exports = {
+  wait,
+  once,
+  record,
+  serverSession,
+  relayedMessages,
+  setActions,
+  useMockServer
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+const { once, record, serverSession, useMockServer } = require('./helpers');
+
+const ALICE = '15551112222@c.us';
+const BOB = '15553334444@c.us';
+
+const CONTACTS = [
+  { jid: ALICE, name: 'Alice', notify: 'ally' },
+  { jid: BOB, notify: 'bob' }
+];
+
+const CHATS = [
+  { jid: ALICE, name: 'Alice', count: '2', t: '1600000300' },
+  { jid: BOB, count: '-1', t: '1600000400' }
+];
+
+function messageInfo(chatId, id, text, seconds) {
+  return {
+    key: { remoteJid: chatId, fromMe: false, id },
+    message: { conversation: text },
+    messageTimestamp: seconds
+  };
+}
+
+// Oldest first, the last message of each chat goes in the `add="last"` node
+const MESSAGES = [
+  messageInfo(ALICE, 'A1', 'first', 1600000100),
+  messageInfo(ALICE, 'A2', 'second', 1600000200),
+  messageInfo(ALICE, 'A3', 'third', 1600000300),
+  messageInfo(BOB, 'B1', 'hello bob', 1600000400)
+];
+
+describe('history sync against MockWhatsAppServer', () => {
+  const mock = useMockServer();
+
+  // Logged in, with the sync pushed and its progress recorded
+  const sync = async (options = {}) => {
+    const client = await mock.login({ syncHistory: true, ...options });
+    const progress = record(client, 'history_sync');
+    const done = once(client, 'history_sync', update => update.done);
+    const received = jest.fn();
+    client.on('message', received);
+
+    mock.server.sendHistory(serverSession(mock.server), { contacts: CONTACTS, chats: CHATS, messages: MESSAGES, chunkSize: 1 });
+
+    return { client, progress, final: await done, received };
+  };
+
+  it('stores the pushed contacts, chats and messages', async () => {
+    const { client, final, received } = await sync();
+
+    expect(final).toMatchObject({ percent: 100, chunks: 5, contacts: 2, chats: 2, messages: 4, done: true });
+
+    expect(await client.contacts.getContact(ALICE)).toMatchObject({ name: 'Alice', pushName: 'ally', isMyContact: true });
+    expect(await client.contacts.getContact(BOB)).toMatchObject({ pushName: 'bob', isMyContact: false });
+
+    const chats = await client.chats.getChats();
+    expect(chats.map(chat => chat.id)).toEqual([BOB, ALICE]);
+    expect(chats[0]).toMatchObject({ markedUnread: true, unreadCount: 0, lastMessage: expect.objectContaining({ id: 'B1' }) });
+    expect(chats[1]).toMatchObject({ name: 'Alice', unreadCount: 2, lastMessage: expect.objectContaining({ id: 'A3' }) });
+
+    expect((await client.fetchMessages(ALICE)).map(message => message.body)).toEqual(['first', 'second', 'third']);
+    expect((await client.fetchMessages(BOB)).map(message => message.body)).toEqual(['hello bob']);
+    expect(received).not.toHaveBeenCalled();
+  });
+
+  it('reports progress after every chunk', async () => {
+    const { progress } = await sync();
+
+    expect(progress.map(({ phase, percent, done }) => [phase, percent, done])).toEqual([
+      ['contacts', 10, false],
+      ['chats', 20, false],
+      ['messages', 40, false],
+      ['messages', 70, false],
+      ['messages', 100, true]
+    ]);
+  });
+
+  it('keeps the newest historyLimit messages per chat', async () => {
+    const { client, final } = await sync({ historyLimit: 2 });
+
+    expect(final.messages).toBe(3);
+    expect((await client.fetchMessages(ALICE)).map(message => message.id)).toEqual(['A2', 'A3']);
+    expect(await client.messages.getMessage('A1')).toBeNull();
+  });
+
+  it('loads contacts and chats only without syncHistory', async () => {
+    const { client, progress } = await sync({ syncHistory: false });
+
+    expect(progress.map(({ phase, percent, done }) => [phase, percent, done])).toEqual([
+      ['contacts', 50, false],
+      ['chats', 100, true]
+    ]);
+    expect((await client.chats.getChats()).map(chat => chat.id)).toEqual([BOB, ALICE]);
+    expect(await client.fetchMessages(ALICE)).toEqual([]);
+  });
+});
@@ -0,0 +1,230 @@
+'use strict';
+
+const crypto = require('crypto');
+const { constants, utils } = require('../src');
+const { wait, once, record, serverSession, useMockServer } = require('./helpers');
+
+const { LogoutReasons } = constants;
+
+describe('QR login against MockWhatsAppServer', () => {
+  const mock = useMockServer({ qrTtl: 50 });
+
+  // Not scanned, with the server's reref requests recorded
+  const waitingForScan = (options = {}) => {
+    const rerefs = [];
+    mock.server.on('message', ({ payload }) => {
+      if (payload[0] === 'admin' && payload[1] === 'Conn' && payload[2] === 'reref') {
+        rerefs.push(payload);
+      }
+    });
+
+    const client = mock.createClient({ maxQrRefreshes: 2, ...options }, { scan: false });
+    const qrs = record(client, 'qr');
+    return { client, qrs, rerefs };
+  };
+
+  it('requests a new ref with admin Conn reref when the QR expires', async () => {
+    const { client, qrs, rerefs } = waitingForScan();
+    const timedOut = once(client, 'qr_timeout');
+
+    await client.initialize();
+    expect(await timedOut).toEqual({ attempts: 3, reason: 'max_refreshes' });
+
+    expect(rerefs).toEqual([['admin', 'Conn', 'reref'], ['admin', 'Conn', 'reref']]);
+    expect(qrs).toHaveLength(3);
+    expect(new Set(qrs.map(qr => qr.split(',')[0])).size).toBe(3);
+    expect(client.websocket.qrTimer).toBeNull();
+  });
+
+  it('logs in when a refreshed QR is scanned', async () => {
+    const { client, qrs } = waitingForScan();
+    const second = once(client, 'qr', (qr, info) => info.attempt === 2);
+    const ready = once(client, 'ready');
+
+    await client.initialize();
+    mock.server.scan(await second);
+    await ready;
+
+    expect(qrs).toHaveLength(2);
+    expect(client.user.jid).toBe(mock.server.options.wid);
+  });
+
+  it('shows the previous ref again when reref fails', async () => {
+    mock.server.options.scenario.reref = () => ({ status: 500 });
+    const { client, qrs } = waitingForScan({ maxQrRefreshes: 1 });
+    const timedOut = once(client, 'qr_timeout');
+
+    await client.initialize();
+    await timedOut;
+
+    expect(qrs).toHaveLength(2);
+    expect(qrs[1]).toBe(qrs[0]);
+  });
+
+  it('reports qr_timeout when the server rate limits reref', async () => {
+    mock.server.options.scenario.reref = () => ({ status: 429 });
+    const { client, qrs } = waitingForScan();
+    const timedOut = once(client, 'qr_timeout');
+
+    await client.initialize();
+
+    expect(await timedOut).toEqual({ attempts: 1, reason: 'rate_limited' });
+    expect(qrs).toHaveLength(1);
+  });
+});
+
+describe('restoring a session against MockWhatsAppServer', () => {
+  const mock = useMockServer();
+
+  // Pair once by QR, then restore with a second client on the same store
+  const restoreWith = async (options = {}) => {
+    await mock.login();
+    await mock.clients[0].destroy();
+
+    const client = mock.createClient({ autoReconnect: true, ...options });
+    const qr = jest.fn();
+    client.on('qr', qr);
+    return { client, qr };
+  };
+
+  it('answers the login challenge with the HMAC of the challenge under the mac key', async () => {
+    const answers = [];
+    mock.server.on('message', ({ session, payload }) => {
+      if (payload[0] === 'admin' && payload[1] === 'challenge') {
+        answers.push({ signature: payload[2], expected: utils.hmacSha256(session.macKey, session.challenge).toString('base64') });
+      }
+    });
+    const { client } = await restoreWith();
+
+    await mock.start(client);
+
+    expect(answers).toHaveLength(1);
+    expect(answers[0].signature).toBe(answers[0].expected);
+  });
+
+  it('reports needs_rescan when the stored mac key fails the challenge', async () => {
+    const { client } = await restoreWith();
+    for (const stored of mock.server.credentials.values()) {
+      stored.macKey = crypto.randomBytes(32);
+    }
+    const rescan = once(client, 'needs_rescan');
+
+    await expect(client.initialize()).rejects.toMatchObject({ reason: 'challenge_failed' });
+    expect(await rescan).toEqual({ reason: 'challenge_failed', status: 401 });
+  });
+
+  it.each([
+    [401, 'logged_out', LogoutReasons.UNPAIRED_FROM_PHONE],
+    [403, 'needs_rescan', 'access_denied'],
+    [409, 'session_replaced', 'replaced']
+  ])('reports a %i login as %s', async (status, event, reason) => {
+    const { client, qr } = await restoreWith();
+    mock.server.options.scenario.login = () => ({ status });
+    const emitted = once(client, event);
+
+    await expect(client.initialize()).rejects.toMatchObject({ reason, status });
+
+    expect(await emitted).toEqual({ reason, status });
+    expect(qr).not.toHaveBeenCalled();
+  });
+
+  it('stops reconnecting after a 409 so the other location keeps the session', async () => {
+    const { client } = await restoreWith({ reconnectDelay: 20 });
+    mock.server.options.scenario.login = () => ({ status: 409 });
+    const connections = jest.fn();
+    mock.server.on('connection', connections);
+
+    await expect(client.initialize()).rejects.toMatchObject({ reason: 'replaced' });
+    mock.server.drop(serverSession(mock.server));
+    await wait(100);
+
+    expect(client.websocket.autoReconnect).toBe(false);
+    expect(connections).toHaveBeenCalledTimes(1);
+  });
+
+  it('carries on with a 405 login, the session is already logged in', async () => {
+    mock.server.options.challenge = false;
+    const { client } = await restoreWith();
+    mock.server.options.scenario.login = (session, payload, tag) => {
+      mock.server._handleLogin(session, payload, tag);
+      return { status: 405 };
+    };
+
+    await mock.start(client);
+
+    expect(client.isReady).toBe(true);
+    expect(client.user.jid).toBe(mock.server.options.wid);
+  });
+});
+
+describe('server logout against MockWhatsAppServer', () => {
+  const mock = useMockServer();
+
+  // Logged in with auto-reconnect, recording later connections
+  const loggedIn = async (options = {}) => {
+    const client = await mock.login({ autoReconnect: true, reconnectDelay: 20, ...options });
+    const connections = jest.fn();
+    mock.server.on('connection', connections);
+    return { client, connections, session: serverSession(mock.server) };
+  };
+
+  const expectLoggedOut = async (client, connections) => {
+    await wait(100);
+    expect(client.websocket.autoReconnect).toBe(false);
+    expect(connections).not.toHaveBeenCalled();
+    expect(client.sessionData).toBeNull();
+    expect(client.user).toBeNull();
+    expect(await client.session.load()).toBeNull();
+  };
+
+  it.each([
+    [{ type: 'disconnect' }, { reason: LogoutReasons.SERVER_LOGOUT, kind: null }],
+    [{ type: 'disconnect', kind: 'device_removed' }, { reason: LogoutReasons.DEVICE_REMOVED, kind: 'device_removed' }]
+  ])('handles Cmd %j as logged_out', async (command, info) => {
+    const { client, connections, session } = await loggedIn();
+    const loggedOut = once(client, 'logged_out');
+
+    mock.server.sendJson(session, 's1', ['Cmd', command]);
+
+    expect(await loggedOut).toEqual(info);
+    await expectLoggedOut(client, connections);
+  });
+
+  it('handles a device_removed stream:error conflict and wipes the store when asked', async () => {
+    const { client, connections, session } = await loggedIn({ wipeSessionOnLogout: true });
+    const loggedOut = once(client, 'logged_out');
+
+    mock.server.removeDevice(session);
+
+    expect(await loggedOut).toEqual({ reason: LogoutReasons.DEVICE_REMOVED, status: 401 });
+    expect(await mock.authStore.keys()).toEqual([]);
+    await expectLoggedOut(client, connections);
+  });
+
+  it('handles a 401 stream:error without conflict as a server logout', async () => {
+    const { client, connections, session } = await loggedIn();
+    const loggedOut = once(client, 'logged_out');
+
+    mock.server.sendNode(session, ['stream:error', { code: '401' }, null]);
+
+    expect(await loggedOut).toEqual({ reason: LogoutReasons.SERVER_LOGOUT, status: 401 });
+    await expectLoggedOut(client, connections);
+  });
+
+  it('keeps the session but stops reconnecting on a replaced conflict', async () => {
+    const { client, connections, session } = await loggedIn();
+    const replaced = once(client, 'session_replaced');
+    const loggedOut = jest.fn();
+    client.on('logged_out', loggedOut);
+
+    mock.server.sendNode(session, ['stream:error', { code: '409' }, [['conflict', { type: 'replaced' }, null]]]);
+    expect(await replaced).toEqual({ reason: 'replaced', status: 409 });
+    mock.server.drop(session);
+    await wait(100);
+
+    expect(client.websocket.autoReconnect).toBe(false);
+    expect(connections).not.toHaveBeenCalled();
+    expect(loggedOut).not.toHaveBeenCalled();
+    expect(await client.session.load()).toMatchObject({ wid: mock.server.options.wid });
+  });
+});
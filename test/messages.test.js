@@ -0,0 +1,123 @@
+'use strict';
+
+const { ConnectionError } = require('../src');
+const { once, record, relayedMessages, serverSession, useMockServer } = require('./helpers');
+
+const CHAT = '15551112222@c.us';
+const GROUP = '15551112222-1600000000@g.us';
+const MEMBERS = ['15553330001@c.us', '15553330002@c.us'];
+
+describe('MessageManager against MockWhatsAppServer', () => {
+  const mock = useMockServer();
+
+  describe('resending unacknowledged messages', () => {
+    // Fast acks while logging in, then a short wait for relay replies
+    const loginWithTimeout = async (messageTimeout, options = {}) => {
+      const client = await mock.login({ maxMessageRetries: 2, ...options });
+      client.websocket.messageTimeout = messageTimeout;
+      return client;
+    };
+
+    it('resends with the same message id until the server acks', async () => {
+      const relayed = relayedMessages(mock.server);
+      let attempts = 0;
+      mock.server.options.scenario.binary = () => (++attempts < 2 ? null : undefined);
+      const client = await loginWithTimeout(100);
+
+      const message = await client.sendText(CHAT, 'resend me');
+
+      expect(relayed.map(info => info.key.id)).toEqual([message.id, message.id]);
+      expect(message.status).toBe('server_ack');
+    });
+
+    it('keeps a single message when the first ack arrives late', async () => {
+      const relayed = relayedMessages(mock.server);
+      let attempts = 0;
+      mock.server.options.scenario.binary = (session, node, tag) => {
+        if (++attempts === 1) {
+          setTimeout(() => mock.server.sendJson(session, tag, { status: 200 }), 150);
+        }
+        return null;
+      };
+      const client = await loginWithTimeout(100);
+      const created = record(client, 'message_create');
+
+      const message = await client.sendText(CHAT, 'late ack');
+
+      expect(relayed).toHaveLength(2);
+      expect(created.map(created => created.id)).toEqual([message.id]);
+      expect(await client.fetchMessages(CHAT)).toEqual([expect.objectContaining({ id: message.id, status: 'server_ack' })]);
+    });
+
+    it('reports message_failed with the final error and keeps the message', async () => {
+      mock.server.options.scenario.binary = () => null;
+      const client = await loginWithTimeout(50, { maxMessageRetries: 1 });
+      const failed = once(client, 'message_failed');
+      const acks = record(client, 'message_ack');
+
+      await expect(client.sendText(CHAT, 'never acked')).rejects.toMatchObject({ reason: 'timeout' });
+
+      const { id, chatId, attempts, error } = await failed;
+      expect({ chatId, attempts }).toEqual({ chatId: CHAT, attempts: 2 });
+      expect(error).toBeInstanceOf(ConnectionError);
+      expect(error.reason).toBe('timeout');
+
+      expect(await client.messages.getMessage(id)).toMatchObject({ body: 'never acked', status: 'error' });
+      expect(acks).toEqual([expect.objectContaining({ id, status: 'error', previous: 'pending' })]);
+
+      mock.server.options.scenario.binary = undefined;
+      expect(await client.messages.getMessageInfo(id)).toMatchObject({ id, status: 'error' });
+    });
+  });
+
+  describe('group receipts', () => {
+    // Logged in, with a sent group message whose members are known
+    const sentToGroup = async () => {
+      const client = await mock.login();
+      client.groups.groupCache.set(GROUP, {
+        id: GROUP,
+        participants: [...MEMBERS, client.user.jid].map(jid => ({ id: jid.split('@')[0] }))
+      });
+      const message = await client.sendText(GROUP, 'hello all');
+      return { client, message, acks: record(client, 'message_ack') };
+    };
+
+    const ack = (client, id, participant, level) => {
+      const applied = once(client, 'message_ack', update => update.participant === participant);
+      mock.server.sendJson(serverSession(mock.server), 's1', ['Msg', { cmd: 'ack', id, ack: level, to: GROUP, participant, t: 1600000000 }]);
+      return applied;
+    };
+
+    it('advances the message to the lowest level reached by every member', async () => {
+      const { client, message, acks } = await sentToGroup();
+
+      await ack(client, message.id, MEMBERS[0], 2);
+      await ack(client, message.id, MEMBERS[1], 3);
+      expect(acks.filter(update => update.participant === null)).toEqual([
+        expect.objectContaining({ id: message.id, chatId: GROUP, status: 'delivered', previous: 'server_ack', timestamp: 1600000000000 })
+      ]);
+
+      await ack(client, message.id, MEMBERS[0], 3);
+      await client.messages.storeUpdates;
+
+      expect(acks.map(({ participant, status }) => [participant, status])).toEqual([
+        [MEMBERS[0], 'delivered'],
+        [MEMBERS[1], 'read'],
+        [null, 'delivered'],
+        [MEMBERS[0], 'read'],
+        [null, 'read']
+      ]);
+      expect(await client.messages.getMessage(message.id)).toMatchObject({ status: 'read' });
+    });
+
+    it('waits for members that have not acked yet', async () => {
+      const { client, message, acks } = await sentToGroup();
+
+      await ack(client, message.id, MEMBERS[0], 3);
+
+      expect(acks.filter(update => update.participant === null)).toEqual([]);
+      await client.messages.storeUpdates;
+      expect(await client.messages.getMessage(message.id)).toMatchObject({ status: 'server_ack' });
+    });
+  });
+});
@@ -0,0 +1,625 @@
+/**
+ * Mock WhatsApp Web Server
+ * Local stand-in speaking the legacy WhatsApp Web framing for offline testing
+ *
+ * @class MockWhatsAppServer
+ */
+
+'use strict';
+
+const WebSocket = require('ws');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const {
+  logger,
+  getTimestamp,
+  generateRandomBase64,
+  hmacSha256,
+  hkdf,
+  generateCurve25519KeyPair,
+  computeCurve25519SharedSecret,
+  whatsappEncrypt,
+  whatsappDecrypt
+} = require('../src/utils');
+const { BinaryHandler } = require('../src/binary');
+const proto = require('../src/proto');
+const aes = require('../src/aes');
+const { unwrapPublicKey } = require('../src/pairing-code');
+
+/**
+ * Mock WhatsApp Web server built on `ws`
+ *
+ * Implements the server half of the protocol used by RealWebSocketManager:
+ * `admin init`, QR scan producing `Conn` with an X25519 secret, `admin login`
+ * takeover with `Cmd challenge`, `admin Conn reref`, pairing codes
+ * (`admin link_code`), keep-alive and encrypted binary frames in both
+ * directions.
+ *
+ * Every step can be overridden through `options.scenario`. A scenario handler
+ * receives `(session, payload, tag)` and returns the JSON response to send
+ * (or a promise of one). Returning `undefined` falls back to the default
+ * behaviour, returning `null` sends nothing.
+ *
+ * Scenario steps: `init`, `login`, `challenge`, `reref`, `link_code`, `query`,
+ * `action`, `binary`, `goodbye`.
+ *
+ * Events: `connection` (session), `message` ({session, tag, payload}),
+ * `binary` ({session, tag, node}), `paired` (session), `close` (session).
+ *
+ * @extends EventEmitter
+ *
+ * @example
+ * const server = new MockWhatsAppServer();
+ * const url = await server.start();
+ * const client = new WhatsAppClient({ serverUrls: [url] });
+ * client.on('qr', (qr) => server.scan(qr));
+ */
+class MockWhatsAppServer extends EventEmitter {
+  /**
+   * Create mock server
+   *
+   * @param {Object} [options={}] - Server options
+   * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+   * @param {string} [options.host='127.0.0.1'] - Interface to bind
+   * @param {boolean} [options.challenge=true] - Challenge takeover logins
+   * @param {number} [options.qrTtl=20000] - TTL reported with QR refs
+   * @param {number} [options.pairingTtl=180000] - TTL reported with pairing code requests
+   * @param {string} [options.wid='15550000000@c.us'] - Phone user id
+   * @param {string} [options.pushname='Mock Phone'] - Phone user name
+   * @param {Object} [options.scenario={}] - Step handlers overriding defaults
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      port: 0,
+      host: '127.0.0.1',
+      challenge: true,
+      qrTtl: 20000,
+      pairingTtl: 180000,
+      wid: '15550000000@c.us',
+      pushname: 'Mock Phone',
+      scenario: {},
+      ...options
+    };
+
+    this.wss = null;
+    this.sessions = new Set();
+    this.credentials = new Map(); // clientToken -> stored keys of paired browsers
+    this.binaryHandler = new BinaryHandler();
+    this.tagCounter = 0;
+  }
+
+  /**
+   * Start listening
+   *
+   * @returns {Promise<string>} WebSocket URL clients should connect to
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.wss = new WebSocket.Server({
+        port: this.options.port,
+        host: this.options.host,
+        path: '/ws',
+        // Like web.whatsapp.com, never echo the requested subprotocol
+        handleProtocols: () => false
+      });
+
+      this.wss.once('listening', () => {
+        logger.debug('Mock WhatsApp server listening on', this.url);
+        resolve(this.url);
+      });
+      this.wss.once('error', reject);
+      this.wss.on('connection', (ws) => this._handleConnection(ws));
+    });
+  }
+
+  /**
+   * Stop server and drop all connections
+   *
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.wss) {
+      return Promise.resolve();
+    }
+
+    for (const session of this.sessions) {
+      session.ws.terminate();
+    }
+    this.sessions.clear();
+
+    return new Promise((resolve) => {
+      this.wss.close(() => {
+        this.wss = null;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * WebSocket URL of the running server
+   *
+   * @type {string|null}
+   */
+  get url() {
+    if (!this.wss) {
+      return null;
+    }
+
+    const { port } = this.wss.address();
+    return `ws://${this.options.host}:${port}/ws`;
+  }
+
+  /**
+   * Simulate the phone scanning a QR code
+   *
+   * @param {string} qrString - QR content shown by the client (`ref,publicKey,clientId`)
+   * @returns {Object} Session that was paired
+   */
+  scan(qrString) {
+    const [ref, publicKey, clientId] = qrString.split(',');
+    const session = this._findSession(s => s.clientId === clientId && s.ref === ref);
+
+    if (!session) {
+      throw new Error(`No pending QR login for ref ${ref}`);
+    }
+
+    this._pair(session, Buffer.from(publicKey, 'base64'));
+    return session;
+  }
+
+  /**
+   * Simulate the user typing a pairing code on the phone
+   *
+   * @param {string} code - Code shown by the client (with or without the dash)
+   * @param {string} [phoneNumber] - Only match requests for this number (digits)
+   * @returns {Promise<Object|null>} Session that was paired, or null if the code matched no request
+   */
+  async enterCode(code, phoneNumber = null) {
+    for (const session of this.sessions) {
+      const request = session.linkRequest;
+      if (!request || (phoneNumber && request.jid !== `${phoneNumber}@c.us`)) {
+        continue;
+      }
+
+      let publicKey;
+      try {
+        publicKey = await unwrapPublicKey(code, request.wrappedPublicKey);
+      } catch (error) {
+        continue; // Wrong code for this request
+      }
+
+      session.linkRequest = null;
+      this._pair(session, publicKey);
+      return session;
+    }
+
+    return null;
+  }
+
+  /**
+   * Send JSON frame to a session
+   *
+   * @param {Object} session - Target session
+   * @param {string} tag - Message tag
+   * @param {*} payload - JSON payload
+   */
+  sendJson(session, tag, payload) {
+    session.ws.send(`${tag},${JSON.stringify(payload)}`);
+  }
+
+  /**
+   * Send encrypted binary node to a paired session
+   *
+   * @param {Object} session - Target session
+   * @param {Array} node - Binary node `[description, attributes, content]`
+   * @param {string} [tag] - Message tag (generated if omitted)
+   */
+  sendNode(session, node, tag = this._nextTag()) {
+    if (!session.encKey) {
+      throw new Error('Session is not paired');
+    }
+
+    const encrypted = whatsappEncrypt(session.encKey, session.macKey, this.binaryHandler.encode(node));
+    session.ws.send(Buffer.concat([Buffer.from(`${tag},`), encrypted]));
+  }
+
+  /**
+   * Send JSON frame to every open session
+   *
+   * @param {*} payload - JSON payload
+   */
+  broadcast(payload) {
+    for (const session of this.sessions) {
+      this.sendJson(session, this._nextTag(), payload);
+    }
+  }
+
+  /**
+   * Push the contact list, chat list and message history, as the phone does
+   * after a login
+   * The latest message of each chat goes in the `add="last"` node, the others
+   * follow in `add="before"` chunks, the final one marked `last="true"`.
+   *
+   * @param {Object} session - Paired session
+   * @param {Object} history - Sync content
+   * @param {Object[]} [history.contacts=[]] - `user` node attributes (`{ jid, name, notify }`)
+   * @param {Object[]} [history.chats=[]] - `chat` node attributes (`{ jid, name, count, t }`)
+   * @param {Object[]} [history.messages=[]] - WebMessageInfo objects, oldest first
+   * @param {number} [history.chunkSize=50] - Messages per `add="before"` chunk
+   */
+  sendHistory(session, { contacts = [], chats = [], messages = [], chunkSize = 50 } = {}) {
+    const messageNode = info => ['message', null, proto.encodeWebMessageInfo(info)];
+
+    const latest = new Map();
+    for (const info of messages) {
+      latest.set(info.key.remoteJid, info);
+    }
+    const last = Array.from(latest.values());
+    const earlier = messages.filter(info => !last.includes(info));
+
+    this.sendNode(session, ['response', { type: 'contacts' }, contacts.map(attributes => ['user', attributes, null])]);
+    this.sendNode(session, ['response', { type: 'chat' }, chats.map(attributes => ['chat', attributes, null])]);
+    this.sendNode(session, ['action', { add: 'last' }, last.map(messageNode)]);
+
+    do {
+      const chunk = earlier.splice(0, chunkSize);
+      const attributes = earlier.length === 0 ? { add: 'before', last: 'true' } : { add: 'before' };
+      this.sendNode(session, ['action', attributes, chunk.map(messageNode)]);
+    } while (earlier.length > 0);
+  }
+
+  /**
+   * Simulate removing the linked device on the phone
+   * Forgets the credentials and sends a `stream:error` conflict, like the
+   * server does before closing the socket.
+   *
+   * @param {Object} session - Paired session
+   */
+  removeDevice(session) {
+    this.credentials.delete(session.clientToken);
+    this.sendNode(session, ['stream:error', { code: '401' }, [['conflict', { type: 'device_removed' }, null]]]);
+    session.ws.close();
+  }
+
+  /**
+   * Drop a session's socket without a close handshake
+   *
+   * @param {Object} session - Session to drop
+   */
+  drop(session) {
+    session.ws.terminate();
+  }
+
+  /**
+   * Handle new client connection
+   * @private
+   */
+  _handleConnection(ws) {
+    const session = {
+      ws,
+      clientId: null,
+      ref: null,
+      clientToken: null,
+      serverToken: null,
+      encKey: null,
+      macKey: null,
+      pendingLogin: null,
+      challenge: null,
+      linkRequest: null
+    };
+
+    this.sessions.add(session);
+
+    ws.on('message', (data, isBinary) => {
+      this._handleFrame(session, data, isBinary).catch((error) => {
+        logger.error('Mock server failed to handle frame:', error);
+      });
+    });
+
+    ws.on('close', () => {
+      this.sessions.delete(session);
+      this.emit('close', session);
+    });
+
+    this.emit('connection', session);
+  }
+
+  /**
+   * Dispatch incoming frame
+   * @private
+   */
+  async _handleFrame(session, data, isBinary) {
+    if (isBinary) {
+      await this._handleBinaryFrame(session, data);
+      return;
+    }
+
+    const message = data.toString();
+
+    // Keep-alive
+    if (message.startsWith('?,,')) {
+      session.ws.send(`!${Date.now()}`);
+      return;
+    }
+
+    const commaIndex = message.indexOf(',');
+    const tag = message.slice(0, commaIndex);
+    const payload = JSON.parse(message.slice(commaIndex + 1));
+
+    this.emit('message', { session, tag, payload });
+
+    if (!Array.isArray(payload)) {
+      return;
+    }
+
+    const [type, action] = payload;
+
+    if (type === 'admin' && action === 'init') {
+      await this._respond(session, tag, 'init', payload, () => this._handleInit(session, payload));
+    } else if (type === 'admin' && action === 'login') {
+      await this._respond(session, tag, 'login', payload, () => this._handleLogin(session, payload, tag));
+    } else if (type === 'admin' && action === 'challenge') {
+      await this._respond(session, tag, 'challenge', payload, () => this._handleChallengeResponse(session, payload));
+    } else if (type === 'admin' && action === 'Conn' && payload[2] === 'reref') {
+      await this._respond(session, tag, 'reref', payload, () => this._issueRef(session));
+    } else if (type === 'admin' && action === 'link_code') {
+      await this._respond(session, tag, 'link_code', payload, () => this._handleLinkCode(session, payload[2]));
+    } else if (type === 'admin' && action === 'Conn' && payload[2] === 'disconnect') {
+      await this._respond(session, tag, 'goodbye', payload, () => this._handleGoodbye(session));
+    } else if (type === 'query') {
+      await this._respond(session, tag, 'query', payload, () => ({ status: 200 }));
+    } else if (type === 'action') {
+      await this._respond(session, tag, 'action', payload, () => ({ status: 200 }));
+    }
+  }
+
+  /**
+   * Decrypt and dispatch binary frame
+   * @private
+   */
+  async _handleBinaryFrame(session, data) {
+    const commaIndex = data.indexOf(',');
+    const tag = data.slice(0, commaIndex).toString();
+
+    // Skip metric and flag bytes written by the client
+    const encrypted = data.slice(commaIndex + 3);
+    const node = this.binaryHandler.decode(whatsappDecrypt(session.encKey, session.macKey, encrypted));
+
+    this.emit('binary', { session, tag, node });
+
+    await this._respond(session, tag, 'binary', node, () => ({ status: 200, t: getTimestamp() }));
+  }
+
+  /**
+   * Run scenario handler (or default) and send its response
+   * @private
+   */
+  async _respond(session, tag, step, payload, fallback) {
+    const handler = this.options.scenario[step];
+    let response = handler ? await handler(session, payload, tag) : undefined;
+
+    if (response === undefined) {
+      response = fallback();
+    }
+
+    if (response !== null && response !== undefined) {
+      this.sendJson(session, tag, response);
+    }
+  }
+
+  /**
+   * Default `admin init` handler
+   * @private
+   */
+  _handleInit(session, payload) {
+    session.clientId = payload[4];
+    return this._issueRef(session);
+  }
+
+  /**
+   * Issue new QR ref
+   * @private
+   */
+  _issueRef(session) {
+    session.ref = `1@${generateRandomBase64(48)}`;
+
+    return {
+      status: 200,
+      ref: session.ref,
+      ttl: this.options.qrTtl,
+      update: false,
+      curr: '2.2121.6',
+      time: Date.now()
+    };
+  }
+
+  /**
+   * Default `admin Conn disconnect` handler, the browser unlinks itself
+   * @private
+   */
+  _handleGoodbye(session) {
+    if (session.clientToken) {
+      this.credentials.delete(session.clientToken);
+    }
+    return null;
+  }
+
+  /**
+   * Default `admin link_code` handler, keeps the request until `enterCode()`
+   * @private
+   */
+  _handleLinkCode(session, request) {
+    if (!request || request.stage !== 'companion_hello' || request.ref !== session.ref) {
+      return { status: 400 };
+    }
+    if (!/^[1-9]\d{6,14}@c\.us$/.test(request.jid || '')) {
+      return { status: 400 };
+    }
+
+    session.linkRequest = {
+      jid: request.jid,
+      wrappedPublicKey: Buffer.from(request.wrappedPublicKey, 'base64')
+    };
+
+    return { status: 200, ref: session.ref, ttl: this.options.pairingTtl };
+  }
+
+  /**
+   * Default `admin login` (takeover) handler
+   * @private
+   */
+  _handleLogin(session, payload, tag) {
+    const [, , clientToken, serverToken, clientId] = payload;
+    const stored = this.credentials.get(clientToken);
+
+    if (!stored || stored.serverToken !== serverToken || stored.clientId !== clientId) {
+      return { status: 401 };
+    }
+
+    Object.assign(session, stored);
+
+    if (!this.options.challenge) {
+      this._takeOver(session);
+      setImmediate(() => this._sendConn(session, false));
+      return { status: 200 };
+    }
+
+    // Answer the login tag once the challenge has been solved
+    session.challenge = crypto.randomBytes(32);
+    session.pendingLogin = tag;
+    this.sendJson(session, this._nextTag(), ['Cmd', {
+      type: 'challenge',
+      challenge: session.challenge.toString('base64')
+    }]);
+
+    return null;
+  }
+
+  /**
+   * Default `admin challenge` handler
+   * @private
+   */
+  _handleChallengeResponse(session, payload) {
+    const expected = hmacSha256(session.macKey, session.challenge).toString('base64');
+    const loginTag = session.pendingLogin;
+
+    session.challenge = null;
+    session.pendingLogin = null;
+
+    if (payload[2] !== expected) {
+      if (loginTag) {
+        this.sendJson(session, loginTag, { status: 401 });
+      }
+      return { status: 401 };
+    }
+
+    if (loginTag) {
+      this._takeOver(session);
+      this.sendJson(session, loginTag, { status: 200 });
+      setImmediate(() => this._sendConn(session, false));
+    }
+
+    return { status: 200 };
+  }
+
+  /**
+   * Disconnect other browsers logged in with the same credentials
+   * @private
+   */
+  _takeOver(session) {
+    for (const other of this.sessions) {
+      if (other !== session && other.clientToken && other.clientId === session.clientId) {
+        this.sendJson(other, this._nextTag(), ['Cmd', { type: 'disconnect', kind: 'replaced' }]);
+        other.ws.close();
+      }
+    }
+  }
+
+  /**
+   * Pair session with new keys, as the phone does after scanning
+   * @private
+   */
+  _pair(session, clientPublicKey) {
+    const phoneKeys = generateCurve25519KeyPair();
+    const sharedSecret = computeCurve25519SharedSecret(phoneKeys.privateKey, clientPublicKey);
+    const expanded = hkdf(sharedSecret, Buffer.alloc(32), null, 80);
+
+    session.encKey = crypto.randomBytes(32);
+    session.macKey = crypto.randomBytes(32);
+    session.clientToken = generateRandomBase64(32);
+    session.serverToken = generateRandomBase64(32);
+
+    const keysEncrypted = aes.cbcEncrypt(
+      expanded.slice(0, 32),
+      expanded.slice(64, 80),
+      Buffer.concat([session.encKey, session.macKey])
+    );
+    const hmac = hmacSha256(expanded.slice(32, 64), Buffer.concat([phoneKeys.publicKey, keysEncrypted]));
+
+    this.credentials.set(session.clientToken, {
+      clientId: session.clientId,
+      clientToken: session.clientToken,
+      serverToken: session.serverToken,
+      encKey: session.encKey,
+      macKey: session.macKey
+    });
+
+    this._sendConn(session, Buffer.concat([phoneKeys.publicKey, hmac, keysEncrypted]));
+    this.emit('paired', session);
+  }
+
+  /**
+   * Send `Conn`, `Stream` and `Props` frames
+   * @private
+   */
+  _sendConn(session, secret) {
+    const conn = {
+      battery: 100,
+      browserToken: generateRandomBase64(32),
+      clientToken: session.clientToken,
+      phone: {
+        wa_version: '2.21.12.21',
+        device_manufacturer: 'Mock',
+        device_model: 'Mock',
+        os_version: '11'
+      },
+      platform: 'android',
+      pushname: this.options.pushname,
+      serverToken: session.serverToken,
+      wid: this.options.wid
+    };
+
+    if (secret) {
+      conn.secret = secret.toString('base64');
+    }
+
+    this.sendJson(session, this._nextTag(), ['Conn', conn]);
+    this.sendJson(session, this._nextTag(), ['Stream', 'update', false, '2.2121.6']);
+    this.sendJson(session, this._nextTag(), ['Props', { imageMaxKBytes: 1024, maxParticipants: 257 }]);
+  }
+
+  /**
+   * Find session matching predicate
+   * @private
+   */
+  _findSession(predicate) {
+    for (const session of this.sessions) {
+      if (predicate(session)) {
+        return session;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Generate server-side message tag
+   * @private
+   */
+  _nextTag() {
+    return `s${++this.tagCounter}`;
+  }
+}
+
+module.exports = MockWhatsAppServer;
@@ -0,0 +1,98 @@
+'use strict';
+
+const { Outbox } = require('../src/outbox');
+const { MemoryAuthStore } = require('../src/auth-store');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let counter = 0;
+
+const message = (text = 'queued') => ({
+  key: { remoteJid: '15551112222@c.us', fromMe: true, id: `OUTBOX${counter++}` },
+  message: { conversation: text },
+  messageTimestamp: Math.floor(Date.now() / 1000)
+});
+
+describe('Outbox', () => {
+  let outboxes;
+
+  const create = (options) => {
+    const outbox = new Outbox(options);
+    outboxes.push(outbox);
+    return outbox;
+  };
+
+  beforeEach(() => {
+    outboxes = [];
+  });
+
+  afterEach(() => {
+    for (const outbox of outboxes) {
+      outbox.close('client_destroyed');
+    }
+  });
+
+  it('drops messages once they expire', async () => {
+    const outbox = create();
+
+    await expect(outbox.add(message(), { expiresIn: 10 })).rejects.toMatchObject({ reason: 'expired' });
+    expect(outbox.size).toBe(0);
+  });
+
+  it('does not spin on an in-flight message past its expiry', async () => {
+    const outbox = create();
+    const dropExpired = jest.spyOn(outbox, '_dropExpired');
+    let finishRelay;
+
+    const sent = outbox.add(message(), { expiresIn: 5 });
+    const flushed = outbox.flush(() => new Promise(resolve => {
+      finishRelay = resolve;
+    }));
+
+    await wait(50);
+    expect(dropExpired.mock.calls.length).toBeLessThanOrEqual(1);
+    expect(outbox.expiryTimer).toBeNull();
+
+    finishRelay({ status: 200 });
+    await flushed;
+    await expect(sent).resolves.toEqual({ status: 200 });
+  });
+
+  it('clamps long expiries to the largest timer delay and does not hold the process open', () => {
+    const outbox = create();
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+
+    outbox.add(message(), { expiresIn: 2 ** 33 }).catch(() => {});
+
+    const delay = setTimeoutSpy.mock.calls[setTimeoutSpy.mock.calls.length - 1][1];
+    expect(delay).toBe(2 ** 31 - 1);
+    expect(outbox.expiryTimer.hasRef()).toBe(false);
+  });
+
+  it('keeps messages with an Infinity expiry across a restart', async () => {
+    const store = new MemoryAuthStore();
+    const outbox = create({ store });
+
+    const pending = outbox.add(message('forever'), { expiresIn: Infinity }).catch(error => error);
+    expect(outbox.expiryTimer).toBeNull();
+    outbox.close('client_destroyed');
+    expect(await pending).toMatchObject({ queued: true });
+
+    const restored = create({ store });
+    await restored.load();
+
+    expect(restored.size).toBe(1);
+    expect(restored.entries[0]).toMatchObject({ expiresAt: null });
+  });
+
+  it.each([NaN, -1, 0, '1000', null])('rejects expiresIn %p', async (expiresIn) => {
+    const outbox = create();
+
+    await expect(outbox.add(message(), { expiresIn })).rejects.toMatchObject({ reason: 'invalid_option' });
+    expect(outbox.size).toBe(0);
+  });
+
+  it('rejects an invalid default ttl', () => {
+    expect(() => new Outbox({ ttl: -5 })).toThrow('ttl must be a positive number');
+  });
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const crypto = require('crypto');
+const MockWhatsAppServer = require('./mock-server');
+const { WhatsAppClient, MemoryAuthStore, SessionManager } = require('../src');
+const {
+  CODE_ALPHABET,
+  generatePairingCode,
+  formatPairingCode,
+  normalizePairingCode,
+  parseE164,
+  wrapPublicKey,
+  unwrapPublicKey
+} = require('../src/pairing-code');
+
+describe('pairing codes', () => {
+  describe('parseE164', () => {
+    it.each([
+      ['+15551234567', '15551234567'],
+      ['+1 (555) 123-4567', '15551234567'],
+      ['+49 30 1234567', '49301234567'],
+      ['15551234567', '15551234567']
+    ])('accepts %s', (input, digits) => {
+      expect(parseE164(input)).toBe(digits);
+    });
+
+    it.each([
+      ['a national number with a trunk prefix', '0555123456'],
+      ['a zero country code', '+0123456789'],
+      ['too few digits', '+12345'],
+      ['too many digits', '+1234567890123456'],
+      ['letters', '+1555CALLNOW'],
+      ['no value', undefined]
+    ])('rejects %s', (name, input) => {
+      expect(parseE164(input)).toBeNull();
+    });
+  });
+
+  it('generates 8 characters from the code alphabet', () => {
+    for (let i = 0; i < 50; i++) {
+      const code = generatePairingCode();
+      expect(code).toHaveLength(8);
+      expect([...code].every(char => CODE_ALPHABET.includes(char))).toBe(true);
+    }
+  });
+
+  it('formats codes as XXXX-XXXX', () => {
+    expect(formatPairingCode('abcd efgh')).toBe('ABCD-EFGH');
+    expect(formatPairingCode(generatePairingCode())).toMatch(/^[1-9A-Z]{4}-[1-9A-Z]{4}$/);
+    expect(normalizePairingCode('abcd-efgh')).toBe('ABCDEFGH');
+  });
+
+  describe('wrapPublicKey', () => {
+    const publicKey = crypto.randomBytes(32);
+
+    it('unwraps with the same code, typed in any case or grouping', async () => {
+      const wrapped = await wrapPublicKey('ABCDEFGH', publicKey);
+      expect((await unwrapPublicKey('abcd-efgh', wrapped)).equals(publicKey)).toBe(true);
+    });
+
+    it('fails to unwrap with a different code', async () => {
+      const wrapped = await wrapPublicKey('ABCDEFGH', publicKey);
+      await expect(unwrapPublicKey('ABCDEFGJ', wrapped)).rejects.toThrow();
+    });
+
+    it('rejects truncated input', async () => {
+      await expect(unwrapPublicKey('ABCDEFGH', Buffer.alloc(40))).rejects.toThrow('Wrapped public key is truncated');
+    });
+  });
+});
+
+describe('WhatsAppClient.requestPairingCode', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = new MockWhatsAppServer();
+    const url = await server.start();
+
+    client = new WhatsAppClient({
+      serverUrls: [url],
+      authStore: new MemoryAuthStore(),
+      passphrase: 'test passphrase',
+      printQRInTerminal: false,
+      autoReconnect: false,
+      syncHistory: false,
+      authStrategy: 'pairing',
+      phoneNumber: '+1 555 123 4567'
+    });
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+    await server.stop();
+  });
+
+  it('rejects numbers that are not E.164', async () => {
+    await expect(client.requestPairingCode('555-12')).rejects.toThrow('E.164');
+    await expect(client.requestPairingCode('05551234567')).rejects.toThrow('E.164');
+  });
+
+  it('links through link_code and saves the credentials through SessionManager', async () => {
+    const qr = jest.fn();
+    client.on('qr', qr);
+    const shown = new Promise(resolve => client.on('pairing_code', (code, info) => resolve({ code, info })));
+    const ready = new Promise(resolve => client.on('ready', resolve));
+
+    await client.initialize();
+    const { code, info } = await shown;
+
+    expect(code).toMatch(/^[1-9A-Z]{4}-[1-9A-Z]{4}$/);
+    expect(info).toMatchObject({ phoneNumber: '15551234567', expiresAt: expect.any(Number) });
+
+    expect(await server.enterCode('1111-1111', '15551234567')).toBeNull();
+    expect(await server.enterCode(code.toLowerCase(), '15551234567')).not.toBeNull();
+    await ready;
+
+    expect(qr).not.toHaveBeenCalled();
+
+    const saved = await new SessionManager({ authStore: client.session.store, passphrase: 'test passphrase' }).load();
+    expect(saved).toMatchObject({ wid: server.options.wid });
+    expect(client.session.validate(saved).valid).toBe(true);
+  });
+});
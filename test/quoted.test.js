@@ -0,0 +1,168 @@
+'use strict';
+
+const proto = require('../src/proto');
+const { MessageError } = require('../src');
+const { once, relayedMessages, serverSession, useMockServer } = require('./helpers');
+
+const CHAT = '15551112222@c.us';
+const GROUP = '15551112222-1600000000@g.us';
+const MEMBER = '15553334444@c.us';
+
+describe('quoted messages against MockWhatsAppServer', () => {
+  const mock = useMockServer();
+
+  // Push a relayed message and resolve once it was stored and emitted
+  const receive = (client, info) => {
+    const received = once(client, 'message', message => message.id === info.key.id);
+    mock.server.sendNode(serverSession(mock.server), ['action', { add: 'relay' }, [
+      ['message', null, proto.encodeWebMessageInfo({ messageTimestamp: 1600000000, ...info })]
+    ]]);
+    return received;
+  };
+
+  describe('replying', () => {
+    // Logged in without send spacing, with the relayed messages decoded
+    const loggedIn = async () => ({
+      client: await mock.login({ rateLimit: { messages: 1000, interval: 1000 } }),
+      relayed: relayedMessages(mock.server)
+    });
+
+    const contextInfoOf = info => info.message.extendedTextMessage.contextInfo;
+
+    it('quotes a stored group message by ID with its author', async () => {
+      const { client, relayed } = await loggedIn();
+      await receive(client, {
+        key: { remoteJid: GROUP, fromMe: false, id: 'ORIGINAL', participant: MEMBER },
+        message: { conversation: 'who is in?' }
+      });
+
+      await client.sendText(GROUP, 'me', { quoted: 'ORIGINAL' });
+
+      expect(relayed[0].message.extendedTextMessage.text).toBe('me');
+      expect(contextInfoOf(relayed[0])).toEqual({
+        stanzaId: 'ORIGINAL',
+        participant: MEMBER,
+        quotedMessage: { conversation: 'who is in?' }
+      });
+    });
+
+    it('quotes our own message with our JID as participant', async () => {
+      const { client, relayed } = await loggedIn();
+      const sent = await client.sendText(CHAT, 'original');
+
+      await client.replyToMessage(sent.id, 'follow-up');
+
+      expect(contextInfoOf(relayed[1])).toMatchObject({ stanzaId: sent.id, participant: client.user.jid });
+    });
+
+    it('names the original chat when replying privately to a group message', async () => {
+      const { client, relayed } = await loggedIn();
+      const original = await receive(client, {
+        key: { remoteJid: GROUP, fromMe: false, id: 'IN_GROUP', participant: MEMBER },
+        message: { conversation: 'dm me' }
+      });
+
+      await client.sendText(MEMBER, 'hi', { quoted: original });
+
+      expect(contextInfoOf(relayed[0])).toMatchObject({ stanzaId: 'IN_GROUP', participant: MEMBER, remoteJid: GROUP });
+    });
+
+    it('rebuilds the media of a quoted document', async () => {
+      const { client, relayed } = await loggedIn();
+      const mediaKey = Buffer.alloc(32, 1);
+      await receive(client, {
+        key: { remoteJid: CHAT, fromMe: false, id: 'DOCUMENT' },
+        message: {
+          documentMessage: {
+            url: 'https://mmg.example/d',
+            mimetype: 'application/pdf',
+            fileSha256: Buffer.alloc(32, 2),
+            fileLength: 1234,
+            mediaKey,
+            fileName: 'invoice.pdf'
+          }
+        }
+      });
+
+      await client.sendText(CHAT, 'paid', { quoted: 'DOCUMENT' });
+
+      expect(contextInfoOf(relayed[0]).quotedMessage.documentMessage).toMatchObject({
+        url: 'https://mmg.example/d',
+        mimetype: 'application/pdf',
+        mediaKey,
+        fileName: 'invoice.pdf'
+      });
+    });
+
+    it('accepts the former quotedMessage option', async () => {
+      const { client, relayed } = await loggedIn();
+
+      await client.sendText(CHAT, 'yes', { quotedMessage: { id: 'OLD', chatId: CHAT, content: 'ok?', author: CHAT } });
+
+      expect(contextInfoOf(relayed[0])).toEqual({ stanzaId: 'OLD', participant: CHAT, quotedMessage: { conversation: 'ok?' } });
+    });
+
+    it('rejects an unknown quoted ID without relaying', async () => {
+      const { client, relayed } = await loggedIn();
+
+      await expect(client.sendText(CHAT, 'lost', { quoted: 'MISSING' }))
+        .rejects.toThrow(new MessageError('Failed to send message: Quoted message not found: MISSING'));
+      expect(relayed).toEqual([]);
+    });
+  });
+
+  describe('receiving replies', () => {
+    it('parses the quoted snapshot without time or nested quote', async () => {
+      const client = await mock.login();
+
+      const reply = await receive(client, {
+        key: { remoteJid: GROUP, fromMe: false, id: 'REPLY', participant: MEMBER },
+        message: {
+          extendedTextMessage: {
+            text: 'agreed',
+            contextInfo: {
+              stanzaId: 'QUOTED',
+              participant: client.user.jid,
+              quotedMessage: {
+                extendedTextMessage: { text: 'lunch?', contextInfo: { stanzaId: 'EARLIER', quotedMessage: { conversation: 'hungry' } } }
+              }
+            }
+          }
+        }
+      });
+
+      expect(reply.body).toBe('agreed');
+      expect(reply.quoted).toMatchObject({
+        id: 'QUOTED',
+        chatId: GROUP,
+        fromMe: true,
+        author: client.user.jid,
+        body: 'lunch?',
+        timestamp: null
+      });
+      expect(reply.quoted).not.toHaveProperty('quoted');
+      expect(await client.getQuotedMessage(reply)).toBe(reply.quoted);
+    });
+
+    it('takes the chat from remoteJid and prefers the stored original', async () => {
+      const client = await mock.login();
+      await receive(client, {
+        key: { remoteJid: GROUP, fromMe: false, id: 'STORED', participant: MEMBER },
+        message: { conversation: 'call me' }
+      });
+
+      const reply = await receive(client, {
+        key: { remoteJid: MEMBER, fromMe: false, id: 'PRIVATE' },
+        message: {
+          extendedTextMessage: {
+            text: 'calling',
+            contextInfo: { stanzaId: 'STORED', participant: MEMBER, remoteJid: GROUP, quotedMessage: { conversation: 'call me' } }
+          }
+        }
+      });
+
+      expect(reply.quoted).toMatchObject({ id: 'STORED', chatId: GROUP, fromMe: false, author: MEMBER });
+      expect(await client.getQuotedMessage('PRIVATE')).toMatchObject({ id: 'STORED', timestamp: 1600000000000 });
+    });
+  });
+});
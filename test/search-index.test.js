@@ -0,0 +1,166 @@
+'use strict';
+
+const { SearchIndex } = require('../src/search-index');
+const MessageManager = require('../src/messages');
+const { MemoryMessageStore } = require('../src/message-store');
+
+const ALICE = '15551112222@c.us';
+const BOB = '15553334444@c.us';
+const GROUP = '15551112222-1600000000@g.us';
+
+const MESSAGES = [
+  { id: 'M1', chatId: ALICE, fromMe: false, timestamp: 1000, type: 'conversation', body: 'Your order 1234 has shipped' },
+  { id: 'M2', chatId: ALICE, fromMe: true, timestamp: 2000, type: 'conversation', body: 'Thanks! What about 1234 order tracking?' },
+  { id: 'M3', chatId: BOB, fromMe: false, timestamp: 3000, type: 'conversation', body: 'Meet at the Café Crème at noon' },
+  {
+    id: 'M4',
+    chatId: BOB,
+    fromMe: true,
+    timestamp: 4000,
+    type: 'documentMessage',
+    body: 'Here is the invoice',
+    caption: 'Here is the invoice',
+    mediaData: { filename: 'Invoices-2024.pdf' }
+  },
+  { id: 'M5', chatId: GROUP, author: BOB, fromMe: false, timestamp: 5000, type: 'conversation', body: 'invitation for the cafe party' }
+];
+
+function indexOf(messages = MESSAGES) {
+  const index = new SearchIndex();
+  for (const message of messages) {
+    index.add(message);
+  }
+  return index;
+}
+
+const ids = results => results.map(result => result.id);
+
+describe('SearchIndex', () => {
+  const index = indexOf();
+
+  it('requires every word to match', () => {
+    expect(ids(index.search('order shipped'))).toEqual(['M1']);
+    expect(ids(index.search('order missing'))).toEqual([]);
+  });
+
+  it('ranks by relevance, then newest first', () => {
+    const index = indexOf([
+      { id: 'OLD', chatId: ALICE, timestamp: 1, body: 'refund refund please' },
+      { id: 'NEW', chatId: ALICE, timestamp: 2, body: 'refund please' },
+      { id: 'NEWEST', chatId: ALICE, timestamp: 3, body: 'a refund' }
+    ]);
+
+    expect(ids(index.search('refund'))).toEqual(['OLD', 'NEWEST', 'NEW']);
+  });
+
+  it('matches quoted words as a phrase in order', () => {
+    expect(ids(index.search('"order 1234"'))).toEqual(['M1']);
+    expect(ids(index.search('"1234 order"'))).toEqual(['M2']);
+    expect(ids(index.search('order 1234'))).toEqual(['M2', 'M1']);
+  });
+
+  it('matches a trailing * as a prefix', () => {
+    // The invoice matches three times: body, caption and file name
+    expect(ids(index.search('inv*'))).toEqual(['M4', 'M5']);
+    expect(ids(index.search('invoice*'))).toEqual(['M4']);
+    expect(ids(index.search('inv'))).toEqual([]);
+  });
+
+  it('ignores case and accents on both sides', () => {
+    expect(ids(index.search('cafe'))).toEqual(['M5', 'M3']);
+    expect(ids(index.search('CAFÉ CRÈME'))).toEqual(['M3']);
+    expect(ids(index.search('"café party"'))).toEqual(['M5']);
+  });
+
+  it('searches captions and document file names', () => {
+    expect(index.search('2024')).toEqual([expect.objectContaining({
+      id: 'M4',
+      highlights: [{ field: 'filename', ranges: [[9, 13]] }]
+    })]);
+  });
+
+  it('applies the chat, type, sender, direction and time filters', () => {
+    expect(ids(index.search('cafe', { chatId: BOB }))).toEqual(['M3']);
+    expect(ids(index.search('inv*', { type: 'documentMessage' }))).toEqual(['M4']);
+    expect(ids(index.search('', { type: ['documentMessage', 'imageMessage'] }))).toEqual(['M4']);
+    expect(ids(index.search('', { sender: BOB }))).toEqual(['M5']);
+    expect(ids(index.search('order', { fromMe: true }))).toEqual(['M2']);
+    expect(ids(index.search('', { after: 2000 }))).toEqual(['M5', 'M4', 'M3']);
+    expect(ids(index.search('', { after: 1000, before: new Date(4000) }))).toEqual(['M3', 'M2']);
+  });
+
+  it('reports merged highlight ranges per field', () => {
+    const [result] = index.search('order 1234 "1234 order"');
+
+    expect(result.id).toBe('M2');
+    expect(result.highlights).toEqual([{ field: 'body', ranges: [[19, 29]] }]);
+  });
+
+  it('builds snippets around the first match with every match marked', () => {
+    expect(index.search('shipped order')[0].snippet).toBe('Your *order* 1234 has *shipped*');
+    expect(index.search('cafe', { chatId: BOB, highlightStart: '<b>', highlightEnd: '</b>' })[0].snippet)
+      .toBe('Meet at the <b>Café</b> Crème at noon');
+  });
+
+  it('trims long snippets with ellipses', () => {
+    const long = `${'lorem ipsum '.repeat(10)}needle${' dolor sit'.repeat(10)}`;
+    const [result] = indexOf([{ id: 'LONG', chatId: ALICE, timestamp: 1, body: long }]).search('needle');
+
+    expect(result.highlights).toEqual([{ field: 'body', ranges: [[120, 126]] }]);
+    expect(result.snippet).toBe(`…${long.slice(80, 120)}*needle*${long.slice(126, 166)}…`);
+  });
+
+  it('replaces and removes messages', () => {
+    const index = indexOf();
+
+    index.add({ ...MESSAGES[0], body: 'Your parcel is delayed' });
+    expect(ids(index.search('shipped'))).toEqual([]);
+    expect(ids(index.search('parcel'))).toEqual(['M1']);
+
+    index.remove('M1');
+    expect(ids(index.search('parcel'))).toEqual([]);
+    expect(index.has('M1')).toBe(false);
+    expect(index.postings.has('parcel')).toBe(false);
+  });
+});
+
+describe('MessageManager.searchMessages', () => {
+  const createManager = async () => {
+    const store = new MemoryMessageStore();
+    for (const message of MESSAGES) {
+      await store.put(message);
+    }
+    return { store, messages: new MessageManager({ options: { messageStore: store } }) };
+  };
+
+  it('indexes the stored messages on first use', async () => {
+    const { messages } = await createManager();
+
+    const results = await messages.searchMessages('cafe');
+
+    expect(results.map(result => result.message.id)).toEqual(['M5', 'M3']);
+    expect(results[0]).toEqual({
+      message: expect.objectContaining({ id: 'M5', body: 'invitation for the cafe party' }),
+      score: expect.any(Number),
+      highlights: [{ field: 'body', ranges: [[19, 23]] }],
+      snippet: 'invitation for the *cafe* party'
+    });
+  });
+
+  it('pages with limit and offset', async () => {
+    const { messages } = await createManager();
+
+    const page = await messages.searchMessages('', { limit: 2, offset: 1 });
+
+    expect(page.map(result => result.message.id)).toEqual(['M4', 'M3']);
+  });
+
+  it('drops messages evicted from the store', async () => {
+    const { store, messages } = await createManager();
+    await messages.searchMessages('');
+    await store.delete('M3');
+
+    expect((await messages.searchMessages('cafe')).map(result => result.message.id)).toEqual(['M5']);
+    expect(messages.searchIndex.has('M3')).toBe(false);
+  });
+});
@@ -0,0 +1,347 @@
+'use strict';
+
+const crypto = require('crypto');
+const SessionManager = require('../src/session');
+const { MemoryAuthStore } = require('../src/auth-store');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+
+const SESSION = {
+  clientId: 'Y2xpZW50LWlkLTEyMzQ1Ng==',
+  clientToken: 'client-token',
+  serverToken: 'server-token',
+  encKey: key(),
+  macKey: key(),
+  wid: '15550000000@c.us'
+};
+
+/**
+ * Memory store failing the first write matching a predicate
+ */
+class FailingStore extends MemoryAuthStore {
+  constructor(predicate) {
+    super();
+    this.predicate = predicate;
+  }
+
+  async set(key, value) {
+    if (this.predicate && this.predicate(key, this)) {
+      this.predicate = null;
+      throw new Error(`Simulated crash writing ${key}`);
+    }
+    return super.set(key, value);
+  }
+}
+
+/**
+ * Session with two saves, so one backup exists
+ */
+async function createSession(store, passphrase = 'old passphrase') {
+  const session = new SessionManager({ authStore: store, passphrase });
+  await session.save({ ...SESSION, pushname: 'first' });
+  await new Promise(resolve => setTimeout(resolve, 2));
+  await session.save({ ...SESSION, pushname: 'second' });
+  return session;
+}
+
+describe('SessionManager encryption key', () => {
+  const env = process.env.WHATSAPP_SESSION_PASSPHRASE;
+
+  afterEach(() => {
+    if (env === undefined) {
+      delete process.env.WHATSAPP_SESSION_PASSPHRASE;
+    } else {
+      process.env.WHATSAPP_SESSION_PASSPHRASE = env;
+    }
+  });
+
+  it('refuses to encrypt without a passphrase or key', async () => {
+    delete process.env.WHATSAPP_SESSION_PASSPHRASE;
+    const store = new MemoryAuthStore();
+    const session = new SessionManager({ authStore: store });
+
+    await expect(session.save(SESSION)).rejects.toThrow('No session passphrase configured');
+    await expect(session.load()).rejects.toMatchObject({ reason: 'missing_key' });
+    expect(await store.keys()).toEqual([]);
+  });
+
+  it('derives the key from the environment and stores only its salt and check', async () => {
+    process.env.WHATSAPP_SESSION_PASSPHRASE = 'env passphrase';
+    const store = new MemoryAuthStore();
+
+    await new SessionManager({ authStore: store }).save(SESSION);
+
+    const keyInfo = JSON.parse(await store.get('session-key'));
+    expect(keyInfo).toEqual({
+      version: 1,
+      kdf: 'scrypt',
+      salt: expect.any(String),
+      N: 16384,
+      r: 8,
+      p: 1,
+      check: expect.any(String)
+    });
+    expect(await new SessionManager({ authStore: store }).load()).toMatchObject({ wid: SESSION.wid });
+  });
+
+  it('stores sessions unencrypted only when encryptSession is false', async () => {
+    delete process.env.WHATSAPP_SESSION_PASSPHRASE;
+    const store = new MemoryAuthStore();
+
+    await new SessionManager({ authStore: store, encryptSession: false }).save(SESSION);
+
+    expect(JSON.parse(await store.get('session'))).toMatchObject({ wid: SESSION.wid });
+    expect(await store.get('session-key')).toBeNull();
+  });
+});
+
+describe('SessionManager.rotateEncryptionKey', () => {
+  it('requires the new passphrase or key', async () => {
+    const session = await createSession(new MemoryAuthStore());
+
+    await expect(session.rotateEncryptionKey()).rejects.toMatchObject({ reason: 'missing_key' });
+    expect(await session.load()).toMatchObject({ pushname: 'second' });
+  });
+
+  it('re-encrypts the session and its backups under the new passphrase', async () => {
+    const store = new MemoryAuthStore();
+    const session = await createSession(store);
+
+    await session.rotateEncryptionKey({ passphrase: 'new passphrase' });
+
+    const reopened = new SessionManager({ authStore: store, passphrase: 'new passphrase' });
+    expect(await reopened.load()).toMatchObject({ pushname: 'second' });
+    expect(await reopened.restoreFromBackup()).toMatchObject({ pushname: 'first' });
+    expect(await store.keys('key-rotation/')).toEqual([]);
+    expect(await store.get('session-key-rotation')).toBeNull();
+
+    await expect(new SessionManager({ authStore: store, passphrase: 'old passphrase' }).load())
+      .rejects.toMatchObject({ reason: 'wrong_key' });
+  });
+
+  it('keeps the old key when interrupted before the commit', async () => {
+    const store = new FailingStore();
+    const session = await createSession(store);
+    store.predicate = key => key === 'session-key-rotation';
+
+    await expect(session.rotateEncryptionKey({ passphrase: 'new passphrase' })).rejects.toThrow('Simulated crash');
+
+    const reopened = new SessionManager({ authStore: store, passphrase: 'old passphrase' });
+    expect(await reopened.load()).toMatchObject({ pushname: 'second' });
+    expect(await store.keys('key-rotation/')).toEqual([]);
+  });
+
+  it('completes a rotation interrupted after the commit on the next start', async () => {
+    const store = new FailingStore();
+    const session = await createSession(store);
+    store.predicate = (key, self) => key === 'session' && self.values.has('session-key-rotation');
+
+    await expect(session.rotateEncryptionKey({ passphrase: 'new passphrase' })).rejects.toThrow('Simulated crash');
+
+    const reopened = new SessionManager({ authStore: store, passphrase: 'new passphrase' });
+    expect(await reopened.load()).toMatchObject({ pushname: 'second' });
+    expect(await reopened.restoreFromBackup()).toMatchObject({ pushname: 'first' });
+    expect(await store.get('session-key-rotation')).toBeNull();
+  });
+
+  it('reports entries the current key cannot decrypt', async () => {
+    const store = new MemoryAuthStore();
+    const session = await createSession(store);
+    const [backup] = await store.keys('backups/');
+    await store.set(backup, '{"algorithm":"aes-256-gcm","iv":"00","authTag":"00","data":"00"}');
+
+    await expect(session.rotateEncryptionKey({ passphrase: 'new passphrase' }))
+      .rejects.toMatchObject({ reason: 'unreadable_entries', keys: [backup] });
+    expect(await new SessionManager({ authStore: store, passphrase: 'old passphrase' }).load())
+      .toMatchObject({ pushname: 'second' });
+
+    await session.rotateEncryptionKey({ passphrase: 'new passphrase', discardUnreadable: true });
+    expect(await store.get(backup)).toBeNull();
+    expect(await new SessionManager({ authStore: store, passphrase: 'new passphrase' }).load())
+      .toMatchObject({ pushname: 'second' });
+  });
+});
+
+describe('SessionManager export and import', () => {
+  const snapshot = store => new Map(store.values);
+
+  it('round-trips the session and its backups through a bundle', async () => {
+    const bundle = await (await createSession(new MemoryAuthStore())).export('bundle passphrase');
+
+    const target = new SessionManager({ authStore: new MemoryAuthStore(), passphrase: 'other passphrase' });
+    expect(await target.import(bundle, 'bundle passphrase')).toMatchObject({ wid: SESSION.wid, pushname: 'second' });
+
+    expect(await target.load()).toMatchObject({ encKey: SESSION.encKey, macKey: SESSION.macKey, pushname: 'second' });
+    expect(await target.restoreFromBackup()).toMatchObject({ pushname: 'first' });
+  });
+
+  it('rejects a wrong passphrase without writing anything', async () => {
+    const bundle = await (await createSession(new MemoryAuthStore())).export('bundle passphrase');
+    const store = new MemoryAuthStore();
+
+    await expect(new SessionManager({ authStore: store, passphrase: 'other passphrase' }).import(bundle, 'wrong'))
+      .rejects.toMatchObject({ reason: 'wrong_passphrase' });
+    expect(await store.keys()).toEqual([]);
+  });
+
+  it.each(['data', 'authTag'])('rejects a bundle with tampered %s', async (field) => {
+    const envelope = JSON.parse(await (await createSession(new MemoryAuthStore())).export('bundle passphrase'));
+    const bytes = Buffer.from(envelope[field], 'base64');
+    bytes[0] ^= 1;
+    envelope[field] = bytes.toString('base64');
+
+    const target = new SessionManager({ authStore: new MemoryAuthStore(), passphrase: 'other passphrase' });
+    await expect(target.import(JSON.stringify(envelope), 'bundle passphrase'))
+      .rejects.toMatchObject({ reason: 'wrong_passphrase' });
+  });
+
+  it('rejects a bundle that is not JSON', async () => {
+    const target = new SessionManager({ authStore: new MemoryAuthStore(), passphrase: 'other passphrase' });
+
+    await expect(target.import('not a bundle {', 'bundle passphrase'))
+      .rejects.toMatchObject({ reason: 'invalid_bundle', message: 'Session bundle is not valid JSON' });
+  });
+
+  it('rejects a bundle with a malformed backup before writing anything', async () => {
+    const source = new MemoryAuthStore();
+    const exporter = new SessionManager({ authStore: source, encryptSession: false });
+    await exporter.save(SESSION);
+    await source.set('backups/session_backup_2020-01-01T00-00-00-000Z', JSON.stringify({ clientId: 'id', version: 2 }));
+    const bundle = await exporter.export('bundle passphrase');
+
+    const store = new MemoryAuthStore();
+    const target = await createSession(store);
+    const before = snapshot(store);
+
+    await expect(target.import(bundle, 'bundle passphrase')).rejects.toMatchObject({
+      reason: 'invalid_bundle',
+      message: expect.stringContaining('clientToken is missing')
+    });
+    expect(snapshot(store)).toEqual(before);
+  });
+});
+
+describe('SessionManager format migrations', () => {
+  const encKey = crypto.randomBytes(32);
+  const macKey = crypto.randomBytes(32);
+
+  // localStorage of a WhatsApp Web browser, values JSON quoted
+  const V0_BROWSER = {
+    WABrowserId: '"Y2xpZW50LWlkLTEyMzQ1Ng=="',
+    WASecretBundle: JSON.stringify({ key: 'unused', encKey: encKey.toString('base64'), macKey: macKey.toString('base64') }),
+    WAToken1: '"client-token"',
+    WAToken2: '"1@server-token"'
+  };
+
+  // Other libraries: `clientID`, keys as serialized Buffers
+  const V0_LIBRARY = {
+    clientID: 'Y2xpZW50LWlkLTEyMzQ1Ng==',
+    clientToken: 'client-token',
+    serverToken: '1@server-token',
+    encKey: encKey.toJSON(),
+    macKey: macKey.toJSON()
+  };
+
+  const V1 = {
+    version: '1.0.0',
+    clientId: 'Y2xpZW50LWlkLTEyMzQ1Ng==',
+    clientToken: 'client-token',
+    serverToken: '1@server-token',
+    encKey: encKey.toString('base64'),
+    macKey: macKey.toString('base64'),
+    wid: '15550000000@c.us',
+    pushname: null
+  };
+
+  const MIGRATED = {
+    version: 2,
+    clientId: 'Y2xpZW50LWlkLTEyMzQ1Ng==',
+    clientToken: 'client-token',
+    serverToken: '1@server-token',
+    encKey: encKey.toString('base64'),
+    macKey: macKey.toString('base64')
+  };
+
+  const loadStored = async (stored) => {
+    const store = new MemoryAuthStore();
+    await store.set('session', JSON.stringify(stored));
+    const session = new SessionManager({ authStore: store, encryptSession: false });
+    return { store, session, loaded: await session.load() };
+  };
+
+  it('upgrades a v0 browser export to v2 and keeps the original as a backup', async () => {
+    const { store, loaded } = await loadStored(V0_BROWSER);
+
+    expect(loaded).toEqual(MIGRATED);
+    expect(JSON.parse(await store.get('session'))).toMatchObject(MIGRATED);
+
+    const [backup] = await store.keys('backups/');
+    expect(JSON.parse(await store.get(backup))).toEqual(V0_BROWSER);
+  });
+
+  it('upgrades a v0 library export with Buffer keys to v2', async () => {
+    const { loaded } = await loadStored(V0_LIBRARY);
+
+    expect(loaded).toEqual(MIGRATED);
+  });
+
+  it('upgrades v1 to v2, dropping null fields', async () => {
+    const { loaded } = await loadStored(V1);
+
+    expect(loaded).toEqual({ ...MIGRATED, wid: '15550000000@c.us' });
+  });
+
+  it('refuses sessions from a newer format', async () => {
+    const store = new MemoryAuthStore();
+    await store.set('session', JSON.stringify({ ...MIGRATED, version: 3 }));
+
+    await expect(new SessionManager({ authStore: store, encryptSession: false }).load())
+      .rejects.toMatchObject({ reason: 'unsupported_version' });
+  });
+
+  it('does not load a migrated session with bad fields', async () => {
+    const { loaded } = await loadStored({ ...V1, encKey: 'c2hvcnQ=' });
+
+    expect(loaded).toBeNull();
+  });
+
+  describe('validate', () => {
+    const session = new SessionManager({ authStore: new MemoryAuthStore(), encryptSession: false });
+
+    it('accepts a migrated session', () => {
+      expect(session.validate(MIGRATED)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('reports every bad field', () => {
+      const { valid, errors } = session.validate({
+        clientId: '',
+        clientToken: 42,
+        serverToken: 'server-token',
+        encKey: 'c2hvcnQ=',
+        wid: '15550000000',
+        pushname: 7,
+        timestamp: 'yesterday',
+        version: 1.5
+      });
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        { field: 'clientId', problem: 'missing', message: 'clientId is missing' },
+        { field: 'clientToken', problem: 'malformed', message: 'clientToken must be a non-empty string' },
+        { field: 'encKey', problem: 'malformed', message: 'encKey must be a base64 encoded 32-byte key' },
+        { field: 'macKey', problem: 'missing', message: 'macKey is missing' },
+        { field: 'wid', problem: 'malformed', message: 'wid must be a JID' },
+        { field: 'pushname', problem: 'malformed', message: 'pushname must be a string' },
+        { field: 'timestamp', problem: 'malformed', message: 'timestamp must be a number' },
+        { field: 'version', problem: 'malformed', message: 'version must be an integer' }
+      ]);
+    });
+
+    it('rejects data that is not an object', () => {
+      expect(session.validate(['session'])).toEqual({
+        valid: false,
+        errors: [{ field: '', problem: 'malformed', message: 'session data must be an object' }]
+      });
+    });
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Jest setup
+ * Keeps the library logger quiet while tests run. The console methods are
+ * replaced rather than spied on, since `restoreMocks` would bring them back
+ * before sockets closed by a test report it.
+ */
+
+'use strict';
+
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
@@ -0,0 +1,125 @@
+'use strict';
+
+const proto = require('../src/proto');
+const { once, record, serverSession, useMockServer } = require('./helpers');
+
+const CHAT = '15551112222@c.us';
+
+/**
+ * `action` node carrying relayed messages, as pushed after login
+ */
+function messagesNode(count, text = 'x') {
+  const children = Array.from({ length: count }, (_, i) => ['message', null, proto.encodeWebMessageInfo({
+    key: { remoteJid: CHAT, fromMe: false, id: `STREAMED${i}` },
+    message: { conversation: `${text} ${i}` },
+    messageTimestamp: 1600000000 + i
+  })]);
+  return ['action', { add: 'relay' }, children];
+}
+
+describe('RealWebSocketManager against MockWhatsAppServer', () => {
+  const mock = useMockServer();
+
+  describe('query', () => {
+    const QUERY = ['query', 'exist', CHAT];
+
+    // Logged in, with a server that never answers queries
+    const unanswered = async (options) => {
+      const client = await mock.login(options);
+      mock.server.options.scenario.query = () => null;
+      return client.websocket;
+    };
+
+    it('resolves with the reply and forgets the tag', async () => {
+      const websocket = (await mock.login()).websocket;
+
+      await expect(websocket.query(null, QUERY)).resolves.toEqual({ status: 200 });
+      expect(websocket.messageQueue.size).toBe(0);
+    });
+
+    it('rejects on timeout', async () => {
+      const websocket = await unanswered();
+
+      await expect(websocket.query('timed-out', QUERY, { timeout: 50 })).rejects.toMatchObject({
+        name: 'ConnectionError',
+        reason: 'timeout',
+        tag: 'timed-out'
+      });
+      expect(websocket.messageQueue.size).toBe(0);
+    });
+
+    it('rejects when the signal aborts', async () => {
+      const websocket = await unanswered();
+      const controller = new AbortController();
+
+      const pending = websocket.query(null, QUERY, { signal: controller.signal });
+      expect(websocket.messageQueue.size).toBe(1);
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      expect(websocket.messageQueue.size).toBe(0);
+    });
+
+    it('rejects without sending when the signal is already aborted', async () => {
+      const websocket = await unanswered();
+      const sent = jest.fn();
+      mock.server.on('message', sent);
+
+      await expect(websocket.query(null, QUERY, { signal: AbortSignal.abort() })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(websocket.messageQueue.size).toBe(0);
+      expect(sent).not.toHaveBeenCalled();
+    });
+
+    it('rejects pending queries on disconnect', async () => {
+      const websocket = await unanswered();
+
+      const pending = [websocket.query(null, QUERY), websocket.query(null, QUERY)];
+      await websocket.disconnect();
+
+      for (const query of pending) {
+        await expect(query).rejects.toMatchObject({ name: 'ConnectionError', reason: 'closed' });
+      }
+      expect(websocket.messageQueue.size).toBe(0);
+    });
+
+    it('rejects pending queries when the connection drops', async () => {
+      const websocket = await unanswered();
+
+      const pending = websocket.query(null, QUERY);
+      mock.server.drop(serverSession(mock.server));
+
+      await expect(pending).rejects.toMatchObject({ name: 'ConnectionError', reason: 'closed' });
+      expect(websocket.messageQueue.size).toBe(0);
+    });
+  });
+
+  describe('streamed binary frames', () => {
+    it('decodes frames above streamingThreshold child by child', async () => {
+      const client = await mock.login({ streamingThreshold: 1024 });
+      const children = record(client.websocket, 'binary_child');
+      const received = once(client.websocket, 'binary_message');
+
+      mock.server.sendNode(serverSession(mock.server), messagesNode(50, 'a fairly long message body to pass the threshold'));
+      const frame = await received;
+
+      expect(frame).toMatchObject({ streamed: true, data: ['action', { add: 'relay' }, null] });
+      expect(children.map(child => child.index)).toEqual(Array.from({ length: 50 }, (_, i) => i));
+      expect(children[0]).toMatchObject({ description: 'action', attributes: { add: 'relay' } });
+      expect(proto.decodeWebMessageInfo(children[49].child[2]).key.id).toBe('STREAMED49');
+      expect(await client.messages.getMessage('STREAMED49')).toMatchObject({ body: 'a fairly long message body to pass the threshold 49' });
+    });
+
+    it('decodes smaller frames whole', async () => {
+      const client = await mock.login({ streamingThreshold: 1024 });
+      const children = record(client.websocket, 'binary_child');
+      const received = once(client.websocket, 'binary_message');
+
+      mock.server.sendNode(serverSession(mock.server), messagesNode(1));
+      const frame = await received;
+
+      expect(frame.streamed).toBeUndefined();
+      expect(frame.data[2]).toHaveLength(1);
+      expect(children).toEqual([]);
+    });
+  });
+});